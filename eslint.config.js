@@ -3,6 +3,7 @@ import globals from 'globals'
 import { FlatCompat } from '@eslint/eslintrc'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import sysErrorsPlugin from './src/errors/eslint-plugin.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -47,5 +48,10 @@ export default [
       'no-console': 'off', // Разрешаем console.log
       'no-debugger': process.env.NODE_ENV === 'production' ? 'error' : 'off'
     }
+  },
+  // Правила плагина sys-errors для собственного кода подсистемы
+  {
+    files: ['src/**/*.js'],
+    ...sysErrorsPlugin.configs.recommended
   }
 ]
@@ -0,0 +1,55 @@
+/**
+ * @file src/errors/aggregate.d.ts
+ * @description TypeScript декларации для ошибок с несколькими причинами.
+ * @version 0.1.0
+ */
+
+import { ErrorDefinition } from './errors'
+import { SystemError } from './system-error'
+
+/**
+ * @interface ErrorTreeNode
+ * @description Ожидаемый узел дерева ошибок для функции `checkErrorTree`.
+ */
+export interface ErrorTreeNode {
+  /** @property {string} [code] - Ожидаемый код ошибки. */
+  code?: string;
+  /** @property {string} [type] - Ожидаемый тип/класс ошибки (`error.constructor.name`). */
+  type?: string;
+  /** @property {string | string[]} [message] - Ожидаемый фрагмент(ы) сообщения (регистронезависимо). */
+  message?: string | string[];
+  /** @property {ErrorTreeNode | null} [original] - Ожидаемая исходная ошибка (`null` - исходной ошибки нет). */
+  original?: ErrorTreeNode | null;
+  /** @property {ErrorTreeNode[] | Record<number, ErrorTreeNode>} [errors] - Все причины по порядку (массив) или только указанные ветви (объект с индексами). */
+  errors?: ErrorTreeNode[] | Record<number, ErrorTreeNode>;
+}
+
+/**
+ * Создает ошибку с несколькими причинами (`errors`) по результатам Promise.allSettled
+ * (контекст: `reason`, `failed`, `total`, `failedIndices`). Возвращает `null`, если отклоненных результатов нет.
+ *
+ * @function fromSettledResults
+ * @param {PromiseSettledResult<unknown>[]} results - Результаты Promise.allSettled.
+ * @param {ErrorDefinition | string} [definition=ERROR_CODES.SYS.MULTIPLE_ERRORS] - Определение ошибки.
+ * @param {Record<string, any>} [context] - Дополнительный контекст.
+ * @param {object} [options] - Опции createError.
+ * @returns {SystemError | null} Ошибка или `null`.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `results` не массив результатов Promise.allSettled.
+ */
+export declare function fromSettledResults (
+  results: readonly PromiseSettledResult<unknown>[],
+  definition?: ErrorDefinition | string,
+  context?: Record<string, any>,
+  options?: { strict?: boolean; locale?: string }
+): SystemError | null;
+
+/**
+ * Проверяет дерево ошибок (`original` и `errors` на каждом уровне); проверяются только указанные поля и ветви.
+ *
+ * @function checkErrorTree
+ * @param {Error | null} error - Корень дерева.
+ * @param {ErrorTreeNode} expectedTree - Ожидаемое дерево.
+ * @returns {boolean} `true`, если дерево соответствует ожиданиям.
+ * @throws {Error} Если дерево не соответствует ожиданиям (сообщение содержит путь узла).
+ */
+export declare function checkErrorTree (error: Error | null, expectedTree: ErrorTreeNode): boolean;
@@ -0,0 +1,118 @@
+/**
+ * @file src/errors/aggregate.js
+ * @description Ошибки с несколькими причинами: создание по результатам Promise.allSettled и проверка дерева причин
+ * @version 0.1.2
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { createError } from './errors.js'
+import { getCause, matchChainLevel } from './chain.js'
+
+/**
+ * Описание узла дерева ошибок для функции checkErrorTree
+ * @typedef {object} ErrorTreeNode
+ * @property {string} [code] - Ожидаемый код ошибки.
+ * @property {string} [type] - Ожидаемый тип/класс ошибки (например, 'SystemError', 'TypeError').
+ * @property {string|string[]} [message] - Ожидаемый фрагмент(ы) сообщения (регистронезависимо).
+ * @property {ErrorTreeNode|null} [original] - Ожидаемая исходная ошибка (`null` - исходной ошибки нет).
+ * @property {ErrorTreeNode[]|Record<number, ErrorTreeNode>} [errors] - Ожидаемые причины: массив - все причины
+ *   по порядку (количество должно совпадать), объект с индексами - только указанные ветви.
+ */
+
+/**
+ * Создает ошибку с несколькими причинами по результатам Promise.allSettled.
+ *
+ * Основная ответственность:
+ * - Отклоненные результаты становятся причинами (`errors`, первая - в `original`); значения,
+ *   не являющиеся Error, оборачиваются в Error с текстом значения.
+ * - Контекст: `reason` ('N of M operations failed'), `failed`, `total`, `failedIndices` и `context` вызывающего кода
+ *   (значения вызывающего кода имеют приоритет).
+ * - Если отклоненных результатов нет, возвращает `null`.
+ * Детерминированность: Да.
+ *
+ * @param {PromiseSettledResult<any>[]} results - Результаты Promise.allSettled.
+ * @param {import('./errors.js').ErrorDefinition|string} [definition=ERROR_CODES.SYS.MULTIPLE_ERRORS] - Определение ошибки.
+ * @param {object} [context={}] - Дополнительный контекст.
+ * @param {object} [options={}] - Опции createError (strict, locale, ErrorClass).
+ * @returns {import('./system-error.js').SystemError|null} Ошибка или `null`, если все операции успешны.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `results` не массив результатов Promise.allSettled.
+ */
+export function fromSettledResults (results, definition = ERROR_CODES.SYS.MULTIPLE_ERRORS, context = {}, options = {}) {
+  if (!Array.isArray(results) || !results.every(result => result?.status === 'fulfilled' || result?.status === 'rejected')) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'results', reason: 'must be an array of Promise.allSettled results' })
+  }
+
+  const failedIndices = []
+  const errors = []
+  results.forEach((result, index) => {
+    if (result.status !== 'rejected') return
+    failedIndices.push(index)
+    errors.push(result.reason instanceof Error ? result.reason : new Error(String(result.reason)))
+  })
+  if (errors.length === 0) return null
+
+  return createError(definition, {
+    reason: `${errors.length} of ${results.length} operations failed`,
+    failed: errors.length,
+    total: results.length,
+    failedIndices,
+    ...context
+  }, errors, options)
+}
+
+/**
+ * Проверяет дерево ошибок (`original`/`cause` и `errors` на каждом уровне) - аналог checkErrorChain для ошибок
+ * с несколькими причинами. Проверяются только указанные в ожидании поля и ветви.
+ * Используется преимущественно в тестах.
+ * Детерминированность: Да.
+ *
+ * @param {Error|null} error - Проверяемая ошибка (корень дерева).
+ * @param {ErrorTreeNode} expectedTree - Ожидаемое дерево.
+ * @returns {boolean} `true`, если дерево соответствует ожиданиям.
+ * @throws {Error} Если дерево не соответствует ожиданиям (сообщение содержит путь узла и детали несоответствия).
+ */
+export function checkErrorTree (error, expectedTree) {
+  if (!expectedTree || typeof expectedTree !== 'object' || Array.isArray(expectedTree)) {
+    throw new Error('checkErrorTree failed: expectedTree must be an object.')
+  }
+
+  /**
+   * Рекурсивно проверяет узел и его ветви.
+   *
+   * @param {any} current - Текущая ошибка.
+   * @param {ErrorTreeNode} expected - Ожидаемый узел.
+   * @param {string} path - Путь узла.
+   */
+  const visit = (current, expected, path) => {
+    // Код, тип и сообщение узла сравниваются так же, как уровни в checkErrorChain
+    const mismatch = matchChainLevel(current, expected)
+    if (mismatch !== null) {
+      throw new Error(`Error tree mismatch at ${path}: ${mismatch}`)
+    }
+
+    const original = getCause(current)
+    if (expected.original === null && original !== null) {
+      throw new Error(`Error tree mismatch at ${path}: Expected no original error, got ${original.constructor?.name} "${original.message}"`)
+    }
+    if (expected.original) {
+      visit(original, expected.original, `${path}.original`)
+    }
+
+    if (expected.errors) {
+      const errors = Array.isArray(current.errors) ? current.errors : []
+      if (Array.isArray(expected.errors) && expected.errors.length !== errors.length) {
+        throw new Error(`Error tree mismatch at ${path}: Expected ${expected.errors.length} errors, got ${errors.length}.`)
+      }
+      for (const [index, branch] of Object.entries(expected.errors)) {
+        const branchPath = `${path}.errors[${index}]`
+        if (!(index in errors)) {
+          throw new Error(`Error tree mismatch at ${branchPath}: Branch does not exist (error has ${errors.length} errors).`)
+        }
+        visit(errors[index], branch, branchPath)
+      }
+    }
+  }
+
+  visit(error, expectedTree, 'root')
+  return true
+}
@@ -0,0 +1,41 @@
+/**
+ * @file src/errors/async-context.d.ts
+ * @description TypeScript декларации для фонового (ambient) контекста ошибок на основе AsyncLocalStorage.
+ * @version 0.1.0
+ */
+
+/**
+ * Ключ `context` ошибки, под которым сохраняется фоновый контекст ('ambient').
+ */
+export declare const AMBIENT_CONTEXT_KEY: 'ambient'
+
+/**
+ * Выполняет функцию в области фонового контекста ошибок.
+ * SystemError, созданные внутри `fn` (синхронно или асинхронно), получают контекст в `context.ambient`;
+ * вложенные области наследуют внешний контекст, значения внутренней области имеют приоритет.
+ *
+ * @function withErrorContext
+ * @param {Record<string, any>} context - Фоновый контекст (например, `{ requestId, userId, operation }`).
+ * @param {() => T} fn - Функция (синхронная или асинхронная).
+ * @returns {T} Результат `fn`.
+ * @throws {TypeError} Если `context` не является объектом или `fn` не является функцией.
+ */
+export declare function withErrorContext<T> (context: Record<string, any>, fn: () => T): T;
+
+/**
+ * Возвращает копию фонового контекста текущей области или `null` вне областей.
+ *
+ * @function getErrorContext
+ * @returns {Record<string, any> | null} Фоновый контекст.
+ */
+export declare function getErrorContext (): Record<string, any> | null;
+
+/**
+ * Объединяет явный контекст ошибки с фоновым контекстом текущей области (под ключом `ambient`,
+ * без полей, заданных явно). Вне областей возвращает исходный объект.
+ *
+ * @function mergeAmbientContext
+ * @param {Record<string, any>} context - Явный контекст ошибки.
+ * @returns {Record<string, any>} Контекст с фоновыми данными.
+ */
+export declare function mergeAmbientContext (context: Record<string, any>): Record<string, any>;
@@ -0,0 +1,82 @@
+/**
+ * @file src/errors/async-context.js
+ * @description Фоновый (ambient) контекст ошибок: общие данные операции, передаваемые через AsyncLocalStorage
+ * @version 0.1.0
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/**
+ * Ключ `context` ошибки, под которым сохраняется фоновый контекст.
+ * @type {string}
+ */
+export const AMBIENT_CONTEXT_KEY = 'ambient'
+
+/**
+ * Хранилище фонового контекста: в каждой области - объединенный контекст всех вложенных областей.
+ * @type {AsyncLocalStorage<Readonly<object>>}
+ * @private
+ */
+const storage = new AsyncLocalStorage()
+
+/**
+ * Выполняет функцию в области фонового контекста ошибок.
+ * Каждая SystemError, созданная внутри `fn` (синхронно или в асинхронном продолжении), получает
+ * фоновый контекст в `context.ambient`. Вложенные области наследуют внешний контекст,
+ * значения внутренней области имеют приоритет.
+ * Детерминированность: Да (результат определяется `fn`).
+ *
+ * @template T
+ * @param {object} context - Фоновый контекст (например, `{ requestId, userId, operation }`).
+ * @param {() => T} fn - Функция (синхронная или асинхронная).
+ * @returns {T} Результат `fn` (для асинхронной функции - ее Promise).
+ * @throws {TypeError} Если `context` не является объектом или `fn` не является функцией.
+ */
+export function withErrorContext (context, fn) {
+  // Ошибки аргументов - стандартные TypeError: модуль используется конструктором SystemError
+  if (context === null || typeof context !== 'object' || Array.isArray(context)) {
+    throw new TypeError('withErrorContext: context must be a plain object.')
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError('withErrorContext: fn must be a function.')
+  }
+  const merged = Object.freeze({ ...storage.getStore(), ...context })
+  return storage.run(merged, fn)
+}
+
+/**
+ * Возвращает фоновый контекст текущей области (копию) или `null` вне областей withErrorContext.
+ *
+ * @returns {object|null} Фоновый контекст.
+ */
+export function getErrorContext () {
+  const store = storage.getStore()
+  return store ? { ...store } : null
+}
+
+/**
+ * Объединяет явный контекст ошибки с фоновым контекстом текущей области.
+ * Фоновый контекст добавляется под ключом AMBIENT_CONTEXT_KEY без полей, заданных явно
+ * (на верхнем уровне контекста или в явном `context.ambient`): явный контекст имеет приоритет.
+ * Вне областей и при пустом результате возвращается исходный объект контекста.
+ * Детерминированность: Нет (зависит от текущей асинхронной области).
+ *
+ * @param {object} context - Явный контекст ошибки.
+ * @returns {object} Контекст с фоновыми данными.
+ */
+export function mergeAmbientContext (context) {
+  const store = storage.getStore()
+  if (!store) return context
+
+  const explicitAmbient = context[AMBIENT_CONTEXT_KEY]
+  const hasExplicitAmbient = explicitAmbient !== null && typeof explicitAmbient === 'object' && !Array.isArray(explicitAmbient)
+  if (AMBIENT_CONTEXT_KEY in context && !hasExplicitAmbient) return context
+
+  const ambient = {}
+  for (const [key, value] of Object.entries(store)) {
+    if (!(key in context)) ambient[key] = value
+  }
+  Object.assign(ambient, explicitAmbient)
+  if (Object.keys(ambient).length === 0) return context
+  return { ...context, [AMBIENT_CONTEXT_KEY]: ambient }
+}
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * @file src/errors/bin.js
+ * @description Исполняемый файл командной строки `sys-errors` (npx sys-errors <command>)
+ * @version 0.1.0
+ */
+
+import { runCli } from './cli.js'
+
+process.exitCode = await runCli(process.argv.slice(2))
@@ -0,0 +1,117 @@
+/**
+ * @file src/errors/catalog.d.ts
+ * @description TypeScript декларации для генерации документации каталога кодов ошибок.
+ * @version 0.1.1
+ */
+
+import { ErrorRegistry } from './registry'
+
+/**
+ * @interface CatalogEntry
+ * @description Описание кода ошибки в каталоге.
+ */
+export interface CatalogEntry {
+  /** @property {string} key - Ключ определения в таблице кодов (например, 'VALIDATION_FAILED'). */
+  key: string;
+  /** @property {string} anchor - Идентификатор раздела (например, 'validation-failed'). */
+  anchor: string;
+  /** @property {string} code - Код ошибки. */
+  code: string;
+  /** @property {string} message - Шаблон сообщения. */
+  message: string;
+  /** @property {Record<string, string>} messages - Локализованные шаблоны сообщения по локалям. */
+  messages: Record<string, string>;
+  /** @property {string[]} placeholders - Пути плейсхолдеров шаблона. */
+  placeholders: string[];
+  /** @property {string[]} contextKeys - Обязательные ключи контекста. */
+  contextKeys: string[];
+  /** @property {boolean} recoverable - Восстанавливаемость (по умолчанию `true`). */
+  recoverable: boolean;
+  /** @property {number | null} httpStatus - HTTP-статус или `null`. */
+  httpStatus: number | null;
+  /** @property {string | null} docs - Ссылка `docs` определения или `null`. */
+  docs: string | null;
+}
+
+/**
+ * @interface CatalogSection
+ * @description Раздел каталога - таблица кодов одной подсистемы.
+ */
+export interface CatalogSection {
+  /** @property {string} key - Ключ таблицы в реестре (например, 'SYS'). */
+  key: string;
+  /** @property {string} subsystem - Имя подсистемы. */
+  subsystem: string;
+  /** @property {string} file - Путь Markdown-файла раздела (например, 'docs/errors/system.md'). */
+  file: string;
+  /** @property {CatalogEntry[]} entries - Коды ошибок в порядке таблицы. */
+  entries: CatalogEntry[];
+}
+
+/**
+ * @interface CatalogOptions
+ * @description Опции каталога.
+ */
+export interface CatalogOptions {
+  /** @property {ErrorRegistry} [registry=errorRegistry] - Реестр кодов ошибок. */
+  registry?: ErrorRegistry;
+  /** @property {string} [docsDir='docs/errors'] - Каталог файлов документации (как в ссылках `docs`). */
+  docsDir?: string;
+}
+
+/** Формат документации каталога. */
+export type CatalogFormat = 'markdown' | 'json' | 'html';
+
+/**
+ * @interface GenerateErrorDocsOptions
+ * @description Опции генерации документации.
+ */
+export interface GenerateErrorDocsOptions extends CatalogOptions {
+  /** @property {CatalogFormat} [format='markdown'] - Формат файлов. */
+  format?: CatalogFormat;
+}
+
+/** Расширения файлов по форматам документации. */
+export declare const CATALOG_FORMATS: Readonly<Record<CatalogFormat, string>>;
+
+/**
+ * Преобразует ключ таблицы кодов в идентификатор раздела ('VALIDATION_FAILED' -> 'validation-failed').
+ *
+ * @function toDocsAnchor
+ * @param {string} key - Ключ определения в таблице кодов.
+ * @returns {string} Идентификатор раздела.
+ */
+export declare function toDocsAnchor (key: string): string;
+
+/**
+ * Строит каталог кодов ошибок по таблицам реестра (раздел на каждую таблицу).
+ *
+ * @function buildErrorCatalog
+ * @param {CatalogOptions} [options] - Опции.
+ * @returns {CatalogSection[]} Разделы каталога.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если несколько таблиц относятся к одной подсистеме.
+ */
+export declare function buildErrorCatalog (options?: CatalogOptions): CatalogSection[];
+
+/**
+ * Генерирует файлы документации каталога (без записи на диск): `<docsDir>/<subsystem>.<md|json|html>`.
+ *
+ * @function generateErrorDocs
+ * @param {GenerateErrorDocsOptions} [options] - Опции.
+ * @returns {Array<{ path: string, content: string }>} Файлы документации.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если формат или опции некорректны.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если несколько таблиц относятся к одной подсистеме.
+ */
+export declare function generateErrorDocs (options?: GenerateErrorDocsOptions): Array<{ path: string; content: string }>;
+
+/**
+ * Проверяет, что ссылки `docs` определений указывают на сгенерированные файлы и разделы.
+ *
+ * @function checkErrorDocs
+ * @param {CatalogOptions} [options] - Опции.
+ * @returns {string[]} Список проблем. Пустой массив, если все ссылки корректны.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если несколько таблиц относятся к одной подсистеме.
+ */
+export declare function checkErrorDocs (options?: CatalogOptions): string[];
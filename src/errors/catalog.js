@@ -0,0 +1,321 @@
+/**
+ * @file src/errors/catalog.js
+ * @description Генерация документации каталога кодов ошибок по реестру (Markdown, JSON, HTML) и проверка ссылок `docs`
+ * @version 0.1.1
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { createError } from './errors.js'
+import { errorRegistry } from './registry.js'
+import { getPlaceholders } from './template.js'
+
+/**
+ * Описание кода ошибки в каталоге
+ * @typedef {object} CatalogEntry
+ * @property {string} key - Ключ определения в таблице кодов (например, 'VALIDATION_FAILED').
+ * @property {string} anchor - Идентификатор раздела (например, 'validation-failed').
+ * @property {string} code - Код ошибки.
+ * @property {string} message - Шаблон сообщения.
+ * @property {Record<string, string>} messages - Локализованные шаблоны сообщения по локалям.
+ * @property {string[]} placeholders - Пути плейсхолдеров шаблона.
+ * @property {string[]} contextKeys - Обязательные ключи контекста.
+ * @property {boolean} recoverable - Восстанавливаемость (по умолчанию `true`, как у SystemError).
+ * @property {number|null} httpStatus - HTTP-статус или `null`, если не задан.
+ * @property {string|null} docs - Ссылка `docs` определения или `null`.
+ */
+
+/**
+ * Раздел каталога - таблица кодов одной подсистемы
+ * @typedef {object} CatalogSection
+ * @property {string} key - Ключ таблицы в реестре (например, 'SYS').
+ * @property {string} subsystem - Имя подсистемы (`subsystem` определений или ключ таблицы в нижнем регистре).
+ * @property {string} file - Путь Markdown-файла раздела (например, 'docs/errors/system.md').
+ * @property {CatalogEntry[]} entries - Коды ошибок в порядке таблицы.
+ */
+
+/**
+ * Опции каталога
+ * @typedef {object} CatalogOptions
+ * @property {import('./registry.js').ErrorRegistry} [registry=errorRegistry] - Реестр кодов ошибок.
+ * @property {string} [docsDir='docs/errors'] - Каталог файлов документации (как в ссылках `docs`).
+ */
+
+/**
+ * Расширения файлов по форматам документации.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const CATALOG_FORMATS = Object.freeze({
+  markdown: 'md',
+  json: 'json',
+  html: 'html'
+})
+
+/**
+ * Преобразует ключ таблицы кодов в идентификатор раздела документации.
+ * 'VALIDATION_FAILED' -> 'validation-failed'.
+ * Детерминированность: Да.
+ *
+ * @param {string} key - Ключ определения в таблице кодов (UPPER_SNAKE_CASE).
+ * @returns {string} Идентификатор раздела.
+ */
+export function toDocsAnchor (key) {
+  return key.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join('-')
+}
+
+/**
+ * Разбирает ссылку `docs` на путь файла и идентификатор раздела.
+ *
+ * @param {string} docs - Ссылка (например, 'docs/errors/system.md#unexpected').
+ * @returns {{ file: string, anchor: string|null }} Путь и идентификатор (`null`, если раздел не указан).
+ * @private
+ */
+function parseDocsLink (docs) {
+  const index = docs.indexOf('#')
+  return index === -1
+    ? { file: docs, anchor: null }
+    : { file: docs.slice(0, index), anchor: docs.slice(index + 1) }
+}
+
+/**
+ * Проверяет опции каталога.
+ *
+ * @param {CatalogOptions} options - Опции.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если реестр или каталог документации некорректны.
+ * @private
+ */
+function assertCatalogOptions (options) {
+  const { registry = errorRegistry, docsDir = 'docs/errors' } = options
+  if (typeof registry?.getTables !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'options.registry', reason: 'must be an error registry with getTables()' })
+  }
+  if (typeof docsDir !== 'string' || !docsDir) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'options.docsDir', reason: 'must be a non-empty string' })
+  }
+}
+
+/**
+ * Строит каталог кодов ошибок по таблицам реестра.
+ *
+ * Основная ответственность:
+ * - Один раздел (файл `<docsDir>/<subsystem>.md`) на каждую таблицу реестра, в порядке регистрации.
+ * - Таблицы одной подсистемы отклоняются: их разделы записывались бы в один файл.
+ * - Для каждого кода: шаблоны сообщения, плейсхолдеры, `contextKeys`, восстанавливаемость, HTTP-статус, ссылка `docs`.
+ * - Идентификатор раздела кода - ключ таблицы в kebab-case (см. toDocsAnchor).
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {CatalogOptions} [options={}] - Опции.
+ * @returns {CatalogSection[]} Разделы каталога.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если несколько таблиц относятся к одной подсистеме (один файл раздела).
+ */
+export function buildErrorCatalog (options = {}) {
+  assertCatalogOptions(options)
+  const { registry = errorRegistry, docsDir = 'docs/errors' } = options
+  const sections = Object.entries(registry.getTables()).map(([key, table]) => {
+    const definitions = Object.entries(table)
+    const subsystem = definitions.find(([, definition]) => typeof definition.subsystem === 'string')?.[1].subsystem ??
+      key.toLowerCase()
+    return {
+      key,
+      subsystem,
+      file: `${docsDir.replace(/\/+$/, '')}/${subsystem}.md`,
+      entries: definitions.map(([entryKey, definition]) => ({
+        key: entryKey,
+        anchor: toDocsAnchor(entryKey),
+        code: definition.code,
+        message: definition.message,
+        messages: { ...definition.messages },
+        placeholders: getPlaceholders(definition.message),
+        contextKeys: Array.isArray(definition.contextKeys) ? [...definition.contextKeys] : [],
+        recoverable: definition.recoverable !== false,
+        httpStatus: definition.httpStatus ?? null,
+        docs: typeof definition.docs === 'string' ? definition.docs : null
+      }))
+    }
+  })
+
+  const keysByFile = new Map()
+  const problems = []
+  for (const section of sections) {
+    const other = keysByFile.get(section.file)
+    if (other !== undefined) {
+      problems.push(`${section.key}: subsystem '${section.subsystem}' is already documented by table ${other} (both map to ${section.file}).`)
+    } else {
+      keysByFile.set(section.file, section.key)
+    }
+  }
+  if (problems.length > 0) {
+    throw createError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+      reason: 'Cannot build error catalog',
+      problems,
+      problemsText: problems.join('; ')
+    })
+  }
+  return sections
+}
+
+/**
+ * Оформляет текст как inline-код Markdown (с учетом обратных кавычек в тексте).
+ *
+ * @param {string} text - Текст.
+ * @returns {string} Inline-код.
+ * @private
+ */
+function inlineCode (text) {
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``
+}
+
+/**
+ * Формирует список значений inline-кодом или прочерк для пустого списка.
+ *
+ * @param {string[]} values - Значения.
+ * @returns {string} Строка для документации.
+ * @private
+ */
+function codeList (values) {
+  return values.length > 0 ? values.map(inlineCode).join(', ') : '-'
+}
+
+/**
+ * Формирует Markdown раздела каталога: оглавление и раздел с якорем для каждого кода.
+ *
+ * @param {CatalogSection} section - Раздел каталога.
+ * @returns {string} Markdown-документ.
+ * @private
+ */
+function renderMarkdown (section) {
+  const lines = [
+    `# Error codes: ${section.subsystem}`,
+    '',
+    `<!-- Generated by \`sys-errors docs\` from the error code table ${section.key}. Do not edit manually. -->`,
+    '',
+    '| Code | Recoverable | HTTP status |',
+    '| --- | --- | --- |',
+    ...section.entries.map(entry =>
+      `| [${entry.code}](#${entry.anchor}) | ${entry.recoverable ? 'yes' : 'no'} | ${entry.httpStatus ?? '-'} |`)
+  ]
+  for (const entry of section.entries) {
+    lines.push(
+      '',
+      `<a id="${entry.anchor}"></a>`,
+      '',
+      `## ${entry.code}`,
+      '',
+      `Message: ${inlineCode(entry.message)}`,
+      '',
+      ...Object.entries(entry.messages).map(([locale, template]) => `- Message (${locale}): ${inlineCode(template)}`),
+      `- Placeholders: ${codeList(entry.placeholders)}`,
+      `- Required context keys: ${codeList(entry.contextKeys)}`,
+      `- Recoverable: ${entry.recoverable ? 'yes' : 'no'}`,
+      `- HTTP status: ${entry.httpStatus ?? '-'}`
+    )
+  }
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Экранирует текст для HTML.
+ *
+ * @param {string} text - Текст.
+ * @returns {string} Экранированный текст.
+ * @private
+ */
+function escapeHtml (text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Формирует HTML раздела каталога (те же якоря, что и в Markdown).
+ *
+ * @param {CatalogSection} section - Раздел каталога.
+ * @returns {string} HTML-документ.
+ * @private
+ */
+function renderHtml (section) {
+  const codes = values => values.length > 0 ? values.map(value => `<code>${escapeHtml(value)}</code>`).join(', ') : '-'
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Error codes: ${escapeHtml(section.subsystem)}</title>`,
+    '</head>',
+    '<body>',
+    `<!-- Generated by sys-errors docs from the error code table ${escapeHtml(section.key)}. Do not edit manually. -->`,
+    `<h1>Error codes: ${escapeHtml(section.subsystem)}</h1>`
+  ]
+  for (const entry of section.entries) {
+    lines.push(
+      `<section id="${escapeHtml(entry.anchor)}">`,
+      `<h2>${escapeHtml(entry.code)}</h2>`,
+      `<p>Message: <code>${escapeHtml(entry.message)}</code></p>`,
+      '<ul>',
+      ...Object.entries(entry.messages)
+        .map(([locale, template]) => `<li>Message (${escapeHtml(locale)}): <code>${escapeHtml(template)}</code></li>`),
+      `<li>Placeholders: ${codes(entry.placeholders)}</li>`,
+      `<li>Required context keys: ${codes(entry.contextKeys)}</li>`,
+      `<li>Recoverable: ${entry.recoverable ? 'yes' : 'no'}</li>`,
+      `<li>HTTP status: ${entry.httpStatus ?? '-'}</li>`,
+      '</ul>',
+      '</section>'
+    )
+  }
+  lines.push('</body>', '</html>')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Генерирует файлы документации каталога кодов ошибок (без записи на диск).
+ *
+ * Основная ответственность:
+ * - Один файл на таблицу реестра: `<docsDir>/<subsystem>.<md|json|html>`.
+ * - Markdown и HTML содержат раздел с якорем `id` для каждого кода (совпадает с ссылками `docs`),
+ *   JSON - описание раздела каталога (CatalogSection).
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {CatalogOptions & { format?: 'markdown'|'json'|'html' }} [options={}] - Опции (`format` по умолчанию 'markdown').
+ * @returns {Array<{ path: string, content: string }>} Файлы документации.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если формат или опции некорректны.
+ */
+export function generateErrorDocs (options = {}) {
+  const { format = 'markdown' } = options
+  if (!Object.hasOwn(CATALOG_FORMATS, format)) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: 'options.format',
+      reason: `expected one of ${Object.keys(CATALOG_FORMATS).join(', ')}, got '${format}'`
+    })
+  }
+  return buildErrorCatalog(options).map(section => {
+    const path = section.file.replace(/\.md$/, `.${CATALOG_FORMATS[format]}`)
+    if (format === 'json') return { path, content: `${JSON.stringify(section, null, 2)}\n` }
+    return { path, content: format === 'html' ? renderHtml(section) : renderMarkdown(section) }
+  })
+}
+
+/**
+ * Проверяет ссылки `docs` определений по каталогу: каждая ссылка должна указывать на сгенерированный файл
+ * и раздел в нем. Определения без `docs` и внешние ссылки (URL) не проверяются.
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {CatalogOptions} [options={}] - Опции.
+ * @returns {string[]} Список проблем ('SYS.UNEXPECTED: ...'). Пустой массив, если все ссылки корректны.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ */
+export function checkErrorDocs (options = {}) {
+  const catalog = buildErrorCatalog(options)
+  const anchorsByFile = new Map(catalog.map(section => [section.file, new Set(section.entries.map(entry => entry.anchor))]))
+  const problems = []
+  for (const section of catalog) {
+    for (const entry of section.entries) {
+      if (entry.docs === null || /^[a-z][a-z0-9+.-]*:\/\//i.test(entry.docs)) continue
+      const { file, anchor } = parseDocsLink(entry.docs)
+      const anchors = anchorsByFile.get(file)
+      if (!anchors) {
+        problems.push(`${section.key}.${entry.key}: docs '${entry.docs}' points to a file that is not generated (expected ${section.file}).`)
+      } else if (anchor !== null && !anchors.has(anchor)) {
+        problems.push(`${section.key}.${entry.key}: docs '${entry.docs}' points to a missing section '#${anchor}' (expected #${entry.anchor}).`)
+      }
+    }
+  }
+  return problems
+}
@@ -0,0 +1,119 @@
+/**
+ * @file src/errors/chain.d.ts
+ * @description TypeScript декларации для обхода цепочек ошибок (`original` и стандартный `cause`) и запросов к ним.
+ * @version 0.4.0
+ */
+
+import { ErrorChainLevel } from './errors'
+
+/** Максимальная глубина цепочки ошибок по умолчанию (32 уровня, включая верхний). */
+export declare const DEFAULT_MAX_CHAIN_DEPTH: number;
+
+/**
+ * Устанавливает глобальную максимальную глубину обхода цепочек ошибок
+ * (format(), toJSON(), checkErrorChain, flattenErrorChain, deserializeError).
+ * Некорректное значение сбрасывает глубину к `DEFAULT_MAX_CHAIN_DEPTH`.
+ *
+ * @function setMaxChainDepth
+ * @param {number} depth - Максимальное число уровней цепочки (включая верхний).
+ * @returns {number} Предыдущая глубина.
+ */
+export declare function setMaxChainDepth (depth: number): number;
+
+/**
+ * Возвращает текущую глобальную максимальную глубину обхода цепочек ошибок.
+ *
+ * @function getMaxChainDepth
+ * @returns {number} Максимальное число уровней цепочки.
+ */
+export declare function getMaxChainDepth (): number;
+
+/**
+ * Возвращает причину уровня цепочки: `original`, иначе стандартный `cause` (может не быть ошибкой).
+ *
+ * @function getCause
+ * @param {unknown} error - Уровень цепочки.
+ * @returns {unknown} Причина или `null`, если ее нет.
+ */
+export declare function getCause (error: unknown): unknown;
+
+/**
+ * Обходит цепочку от верхнего уровня к корневой причине по `original` и `cause`;
+ * циклические цепочки обрываются на повторном уровне, возвращается не более `maxDepth` уровней.
+ *
+ * @function iterateChain
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @param {{ maxDepth?: number }} [options] - Опции обхода (по умолчанию `maxDepth` - getMaxChainDepth()).
+ * @returns {Generator<unknown, void, undefined>} Уровни цепочки (первый - сам `error`).
+ */
+export declare function iterateChain (error: unknown, options?: { maxDepth?: number }): Generator<unknown, void, undefined>;
+
+/**
+ * Возвращает уровни цепочки ошибки массивом (первый - сам `error`; пустой массив для `null`/`undefined`).
+ *
+ * @function getChain
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @returns {unknown[]} Уровни от верхнего к корневому.
+ */
+export declare function getChain (error: unknown): unknown[];
+
+/**
+ * Находит первый уровень цепочки по коду ошибки (`level.code`) или предикату `(level, index) => boolean`.
+ *
+ * @function findInChain
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @param {string | ((level: unknown, index: number) => boolean)} codeOrPredicate - Код ошибки или предикат.
+ * @returns {unknown} Найденный уровень или `null`.
+ * @throws {TypeError} Если `codeOrPredicate` не является строкой или функцией.
+ */
+export declare function findInChain<T extends Error = Error & { code?: string }> (error: unknown, codeOrPredicate: string): T | null;
+export declare function findInChain (error: unknown, codeOrPredicate: (level: unknown, index: number) => boolean): unknown;
+
+/**
+ * Проверяет, есть ли в цепочке ошибка с указанным кодом.
+ *
+ * @function hasCode
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @param {string} code - Код ошибки.
+ * @returns {boolean} `true`, если уровень с кодом найден.
+ * @throws {TypeError} Если `code` не является строкой.
+ */
+export declare function hasCode (error: unknown, code: string): boolean;
+
+/**
+ * Возвращает корневую причину - последний уровень цепочки (сам `error`, если причин нет; `null` для `null`/`undefined`).
+ *
+ * @function getRootCause
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @returns {unknown} Корневая причина (может не быть ошибкой).
+ */
+export declare function getRootCause (error: unknown): unknown;
+
+/**
+ * Возвращает подсистемы уровней цепочки без повторов, от верхнего уровня к корневому.
+ *
+ * @function getSubsystems
+ * @param {unknown} error - Ошибка (начало цепочки).
+ * @returns {string[]} Имена подсистем.
+ */
+export declare function getSubsystems (error: unknown): string[];
+
+/**
+ * Сравнивает один уровень цепочки с ожидаемым описанием (код, тип, фрагменты сообщения).
+ *
+ * @function matchChainLevel
+ * @param {unknown} level - Уровень цепочки.
+ * @param {ErrorChainLevel} expectedLevel - Ожидаемый уровень.
+ * @returns {string | null} Описание несоответствия или `null`, если уровень соответствует ожиданиям.
+ */
+export declare function matchChainLevel (level: unknown, expectedLevel: Partial<ErrorChainLevel>): string | null;
+
+/**
+ * Безопасно описывает произвольное значение для сообщений (строки - как есть, прочее - через safeSerialize);
+ * не выбрасывает исключений для символов и объектов без прототипа.
+ *
+ * @function describeValue
+ * @param {unknown} value - Значение.
+ * @returns {string} Описание значения.
+ */
+export declare function describeValue (value: unknown): string;
@@ -0,0 +1,245 @@
+/**
+ * @file src/errors/chain.js
+ * @description Обход цепочек ошибок: причина уровня (`original` или стандартный `cause`), защита от циклов, ограничение глубины,
+ *   запросы к цепочке (поиск по коду или предикату, корневая причина, подсистемы), сравнение уровня с ожиданием
+ * @version 0.4.0
+ */
+
+import { safeSerialize } from './serialize.js'
+
+/**
+ * Максимальная глубина цепочки ошибок по умолчанию (число уровней, включая верхний).
+ * @type {number}
+ */
+export const DEFAULT_MAX_CHAIN_DEPTH = 32
+
+/**
+ * Текущая глобальная максимальная глубина цепочки.
+ * @type {number}
+ * @private
+ */
+let maxChainDepth = DEFAULT_MAX_CHAIN_DEPTH
+
+/**
+ * Устанавливает глобальную максимальную глубину обхода цепочек ошибок
+ * (format(), toJSON(), checkErrorChain, flattenErrorChain, deserializeError).
+ * Некорректное значение (не целое число больше 0) сбрасывает глубину к значению по умолчанию.
+ *
+ * @param {number} depth - Максимальное число уровней цепочки (включая верхний).
+ * @returns {number} Предыдущая глубина (для последующего восстановления).
+ */
+export function setMaxChainDepth (depth) {
+  const previous = maxChainDepth
+  maxChainDepth = Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_MAX_CHAIN_DEPTH
+  return previous
+}
+
+/**
+ * Возвращает текущую глобальную максимальную глубину обхода цепочек ошибок.
+ *
+ * @returns {number} Максимальное число уровней цепочки.
+ */
+export function getMaxChainDepth () {
+  return maxChainDepth
+}
+
+/**
+ * Возвращает причину уровня цепочки: `original` (SystemError и восстановленные ошибки), иначе стандартный `cause`.
+ * Причина может не быть ошибкой (например, `new Error('...', { cause: 'timeout' })`).
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Уровень цепочки (ошибка или произвольное значение).
+ * @returns {any} Причина или `null`, если ее нет.
+ */
+export function getCause (error) {
+  if (error === null || (typeof error !== 'object' && typeof error !== 'function')) {
+    return null
+  }
+  if (error.original !== undefined && error.original !== null) {
+    return error.original
+  }
+  return error.cause ?? null
+}
+
+/**
+ * Обходит цепочку ошибки от верхнего уровня к корневой причине по `original` и `cause`.
+ *
+ * Основная ответственность:
+ * - Первым возвращается сам `error` (если он не `null`/`undefined`), затем причины по порядку.
+ * - Циклические цепочки обрываются на повторном уровне.
+ * - Возвращается не более `maxDepth` уровней.
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @param {object} [options={}] - Опции обхода.
+ * @param {number} [options.maxDepth=getMaxChainDepth()] - Максимальное число уровней.
+ * @yields {any} Уровни цепочки.
+ */
+export function * iterateChain (error, options = {}) {
+  const { maxDepth = maxChainDepth } = options
+  const seen = new Set()
+  let current = error ?? null
+  while (current !== null && !seen.has(current) && seen.size < maxDepth) {
+    seen.add(current)
+    yield current
+    current = getCause(current)
+  }
+}
+
+/**
+ * Возвращает уровни цепочки ошибки массивом (см. iterateChain).
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @returns {any[]} Уровни от верхнего к корневому; пустой массив для `null`/`undefined`.
+ */
+export function getChain (error) {
+  return [...iterateChain(error)]
+}
+
+/**
+ * Находит первый уровень цепочки по коду ошибки или предикату.
+ *
+ * Основная ответственность:
+ * - Строка - сравнение с `level.code` (уровни без кода и не-ошибки пропускаются).
+ * - Функция - вызывается как `predicate(level, index)` для каждого уровня, включая значения, не являющиеся Error.
+ * Детерминированность: Да (для детерминированного предиката).
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @param {string|function(any, number): boolean} codeOrPredicate - Код ошибки или предикат.
+ * @returns {any} Найденный уровень или `null`.
+ * @throws {TypeError} Если `codeOrPredicate` не является строкой или функцией.
+ */
+export function findInChain (error, codeOrPredicate) {
+  // Ошибки аргументов - стандартные TypeError: модуль используется конструктором SystemError
+  const predicate = typeof codeOrPredicate === 'string'
+    ? level => level !== null && typeof level === 'object' && level.code === codeOrPredicate
+    : codeOrPredicate
+  if (typeof predicate !== 'function') {
+    throw new TypeError('findInChain: codeOrPredicate must be an error code string or a predicate function.')
+  }
+  let index = 0
+  for (const level of iterateChain(error)) {
+    if (predicate(level, index++)) return level
+  }
+  return null
+}
+
+/**
+ * Проверяет, есть ли в цепочке ошибка с указанным кодом.
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @param {string} code - Код ошибки.
+ * @returns {boolean} `true`, если уровень с кодом найден.
+ * @throws {TypeError} Если `code` не является строкой.
+ */
+export function hasCode (error, code) {
+  if (typeof code !== 'string') {
+    throw new TypeError('hasCode: code must be a string.')
+  }
+  return findInChain(error, code) !== null
+}
+
+/**
+ * Возвращает корневую причину - последний уровень цепочки (при обрыве цикла или по глубине - последний пройденный).
+ * Корневая причина может не быть ошибкой (например, строка в `cause`).
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @returns {any} Корневая причина (сам `error`, если причин нет) или `null` для `null`/`undefined`.
+ */
+export function getRootCause (error) {
+  let root = null
+  for (const level of iterateChain(error)) {
+    root = level
+  }
+  return root
+}
+
+/**
+ * Возвращает подсистемы уровней цепочки без повторов, в порядке от верхнего уровня к корневому.
+ * Уровни без строкового `subsystem` (сторонние ошибки, не-ошибки) пропускаются.
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @returns {string[]} Имена подсистем.
+ */
+export function getSubsystems (error) {
+  const subsystems = new Set()
+  for (const level of iterateChain(error)) {
+    if (level !== null && typeof level === 'object' && typeof level.subsystem === 'string') {
+      subsystems.add(level.subsystem)
+    }
+  }
+  return [...subsystems]
+}
+
+/**
+ * Безопасно описывает произвольное значение (уровень цепочки, выброшенное значение) для сообщений:
+ * строки - как есть, прочие значения - через safeSerialize. В отличие от `String(value)`, не выбрасывает
+ * TypeError для символов и объектов без прототипа.
+ * Детерминированность: Да.
+ *
+ * @param {any} value - Значение.
+ * @returns {string} Описание значения.
+ */
+export function describeValue (value) {
+  if (typeof value === 'string') return value
+  return JSON.stringify(safeSerialize(value, { maxDepth: 3, maxArrayLength: 10, maxStringLength: 200, redact: true })) ?? String(value)
+}
+
+/**
+ * Сравнивает один уровень цепочки с ожидаемым описанием: код, тип (опционально) и сообщение (опционально,
+ * регистронезависимый поиск фрагментов). Используется checkErrorChain и матчерами тестов.
+ * Детерминированность: Да.
+ *
+ * @param {any} currentError - Уровень цепочки.
+ * @param {import('./errors.js').ErrorChainLevel} expectedLevel - Ожидаемый уровень.
+ * @returns {string|null} Описание несоответствия или `null`, если уровень соответствует ожиданиям.
+ */
+export function matchChainLevel (currentError, expectedLevel) {
+  // Проверяем, является ли текущий элемент ошибкой
+  if (!(currentError instanceof Error)) {
+    return `Expected an Error object, but got ${currentError === null ? 'null' : typeof currentError}. Value: ${describeValue(currentError)}`
+  }
+
+  // 1. Проверка кода ошибки
+  if (expectedLevel.code) {
+    if (typeof currentError.code !== 'string') {
+      return `Expected code '${expectedLevel.code}', but error has no 'code' property or it's not a string. Error: ${currentError?.constructor?.name}`
+    }
+    if (currentError.code !== expectedLevel.code) {
+      return `Expected code '${expectedLevel.code}', got '${currentError.code}'. Message: "${currentError.message}"`
+    }
+  }
+
+  // 2. Проверка типа ошибки (если указан)
+  if (expectedLevel.type) {
+    const actualType = currentError.constructor.name
+    if (actualType !== expectedLevel.type) {
+      return `Expected type '${expectedLevel.type}', got '${actualType}'. Message: "${currentError.message}"`
+    }
+  }
+
+  // 3. Проверка содержания сообщения (если указано)
+  if (expectedLevel.message) {
+    if (typeof currentError.message !== 'string') {
+      return `Error message is not a string or missing. Error: ${currentError?.constructor?.name}`
+    }
+    const currentMessageLower = currentError.message.toLowerCase()
+    const expectedMessages = Array.isArray(expectedLevel.message) ? expectedLevel.message : [expectedLevel.message]
+
+    for (const expectedMsg of expectedMessages) {
+      if (typeof expectedMsg !== 'string') {
+        // Убедимся, что ожидаемое сообщение - строка
+        return `Invalid expected message fragment (must be string or array of strings). Got type: ${typeof expectedMsg}`
+      }
+      if (!currentMessageLower.includes(expectedMsg.toLowerCase())) {
+        return `Message does not contain expected text '${expectedMsg}'. Full message: "${currentError.message}"`
+      }
+    }
+  }
+
+  return null
+}
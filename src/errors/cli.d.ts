@@ -0,0 +1,32 @@
+/**
+ * @file src/errors/cli.d.ts
+ * @description TypeScript декларации для командной строки `sys-errors`.
+ * @version 0.2.0
+ */
+
+import { ErrorRegistry } from './registry'
+
+/**
+ * @interface CliIO
+ * @description Ввод-вывод командной строки.
+ */
+export interface CliIO {
+  /** @property {{ write(chunk: string): any }} [stdout=process.stdout] - Поток вывода. */
+  stdout?: { write (chunk: string): any };
+  /** @property {{ write(chunk: string): any }} [stderr=process.stderr] - Поток ошибок. */
+  stderr?: { write (chunk: string): any };
+  /** @property {string} [cwd=process.cwd()] - Рабочий каталог. */
+  cwd?: string;
+  /** @property {ErrorRegistry} [registry=errorRegistry] - Реестр кодов ошибок. */
+  registry?: ErrorRegistry;
+}
+
+/**
+ * Выполняет командную строку `sys-errors` (команды: `docs`, `types`).
+ *
+ * @function runCli
+ * @param {string[]} argv - Аргументы (без `node` и имени скрипта).
+ * @param {CliIO} [io] - Ввод-вывод.
+ * @returns {Promise<number>} Код завершения: 0 - успех, 1 - ошибка.
+ */
+export declare function runCli (argv: string[], io?: CliIO): Promise<number>;
@@ -0,0 +1,221 @@
+/**
+ * @file src/errors/cli.js
+ * @description Командная строка `sys-errors`: генерация и проверка документации каталога кодов ошибок,
+ *   генерация TypeScript деклараций для таблиц кодов
+ * @version 0.2.0
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises'
+import { dirname, isAbsolute, relative, resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+
+import { CATALOG_FORMATS, checkErrorDocs, generateErrorDocs } from './catalog.js'
+import { errorRegistry } from './registry.js'
+import { generateErrorTypes } from './typegen.js'
+
+/**
+ * Ввод-вывод командной строки (для тестов подменяется)
+ * @typedef {object} CliIO
+ * @property {{ write: function(string): any }} [stdout=process.stdout] - Поток вывода.
+ * @property {{ write: function(string): any }} [stderr=process.stderr] - Поток ошибок.
+ * @property {string} [cwd=process.cwd()] - Рабочий каталог (относительно него разрешаются пути и модули).
+ * @property {import('./registry.js').ErrorRegistry} [registry=errorRegistry] - Реестр кодов ошибок.
+ */
+
+/**
+ * Справка по командам.
+ * @type {string}
+ * @private
+ */
+const USAGE = `Usage: sys-errors <command> [options]
+
+Commands:
+  docs    Generate the error code catalog from the registry (one file per code table)
+  types   Generate TypeScript declarations for code table modules (typed createError context)
+
+Options for docs:
+  --import <module>   Module that registers code tables (registerErrorCodes); repeatable
+  --format <format>   ${Object.keys(CATALOG_FORMATS).join(' | ')} (default: markdown)
+  --docs-dir <dir>    Directory used in docs links (default: docs/errors)
+  --out <dir>         Root directory for generated files (default: current directory)
+  --check             Do not write files; fail if a docs link points to a section that is not generated
+
+Options for types (sys-errors types <module>...):
+  --out <file>           Output file for a single module (default: <module>.d.ts next to the module)
+  --module-name <name>   Package that declares ErrorContextMap (default: @fab33/sys-errors)
+`
+
+/**
+ * Проверяет, задан ли модуль путем (относительным или абсолютным), а не спецификатором пакета.
+ *
+ * @param {string} specifier - Модуль.
+ * @returns {boolean} `true` для пути.
+ * @private
+ */
+function isPathSpecifier (specifier) {
+  return specifier.startsWith('.') || isAbsolute(specifier)
+}
+
+/**
+ * Загружает модуль. Относительные и абсолютные пути разрешаются от `cwd`, остальные - как спецификаторы пакетов.
+ *
+ * @param {string} specifier - Модуль.
+ * @param {string} cwd - Рабочий каталог.
+ * @returns {Promise<Record<string, any>>} Экспорты модуля.
+ * @private
+ */
+function loadModule (specifier, cwd) {
+  return import(isPathSpecifier(specifier) ? pathToFileURL(resolve(cwd, specifier)).href : specifier)
+}
+
+/**
+ * Загружает модули, регистрирующие таблицы кодов ошибок (по порядку).
+ *
+ * @param {string[]} modules - Модули.
+ * @param {string} cwd - Рабочий каталог.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function importModules (modules, cwd) {
+  for (const specifier of modules) {
+    await loadModule(specifier, cwd)
+  }
+}
+
+/**
+ * Записывает файл, создавая каталоги.
+ *
+ * @param {string} target - Абсолютный путь.
+ * @param {string} content - Содержимое.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeOutput (target, content) {
+  await mkdir(dirname(target), { recursive: true })
+  await writeFile(target, content, 'utf8')
+}
+
+/**
+ * Команда `docs`: генерирует файлы каталога или проверяет ссылки `docs` (`--check`).
+ *
+ * @param {string[]} args - Аргументы команды.
+ * @param {Required<CliIO>} io - Ввод-вывод.
+ * @returns {Promise<number>} Код завершения.
+ * @private
+ */
+async function runDocsCommand (args, io) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      import: { type: 'string', multiple: true, default: [] },
+      format: { type: 'string', default: 'markdown' },
+      'docs-dir': { type: 'string', default: 'docs/errors' },
+      out: { type: 'string', default: '.' },
+      check: { type: 'boolean', default: false }
+    }
+  })
+  await importModules(values.import, io.cwd)
+  const options = { registry: io.registry, docsDir: values['docs-dir'], format: values.format }
+
+  if (values.check) {
+    const problems = checkErrorDocs(options)
+    if (problems.length > 0) {
+      io.stderr.write(`Error docs check failed:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n`)
+      return 1
+    }
+    io.stdout.write(`Error docs check passed (${io.registry.list().length} codes)\n`)
+    return 0
+  }
+
+  const files = generateErrorDocs(options)
+  for (const file of files) {
+    await writeOutput(resolve(io.cwd, values.out, file.path), file.content)
+    io.stdout.write(`Generated ${file.path}\n`)
+  }
+  return 0
+}
+
+/**
+ * Команда `types`: генерирует .d.ts для модулей с таблицами кодов ошибок (по умолчанию - рядом с модулем:
+ * `codes.js` -> `codes.d.ts`, `codes.mjs` -> `codes.d.mts`).
+ *
+ * @param {string[]} args - Аргументы команды.
+ * @param {Required<CliIO>} io - Ввод-вывод.
+ * @returns {Promise<number>} Код завершения.
+ * @private
+ */
+async function runTypesCommand (args, io) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      'module-name': { type: 'string', default: '@fab33/sys-errors' }
+    }
+  })
+  if (positionals.length === 0) {
+    throw new TypeError('Expected at least one code table module')
+  }
+  if (values.out !== undefined && positionals.length > 1) {
+    throw new TypeError('--out can be used with a single module only')
+  }
+  for (const specifier of positionals) {
+    if (values.out === undefined && !isPathSpecifier(specifier)) {
+      throw new TypeError(`--out is required for package module '${specifier}'`)
+    }
+    const content = generateErrorTypes(await loadModule(specifier, io.cwd), { moduleName: values['module-name'], source: specifier })
+    const target = resolve(io.cwd, values.out ?? specifier.replace(/\.([cm]?)js$/, '.d.$1ts'))
+    if (target === resolve(io.cwd, specifier)) {
+      throw new TypeError(`Cannot derive a .d.ts path for '${specifier}', use --out`)
+    }
+    await writeOutput(target, content)
+    io.stdout.write(`Generated ${relative(io.cwd, target)}\n`)
+  }
+  return 0
+}
+
+/**
+ * Команды командной строки.
+ * @type {Readonly<Record<string, function(string[], Required<CliIO>): Promise<number>>>}
+ * @private
+ */
+const COMMANDS = Object.freeze({
+  docs: runDocsCommand,
+  types: runTypesCommand
+})
+
+/**
+ * Выполняет командную строку `sys-errors`.
+ *
+ * Основная ответственность:
+ * - Выбор команды по первому аргументу; без команды или с `--help` выводит справку.
+ * - Ошибки аргументов и ошибки команд выводятся в stderr, код завершения 1 (исключения не выбрасываются).
+ *
+ * @param {string[]} argv - Аргументы (без `node` и имени скрипта).
+ * @param {CliIO} [io={}] - Ввод-вывод.
+ * @returns {Promise<number>} Код завершения: 0 - успех, 1 - ошибка.
+ */
+export async function runCli (argv, io = {}) {
+  const context = {
+    stdout: io.stdout ?? process.stdout,
+    stderr: io.stderr ?? process.stderr,
+    cwd: io.cwd ?? process.cwd(),
+    registry: io.registry ?? errorRegistry
+  }
+  const [command, ...args] = argv
+  if (command === undefined || command === '--help' || command === '-h') {
+    context.stdout.write(USAGE)
+    return 0
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    context.stderr.write(`Unknown command '${command}'\n\n${USAGE}`)
+    return 1
+  }
+  try {
+    return await COMMANDS[command](args, context)
+  } catch (error) {
+    context.stderr.write(`sys-errors ${command}: ${error.message}\n`)
+    return 1
+  }
+}
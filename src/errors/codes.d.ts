@@ -1,7 +1,7 @@
 /**
  * @file src/errors/codes.d.ts
  * @description TypeScript декларации для агрегированных кодов ошибок.
- * @version 0.1.3
+ * @version 0.5.0
  */
 
 // Импортируем определение ошибки из главного файла деклараций
@@ -17,6 +17,10 @@ export interface SystemErrorCodes {
   VALIDATION_FAILED: ErrorDefinition;
   NOT_IMPLEMENTED: ErrorDefinition;
   INVALID_ARGUMENT: ErrorDefinition;
+  REGISTRY_FROZEN: ErrorDefinition;
+  RETRY_EXHAUSTED: ErrorDefinition;
+  REQUEST_FAILED: ErrorDefinition;
+  MULTIPLE_ERRORS: ErrorDefinition;
 }
 
 /**
@@ -1,7 +1,7 @@
 /**
  * @file src/errors/codes.js
  * @description Агрегация кодов ошибок подсистем
- * @version 0.1.3
+ * @version 0.8.1
  */
 
 // Импорт кодов ошибок из подсистем
@@ -17,6 +17,7 @@ export const ERROR_CODES = {
     INITIALIZATION_FAILED: {
       code: 'SYS_INIT_FAILED',
       message: 'System initialization failed: {reason}',
+      messages: { ru: 'Ошибка инициализации системы: {reason}' },
       subsystem: 'system',
       recoverable: false,
       docs: 'docs/errors/system.md#initialization-failed'
@@ -25,6 +26,7 @@ export const ERROR_CODES = {
     UNEXPECTED: {
       code: 'SYS_UNEXPECTED',
       message: 'Unexpected error occurred: {reason}',
+      messages: { ru: 'Непредвиденная ошибка: {reason}' },
       subsystem: 'system',
       recoverable: false,
       docs: 'docs/errors/system.md#unexpected'
@@ -33,27 +35,93 @@ export const ERROR_CODES = {
     VALIDATION_FAILED: {
       code: 'SYS_VALIDATION_FAILED',
       message: 'Validation failed: {reason}. Problems: {problemsText}',
+      messages: { ru: 'Ошибка валидации: {reason}. Проблемы: {problemsText}' },
       subsystem: 'system',
       recoverable: true,
+      httpStatus: 400,
       contextKeys: ['reason', 'problems', 'problemsText'],
+      contextSchema: {
+        reason: 'string',
+        problems: { type: 'array', items: 'string' },
+        problemsText: 'string'
+      },
       docs: 'docs/errors/system.md#validation-failed'
     },
 
     NOT_IMPLEMENTED: {
       code: 'SYS_NOT_IMPLEMENTED',
       message: 'Feature not implemented: {feature}',
+      messages: { ru: 'Функциональность не реализована: {feature}' },
       subsystem: 'system',
       recoverable: false,
+      httpStatus: 501,
       docs: 'docs/errors/system.md#not-implemented'
     },
 
     INVALID_ARGUMENT: {
       code: 'SYS_INVALID_ARGUMENT',
       message: 'Invalid argument {name}: {reason}',
+      messages: { ru: 'Некорректный аргумент {name}: {reason}' },
       subsystem: 'system',
       recoverable: true,
+      httpStatus: 400,
       contextKeys: ['name', 'reason'],
+      contextSchema: { name: 'string', reason: 'string' },
       docs: 'docs/errors/system.md#invalid-argument'
+    },
+
+    REGISTRY_FROZEN: {
+      code: 'SYS_REGISTRY_FROZEN',
+      message: 'Error code registry is frozen, cannot register {subsystemKey}',
+      messages: { ru: 'Реестр кодов ошибок заморожен, невозможно зарегистрировать {subsystemKey}' },
+      subsystem: 'system',
+      recoverable: false,
+      contextKeys: ['subsystemKey'],
+      docs: 'docs/errors/system.md#registry-frozen'
+    },
+
+    RETRY_EXHAUSTED: {
+      code: 'SYS_RETRY_EXHAUSTED',
+      message: 'Operation failed after {attempts} attempt(s): {reason}',
+      messages: { ru: 'Операция не выполнена после {attempts, plural, one {# попытки} other {# попыток}}: {reason}' },
+      subsystem: 'system',
+      recoverable: false,
+      contextKeys: ['attempts', 'reason', 'errors'],
+      contextSchema: {
+        attempts: 'integer',
+        reason: 'string',
+        // Операция может выбросить любое значение (строку, объект), поэтому элементы не типизируются
+        errors: 'array'
+      },
+      docs: 'docs/errors/system.md#retry-exhausted'
+    },
+
+    REQUEST_FAILED: {
+      code: 'SYS_REQUEST_FAILED',
+      message: 'Request failed with status {status}: {reason}',
+      messages: { ru: 'Запрос завершился со статусом {status}: {reason}' },
+      subsystem: 'system',
+      recoverable: true,
+      httpStatus: 400,
+      contextKeys: ['status', 'reason'],
+      contextSchema: { status: 'integer', reason: 'string' },
+      docs: 'docs/errors/system.md#request-failed'
+    },
+
+    MULTIPLE_ERRORS: {
+      code: 'SYS_MULTIPLE_ERRORS',
+      message: 'Multiple errors occurred: {reason}',
+      messages: { ru: 'Произошло несколько ошибок: {reason}' },
+      subsystem: 'system',
+      recoverable: true,
+      contextKeys: ['reason'],
+      contextSchema: {
+        reason: 'string',
+        failed: 'integer',
+        total: 'integer',
+        failedIndices: { type: 'array', items: 'integer' }
+      },
+      docs: 'docs/errors/system.md#multiple-errors'
     }
   }
 }
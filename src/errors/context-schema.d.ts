@@ -0,0 +1,65 @@
+/**
+ * @file src/errors/context-schema.d.ts
+ * @description TypeScript декларации для схем контекста ошибок (contextSchema).
+ * @version 0.1.0
+ */
+
+/** Имя типа поля контекста. */
+export type SchemaTypeName =
+  | 'any'
+  | 'string'
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | 'bigint'
+  | 'function'
+  | 'null'
+  | 'array'
+  | 'object'
+  | 'date'
+  | 'error';
+
+/**
+ * @interface FieldSchemaObject
+ * @description Схема поля контекста (полная запись).
+ */
+export interface FieldSchemaObject {
+  /** @property {SchemaTypeName|SchemaTypeName[]} [type='any'] - Тип или список допустимых типов. */
+  type?: SchemaTypeName | readonly SchemaTypeName[];
+  /** @property {boolean} [required=false] - Поле обязательно (отсутствие или undefined - нарушение). */
+  required?: boolean;
+  /** @property {any[]} [enum] - Допустимые значения. */
+  enum?: readonly unknown[];
+  /** @property {Record<string, FieldSchema>} [properties] - Схемы полей вложенного объекта. */
+  properties?: ContextSchema;
+  /** @property {FieldSchema} [items] - Схема элементов массива. */
+  items?: FieldSchema;
+}
+
+/** Схема поля контекста; строка - краткая запись `{ type }`. */
+export type FieldSchema = SchemaTypeName | FieldSchemaObject;
+
+/** Схема контекста: схемы полей по именам ключей. */
+export type ContextSchema = Readonly<Record<string, FieldSchema>>;
+
+/** Допустимые типы полей и функции их проверки. */
+export declare const SCHEMA_TYPES: Readonly<Record<SchemaTypeName, (value: unknown) => boolean>>;
+
+/**
+ * Проверяет корректность схемы контекста (известные типы, непустые enum, вложенные схемы).
+ *
+ * @function checkContextSchema
+ * @param {unknown} schema - Проверяемая схема.
+ * @returns {string[]} Список проблем (пустой, если схема корректна).
+ */
+export declare function checkContextSchema (schema: unknown): string[];
+
+/**
+ * Проверяет контекст ошибки по схеме: обязательные поля, типы, enum, вложенные объекты и элементы массивов.
+ *
+ * @function validateContext
+ * @param {ContextSchema} schema - Схема контекста.
+ * @param {object} [context] - Проверяемый контекст.
+ * @returns {string[]} Нарушения с точными путями полей (пустой массив, если контекст соответствует схеме).
+ */
+export declare function validateContext (schema: ContextSchema, context?: Record<string, any> | null): string[];
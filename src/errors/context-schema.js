@@ -0,0 +1,206 @@
+/**
+ * @file src/errors/context-schema.js
+ * @description Описание и проверка структуры контекста ошибки (contextSchema): типы, обязательность, enum, вложенные объекты и массивы
+ * @version 0.1.0
+ */
+
+/**
+ * Схема поля контекста. Строка - краткая запись `{ type }`.
+ * @typedef {string|FieldSchemaObject} FieldSchema
+ */
+
+/**
+ * Схема поля контекста (полная запись)
+ * @typedef {object} FieldSchemaObject
+ * @property {string|string[]} [type='any'] - Тип или список допустимых типов (см. SCHEMA_TYPES).
+ * @property {boolean} [required=false] - Поле обязательно (отсутствие или undefined - нарушение).
+ * @property {any[]} [enum] - Допустимые значения.
+ * @property {Record<string, FieldSchema>} [properties] - Схемы полей вложенного объекта.
+ * @property {FieldSchema} [items] - Схема элементов массива.
+ */
+
+/**
+ * Схема контекста: схемы полей по именам ключей
+ * @typedef {Record<string, FieldSchema>} ContextSchema
+ */
+
+/**
+ * Допустимые типы полей и функции их проверки.
+ * @type {Readonly<Record<string, (value: any) => boolean>>}
+ */
+export const SCHEMA_TYPES = Object.freeze({
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  bigint: value => typeof value === 'bigint',
+  function: value => typeof value === 'function',
+  null: value => value === null,
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  date: value => value instanceof Date,
+  error: value => value instanceof Error
+})
+
+/**
+ * Допустимые свойства схемы поля.
+ * @type {Set<string>}
+ * @private
+ */
+const FIELD_SCHEMA_KEYS = new Set(['type', 'required', 'enum', 'properties', 'items'])
+
+/**
+ * Приводит схему поля к полной записи.
+ *
+ * @param {FieldSchema} schema - Схема поля.
+ * @returns {FieldSchemaObject} Полная запись.
+ * @private
+ */
+function normalizeFieldSchema (schema) {
+  return typeof schema === 'string' ? { type: schema } : schema
+}
+
+/**
+ * Возвращает имя типа значения для сообщений о нарушениях.
+ *
+ * @param {any} value - Значение.
+ * @returns {string} Имя типа в терминах SCHEMA_TYPES.
+ * @private
+ */
+function describeType (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (value instanceof Date) return 'date'
+  if (value instanceof Error) return 'error'
+  return typeof value
+}
+
+/**
+ * Проверяет корректность схемы контекста (используется validateDefinition).
+ * Детерминированность: Да.
+ *
+ * @param {any} schema - Проверяемая схема (`definition.contextSchema`).
+ * @returns {string[]} Массив строк с описанием проблем. Пустой массив, если схема корректна.
+ */
+export function checkContextSchema (schema) {
+  const problems = []
+
+  /**
+   * Проверяет схему поля.
+   *
+   * @param {any} fieldSchema - Схема поля.
+   * @param {string} path - Путь поля.
+   */
+  const checkField = (fieldSchema, path) => {
+    const field = normalizeFieldSchema(fieldSchema)
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      problems.push(`Schema for '${path}' must be a type name or an object.`)
+      return
+    }
+    const unknownKeys = Object.keys(field).filter(key => !FIELD_SCHEMA_KEYS.has(key))
+    if (unknownKeys.length > 0) {
+      problems.push(`Schema for '${path}' has unknown properties: ${unknownKeys.join(', ')}.`)
+    }
+    const types = field.type === undefined ? [] : [].concat(field.type)
+    types.filter(type => !Object.hasOwn(SCHEMA_TYPES, type))
+      .forEach(type => problems.push(`Schema for '${path}' has unknown type '${type}'.`))
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      problems.push(`Schema for '${path}': "required" must be a boolean.`)
+    }
+    if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) {
+      problems.push(`Schema for '${path}': "enum" must be a non-empty array.`)
+    }
+    if (field.properties !== undefined) {
+      checkFields(field.properties, path)
+    }
+    if (field.items !== undefined) {
+      checkField(field.items, `${path}[]`)
+    }
+  }
+
+  /**
+   * Проверяет схемы полей объекта.
+   *
+   * @param {any} fields - Схемы полей.
+   * @param {string} [prefix] - Путь объекта.
+   */
+  const checkFields = (fields, prefix) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      problems.push(prefix ? `Schema for '${prefix}': "properties" must be an object.` : 'Property "contextSchema" must be an object.')
+      return
+    }
+    for (const [key, fieldSchema] of Object.entries(fields)) {
+      checkField(fieldSchema, prefix ? `${prefix}.${key}` : key)
+    }
+  }
+
+  checkFields(schema)
+  return problems
+}
+
+/**
+ * Проверяет контекст ошибки по схеме.
+ *
+ * Основная ответственность:
+ * - Проверка обязательных полей (`required: true`), в т.ч. во вложенных объектах.
+ * - Проверка типов (`type`, один или список), допустимых значений (`enum`),
+ *   вложенных объектов (`properties`) и элементов массивов (`items`).
+ * - Отсутствующие необязательные поля (и значения undefined) не проверяются; дополнительные поля контекста допустимы.
+ * - Сообщения о нарушениях содержат точный путь поля (например, `user.id`, `problems[2]`) и не содержат значений.
+ * Детерминированность: Да.
+ *
+ * @param {ContextSchema} schema - Схема контекста (`definition.contextSchema`).
+ * @param {object} [context={}] - Проверяемый контекст.
+ * @returns {string[]} Массив строк с описанием нарушений. Пустой массив, если контекст соответствует схеме.
+ */
+export function validateContext (schema, context = {}) {
+  const problems = []
+
+  /**
+   * Проверяет значение поля.
+   *
+   * @param {any} value - Значение.
+   * @param {FieldSchema} fieldSchema - Схема поля.
+   * @param {string} path - Путь поля.
+   */
+  const checkValue = (value, fieldSchema, path) => {
+    const field = normalizeFieldSchema(fieldSchema)
+    if (value === undefined) {
+      if (field.required === true) problems.push(`Context field '${path}' is required.`)
+      return
+    }
+
+    const types = field.type === undefined ? [] : [].concat(field.type)
+    if (types.length > 0 && !types.some(type => SCHEMA_TYPES[type]?.(value))) {
+      problems.push(`Context field '${path}' must be of type ${types.join(' | ')}, got ${describeType(value)}.`)
+      return
+    }
+    if (Array.isArray(field.enum) && !field.enum.includes(value)) {
+      problems.push(`Context field '${path}' must be one of: ${field.enum.map(item => JSON.stringify(item)).join(', ')}.`)
+      return
+    }
+    if (field.properties && SCHEMA_TYPES.object(value)) {
+      checkObject(value, field.properties, `${path}.`)
+    }
+    if (field.items !== undefined && Array.isArray(value)) {
+      value.forEach((item, index) => checkValue(item, field.items, `${path}[${index}]`))
+    }
+  }
+
+  /**
+   * Проверяет поля объекта по схемам полей.
+   *
+   * @param {object} object - Объект.
+   * @param {Record<string, FieldSchema>} fields - Схемы полей.
+   * @param {string} prefix - Префикс пути.
+   */
+  const checkObject = (object, fields, prefix) => {
+    for (const [key, fieldSchema] of Object.entries(fields)) {
+      checkValue(object[key], fieldSchema, `${prefix}${key}`)
+    }
+  }
+
+  checkObject(context ?? {}, schema, '')
+  return problems
+}
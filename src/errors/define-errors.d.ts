@@ -0,0 +1,50 @@
+/**
+ * @file src/errors/define-errors.d.ts
+ * @description TypeScript декларации для генерации классов ошибок и фабрик по таблице кодов.
+ * @version 0.2.0
+ */
+
+import { ErrorDefinition } from './errors'
+import { SystemError } from './system-error'
+
+/** 'LOAD_DATA_FAILED' -> 'LoadDataFailed' */
+type PascalCase<S extends string> = S extends `${infer Head}_${infer Tail}`
+  ? `${Capitalize<Lowercase<Head>>}${PascalCase<Tail>}`
+  : Capitalize<Lowercase<S>>
+
+/** Имя класса ошибки: 'LOAD_DATA_FAILED' -> 'LoadDataFailedError', 'PARSE_ERROR' -> 'ParseError'. */
+export type ErrorClassName<K extends string> = PascalCase<K> extends `${string}Error` ? PascalCase<K> : `${PascalCase<K>}Error`
+
+/** Позиционные значения ключей контекста для фабрики (по `contextKeys`, объявленным `as const`). */
+type FactoryValues<D> = D extends { contextKeys: readonly string[] }
+  ? { [I in keyof D['contextKeys']]: unknown }
+  : unknown[]
+
+/**
+ * @interface DefinedErrorClass
+ * @description Класс ошибки, сгенерированный defineErrors, с привязанным определением.
+ */
+export interface DefinedErrorClass<D extends ErrorDefinition = ErrorDefinition> {
+  new (context?: Record<string, any> | null, originalError?: Error | null, options?: { strict?: boolean; locale?: string }): SystemError & { readonly code: D['code'] };
+  readonly definition: D;
+}
+
+/** Фабрика ошибки: значения ключей контекста, затем исходная ошибка и дополнительный контекст. */
+export type DefinedErrorFactory<D extends ErrorDefinition> = (
+  ...args: [...FactoryValues<D>, (Error | null)?, Record<string, any>?]
+) => SystemError
+
+/** Результат defineErrors: классы `XxxError` и фабрики `createXxxError` для каждого ключа таблицы. */
+export type DefinedErrors<T extends Record<string, ErrorDefinition>> =
+  { [K in keyof T & string as ErrorClassName<K>]: DefinedErrorClass<T[K]> } &
+  { [K in keyof T & string as `create${ErrorClassName<K>}`]: DefinedErrorFactory<T[K]> }
+
+/**
+ * Генерирует классы-наследники SystemError и функции-фабрики по таблице кодов ошибок.
+ *
+ * @function defineErrors
+ * @param {T} codeTable - Таблица кодов подсистемы (например, ERROR_CODES.SYS).
+ * @returns {DefinedErrors<T>} Классы и фабрики.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Невалидная таблица или конфликт имен классов.
+ */
+export declare function defineErrors<T extends Record<string, ErrorDefinition>> (codeTable: T): DefinedErrors<T>;
@@ -0,0 +1,148 @@
+/**
+ * @file src/errors/define-errors.js
+ * @description Генерация классов-наследников SystemError и функций-фабрик по таблице кодов ошибок
+ * @version 0.1.1
+ */
+
+import { SystemError } from './system-error.js'
+import { ERROR_CODES } from './codes.js'
+import { createError, validateDefinition } from './errors.js'
+import { getPlaceholders } from './template.js'
+
+/**
+ * Определение ошибки
+ * @typedef {import('./errors.js').ErrorDefinition} ErrorDefinition
+ */
+
+/**
+ * Преобразует ключ таблицы кодов в имя класса ошибки.
+ * 'LOAD_DATA_FAILED' -> 'LoadDataFailedError', 'PARSE_ERROR' -> 'ParseError'.
+ * Детерминированность: Да.
+ *
+ * @param {string} key - Ключ определения в таблице кодов (UPPER_SNAKE_CASE).
+ * @returns {string} Имя класса в PascalCase с суффиксом Error.
+ * @private
+ */
+function toClassName (key) {
+  const pascal = key
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('')
+  return pascal.endsWith('Error') ? pascal : `${pascal}Error`
+}
+
+/**
+ * Возвращает имена позиционных аргументов фабрики: `contextKeys` определения,
+ * а если они не заданы - корневые ключи обязательных плейсхолдеров шаблона в порядке появления
+ * (`{user.id}` -> `user`, `{size|bytes}` -> `size`).
+ * Детерминированность: Да.
+ *
+ * @param {ErrorDefinition} definition - Определение ошибки.
+ * @returns {string[]} Имена ключей контекста.
+ * @private
+ */
+function getFactoryKeys (definition) {
+  if (Array.isArray(definition.contextKeys) && definition.contextKeys.length > 0) {
+    return [...definition.contextKeys]
+  }
+  return [...new Set(getPlaceholders(definition.message, { required: true }).map(path => path.split('.')[0]))]
+}
+
+/**
+ * Создает класс-наследник SystemError для конкретного определения ошибки.
+ * Имя класса (и `error.name`) совпадает с `className`, определение доступно через статическое свойство.
+ *
+ * @param {string} className - Имя класса.
+ * @param {ErrorDefinition} definition - Определение ошибки.
+ * @returns {typeof SystemError} Класс ошибки. Конструктор: `(context, originalError, options)`.
+ * @private
+ */
+function createErrorClass (className, definition) {
+  // Вычисляемое имя свойства задает имя класса без использования eval
+  const { [className]: ErrorClass } = {
+    [className]: class extends SystemError {
+      /**
+       * @param {object} [context=null] - Контекст ошибки.
+       * @param {Error} [originalError=null] - Исходная ошибка.
+       * @param {object} [options={}] - Опции создания (см. SystemError).
+       */
+      constructor (context = null, originalError = null, options = {}) {
+        super(definition, context, originalError, options)
+      }
+    }
+  }
+  Object.defineProperty(ErrorClass, 'definition', { value: definition, enumerable: true })
+  return ErrorClass
+}
+
+/**
+ * Генерирует по таблице кодов ошибок подсистемы классы ошибок и функции-фабрики.
+ *
+ * Основная ответственность:
+ * - Для каждого ключа таблицы (например, LOAD_DATA_FAILED) создает класс `LoadDataFailedError`
+ *   (наследник SystemError, `error.name === 'LoadDataFailedError'`, работает `instanceof`)
+ *   и фабрику `createLoadDataFailedError`.
+ * - Сигнатура фабрики выводится из `contextKeys` (или плейсхолдеров сообщения, если `contextKeys` не заданы):
+ *   `createLoadDataFailedError(reason, originalError, extraContext)`.
+ * - Фабрика создает ошибку через `createError` (валидация и fallback на SYS_UNEXPECTED сохраняются).
+ * - Проверяет все определения таблицы заранее.
+ * Детерминированность: Да (каждый вызов создает новые классы).
+ *
+ * @param {Record<string, ErrorDefinition>} codeTable - Таблица кодов (например, ERROR_CODES.SYS).
+ * @returns {Record<string, Function>} Объект с классами (`XxxError`) и фабриками (`createXxxError`).
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если таблица или определения невалидны,
+ *   либо два ключа дают одинаковое имя класса.
+ */
+export function defineErrors (codeTable) {
+  const problems = []
+  if (!codeTable || typeof codeTable !== 'object' || Array.isArray(codeTable)) {
+    problems.push('Code table must be a non-null object.')
+  } else {
+    const classNames = new Map()
+    for (const [key, definition] of Object.entries(codeTable)) {
+      validateDefinition(definition).forEach(problem => problems.push(`${key}: ${problem}`))
+      const className = toClassName(key)
+      if (classNames.has(className)) {
+        problems.push(`${key}: Class name '${className}' clashes with key ${classNames.get(className)}.`)
+      }
+      classNames.set(className, key)
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new SystemError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+      reason: 'Cannot define errors from code table',
+      problems,
+      problemsText: problems.join('; ')
+    })
+  }
+
+  const defined = {}
+  for (const [key, definition] of Object.entries(codeTable)) {
+    const className = toClassName(key)
+    const ErrorClass = createErrorClass(className, definition)
+    const keys = getFactoryKeys(definition)
+
+    /**
+     * Фабрика ошибки: позиционные значения ключей контекста, затем исходная ошибка и дополнительный контекст.
+     *
+     * @param {...any} args - Значения `keys`, `originalError`, `extraContext`.
+     * @returns {SystemError} Экземпляр ErrorClass (или SYS_UNEXPECTED/SYS_VALIDATION_FAILED от createError).
+     */
+    const factory = (...args) => {
+      const [originalError = null, extraContext = {}] = args.slice(keys.length)
+      const context = { ...extraContext }
+      keys.forEach((contextKey, index) => {
+        if (index < args.length) context[contextKey] = args[index]
+      })
+      return createError(definition, context, originalError, { ErrorClass })
+    }
+    Object.defineProperty(factory, 'name', { value: `create${className}` })
+
+    defined[className] = ErrorClass
+    defined[`create${className}`] = factory
+  }
+  return defined
+}
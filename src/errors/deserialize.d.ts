@@ -0,0 +1,44 @@
+/**
+ * @file src/errors/deserialize.d.ts
+ * @description TypeScript декларации для восстановления SystemError из результата toJSON().
+ * @version 0.4.0
+ */
+
+import { ErrorJSON, SystemError } from './system-error'
+import { ErrorRegistry } from './registry'
+import { ProblemDetails } from './problem-details'
+
+/**
+ * @interface DeserializeOptions
+ * @description Опции функции `deserializeError`.
+ */
+export interface DeserializeOptions {
+  /** @property {ErrorRegistry} [registry] - Реестр для поиска определений по `code` (по умолчанию errorRegistry). */
+  registry?: ErrorRegistry;
+  /** @property {Record<string, Function>} [errorClasses] - Классы с привязанным определением по имени (например, из defineErrors). */
+  errorClasses?: Record<string, new (context?: Record<string, any> | null, originalError?: Error | null, options?: { strict?: boolean; locale?: string }) => SystemError>;
+  /** @property {number} [maxDepth=getMaxChainDepth()] - Максимальная глубина восстанавливаемого дерева (`original` и `errors`). */
+  maxDepth?: number;
+}
+
+/**
+ * Восстанавливает ошибку, цепочку `original` и причины `errors` из результата `SystemError.toJSON()`.
+ * Неизвестные коды восстанавливаются по сериализованным данным, `{ name, message, stack }` - как стандартные ошибки.
+ *
+ * @function deserializeError
+ * @param {ErrorJSON | object | null | undefined} obj - Сериализованная ошибка.
+ * @param {DeserializeOptions} [options] - Опции восстановления.
+ * @returns {SystemError | Error | null} Восстановленная ошибка или `null`, если `obj` не объект.
+ */
+export declare function deserializeError (obj: ErrorJSON | object | null | undefined, options?: DeserializeOptions): SystemError | Error | null;
+
+/**
+ * Восстанавливает SystemError из документа "problem details" (RFC 9457): `code` связывается с реестром
+ * (без кода - `HTTP_<status>`), `detail` - `message`, `title` - `msg`, `type` - `docs`, `status` - `httpStatus`.
+ *
+ * @function fromProblemDetails
+ * @param {ProblemDetails | object | null | undefined} problem - Документ problem details.
+ * @param {Pick<DeserializeOptions, 'registry'>} [options] - Опции восстановления.
+ * @returns {SystemError | null} Восстановленная ошибка или `null`, если `problem` не объект.
+ */
+export declare function fromProblemDetails (problem: Partial<ProblemDetails> | object | null | undefined, options?: Pick<DeserializeOptions, 'registry'>): SystemError | null;
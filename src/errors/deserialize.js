@@ -0,0 +1,216 @@
+/**
+ * @file src/errors/deserialize.js
+ * @description Восстановление экземпляров SystemError (с цепочкой original и причинами errors) из результата toJSON() и problem details
+ * @version 0.4.0
+ */
+
+import { SystemError } from './system-error.js'
+import { errorRegistry } from './registry.js'
+import { isErrorHttpStatus } from './problem-details.js'
+import { getMaxChainDepth } from './chain.js'
+
+/**
+ * Сериализованное представление ошибки
+ * @typedef {import('./system-error.js').ErrorJSON} ErrorJSON
+ */
+
+/**
+ * Опции восстановления ошибки
+ * @typedef {object} DeserializeOptions
+ * @property {import('./registry.js').ErrorRegistry} [registry=errorRegistry] - Реестр для поиска определений по `code`.
+ * @property {Record<string, Function>} [errorClasses={}] - Классы с привязанным определением по имени
+ *   (например, результат defineErrors), для восстановления конкретных наследников SystemError.
+ * @property {number} [maxDepth=getMaxChainDepth()] - Максимальная глубина восстанавливаемого дерева (`original` и `errors`).
+ *   Маркеры '[Circular]' и '[Truncated]' из toJSON() не восстанавливаются (уровень считается отсутствующим).
+ */
+
+/**
+ * Встроенные классы ошибок, восстанавливаемые по имени.
+ * @type {Record<string, ErrorConstructor>}
+ * @private
+ */
+const BUILTIN_ERRORS = {
+  Error,
+  TypeError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  EvalError,
+  URIError
+}
+
+/**
+ * Проверяет, похож ли объект на результат SystemError.toJSON().
+ *
+ * @param {object} obj - Проверяемый объект.
+ * @returns {boolean} `true`, если есть строковый `code` и признаки SystemError (`msg` или `subsystem`).
+ * @private
+ */
+function isSystemErrorJSON (obj) {
+  return typeof obj.code === 'string' && obj.code !== '' && ('msg' in obj || 'subsystem' in obj)
+}
+
+/**
+ * Восстанавливает стандартную ошибку из объекта `{ name, message, stack }`.
+ * Встроенные классы (TypeError и др.) восстанавливаются по имени, прочие - как Error с исходным `name`;
+ * AggregateError восстанавливается с причинами `errors`.
+ * Дополнительно переносится `code` (например, у системных ошибок Node.js).
+ *
+ * @param {object} obj - Сериализованная ошибка.
+ * @param {Error|null} original - Уже восстановленная исходная ошибка.
+ * @param {Error[]} [errors=[]] - Уже восстановленные причины.
+ * @returns {Error} Восстановленная ошибка.
+ * @private
+ */
+function restorePlainError (obj, original, errors = []) {
+  const message = typeof obj.message === 'string' ? obj.message : ''
+  const ErrorClass = BUILTIN_ERRORS[obj.name] ?? Error
+  const error = obj.name === 'AggregateError' ? new AggregateError(errors, message) : new ErrorClass(message)
+  if (typeof obj.name === 'string' && obj.name !== error.name) error.name = obj.name
+  if (obj.code !== undefined) error.code = obj.code
+  if (original) error.original = original
+  if (typeof obj.stack === 'string') error.stack = obj.stack
+  return error
+}
+
+/**
+ * Восстанавливает SystemError из результата toJSON().
+ * Определение ищется в `errorClasses` по имени, затем в реестре по коду; для неизвестного кода
+ * определение строится из самих сериализованных данных. Сериализованные значения имеют приоритет
+ * над значениями определения.
+ *
+ * @param {ErrorJSON} obj - Сериализованная SystemError.
+ * @param {Error|null} original - Уже восстановленная исходная ошибка.
+ * @param {DeserializeOptions} options - Опции восстановления.
+ * @returns {SystemError} Восстановленная ошибка.
+ * @private
+ */
+function restoreSystemError (obj, original, { registry, errorClasses }) {
+  const context = obj.context && typeof obj.context === 'object' ? obj.context : {}
+  // Проверки contextKeys не выполняем и фоновый контекст текущей области не добавляем:
+  // ошибка уже была создана, восстанавливаем как есть
+  const constructorOptions = { strict: false, ambient: false }
+
+  const ErrorClass = errorClasses[obj.name]
+  let error
+  if (typeof ErrorClass === 'function' && ErrorClass.definition?.code === obj.code) {
+    error = new ErrorClass(context, original, constructorOptions)
+  } else {
+    const definition = registry.get(obj.code) ?? {
+      code: obj.code,
+      message: typeof obj.msg === 'string' ? obj.msg : String(obj.message ?? ''),
+      subsystem: obj.subsystem,
+      recoverable: obj.recoverable,
+      docs: obj.docs,
+      httpStatus: obj.httpStatus
+    }
+    error = new SystemError(definition, context, original, constructorOptions)
+  }
+
+  if (typeof obj.name === 'string') error.name = obj.name
+  if (typeof obj.message === 'string') error.message = obj.message
+  if (typeof obj.msg === 'string') error.msg = obj.msg
+  if (typeof obj.subsystem === 'string') error.subsystem = obj.subsystem
+  if (typeof obj.recoverable === 'boolean') error.recoverable = obj.recoverable
+  if ('docs' in obj) error.docs = obj.docs
+  if (isErrorHttpStatus(obj.httpStatus)) error.httpStatus = obj.httpStatus
+  if (typeof obj.stack === 'string') error.stack = obj.stack
+  return error
+}
+
+/**
+ * Восстанавливает ошибку (и всю цепочку `original`) из результата SystemError.toJSON().
+ *
+ * Основная ответственность:
+ * - Восстановление экземпляров SystemError с `code`, `msg`, `subsystem`, `context`, `recoverable`, `docs`, `stack`.
+ * - Повторное связывание с определением из реестра кодов (или с классом из `options.errorClasses`).
+ * - Мягкая деградация: неизвестный код восстанавливается по сериализованным данным,
+ *   объекты `{ name, message, stack }` - как стандартные ошибки.
+ * - Рекурсивное восстановление цепочки `original` и причин `errors` с ограничением глубины.
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {ErrorJSON|object|null|undefined} obj - Сериализованная ошибка (например, полученная через JSON.parse).
+ * @param {DeserializeOptions} [options={}] - Опции восстановления.
+ * @returns {SystemError|Error|null} Восстановленная ошибка или `null`, если `obj` не является объектом.
+ */
+export function deserializeError (obj, options = {}) {
+  const { registry = errorRegistry, errorClasses = {}, maxDepth = getMaxChainDepth() } = options
+
+  /**
+   * Рекурсивно восстанавливает уровень цепочки.
+   *
+   * @param {any} value - Сериализованный уровень.
+   * @param {number} depth - Текущая глубина.
+   * @returns {Error|null} Восстановленная ошибка.
+   */
+  const restore = (value, depth) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return null
+    }
+    const original = depth < maxDepth ? restore(value.original, depth + 1) : null
+    const errors = depth < maxDepth && Array.isArray(value.errors)
+      ? value.errors.map(cause => restore(cause, depth + 1)).filter(Boolean)
+      : []
+    if (!isSystemErrorJSON(value)) {
+      return restorePlainError(value, original, errors)
+    }
+    const error = restoreSystemError(value, original, { registry, errorClasses })
+    if (errors.length > 0) error.errors = errors
+    return error
+  }
+
+  return restore(obj, 0)
+}
+
+/**
+ * Стандартные поля problem details и расширения, формируемые toProblemDetails.
+ * @type {Set<string>}
+ * @private
+ */
+const PROBLEM_KNOWN_KEYS = new Set(['type', 'title', 'status', 'detail', 'instance', 'code', 'recoverable', 'context'])
+
+/**
+ * Восстанавливает SystemError из документа "problem details" (RFC 9457), например, из ответа сервиса.
+ *
+ * Основная ответственность:
+ * - `code` связывается с определением из реестра; без кода используется `HTTP_<status>`.
+ * - `detail` становится `message`, `title` - `msg`, `type` (кроме 'about:blank') - `docs`, `status` - `httpStatus`.
+ * - Контекст - расширение `context`, а при его отсутствии - прочие расширения документа
+ *   (например, `invalid-params` сторонних сервисов).
+ * - Поле `instance` сохраняется в контексте.
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {object|null|undefined} problem - Документ problem details (например, тело ответа после JSON.parse).
+ * @param {Pick<DeserializeOptions, 'registry'>} [options={}] - Опции восстановления.
+ * @returns {SystemError|null} Восстановленная ошибка или `null`, если `problem` не является объектом.
+ */
+export function fromProblemDetails (problem, options = {}) {
+  if (!problem || typeof problem !== 'object' || Array.isArray(problem)) {
+    return null
+  }
+  const { registry = errorRegistry } = options
+  const status = isErrorHttpStatus(problem.status) ? problem.status : undefined
+
+  let context
+  if (problem.context && typeof problem.context === 'object' && !Array.isArray(problem.context)) {
+    context = { ...problem.context }
+  } else {
+    context = Object.fromEntries(Object.entries(problem).filter(([key]) => !PROBLEM_KNOWN_KEYS.has(key)))
+  }
+  if (typeof problem.instance === 'string') context.instance = problem.instance
+
+  const title = typeof problem.title === 'string' ? problem.title : undefined
+  const detail = typeof problem.detail === 'string' ? problem.detail : title
+  const obj = {
+    name: 'SystemError',
+    code: typeof problem.code === 'string' && problem.code !== '' ? problem.code : `HTTP_${status ?? 500}`,
+    message: detail ?? '',
+    msg: title ?? detail ?? '',
+    context,
+    recoverable: problem.recoverable,
+    httpStatus: status
+  }
+  // 'about:blank' означает отсутствие документации; docs определения из реестра при этом сохраняется
+  if (typeof problem.type === 'string' && problem.type !== 'about:blank') obj.docs = problem.type
+  return restoreSystemError(obj, null, { registry, errorClasses: {} })
+}
@@ -1,15 +1,155 @@
 /**
  * @file src/errors/errors.d.ts
  * @description TypeScript декларации для основного API подсистемы обработки ошибок (@fab33/sys-errors).
- * @version 0.1.8
+ * @version 0.26.0
  */
 
 // Импортируем и ре-экспортируем классы и типы из других модулей
 import { ErrorJSON, SystemError as SystemErrorClass } from './system-error'
 import { AllErrorCodes, ERROR_CODES as ErrorCodesObject, SystemErrorCodes } from './codes'
+import { ErrorRegistry } from './registry'
+import { ContextSchema } from './context-schema'
+export { RetryOptions, RetryCodeOverride, withRetry } from './retry'
+export { DefinedErrors, DefinedErrorClass, DefinedErrorFactory, ErrorClassName, defineErrors } from './define-errors'
+export { DeserializeOptions, deserializeError, fromProblemDetails } from './deserialize'
+export {
+  REDACTED,
+  DEFAULT_REDACTION_CONFIG,
+  RedactionConfig,
+  RedactOptions,
+  ValueMatcher,
+  configureRedaction,
+  getRedactionConfig,
+  isSensitiveKey,
+  redactString,
+  redactValue
+} from './redact'
+export { DEFAULT_SERIALIZE_OPTIONS, SerializeOptions, safeSerialize } from './serialize'
+export {
+  CompiledTemplate,
+  RenderOptions,
+  formatMessage,
+  renderTemplate,
+  compileTemplate,
+  clearTemplateCache,
+  getPlaceholders
+} from './template'
+export { DEFAULT_LOCALE, setLocale, getLocale, resolveMessageTemplate, checkMessageCatalog } from './i18n'
+export {
+  ContextSchema,
+  FieldSchema,
+  FieldSchemaObject,
+  SchemaTypeName,
+  SCHEMA_TYPES,
+  validateContext,
+  checkContextSchema
+} from './context-schema'
+export {
+  LogLevel,
+  LoggerAdapter,
+  LoggedErrorLevel,
+  ErrorLogFields,
+  LogErrorOptions,
+  LOG_LEVELS,
+  createConsoleAdapter,
+  createPinoAdapter,
+  createWinstonAdapter,
+  setLogger,
+  getLogger,
+  flattenErrorChain,
+  logError
+} from './logging'
+export {
+  ProblemDetails,
+  ProblemDetailsOptions,
+  PROBLEM_CONTENT_TYPE,
+  DEFAULT_HTTP_STATUS,
+  isErrorHttpStatus,
+  getHttpStatus,
+  toProblemDetails
+} from './problem-details'
+export {
+  HttpErrorHandlerOptions,
+  HttpErrorResponse,
+  HttpRequestInfo,
+  normalizeHttpError,
+  buildErrorResponse,
+  createExpressErrorHandler,
+  createFastifyErrorHandler,
+  createKoaErrorMiddleware
+} from './http-middleware'
+export { AMBIENT_CONTEXT_KEY, withErrorContext, getErrorContext, mergeAmbientContext } from './async-context'
+export { OperationDefinition, OperationOptions, wrapOperation, operation } from './operation'
+export {
+  SystemErrorOf,
+  Ok,
+  Err,
+  Result,
+  OperationErrorOf,
+  OkValue,
+  ErrError,
+  ok,
+  err,
+  isResult,
+  tryCatch,
+  tryCatchAsync,
+  map,
+  mapErr,
+  andThen,
+  unwrap,
+  combine
+} from './result'
+export { ErrorTreeNode, fromSettledResults, checkErrorTree } from './aggregate'
+export {
+  DEFAULT_MAX_CHAIN_DEPTH,
+  setMaxChainDepth,
+  getMaxChainDepth,
+  getCause,
+  iterateChain,
+  getChain,
+  findInChain,
+  hasCode,
+  getRootCause,
+  getSubsystems,
+  matchChainLevel,
+  describeValue
+} from './chain'
+export { ExpectedSystemError, SystemErrorMatchers, errorMatchers, installErrorMatchers } from './matchers'
+export {
+  StableRule,
+  StableJSONOptions,
+  ErrorSnapshotSerializer,
+  DEFAULT_STABLE_RULES,
+  toStableJSON,
+  createErrorSnapshotSerializer,
+  errorSnapshotSerializer
+} from './snapshot'
+export {
+  CatalogEntry,
+  CatalogSection,
+  CatalogOptions,
+  CatalogFormat,
+  GenerateErrorDocsOptions,
+  CATALOG_FORMATS,
+  toDocsAnchor,
+  buildErrorCatalog,
+  generateErrorDocs,
+  checkErrorDocs
+} from './catalog'
+export { ErrorTypesOptions, generateErrorTypes } from './typegen'
 
 // Ре-экспортируем для удобства использования
 export { SystemErrorClass as SystemError, ErrorJSON, ErrorCodesObject as ERROR_CODES, AllErrorCodes, SystemErrorCodes }
+export {
+  ErrorRegistry,
+  validateDefinition,
+  createErrorRegistry,
+  errorRegistry,
+  registerErrorCodes,
+  getErrorDefinition,
+  listErrorCodes,
+  freezeErrorCodes
+} from './registry'
 
 /**
  * @interface ErrorDefinition
@@ -25,9 +165,17 @@ export interface ErrorDefinition {
   /** @property {boolean} [recoverable=true] - Можно ли программно восстановиться после этой ошибки (по умолчанию true). */
   recoverable?: boolean;
   /** @property {string[]} [contextKeys=[]] - Массив имен ключей, которые обязательно должны присутствовать в `context` при создании ошибки в строгом режиме. */
-  contextKeys?: string[];
+  contextKeys?: readonly string[];
   /** @property {string} [docs] - URL или путь к документации по этой ошибке. */
   docs?: string;
+  /** @property {string[]} [sensitiveKeys=[]] - Ключи контекста с чувствительными данными (маскируются в сообщении, toJSON и логах). */
+  sensitiveKeys?: readonly string[];
+  /** @property {Record<string, string>} [messages] - Локализованные шаблоны сообщения по локалям (те же плейсхолдеры, что и в `message`). */
+  messages?: Readonly<Record<string, string>>;
+  /** @property {ContextSchema} [contextSchema] - Схема контекста (типы, обязательность, enum, вложенные объекты, элементы массивов), проверяется createError в строгом режиме. */
+  contextSchema?: ContextSchema;
+  /** @property {number} [httpStatus=500] - HTTP-статус ответа для этой ошибки (целое 400-599). */
+  httpStatus?: number;
 }
 
 /**
@@ -44,23 +192,61 @@ export interface ErrorChainLevel {
 }
 
 /**
- * Форматирует сообщение об ошибке, подставляя значения из контекста в плейсхолдеры.
- *
- * @function formatMessage
- * @param {string | null | undefined} template - Шаблон сообщения с плейсхолдерами вида `{key}`.
- * @param {Record<string, any>} [context={}] - Объект со значениями для подстановки.
- * @returns {string} Отформатированное сообщение. Возвращает пустую строку, если `template` не является строкой. Плейсхолдеры для `null` или `undefined` значений остаются без изменений.
+ * @interface CheckErrorChainOptions
+ * @description Опции функции `checkErrorChain`.
+ */
+export interface CheckErrorChainOptions {
+  /** @property {boolean} [partial=false] - Ожидаемые уровни ищутся как подпоследовательность цепочки (по порядку, не обязательно подряд). */
+  partial?: boolean;
+}
+
+/**
+ * @interface ErrorContextMap
+ * @description Типы контекста зарегистрированных кодов ошибок: код -> интерфейс контекста.
+ * Пополняется расширением модуля в сгенерированных `sys-errors types` декларациях таблиц кодов;
+ * для кодов из этой карты createError проверяет контекст на этапе компиляции.
+ */
+export interface ErrorContextMap {}
+
+/** Коды ошибок с типизированным контекстом (ключи ErrorContextMap). */
+export type RegisteredErrorCode = keyof ErrorContextMap & string
+
+/**
+ * @interface CreateErrorOptions
+ * @description Опции функции `createError`.
  */
-export declare function formatMessage (template: string | null | undefined, context?: Record<string, any>): string;
+export interface CreateErrorOptions {
+  /** @property {boolean} [strict] - Строгий режим валидации определения и контекста (по умолчанию зависит от `process.env.NODE_ENV !== 'production'`). */
+  strict?: boolean;
+  /** @property {string} [locale] - Локаль сообщения (по умолчанию - глобальная локаль `getLocale()`). */
+  locale?: string;
+  /** @property {Function} [ErrorClass] - Наследник SystemError с привязанным определением (например, из `defineErrors`). */
+  ErrorClass?: new (context?: Record<string, any> | null, originalError?: Error | null, options?: { strict?: boolean; locale?: string }) => SystemErrorClass;
+}
+
+/** Аргументы createError после определения: контекст обязателен, если в нем есть обязательные ключи. */
+export type CreateErrorArgs<TContext> = {} extends TContext
+  ? [context?: TContext | null, originalError?: Error | readonly Error[] | null, options?: CreateErrorOptions]
+  : [context: TContext, originalError?: Error | readonly Error[] | null, options?: CreateErrorOptions]
+
+/** Определение или код, не входящие в ErrorContextMap (для них контекст не типизирован). */
+export type UnregisteredErrorDefinition<D> = D extends { readonly code: infer C }
+  ? (C extends RegisteredErrorCode ? never : D)
+  : (D extends RegisteredErrorCode ? never : D)
 
 /**
- * Проверяет валидность объекта определения ошибки.
+ * Создает экземпляр системной ошибки (SystemError) для кода с типизированным контекстом (см. ErrorContextMap).
+ * Контекст проверяется на этапе компиляции: ключи и типы из сгенерированного интерфейса, лишние ключи запрещены.
  *
- * @function validateDefinition
- * @param {any} definition - Проверяемое определение. Ожидается объект.
- * @returns {string[]} Массив строк с описанием найденных проблем. Пустой массив, если определение валидно. Возвращает `['Definition is missing or invalid.']` для `null`, `undefined` или не-объектов.
+ * @function createError
+ * @param {ErrorDefinition | RegisteredErrorCode} errorDefinition - Определение с литеральным `code` или строковый код.
+ * @param {...CreateErrorArgs} args - Контекст, исходная ошибка (или массив исходных ошибок) и опции.
+ * @returns {SystemErrorClass} Экземпляр системной ошибки.
  */
-export declare function validateDefinition (definition: any): string[];
+export declare function createError<C extends RegisteredErrorCode> (
+  errorDefinition: (ErrorDefinition & { readonly code: C }) | C,
+  ...args: CreateErrorArgs<ErrorContextMap[C]>
+): SystemErrorClass;
 
 /**
  * Создает экземпляр системной ошибки (SystemError).
@@ -68,44 +254,73 @@ export declare function validateDefinition (definition: any): string[];
  * Выполняет валидацию входных данных (definition и context в строгом режиме).
  *
  * @function createError
- * @param {ErrorDefinition} errorDefinition - Определение ошибки из `ERROR_CODES`. Должно быть валидным объектом с `code` и `message`.
+ * @param {ErrorDefinition | string} errorDefinition - Определение ошибки из `ERROR_CODES` (валидный объект с `code` и `message`) или строковый код, зарегистрированный в реестре.
  * @param {Record<string, any>} [context=null] - Контекст ошибки для подстановки в сообщение и сохранения.
- * @param {Error} [originalError=null] - Исходная ошибка для построения цепочки ошибок (сохраняется в `error.original`).
+ * @param {Error | Error[]} [originalError=null] - Исходная ошибка для построения цепочки ошибок (сохраняется в `error.original`) или массив исходных ошибок (`error.errors`).
  * @param {object} [options={}] - Опции создания ошибки.
  * @param {boolean} [options.strict] - Строгий режим валидации определения и контекста (по умолчанию зависит от `process.env.NODE_ENV !== 'production'`).
- * @returns {SystemErrorClass} Экземпляр системной ошибки. Если `errorDefinition` невалидно в строгом режиме, возвращает ошибку `SYS.VALIDATION_FAILED`. Если происходит внутренняя ошибка конструктора, возвращает `SYS.UNEXPECTED`.
+ * @param {Function} [options.ErrorClass] - Наследник SystemError с привязанным определением (например, из `defineErrors`).
+ * @param {string} [options.locale] - Локаль сообщения (по умолчанию - глобальная локаль `getLocale()`).
+ * @returns {SystemErrorClass} Экземпляр системной ошибки. Если `errorDefinition` невалидно или контекст не соответствует `contextSchema` в строгом режиме, возвращает ошибку `SYS.VALIDATION_FAILED`. Если происходит внутренняя ошибка конструктора, возвращает `SYS.UNEXPECTED`.
  */
-export declare function createError (
-  errorDefinition: ErrorDefinition,
+export declare function createError<D extends ErrorDefinition | string> (
+  errorDefinition: UnregisteredErrorDefinition<D>,
   context?: Record<string, any> | null,
-  originalError?: Error | null,
-  options?: { strict?: boolean }
+  originalError?: Error | readonly Error[] | null,
+  options?: CreateErrorOptions
 ): SystemErrorClass;
 
 /**
- * Проверяет, соответствует ли цепочка ошибок (`error` и его `original` свойства) ожидаемой структуре.
+ * Проверяет, соответствует ли цепочка ошибок (`error` и его `original` или стандартный `cause`) ожидаемой структуре.
+ * Циклические цепочки обрываются на повторном уровне, длинные - на getMaxChainDepth() уровней.
  * Используется преимущественно в тестах.
  *
  * @function checkErrorChain
- * @param {Error | SystemErrorClass | null} error - Проверяемая ошибка (начало цепочки).
+ * @param {unknown} error - Проверяемая ошибка (начало цепочки; допускаются значения, не являющиеся Error).
  * @param {ErrorChainLevel[]} expectedChain - Массив объектов, описывающих ожидаемые уровни цепочки (код, тип, сообщение).
+ * @param {CheckErrorChainOptions} [options] - Опции (`partial` - проверка подпоследовательности уровней).
  * @returns {boolean} Возвращает `true`, если цепочка соответствует ожиданиям.
  * @throws {Error} Выбрасывает стандартную ошибку, если цепочка не соответствует ожиданиям (сообщение содержит детали несоответствия), или если `expectedChain` не является массивом.
  */
-export declare function checkErrorChain (error: Error | SystemErrorClass | null, expectedChain: ErrorChainLevel[]): boolean;
-
-// NOTE: isRecoverable не экспортируется из errors.js в предоставленном коде v0.1.8
-// Если она должна экспортироваться, нужно добавить:
-// /**
-//  * Проверяет, можно ли программно восстановиться после ошибки.
-//  * Для SystemError возвращает значение флага `recoverable` (по умолчанию true).
-//  * Для стандартных ошибок и других значений возвращает `true`.
-//  *
-//  * @function isRecoverable
-//  * @param {any} error - Проверяемая ошибка или другое значение.
-//  * @returns {boolean} `true`, если ошибка считается восстанавливаемой.
-//  */
-// export declare function isRecoverable(error: any): boolean;
+export declare function checkErrorChain (error: unknown, expectedChain: ErrorChainLevel[], options?: CheckErrorChainOptions): boolean;
+
+/**
+ * @const RECOVERABILITY_MODES
+ * @description Режимы анализа восстанавливаемости для `isRecoverable`.
+ */
+export declare const RECOVERABILITY_MODES: {
+  readonly TOP_LEVEL: 'top-level';
+  readonly CHAIN: 'chain';
+  readonly CUSTOM: 'custom';
+}
+
+/** Режим анализа восстанавливаемости. */
+export type RecoverabilityMode = typeof RECOVERABILITY_MODES[keyof typeof RECOVERABILITY_MODES]
+
+/**
+ * @interface RecoverabilityOptions
+ * @description Опции функции `isRecoverable`.
+ */
+export interface RecoverabilityOptions {
+  /** @property {RecoverabilityMode} [mode='top-level'] - Режим анализа цепочки. */
+  mode?: RecoverabilityMode;
+  /** @property {Function} [predicate] - Предикат для режима 'custom'; получает ошибку и массив уровней цепочки. */
+  predicate?: (error: unknown, chain: unknown[]) => boolean;
+}
+
+/**
+ * Проверяет, можно ли программно восстановиться после ошибки.
+ * SystemError классифицируются по флагу `recoverable`, системные ошибки Node.js - по `code`
+ * (ECONNRESET, ETIMEDOUT и т.п. - восстанавливаемы; EACCES, ENOENT и т.п. - нет),
+ * ошибки программиста (TypeError, ReferenceError и т.п.) - невосстанавливаемы, остальные значения - восстанавливаемы.
+ *
+ * @function isRecoverable
+ * @param {unknown} error - Проверяемая ошибка или другое значение.
+ * @param {RecoverabilityOptions} [options] - Режим анализа цепочки `original`.
+ * @returns {boolean} `true`, если ошибка считается восстанавливаемой.
+ * @throws {SystemErrorClass} SYS_INVALID_ARGUMENT - Неизвестный режим или отсутствует предикат в режиме 'custom'.
+ */
+export declare function isRecoverable (error: unknown, options?: RecoverabilityOptions): boolean;
 
 // --- Опционально: Типы для DI (если нужно использовать из TS) ---
 /**
@@ -115,6 +330,7 @@ export declare function checkErrorChain (error: Error | SystemErrorClass | null,
 export interface ErrorsDependencies {
   SystemError: typeof SystemErrorClass;
   ERROR_CODES: AllErrorCodes;
+  errorRegistry: ErrorRegistry;
 }
 
 /**
@@ -1,11 +1,16 @@
 /**
  * @file src/errors/errors.js
  * @description Основной API подсистемы обработки ошибок SYS_ERRORS
- * @version 0.1.8
+ * @version 0.26.0
  */
 
 import { SystemError } from './system-error.js'
 import { ERROR_CODES } from './codes.js'
+import { errorRegistry, validateDefinition } from './registry.js'
+import { safeSerialize } from './serialize.js'
+import { validateContext } from './context-schema.js'
+import { getLogger, flattenErrorChain } from './logging.js'
+import { describeValue, getChain, iterateChain, matchChainLevel } from './chain.js'
 
 /**
  * Класс системной ошибки, расширяет стандартный Error
@@ -21,6 +26,11 @@ import { ERROR_CODES } from './codes.js'
  * @property {boolean} [recoverable=true] - Можно ли программно восстановиться после этой ошибки.
  * @property {string[]} [contextKeys=[]] - Массив имен ключей, которые должны присутствовать в `context`.
  * @property {string} [docs] - URL или путь к документации по этой ошибке.
+ * @property {string[]} [sensitiveKeys=[]] - Ключи контекста с чувствительными данными (маскируются в сообщении, toJSON и логах).
+ * @property {Record<string, string>} [messages] - Локализованные шаблоны сообщения по локалям (с теми же плейсхолдерами, что и `message`).
+ * @property {import('./context-schema.js').ContextSchema} [contextSchema] - Схема контекста: типы, обязательность, enum,
+ *   вложенные объекты и элементы массивов (проверяется createError в строгом режиме).
+ * @property {number} [httpStatus=500] - HTTP-статус ответа для этой ошибки (400-599), см. toProblemDetails.
  */
 
 /**
@@ -28,10 +38,12 @@ import { ERROR_CODES } from './codes.js'
  * @typedef {object} ErrorsDependencies
  * @property {typeof SystemError} SystemError - Класс SystemError.
  * @property {object} ERROR_CODES - Объект с кодами ошибок.
+ * @property {import('./registry.js').ErrorRegistry} errorRegistry - Реестр кодов ошибок для поиска определений по строковому коду.
  */
 export const dependencies = {
   SystemError,
-  ERROR_CODES
+  ERROR_CODES,
+  errorRegistry
 }
 
 /**
@@ -42,99 +54,48 @@ export function setDependencies (newDependencies) {
   Object.assign(dependencies, newDependencies)
 }
 
-/**
- * Форматирует сообщение об ошибке с подстановкой контекста
- *
- * Основная ответственность:
- * - Подстановка значений из контекста в шаблон
- * - Обработка отсутствующих значений (null, undefined)
- * - Корректная обработка некорректного шаблона
- * Детерминированность: Да.
- *
- * @param {string} template - Шаблон сообщения с {placeholders}
- * @param {Object} [context={}] - Значения для подстановки
- * @returns {string} Отформатированное сообщение. Пустая строка, если template не является строкой.
- */
-export function formatMessage (template, context = {}) {
-  // Проверяем, что template является строкой
-  if (typeof template !== 'string') {
-    return ''
-  }
-  // Используем ?.toString() для безопасного преобразования,
-  // возвращаем исходный match ({key}), если значение null или undefined.
-  return template.replace(/{(\w+)}/g, (match, key) => {
-    const value = context?.[key]
-    // Если значение существует и не null/undefined, преобразуем в строку, иначе оставляем плейсхолдер
-    return value !== undefined && value !== null ? value.toString() : match
-  })
-}
-
-/**
- * Проверяет валидность определения ошибки
- *
- * Основная ответственность:
- * - Проверка, является ли definition подходящим объектом.
- * - Проверка наличия и корректности обязательных полей (code, message).
- * - Валидация формата code.
- * - Сбор списка проблем.
- * Детерминированность: Да.
- *
- * @param {any} definition - Проверяемое определение. Ожидается объект.
- * @returns {string[]} Список найденных проблем. Пустой массив, если проблем нет.
- */
-export function validateDefinition (definition) {
-  const problems = []
-
-  // ИСПРАВЛЕНО: Проверяем, что definition это не-null, не-массив объект
-  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
-    problems.push('Definition is missing or invalid.')
-    return problems // Дальнейшая проверка бессмысленна для не-объектов
-  }
-
-  // Проверка code
-  if (typeof definition.code !== 'string' || !definition.code) {
-    problems.push('Missing or invalid error code (must be a non-empty string).')
-  } else if (!/^[A-Z][A-Z0-9_]*$/.test(definition.code)) {
-    // Код должен начинаться с большой буквы и содержать только большие буквы, цифры и _
-    problems.push('Invalid error code format (must be UPPER_SNAKE_CASE, starting with a letter).')
-  }
-
-  // Проверка message
-  if (typeof definition.message !== 'string' || !definition.message) {
-    problems.push('Missing or invalid error message (must be a non-empty string).')
-  }
-
-  // Можно добавить другие проверки по необходимости (subsystem, recoverable и т.д.)
-
-  return problems
-}
-
 /**
  * Создает системную ошибку.
  * Является основной фабрикой для создания экземпляров SystemError.
  * Обрабатывает некорректные входные данные, валидирует определение и контекст (в строгом режиме).
+ * Контекст проверяется по `definition.contextSchema`; нарушения возвращаются как SYS_VALIDATION_FAILED,
+ * в `context.problems` которой перечислены все поля с нарушениями (с точными путями).
  * Формирует сообщение на основе шаблона и контекста.
  * При внутренних ошибках создания возвращает ошибку SYS_UNEXPECTED.
  * Детерминированность: Нет (зависит от NODE_ENV и может выбросить ошибку).
  *
- * @param {ErrorDefinition} errorDefinition - Определение ошибки из ERROR_CODES.
+ * @param {ErrorDefinition|string} errorDefinition - Определение ошибки из ERROR_CODES
+ *   или строковый код ошибки (например, 'SYS_VALIDATION_FAILED'), зарегистрированный в реестре.
  * @param {object} [context=null] - Контекст ошибки для подстановки в сообщение и сохранения.
- * @param {Error} [originalError=null] - Исходная ошибка для построения цепочки.
+ * @param {Error|Error[]} [originalError=null] - Исходная ошибка для построения цепочки
+ *   или массив исходных ошибок (несколько причин в `errors`, см. SystemError).
  * @param {object} [options={}] - Опции создания ошибки.
  * @param {boolean} [options.strict] - Строгий режим валидации (по умолчанию зависит от NODE_ENV).
+ * @param {string} [options.locale] - Локаль сообщения (по умолчанию - глобальная локаль getLocale()).
+ * @param {Function} [options.ErrorClass] - Наследник SystemError с привязанным определением и конструктором
+ *   `(context, originalError, options)`, например, класс из defineErrors. Ошибки валидации и SYS_UNEXPECTED
+ *   всегда создаются базовым классом.
  * @returns {SystemError} Экземпляр системной ошибки.
  */
 export function createError (errorDefinition, context = null, originalError = null, options = {}) {
-  // Получаем зависимости (SystemError и ERROR_CODES) из локального DI
-  const { SystemError: CurrentSystemError, ERROR_CODES: CurrentErrorCodes } = dependencies
+  // Получаем зависимости (SystemError, ERROR_CODES и реестр) из локального DI
+  const { SystemError: CurrentSystemError, ERROR_CODES: CurrentErrorCodes, errorRegistry: CurrentRegistry } = dependencies
 
   // Определяем режим валидации: строгий по умолчанию, если не production
   const strict = options.strict ?? process.env.NODE_ENV !== 'production'
 
+  // Строковый код разрешаем в определение через реестр
+  const isCode = typeof errorDefinition === 'string'
+  const definition = isCode ? CurrentRegistry.get(errorDefinition) : errorDefinition
+  // Чувствительные ключи исходного определения маскируются и во вложенном контексте служебных ошибок
+  const sensitiveKeys = Array.isArray(definition?.sensitiveKeys) ? definition.sensitiveKeys : []
+
   // 1. Валидация определения ошибки (только в строгом режиме)
   //    Проверяем само определение перед передачей в конструктор
   if (strict) {
-    const definitionProblems = validateDefinition(errorDefinition)
+    const definitionProblems = isCode && !definition
+      ? [`Unknown error code '${errorDefinition}' (not registered).`]
+      : validateDefinition(definition)
     if (definitionProblems.length > 0) {
       // Если определение некорректно, создаем ошибку валидации
       const validationContext = {
@@ -145,49 +106,190 @@ export function createError (errorDefinition, context = null, originalError = nu
       }
       // Используем SystemError из DI для создания ошибки валидации
       return new CurrentSystemError(
-        CurrentErrorCodes.SYS.VALIDATION_FAILED,
+        { ...CurrentErrorCodes.SYS.VALIDATION_FAILED, sensitiveKeys },
         validationContext,
-        originalError instanceof Error ? originalError : null // Сохраняем только реальные ошибки
-        // Не передаем options, чтобы избежать рекурсии валидации
+        originalError, // Конструктор сохраняет только реальные ошибки (одну или массив)
+        { locale: options.locale } // Не передаем strict, чтобы избежать рекурсии валидации
+      )
+    }
+
+    // Проверка контекста по схеме определения (наличие ключей contextKeys проверяет конструктор)
+    const contextProblems = definition.contextSchema ? validateContext(definition.contextSchema, context) : []
+    if (contextProblems.length > 0) {
+      return new CurrentSystemError(
+        { ...CurrentErrorCodes.SYS.VALIDATION_FAILED, sensitiveKeys },
+        {
+          reason: `Context does not match contextSchema of '${definition.code}'`,
+          problems: contextProblems,
+          problemsText: contextProblems.join('; '),
+          invalidContext: context
+        },
+        originalError,
+        { locale: options.locale }
       )
     }
   }
 
   // 2. Попытка создания целевой ошибки с помощью конструктора SystemError
   try {
+    // Класс с привязанным определением (например, сгенерированный defineErrors) получает только контекст
+    if (options.ErrorClass) {
+      return new options.ErrorClass(context, originalError, { strict, locale: options.locale })
+    }
     // Создаем экземпляр SystemError с переданными параметрами
     return new CurrentSystemError(
-      errorDefinition, // Определение целевой ошибки
+      definition, // Определение целевой ошибки
       context,
       originalError,
       // Передаем опции (включая strict) в конструктор,
       // чтобы он мог выполнить свои проверки (например, contextKeys)
-      { strict }
+      { strict, locale: options.locale }
     )
   } catch (creationError) {
     // 3. Обработка ошибок, возникших ВНУТРИ конструктора SystemError
     //    (например, при валидации contextKeys в строгом режиме или при невалидном definition в non-strict)
     const unexpectedErrorContext = {
       reason: creationError.message || 'Failed to create SystemError instance',
-      failedDefinition: errorDefinition,
+      failedDefinition: definition ?? errorDefinition,
       failedContext: context
     }
-    // Логируем эту ситуацию как критическую (можно добавить реальный логгер при необходимости)
-    console.error('[SYS_ERRORS FATAL]: Failed to create SystemError instance. Returning SYS_UNEXPECTED.', {
-      creationError, // Оригинальная ошибка конструктора
-      context: unexpectedErrorContext
-    })
+    // Логируем эту ситуацию как критическую через адаптер логгера (по умолчанию - console)
+    try {
+      const [creationLevel, ...causes] = flattenErrorChain(creationError) // Оригинальная ошибка конструктора
+      getLogger().log('fatal', 'Failed to create SystemError instance. Returning SYS_UNEXPECTED.', {
+        error: creationLevel,
+        causes,
+        context: safeSerialize(unexpectedErrorContext, { redact: true, sensitiveKeys })
+      })
+    } catch {
+      // Сбой логгера не должен мешать возврату SYS_UNEXPECTED
+    }
 
     // Возвращаем ошибку SYS_UNEXPECTED, используя SystemError из DI.
     return new CurrentSystemError(
-      CurrentErrorCodes.SYS.UNEXPECTED,
+      { ...CurrentErrorCodes.SYS.UNEXPECTED, sensitiveKeys },
       unexpectedErrorContext,
-      creationError // Ошибка конструктора становится original для SYS_UNEXPECTED
-      // Не передаем options во избежание рекурсии
+      creationError, // Ошибка конструктора становится original для SYS_UNEXPECTED
+      { locale: options.locale } // Не передаем strict во избежание рекурсии
     )
   }
 }
 
+/**
+ * Режимы анализа восстанавливаемости ошибки для функции isRecoverable
+ * - TOP_LEVEL: учитывается только верхний уровень цепочки.
+ * - CHAIN: вся цепочка невосстанавливаема, если невосстанавливаем хотя бы один уровень (`original`/`cause`, см. iterateChain).
+ * - CUSTOM: решение принимает пользовательский предикат `options.predicate`.
+ *
+ * @type {{TOP_LEVEL: string, CHAIN: string, CUSTOM: string}}
+ */
+export const RECOVERABILITY_MODES = Object.freeze({
+  TOP_LEVEL: 'top-level',
+  CHAIN: 'chain',
+  CUSTOM: 'custom'
+})
+
+/**
+ * Коды системных ошибок Node.js, считающиеся временными (восстанавливаемыми).
+ * @type {Set<string>}
+ * @private
+ */
+const TRANSIENT_SYSTEM_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'EHOSTUNREACH', 'EHOSTDOWN', 'ENETUNREACH', 'ENETDOWN', 'EAGAIN', 'EBUSY', 'EMFILE', 'ENFILE'
+])
+
+/**
+ * Коды системных ошибок Node.js, считающиеся постоянными (невосстанавливаемыми).
+ * @type {Set<string>}
+ * @private
+ */
+const PERMANENT_SYSTEM_CODES = new Set([
+  'EACCES', 'EPERM', 'ENOENT', 'ENOTDIR', 'EISDIR', 'EEXIST', 'ENOTEMPTY', 'EINVAL', 'EROFS', 'ENOSPC', 'ENOTFOUND'
+])
+
+/**
+ * Встроенные классы ошибок, указывающие на ошибку программиста (повтор операции не поможет).
+ * @type {Set<string>}
+ * @private
+ */
+const PROGRAMMER_ERROR_NAMES = new Set(['TypeError', 'ReferenceError', 'SyntaxError', 'RangeError', 'EvalError', 'URIError'])
+
+/**
+ * Классифицирует отдельную ошибку (без учета цепочки) по умолчанию.
+ *
+ * Правила (по порядку):
+ * - null/undefined и не-объекты (например, выброшенные строки) - восстанавливаемы;
+ * - явный булев флаг `recoverable` (SystemError и совместимые ошибки) - используется как есть;
+ * - системные ошибки Node.js по `code`: временные сетевые/ресурсные - восстанавливаемы, ошибки доступа/ФС - нет;
+ * - внутренние ошибки Node.js с кодом `ERR_*` - невосстанавливаемы;
+ * - TypeError, ReferenceError, SyntaxError и другие ошибки программиста - невосстанавливаемы;
+ * - остальные ошибки - восстанавливаемы.
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Классифицируемая ошибка.
+ * @returns {boolean} `true`, если ошибка считается восстанавливаемой.
+ * @private
+ */
+function classifyRecoverability (error) {
+  if (!error || typeof error !== 'object') {
+    return true
+  }
+  if (typeof error.recoverable === 'boolean') {
+    return error.recoverable
+  }
+  if (typeof error.code === 'string') {
+    if (TRANSIENT_SYSTEM_CODES.has(error.code)) return true
+    if (PERMANENT_SYSTEM_CODES.has(error.code) || error.code.startsWith('ERR_')) return false
+  }
+  return !PROGRAMMER_ERROR_NAMES.has(error.name)
+}
+
+/**
+ * Проверяет, можно ли программно восстановиться после ошибки.
+ *
+ * Основная ответственность:
+ * - Классификация отдельных ошибок (SystemError по флагу `recoverable`, системные ошибки Node.js
+ *   по `code`, встроенные ошибки по классу).
+ * - Применение политики анализа цепочки (`original`/`cause`, с ограничением глубины и защитой от циклов)
+ *   согласно `options.mode`.
+ * Детерминированность: Да (для детерминированного предиката).
+ *
+ * @param {any} error - Проверяемая ошибка или другое выброшенное значение.
+ * @param {object} [options={}] - Опции анализа.
+ * @param {string} [options.mode='top-level'] - Режим анализа, одно из значений RECOVERABILITY_MODES.
+ * @param {(error: any, chain: any[]) => boolean} [options.predicate] - Предикат для режима CUSTOM;
+ *   получает верхнюю ошибку и массив уровней цепочки.
+ * @returns {boolean} `true`, если после ошибки можно восстановиться.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если режим неизвестен или для режима CUSTOM не передан предикат.
+ */
+export function isRecoverable (error, options = {}) {
+  const { mode = RECOVERABILITY_MODES.TOP_LEVEL, predicate } = options
+
+  switch (mode) {
+    case RECOVERABILITY_MODES.TOP_LEVEL:
+      return classifyRecoverability(error)
+    case RECOVERABILITY_MODES.CHAIN:
+      for (const level of iterateChain(error)) {
+        if (!classifyRecoverability(level)) return false
+      }
+      return true
+    case RECOVERABILITY_MODES.CUSTOM:
+      if (typeof predicate !== 'function') {
+        throw createError(dependencies.ERROR_CODES.SYS.INVALID_ARGUMENT, {
+          name: 'options.predicate',
+          reason: `must be a function in '${RECOVERABILITY_MODES.CUSTOM}' mode`
+        })
+      }
+      return Boolean(predicate(error, getChain(error)))
+    default:
+      throw createError(dependencies.ERROR_CODES.SYS.INVALID_ARGUMENT, {
+        name: 'options.mode',
+        reason: `unknown mode '${mode}', expected one of: ${Object.values(RECOVERABILITY_MODES).join(', ')}`
+      })
+  }
+}
+
 /**
  * Описание уровня в цепочке ошибок для функции checkErrorChain
  * @typedef {object} ErrorChainLevel
@@ -196,79 +298,71 @@ export function createError (errorDefinition, context = null, originalError = nu
  * @property {string|string[]} [message] - Ожидаемый фрагмент(ы) сообщения для поиска (регистронезависимо).
  */
 
+/**
+ * Опции проверки цепочки ошибок
+ * @typedef {object} CheckErrorChainOptions
+ * @property {boolean} [partial=false] - Частичный режим: ожидаемые уровни должны встречаться в цепочке в том же порядке,
+ *   но не обязательно подряд и не обязательно все уровни цепочки (подпоследовательность).
+ */
+
 /**
  * Проверяет, соответствует ли цепочка ошибок ожидаемой структуре.
  * Используется преимущественно в тестах для валидации корректности обработки ошибок.
  * Сравнивает код, тип (опционально) и сообщение (опционально) для каждого уровня цепочки.
- * Детерминированность: Да.
+ * Следующий уровень - `original` или стандартный `cause` (сторонние ошибки); циклические цепочки обрываются
+ * на повторном уровне, длинные - на getMaxChainDepth() уровней.
+ * В частичном режиме (`options.partial`) ожидаемые уровни ищутся в цепочке как подпоследовательность:
+ * например, `[{ code: 'SYS_VALIDATION_FAILED' }]` - "где-то в цепочке есть SYS_VALIDATION_FAILED".
+ * Детерминированность: Да (для неизменной глубины цепочки).
  *
  * @param {Error|SystemError|null} error - Проверяемая ошибка (начало цепочки).
  * @param {ErrorChainLevel[]} expectedChain - Массив объектов, описывающих ожидаемые уровни цепочки.
+ * @param {CheckErrorChainOptions} [options={}] - Опции проверки.
  * @returns {boolean} `true` если цепочка соответствует ожиданиям.
  * @throws {Error} Если цепочка не соответствует ожиданиям (сообщение содержит детали несоответствия).
  */
-export function checkErrorChain (error, expectedChain) {
-  let currentError = error
-  let levelIndex = 0
-
+export function checkErrorChain (error, expectedChain, options = {}) {
   if (!Array.isArray(expectedChain)) {
     throw new Error('checkErrorChain failed: expectedChain must be an array.')
   }
 
-  while (levelIndex < expectedChain.length) {
-    const expectedLevel = expectedChain[levelIndex]
-    const errorPrefix = `Error chain mismatch at level ${levelIndex}`
-
-    // Проверяем, есть ли еще ошибки в цепочке
-    if (!currentError) {
-      throw new Error(`Error chain validation failed: Expected ${expectedChain.length} levels, but error chain ended at level ${levelIndex}.`)
-    }
-
-    // Проверяем, является ли текущий элемент ошибкой
-    if (!(currentError instanceof Error)) {
-      throw new Error(`${errorPrefix}: Expected an Error object, but got ${typeof currentError}. Value: ${currentError}`)
-    }
+  const levels = getChain(error)
 
-    // 1. Проверка кода ошибки
-    if (expectedLevel.code) {
-      if (typeof currentError.code !== 'string') {
-        throw new Error(`${errorPrefix}: Expected code '${expectedLevel.code}', but error has no 'code' property or it's not a string. Error: ${currentError?.constructor?.name}`)
+  if (options.partial) {
+    // Жадный поиск ожидаемых уровней по порядку
+    let levelIndex = 0
+    expectedChain.forEach((expectedLevel, expectedIndex) => {
+      while (levelIndex < levels.length && matchChainLevel(levels[levelIndex], expectedLevel) !== null) {
+        levelIndex++
       }
-      if (currentError.code !== expectedLevel.code) {
-        throw new Error(`${errorPrefix}: Expected code '${expectedLevel.code}', got '${currentError.code}'. Message: "${currentError.message}"`)
+      if (levelIndex >= levels.length) {
+        const actualChain = levels.map(level => level instanceof Error
+          ? `${level.constructor?.name} [${level.code}] "${level.message}"`
+          : describeValue(level)).join(' -> ')
+        throw new Error(`Error chain validation failed: Expected level ${expectedIndex} ${JSON.stringify(expectedLevel)} not found in chain (in order). Actual chain: ${actualChain || '(empty)'}`)
       }
-    }
+      levelIndex++
+    })
+    return true
+  }
 
-    // 2. Проверка типа ошибки (если указан)
-    if (expectedLevel.type) {
-      const actualType = currentError.constructor.name
-      if (actualType !== expectedLevel.type) {
-        throw new Error(`${errorPrefix}: Expected type '${expectedLevel.type}', got '${actualType}'. Message: "${currentError.message}"`)
-      }
-    }
+  let levelIndex = 0
+  let currentError = levels[0] ?? null
 
-    // 3. Проверка содержания сообщения (если указано)
-    if (expectedLevel.message) {
-      if (typeof currentError.message !== 'string') {
-        throw new Error(`${errorPrefix}: Error message is not a string or missing. Error: ${currentError?.constructor?.name}`)
-      }
-      const currentMessageLower = currentError.message.toLowerCase()
-      const expectedMessages = Array.isArray(expectedLevel.message) ? expectedLevel.message : [expectedLevel.message]
+  while (levelIndex < expectedChain.length) {
+    // Проверяем, есть ли еще ошибки в цепочке
+    if (!currentError) {
+      throw new Error(`Error chain validation failed: Expected ${expectedChain.length} levels, but error chain ended at level ${levelIndex}.`)
+    }
 
-      for (const expectedMsg of expectedMessages) {
-        if (typeof expectedMsg !== 'string') {
-          // Убедимся, что ожидаемое сообщение - строка
-          throw new Error(`${errorPrefix}: Invalid expected message fragment (must be string or array of strings). Got type: ${typeof expectedMsg}`)
-        }
-        if (!currentMessageLower.includes(expectedMsg.toLowerCase())) {
-          throw new Error(`${errorPrefix}: Message does not contain expected text '${expectedMsg}'. Full message: "${currentError.message}"`)
-        }
-      }
+    const mismatch = matchChainLevel(currentError, expectedChain[levelIndex])
+    if (mismatch !== null) {
+      throw new Error(`Error chain mismatch at level ${levelIndex}: ${mismatch}`)
     }
 
     // Переход к следующему уровню
-    currentError = currentError.original
     levelIndex++
+    currentError = levels[levelIndex] ?? null
   }
 
   // Проверка, что в ошибке не осталось необработанных уровней (опционально)
@@ -282,3 +376,74 @@ export function checkErrorChain (error, expectedChain) {
 // Реэкспорт базовых сущностей для удобства импорта
 export { SystemError } from './system-error.js'
 export { ERROR_CODES } from './codes.js'
+export {
+  validateDefinition,
+  createErrorRegistry,
+  errorRegistry,
+  registerErrorCodes,
+  getErrorDefinition,
+  listErrorCodes,
+  freezeErrorCodes
+} from './registry.js'
+export { withRetry } from './retry.js'
+export { defineErrors } from './define-errors.js'
+export { deserializeError, fromProblemDetails } from './deserialize.js'
+export {
+  REDACTED,
+  DEFAULT_REDACTION_CONFIG,
+  configureRedaction,
+  getRedactionConfig,
+  isSensitiveKey,
+  redactString,
+  redactValue
+} from './redact.js'
+export { DEFAULT_SERIALIZE_OPTIONS, safeSerialize } from './serialize.js'
+export { formatMessage, renderTemplate, compileTemplate, clearTemplateCache, getPlaceholders } from './template.js'
+export { DEFAULT_LOCALE, setLocale, getLocale, resolveMessageTemplate, checkMessageCatalog } from './i18n.js'
+export { SCHEMA_TYPES, validateContext, checkContextSchema } from './context-schema.js'
+export {
+  LOG_LEVELS,
+  createConsoleAdapter,
+  createPinoAdapter,
+  createWinstonAdapter,
+  setLogger,
+  getLogger,
+  flattenErrorChain,
+  logError
+} from './logging.js'
+export {
+  PROBLEM_CONTENT_TYPE,
+  DEFAULT_HTTP_STATUS,
+  isErrorHttpStatus,
+  getHttpStatus,
+  toProblemDetails
+} from './problem-details.js'
+export {
+  normalizeHttpError,
+  buildErrorResponse,
+  createExpressErrorHandler,
+  createFastifyErrorHandler,
+  createKoaErrorMiddleware
+} from './http-middleware.js'
+export { AMBIENT_CONTEXT_KEY, withErrorContext, getErrorContext, mergeAmbientContext } from './async-context.js'
+export { wrapOperation, operation } from './operation.js'
+export { ok, err, isResult, tryCatch, tryCatchAsync, map, mapErr, andThen, unwrap, combine } from './result.js'
+export { fromSettledResults, checkErrorTree } from './aggregate.js'
+export {
+  DEFAULT_MAX_CHAIN_DEPTH,
+  setMaxChainDepth,
+  getMaxChainDepth,
+  getCause,
+  iterateChain,
+  getChain,
+  findInChain,
+  hasCode,
+  getRootCause,
+  getSubsystems,
+  matchChainLevel,
+  describeValue
+} from './chain.js'
+export { errorMatchers, installErrorMatchers } from './matchers.js'
+export { DEFAULT_STABLE_RULES, toStableJSON, createErrorSnapshotSerializer, errorSnapshotSerializer } from './snapshot.js'
+export { CATALOG_FORMATS, toDocsAnchor, buildErrorCatalog, generateErrorDocs, checkErrorDocs } from './catalog.js'
+export { generateErrorTypes } from './typegen.js'
@@ -0,0 +1,36 @@
+/**
+ * @file src/errors/eslint-plugin.d.ts
+ * @description TypeScript декларации для ESLint-плагина sys-errors (без зависимости от типов ESLint).
+ * @version 0.1.0
+ */
+
+/** Имена правил плагина. */
+export type SysErrorsRuleName =
+  | 'create-error-context'
+  | 'placeholders-in-context-keys'
+  | 'code-subsystem-prefix'
+  | 'no-raw-error-throw'
+  | 'require-original-on-rethrow'
+
+/**
+ * @interface SysErrorsPlugin
+ * @description ESLint-плагин (flat config): правила и готовая конфигурация `recommended`.
+ */
+export interface SysErrorsPlugin {
+  /** @property {{ name: string }} meta - Метаданные плагина. */
+  meta: { name: string };
+  /** @property {Record<SysErrorsRuleName, object>} rules - Правила ESLint. */
+  rules: Record<SysErrorsRuleName, object>;
+  /** @property {{ recommended: object }} configs - Конфигурации для flat config. */
+  configs: {
+    recommended: {
+      plugins: { 'sys-errors': SysErrorsPlugin };
+      rules: Record<`sys-errors/${SysErrorsRuleName}`, 'error' | 'warn'>;
+    };
+  };
+}
+
+/** ESLint-плагин sys-errors. */
+export declare const sysErrorsPlugin: SysErrorsPlugin;
+
+export default sysErrorsPlugin
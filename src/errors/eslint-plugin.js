@@ -0,0 +1,468 @@
+/**
+ * @file src/errors/eslint-plugin.js
+ * @description ESLint-плагин (flat config) для статических проверок определений ошибок и мест их создания:
+ *   контекст createError, плейсхолдеры и contextKeys, префиксы кодов, сырые Error и цепочки при повторном выбросе
+ * @version 0.1.0
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { getErrorDefinition } from './registry.js'
+import { getPlaceholders } from './template.js'
+
+/**
+ * Маркер значения, которое нельзя вычислить статически.
+ * @type {symbol}
+ * @private
+ */
+const UNKNOWN = Symbol('unknown')
+
+/**
+ * Модули пакета, экспортирующие ERROR_CODES (для разрешения `ERROR_CODES.SYS.*` в импортирующем коде).
+ * @type {RegExp}
+ * @private
+ */
+const PACKAGE_SOURCE = /^@fab33\/sys-errors(\/.*)?$|\/(codes|errors)\.js$/
+
+/**
+ * Возвращает статическое имя ключа свойства или члена (`a.b`, `a['b']`, `{ b: ... }`, `{ 'b': ... }`).
+ *
+ * @param {object} node - Узел Property или MemberExpression.
+ * @returns {string|null} Имя или `null`, если ключ вычисляемый.
+ * @private
+ */
+function getStaticKey (node) {
+  const key = node.type === 'MemberExpression' ? node.property : node.key
+  if (!node.computed && key.type === 'Identifier') return key.name
+  return key.type === 'Literal' && typeof key.value === 'string' ? key.value : null
+}
+
+/**
+ * Возвращает имя вызываемой функции: `createError(...)` и `errors.createError(...)` -> 'createError'.
+ *
+ * @param {object} node - Узел CallExpression или NewExpression.
+ * @returns {string|null} Имя или `null`, если его нельзя определить статически.
+ * @private
+ */
+function getCalleeName (node) {
+  const callee = node.callee
+  if (callee.type === 'Identifier') return callee.name
+  return callee.type === 'MemberExpression' ? getStaticKey(callee) : null
+}
+
+/**
+ * Вычисляет значение литерала (строки, числа, массивы и объекты из литералов).
+ * Объекты с вычисляемыми ключами или spread получают `UNKNOWN` в ключе `[UNKNOWN]`.
+ *
+ * @param {object} node - Узел выражения.
+ * @returns {any} Значение или `UNKNOWN`.
+ * @private
+ */
+function toStaticValue (node) {
+  if (!node) return UNKNOWN
+  if (node.type === 'Literal') return node.value
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked
+  if (node.type === 'ArrayExpression') {
+    const items = node.elements.map(toStaticValue)
+    return items.includes(UNKNOWN) ? UNKNOWN : items
+  }
+  if (node.type === 'ObjectExpression') {
+    const result = {}
+    for (const property of node.properties) {
+      const key = property.type === 'Property' ? getStaticKey(property) : null
+      if (key === null) result[UNKNOWN] = true
+      else result[key] = toStaticValue(property.value)
+    }
+    return result
+  }
+  return UNKNOWN
+}
+
+/**
+ * Ищет переменную по имени в цепочке областей видимости.
+ *
+ * @param {object} scope - Область видимости ESLint.
+ * @param {string} name - Имя переменной.
+ * @returns {object|null} Переменная или `null`.
+ * @private
+ */
+function findVariable (scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name)
+    if (variable) return variable
+  }
+  return null
+}
+
+/**
+ * Возвращает область видимости узла (ESLint 8.37+ и 9: `sourceCode.getScope`, ранее - `context.getScope`).
+ *
+ * @param {object} context - Контекст правила.
+ * @param {object} node - Узел.
+ * @returns {object} Область видимости.
+ * @private
+ */
+function getScope (context, node) {
+  const sourceCode = context.sourceCode ?? context.getSourceCode()
+  return sourceCode.getScope ? sourceCode.getScope(node) : context.getScope()
+}
+
+/**
+ * Разрешает определение ошибки, переданное в createError, без выполнения кода.
+ *
+ * Основная ответственность:
+ * - Строковый код - поиск среди определений текущего файла, затем в реестре пакета.
+ * - Идентификатор или цепочка членов (`MY_CODES.LOAD_FAILED`) - объектный литерал в инициализаторе переменной
+ *   текущего файла или `ERROR_CODES` пакета (импорт из '@fab33/sys-errors', codes.js или errors.js).
+ *
+ * @param {object} node - Узел первого аргумента createError.
+ * @param {object} context - Контекст правила.
+ * @param {Map<string, object>} fileDefinitions - Определения текущего файла по коду.
+ * @returns {object|null} Определение (`code`, `message`, `contextKeys`) или `null`, если разрешить не удалось.
+ * @private
+ */
+function resolveDefinition (node, context, fileDefinitions) {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return fileDefinitions.get(node.value) ?? getErrorDefinition(node.value) ?? null
+  }
+  const path = []
+  let current = node
+  while (current.type === 'MemberExpression') {
+    const key = getStaticKey(current)
+    if (key === null) return null
+    path.unshift(key)
+    current = current.object
+  }
+  if (current.type !== 'Identifier') return null
+  const definition = findVariable(getScope(context, node), current.name)?.defs[0]
+  let value = UNKNOWN
+  if (definition?.type === 'Variable' && definition.node.id.type === 'Identifier' && definition.node.init) {
+    value = toStaticValue(definition.node.init)
+  } else if (definition?.type === 'ImportBinding' && PACKAGE_SOURCE.test(definition.parent.source.value) &&
+    definition.node.type === 'ImportSpecifier' && definition.node.imported.name === 'ERROR_CODES') {
+    value = ERROR_CODES
+  }
+  for (const key of path) {
+    if (value === UNKNOWN || value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return null
+    value = value[key]
+  }
+  return value !== null && typeof value === 'object' && typeof value.message === 'string' ? value : null
+}
+
+/**
+ * Проверяет, похож ли объектный литерал на определение ошибки (строковые `code` и `message`).
+ *
+ * @param {object} node - Узел ObjectExpression.
+ * @returns {object|null} Статическое значение определения или `null`.
+ * @private
+ */
+function asDefinition (node) {
+  const value = toStaticValue(node)
+  return typeof value.code === 'string' && typeof value.message === 'string' ? value : null
+}
+
+/**
+ * Возвращает корневые ключи обязательных плейсхолдеров сообщения (без значения по умолчанию).
+ *
+ * @param {string} message - Шаблон сообщения.
+ * @returns {string[]} Ключи контекста.
+ * @private
+ */
+function getRequiredPlaceholderKeys (message) {
+  return [...new Set(getPlaceholders(message, { required: true }).map(path => path.split('.')[0]))]
+}
+
+/**
+ * Возвращает JSDoc-комментарий функции: блок `/** ... *\/` перед объявлением, экспортом, переменной или свойством.
+ *
+ * @param {object} node - Узел функции.
+ * @param {object} sourceCode - Исходный код ESLint.
+ * @returns {string|null} Текст комментария или `null`.
+ * @private
+ */
+function getFunctionJSDoc (node, sourceCode) {
+  let target = node
+  const parent = node.parent
+  if (parent?.type === 'VariableDeclarator') target = parent.parent
+  else if (parent?.type === 'MethodDefinition' || parent?.type === 'Property') target = parent
+  if (target.parent?.type === 'ExportNamedDeclaration' || target.parent?.type === 'ExportDefaultDeclaration') {
+    target = target.parent
+  }
+  const comment = sourceCode.getCommentsBefore(target).at(-1)
+  return comment?.type === 'Block' && comment.value.startsWith('*') ? comment.value : null
+}
+
+/**
+ * Проверяет, ссылается ли поддерево на переменную.
+ *
+ * @param {object} node - Корень поддерева.
+ * @param {string} name - Имя переменной.
+ * @param {object} visitorKeys - Ключи обхода AST.
+ * @returns {boolean} `true`, если идентификатор с именем найден.
+ * @private
+ */
+function referencesName (node, name, visitorKeys) {
+  if (!node || typeof node !== 'object') return false
+  if (node.type === 'Identifier' && node.name === name) return true
+  return (visitorKeys[node.type] ?? []).some(key => {
+    const child = node[key]
+    return Array.isArray(child) ? child.some(item => referencesName(item, name, visitorKeys)) : referencesName(child, name, visitorKeys)
+  })
+}
+
+/**
+ * Правило: контекст-литерал createError содержит `contextKeys` и обязательные плейсхолдеры определения.
+ * @type {object}
+ */
+const createErrorContext = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Require createError context literals to provide contextKeys and required message placeholders' },
+    schema: [],
+    messages: {
+      missingKeys: 'createError context for {{code}} is missing key(s): {{keys}}.',
+      missingContext: 'createError for {{code}} requires a context with key(s): {{keys}}.'
+    }
+  },
+  create (context) {
+    const fileDefinitions = new Map()
+    const calls = []
+    return {
+      ObjectExpression (node) {
+        const definition = asDefinition(node)
+        if (definition) fileDefinitions.set(definition.code, definition)
+      },
+      CallExpression (node) {
+        if (getCalleeName(node) === 'createError' && node.arguments.length > 0) calls.push(node)
+      },
+      // Определения могут располагаться в файле после вызовов
+      'Program:exit' () {
+        for (const node of calls) {
+          const definition = resolveDefinition(node.arguments[0], context, fileDefinitions)
+          if (!definition) continue
+          const contextKeys = Array.isArray(definition.contextKeys) ? definition.contextKeys.filter(key => typeof key === 'string') : []
+          const required = [...new Set([...contextKeys, ...getRequiredPlaceholderKeys(definition.message)])]
+          if (required.length === 0) continue
+          const argument = node.arguments[1]
+          if (!argument || (argument.type === 'Literal' && argument.value === null)) {
+            context.report({ node, messageId: 'missingContext', data: { code: definition.code, keys: required.join(', ') } })
+            continue
+          }
+          if (argument.type !== 'ObjectExpression') continue
+          const value = toStaticValue(argument)
+          // Spread и вычисляемые ключи - набор ключей неизвестен
+          if (value[UNKNOWN]) continue
+          const missing = required.filter(key => !Object.hasOwn(value, key))
+          if (missing.length > 0) {
+            context.report({ node: argument, messageId: 'missingKeys', data: { code: definition.code, keys: missing.join(', ') } })
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Правило: обязательные плейсхолдеры сообщения определения перечислены в `contextKeys`.
+ * Опция `requireContextKeys` - требовать `contextKeys` у определений с плейсхолдерами.
+ * @type {object}
+ */
+const placeholdersInContextKeys = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Require message placeholders of error definitions to be listed in contextKeys' },
+    schema: [{
+      type: 'object',
+      properties: { requireContextKeys: { type: 'boolean' } },
+      additionalProperties: false
+    }],
+    messages: {
+      notListed: 'Placeholder {{{placeholder}}} of {{code}} is not listed in contextKeys.',
+      missingContextKeys: '{{code}} has placeholders ({{keys}}) but no contextKeys.'
+    }
+  },
+  create (context) {
+    const { requireContextKeys = false } = context.options[0] ?? {}
+    return {
+      ObjectExpression (node) {
+        const definition = asDefinition(node)
+        if (!definition) return
+        const placeholders = getRequiredPlaceholderKeys(definition.message)
+        if (placeholders.length === 0) return
+        if (!Array.isArray(definition.contextKeys)) {
+          if (requireContextKeys && !Object.hasOwn(definition, 'contextKeys')) {
+            context.report({ node, messageId: 'missingContextKeys', data: { code: definition.code, keys: placeholders.join(', ') } })
+          }
+          return
+        }
+        const messageNode = node.properties.find(property => property.type === 'Property' && getStaticKey(property) === 'message')
+        for (const placeholder of placeholders.filter(key => !definition.contextKeys.includes(key))) {
+          context.report({ node: messageNode.value, messageId: 'notListed', data: { placeholder, code: definition.code } })
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Правило: код определения начинается с префикса подсистемы - ключа агрегированной таблицы
+ * (`ERROR_CODES.SYS` -> 'SYS_') или поля `subsystem` ('my-db' -> 'MY_DB_').
+ * @type {object}
+ */
+const codeSubsystemPrefix = {
+  meta: {
+    type: 'suggestion',
+    docs: { description: 'Require error codes to be prefixed by their subsystem' },
+    schema: [],
+    messages: {
+      badPrefix: "Error code '{{code}}' must start with {{prefixes}}."
+    }
+  },
+  create (context) {
+    return {
+      ObjectExpression (node) {
+        const definition = asDefinition(node)
+        if (!definition) return
+        const prefixes = []
+        // Определение -> запись таблицы -> таблица -> свойство агрегированной таблицы
+        const aggregate = node.parent?.type === 'Property' && node.parent.parent?.type === 'ObjectExpression'
+          ? node.parent.parent.parent
+          : null
+        const aggregateKey = aggregate?.type === 'Property' ? getStaticKey(aggregate) : null
+        if (aggregateKey && /^[A-Z][A-Z0-9_]*$/.test(aggregateKey)) prefixes.push(`${aggregateKey}_`)
+        if (typeof definition.subsystem === 'string' && definition.subsystem) {
+          prefixes.push(`${definition.subsystem.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`)
+        }
+        if (prefixes.length === 0 || prefixes.some(prefix => definition.code.startsWith(prefix))) return
+        const codeNode = node.properties.find(property => property.type === 'Property' && getStaticKey(property) === 'code')
+        context.report({
+          node: codeNode.value,
+          messageId: 'badPrefix',
+          data: { code: definition.code, prefixes: [...new Set(prefixes)].map(prefix => `'${prefix}'`).join(' or ') }
+        })
+      }
+    }
+  }
+}
+
+/**
+ * Правило: функции, документированные `@throws {SystemError}`, не выбрасывают `new Error(...)`.
+ * @type {object}
+ */
+const noRawErrorThrow = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Disallow throwing raw Error in functions documented with @throws {SystemError}' },
+    schema: [],
+    messages: {
+      rawError: 'Function is documented to throw SystemError; use createError instead of new Error().'
+    }
+  },
+  create (context) {
+    const sourceCode = context.sourceCode ?? context.getSourceCode()
+    const functions = []
+    const enter = node => {
+      const jsdoc = getFunctionJSDoc(node, sourceCode)
+      functions.push(jsdoc !== null && /@throws\s*\{\s*SystemError\s*\}/.test(jsdoc))
+    }
+    const exit = () => functions.pop()
+    return {
+      FunctionDeclaration: enter,
+      FunctionExpression: enter,
+      ArrowFunctionExpression: enter,
+      'FunctionDeclaration:exit': exit,
+      'FunctionExpression:exit': exit,
+      'ArrowFunctionExpression:exit': exit,
+      ThrowStatement (node) {
+        const argument = node.argument
+        const isRawError = (argument.type === 'NewExpression' || argument.type === 'CallExpression') &&
+          argument.callee.type === 'Identifier' && getCalleeName(argument) === 'Error'
+        if (isRawError && functions.at(-1) === true) {
+          context.report({ node: argument, messageId: 'rawError' })
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Правило: новая ошибка, созданная и выброшенная в catch (`new X(...)` или `createError(...)`), сохраняет перехваченную
+ * в цепочке (аргумент `original` createError, `{ cause }` или любой аргумент `new`, ссылающийся на перехваченную ошибку).
+ * Вызовы прочих функций не проверяются - вспомогательные функции могут связывать цепочку сами.
+ * @type {object}
+ */
+const requireOriginalOnRethrow = {
+  meta: {
+    type: 'suggestion',
+    docs: { description: 'Require errors thrown in catch blocks to chain the caught error as original' },
+    schema: [],
+    messages: {
+      missingOriginal: 'Error thrown in catch block does not chain the caught error{{name}}; pass it as original.'
+    }
+  },
+  create (context) {
+    const sourceCode = context.sourceCode ?? context.getSourceCode()
+    const catches = []
+    const functions = []
+    return {
+      CatchClause (node) {
+        catches.push({ node, depth: functions.length })
+      },
+      'CatchClause:exit' () {
+        catches.pop()
+      },
+      ':function' (node) {
+        functions.push(node)
+      },
+      ':function:exit' () {
+        functions.pop()
+      },
+      ThrowStatement (node) {
+        const current = catches.at(-1)
+        // throw во вложенной функции не относится к catch
+        if (!current || current.depth !== functions.length) return
+        const argument = node.argument
+        const isCreateError = argument.type === 'CallExpression' && getCalleeName(argument) === 'createError'
+        if (argument.type !== 'NewExpression' && !isCreateError) return
+        const param = current.node.param
+        if (param?.type === 'Identifier') {
+          // В createError цепочку задает только original
+          const args = isCreateError ? argument.arguments.slice(2) : argument.arguments
+          if (args.some(arg => referencesName(arg, param.name, sourceCode.visitorKeys))) return
+        } else if (param) {
+          return // Деструктуризация - связь с ошибкой не отслеживается
+        }
+        context.report({ node: argument, messageId: 'missingOriginal', data: { name: param ? ` '${param.name}'` : '' } })
+      }
+    }
+  }
+}
+
+/**
+ * ESLint-плагин sys-errors (flat config): `plugins: { 'sys-errors': sysErrorsPlugin }`
+ * или готовая конфигурация `sysErrorsPlugin.configs.recommended`.
+ * @type {{ meta: object, rules: Record<string, object>, configs: Record<string, object> }}
+ */
+export const sysErrorsPlugin = {
+  meta: { name: '@fab33/sys-errors/eslint-plugin' },
+  rules: {
+    'create-error-context': createErrorContext,
+    'placeholders-in-context-keys': placeholdersInContextKeys,
+    'code-subsystem-prefix': codeSubsystemPrefix,
+    'no-raw-error-throw': noRawErrorThrow,
+    'require-original-on-rethrow': requireOriginalOnRethrow
+  },
+  configs: {}
+}
+
+sysErrorsPlugin.configs.recommended = {
+  plugins: { 'sys-errors': sysErrorsPlugin },
+  rules: {
+    'sys-errors/create-error-context': 'error',
+    'sys-errors/placeholders-in-context-keys': 'error',
+    'sys-errors/code-subsystem-prefix': 'error',
+    'sys-errors/no-raw-error-throw': 'error',
+    'sys-errors/require-original-on-rethrow': 'warn'
+  }
+}
+
+export default sysErrorsPlugin
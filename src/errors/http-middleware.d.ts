@@ -0,0 +1,98 @@
+/**
+ * @file src/errors/http-middleware.d.ts
+ * @description TypeScript декларации для обработчиков ошибок HTTP-фреймворков (Express, Fastify, Koa).
+ * @version 0.1.0
+ */
+
+import { SystemError } from './system-error'
+import { ProblemDetails } from './problem-details'
+
+/**
+ * @interface HttpErrorHandlerOptions
+ * @description Опции обработчиков ошибок HTTP-фреймворков.
+ */
+export interface HttpErrorHandlerOptions {
+  /** @property {boolean} [production] - Скрывать `stack` и `original` (по умолчанию `NODE_ENV === 'production'`). */
+  production?: boolean;
+  /** @property {string} [requestIdHeader='x-request-id'] - Заголовок идентификатора запроса. */
+  requestIdHeader?: string;
+  /** @property {Function} [getRequestId] - Получение идентификатора запроса. */
+  getRequestId?: (request: HttpRequestInfo) => string | undefined;
+  /** @property {boolean} [log=true] - Записывать ли ошибку через logError. */
+  log?: boolean;
+  /** @property {string} [locale] - Локаль `title` и `detail` ответа. */
+  locale?: string;
+}
+
+/**
+ * @interface HttpRequestInfo
+ * @description Сведения о запросе, используемые при формировании ответа.
+ */
+export interface HttpRequestInfo {
+  method?: string;
+  url?: string;
+  headers?: Record<string, string | string[] | undefined>;
+  /** Идентификатор запроса фреймворка (например, `request.id` у Fastify). */
+  id?: string;
+}
+
+/**
+ * @interface HttpErrorResponse
+ * @description HTTP-ответ с ошибкой.
+ */
+export interface HttpErrorResponse {
+  status: number;
+  headers: Record<string, string>;
+  /** Problem details; вне production - также `stack` и `original`. */
+  body: ProblemDetails;
+  error: SystemError;
+}
+
+/**
+ * Приводит ошибку обработчика к SystemError: ошибки фреймворков 4xx - SYS_REQUEST_FAILED,
+ * прочие - SYS_UNEXPECTED с исходной ошибкой в `original`.
+ *
+ * @function normalizeHttpError
+ * @param {unknown} error - Ошибка обработчика.
+ * @param {{ production?: boolean }} [options] - Опции.
+ * @returns {SystemError} Ошибка для ответа.
+ */
+export declare function normalizeHttpError (error: unknown, options?: { production?: boolean }): SystemError;
+
+/**
+ * Формирует HTTP-ответ (problem details) по ошибке обработчика и записывает ошибку в лог.
+ *
+ * @function buildErrorResponse
+ * @param {unknown} error - Ошибка обработчика.
+ * @param {HttpRequestInfo} request - Сведения о запросе.
+ * @param {HttpErrorHandlerOptions} [options] - Опции.
+ * @returns {HttpErrorResponse} Ответ.
+ */
+export declare function buildErrorResponse (error: unknown, request: HttpRequestInfo, options?: HttpErrorHandlerOptions): HttpErrorResponse;
+
+/**
+ * Создает обработчик ошибок Express (`app.use(...)` после маршрутов).
+ *
+ * @function createExpressErrorHandler
+ * @param {HttpErrorHandlerOptions} [options] - Опции.
+ * @returns {Function} Обработчик `(err, req, res, next)`.
+ */
+export declare function createExpressErrorHandler (options?: HttpErrorHandlerOptions): (err: any, req: any, res: any, next: (err?: any) => void) => void;
+
+/**
+ * Создает обработчик ошибок Fastify (`fastify.setErrorHandler(...)`).
+ *
+ * @function createFastifyErrorHandler
+ * @param {HttpErrorHandlerOptions} [options] - Опции.
+ * @returns {Function} Обработчик `(error, request, reply)`.
+ */
+export declare function createFastifyErrorHandler (options?: HttpErrorHandlerOptions): (error: any, request: any, reply: any) => void;
+
+/**
+ * Создает middleware обработки ошибок Koa (`app.use(...)` первым).
+ *
+ * @function createKoaErrorMiddleware
+ * @param {HttpErrorHandlerOptions} [options] - Опции.
+ * @returns {Function} Middleware `(ctx, next)`.
+ */
+export declare function createKoaErrorMiddleware (options?: HttpErrorHandlerOptions): (ctx: any, next: () => Promise<any>) => Promise<void>;
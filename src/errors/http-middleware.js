@@ -0,0 +1,217 @@
+/**
+ * @file src/errors/http-middleware.js
+ * @description Обработчики ошибок HTTP-фреймворков (Express, Fastify, Koa) на основе SystemError и problem details
+ * @version 0.1.1
+ */
+
+import { randomUUID } from 'node:crypto'
+import { STATUS_CODES } from 'node:http'
+
+import { ERROR_CODES } from './codes.js'
+import { SystemError } from './system-error.js'
+import { createError } from './errors.js'
+import { describeValue } from './chain.js'
+import { PROBLEM_CONTENT_TYPE, isErrorHttpStatus, toProblemDetails } from './problem-details.js'
+import { logError } from './logging.js'
+
+/**
+ * Опции обработчиков ошибок HTTP-фреймворков
+ * @typedef {object} HttpErrorHandlerOptions
+ * @property {boolean} [production] - Режим production: скрывать `stack` и `original` в ответе
+ *   (по умолчанию `process.env.NODE_ENV === 'production'` на момент запроса).
+ * @property {string} [requestIdHeader='x-request-id'] - Заголовок с идентификатором запроса (читается и возвращается в ответе).
+ * @property {(request: object) => string|undefined} [getRequestId] - Получение идентификатора запроса
+ *   (по умолчанию - заголовок, затем идентификатор фреймворка, иначе случайный UUID).
+ * @property {boolean} [log=true] - Записывать ли ошибку через logError.
+ * @property {string} [locale] - Локаль `title` и `detail` ответа.
+ */
+
+/**
+ * HTTP-ответ с ошибкой
+ * @typedef {object} HttpErrorResponse
+ * @property {number} status - HTTP-статус.
+ * @property {Record<string, string>} headers - Заголовки ответа (content-type и заголовок идентификатора запроса).
+ * @property {object} body - Тело ответа: problem details; вне production - также `stack` и `original`.
+ * @property {SystemError} error - Ошибка, по которой сформирован ответ.
+ */
+
+/**
+ * Проверяет, является ли ошибка ошибкой HTTP-фреймворка с клиентским статусом (4xx),
+ * например, ошибкой разбора тела запроса (Express), валидации схемы (Fastify) или `ctx.throw(404)` (Koa).
+ *
+ * @param {any} error - Ошибка.
+ * @returns {number|null} Статус 4xx или `null`.
+ * @private
+ */
+function getClientErrorStatus (error) {
+  const status = [error?.status, error?.statusCode].find(isErrorHttpStatus)
+  return status !== undefined && status < 500 ? status : null
+}
+
+/**
+ * Приводит произвольную ошибку обработчика запроса к SystemError.
+ *
+ * Основная ответственность:
+ * - SystemError возвращается без изменений.
+ * - Ошибки фреймворков со статусом 4xx оборачиваются в SYS_REQUEST_FAILED с тем же `httpStatus`;
+ *   текст причины - сообщение ошибки, если она не помечена `expose: false`, иначе стандартный текст статуса.
+ * - Прочие значения оборачиваются в SYS_UNEXPECTED (500) с исходной ошибкой в `original`;
+ *   в production причина - стандартный текст статуса (сообщение исходной ошибки не раскрывается).
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка обработчика.
+ * @param {object} [options={}] - Опции.
+ * @param {boolean} [options.production=false] - Режим production.
+ * @returns {SystemError} Ошибка для ответа.
+ */
+export function normalizeHttpError (error, options = {}) {
+  if (error instanceof SystemError) {
+    return error
+  }
+  const originalError = error instanceof Error ? error : null
+
+  const status = getClientErrorStatus(error)
+  if (status !== null) {
+    const reason = error.expose === false || typeof error.message !== 'string' || error.message === ''
+      ? STATUS_CODES[status]
+      : error.message
+    const requestError = createError(ERROR_CODES.SYS.REQUEST_FAILED, { status, reason }, originalError)
+    requestError.httpStatus = status
+    return requestError
+  }
+
+  const reason = options.production
+    ? STATUS_CODES[500]
+    : (originalError ? String(originalError.message) : describeValue(error))
+  return createError(ERROR_CODES.SYS.UNEXPECTED, { reason }, originalError)
+}
+
+/**
+ * Возвращает идентификатор запроса по умолчанию.
+ *
+ * @param {object} request - Запрос фреймворка (req Express, request Fastify, ctx.request Koa).
+ * @param {string} header - Имя заголовка идентификатора.
+ * @returns {string} Идентификатор запроса.
+ * @private
+ */
+function getDefaultRequestId (request, header) {
+  const value = request?.headers?.[header]
+  if (typeof value === 'string' && value !== '') return value
+  // Fastify назначает идентификатор каждому запросу
+  if (typeof request?.id === 'string' && request.id !== '') return request.id
+  return randomUUID()
+}
+
+/**
+ * Формирует HTTP-ответ по ошибке обработчика запроса.
+ *
+ * Основная ответственность:
+ * - Нормализация ошибки (normalizeHttpError); выброшенная обработчиком ошибка не изменяется.
+ * - Тело - problem details (toProblemDetails) с `instance` = путь запроса и `requestId` в `context`.
+ * - Вне production тело дополняется `stack` и `original` из toJSON().
+ * - Запись ошибки в лог (logError) с полями requestId, method, url.
+ * Детерминированность: Нет (идентификатор запроса, NODE_ENV, запись в лог).
+ *
+ * @param {any} error - Ошибка обработчика.
+ * @param {object} request - Запрос: `{ method, url, headers }` (и `id` у Fastify).
+ * @param {HttpErrorHandlerOptions} [options={}] - Опции.
+ * @returns {HttpErrorResponse} Ответ.
+ */
+export function buildErrorResponse (error, request, options = {}) {
+  const {
+    production = process.env.NODE_ENV === 'production',
+    requestIdHeader = 'x-request-id',
+    getRequestId,
+    log = true,
+    locale
+  } = options
+
+  const systemError = normalizeHttpError(error, { production })
+  const requestId = getRequestId?.(request) ?? getDefaultRequestId(request, requestIdHeader)
+
+  const body = toProblemDetails(systemError, { locale, instance: request?.url })
+  // requestId пишется только в тело ответа: SystemError обработчика возвращается normalizeHttpError как есть
+  if (body.context) body.context.requestId = requestId
+  if (!production) {
+    const json = systemError.toJSON()
+    body.stack = json.stack
+    if (json.original) body.original = json.original
+  }
+
+  if (log) {
+    logError(systemError, { fields: { requestId, method: request?.method, url: request?.url } })
+  }
+
+  return {
+    status: body.status,
+    headers: { 'content-type': PROBLEM_CONTENT_TYPE, [requestIdHeader]: requestId },
+    body,
+    error: systemError
+  }
+}
+
+/**
+ * Создает обработчик ошибок Express: `app.use(createExpressErrorHandler())` после всех маршрутов.
+ * Если ответ уже начат, ошибка передается стандартному обработчику Express.
+ *
+ * @param {HttpErrorHandlerOptions} [options={}] - Опции.
+ * @returns {(err: any, req: object, res: object, next: Function) => void} Обработчик ошибок Express.
+ */
+export function createExpressErrorHandler (options = {}) {
+  return function expressErrorHandler (err, req, res, next) {
+    if (res.headersSent) {
+      next(err)
+      return
+    }
+    const { status, headers, body } = buildErrorResponse(err, {
+      method: req.method,
+      url: req.originalUrl ?? req.url,
+      headers: req.headers
+    }, options)
+    res.status(status).set(headers).send(JSON.stringify(body))
+  }
+}
+
+/**
+ * Создает обработчик ошибок Fastify: `fastify.setErrorHandler(createFastifyErrorHandler())`.
+ *
+ * @param {HttpErrorHandlerOptions} [options={}] - Опции.
+ * @returns {(error: any, request: object, reply: object) => void} Обработчик ошибок Fastify.
+ */
+export function createFastifyErrorHandler (options = {}) {
+  return function fastifyErrorHandler (error, request, reply) {
+    const { status, headers, body } = buildErrorResponse(error, {
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      id: request.id
+    }, options)
+    reply.code(status).headers(headers).send(JSON.stringify(body))
+  }
+}
+
+/**
+ * Создает middleware обработки ошибок Koa: `app.use(createKoaErrorMiddleware())` первым middleware.
+ * Ответ формируется для ошибок, выброшенных последующими middleware; событие 'error' приложения не генерируется.
+ *
+ * @param {HttpErrorHandlerOptions} [options={}] - Опции.
+ * @returns {(ctx: object, next: Function) => Promise<void>} Middleware Koa.
+ */
+export function createKoaErrorMiddleware (options = {}) {
+  return async function koaErrorMiddleware (ctx, next) {
+    try {
+      await next()
+    } catch (err) {
+      const { status, headers, body } = buildErrorResponse(err, {
+        method: ctx.method,
+        url: ctx.originalUrl ?? ctx.url,
+        headers: ctx.headers,
+        id: ctx.state?.requestId
+      }, options)
+      ctx.status = status
+      ctx.set(headers)
+      ctx.body = JSON.stringify(body)
+      ctx.type = PROBLEM_CONTENT_TYPE
+    }
+  }
+}
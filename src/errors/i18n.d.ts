@@ -0,0 +1,46 @@
+/**
+ * @file src/errors/i18n.d.ts
+ * @description TypeScript декларации для локализации сообщений об ошибках.
+ * @version 0.1.0
+ */
+
+import { ErrorDefinition } from './errors'
+
+/** Локаль базового шаблона `definition.message` и локаль по умолчанию ('en'). */
+export declare const DEFAULT_LOCALE: string;
+
+/**
+ * Устанавливает глобальную локаль сообщений об ошибках.
+ *
+ * @function setLocale
+ * @param {string} locale - Локаль (например, 'ru' или 'ru-RU').
+ * @returns {string} Предыдущая локаль.
+ */
+export declare function setLocale (locale: string): string;
+
+/**
+ * Возвращает текущую глобальную локаль сообщений об ошибках.
+ *
+ * @function getLocale
+ * @returns {string} Локаль.
+ */
+export declare function getLocale (): string;
+
+/**
+ * Выбирает шаблон сообщения для локали: `messages[locale]`, `messages[язык]`, затем `message`.
+ *
+ * @function resolveMessageTemplate
+ * @param {ErrorDefinition} definition - Определение ошибки.
+ * @param {string} [locale] - Локаль (по умолчанию глобальная).
+ * @returns {string} Шаблон сообщения.
+ */
+export declare function resolveMessageTemplate (definition: Pick<ErrorDefinition, 'message' | 'messages'>, locale?: string): string;
+
+/**
+ * Проверяет, что каждый шаблон `messages[locale]` использует те же плейсхолдеры, что и `message`.
+ *
+ * @function checkMessageCatalog
+ * @param {ErrorDefinition} definition - Определение ошибки.
+ * @returns {string[]} Список проблем (пустой, если каталог корректен или отсутствует).
+ */
+export declare function checkMessageCatalog (definition: ErrorDefinition): string[];
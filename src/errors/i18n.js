@@ -0,0 +1,100 @@
+/**
+ * @file src/errors/i18n.js
+ * @description Локализация сообщений об ошибках: каталоги шаблонов по локалям, текущая локаль, проверка каталогов
+ * @version 0.1.0
+ */
+
+import { getPlaceholders } from './template.js'
+
+/**
+ * Локаль базового шаблона `definition.message` и локаль по умолчанию.
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en'
+
+/**
+ * Текущая глобальная локаль.
+ * @type {string}
+ * @private
+ */
+let currentLocale = DEFAULT_LOCALE
+
+/**
+ * Устанавливает глобальную локаль сообщений об ошибках.
+ *
+ * @param {string} locale - Локаль (например, 'ru' или 'ru-RU').
+ * @returns {string} Предыдущая локаль (для последующего восстановления).
+ */
+export function setLocale (locale) {
+  const previous = currentLocale
+  currentLocale = typeof locale === 'string' && locale !== '' ? locale : DEFAULT_LOCALE
+  return previous
+}
+
+/**
+ * Возвращает текущую глобальную локаль сообщений об ошибках.
+ *
+ * @returns {string} Локаль.
+ */
+export function getLocale () {
+  return currentLocale
+}
+
+/**
+ * Выбирает шаблон сообщения определения для локали.
+ * Порядок поиска: `messages[locale]`, `messages[язык]` (для 'ru-RU' - 'ru'), затем базовый `message`.
+ * Детерминированность: Да.
+ *
+ * @param {import('./errors.js').ErrorDefinition} definition - Определение ошибки.
+ * @param {string} [locale=getLocale()] - Локаль.
+ * @returns {string} Шаблон сообщения.
+ */
+export function resolveMessageTemplate (definition, locale = currentLocale) {
+  const messages = definition?.messages
+  if (messages && typeof messages === 'object' && typeof locale === 'string') {
+    const language = locale.split('-')[0]
+    for (const candidate of [locale, language]) {
+      if (typeof messages[candidate] === 'string') return messages[candidate]
+    }
+  }
+  return definition?.message
+}
+
+/**
+ * Проверяет каталог локализованных шаблонов определения.
+ * Каждый шаблон `messages[locale]` должен быть строкой и использовать те же плейсхолдеры, что и `message`.
+ * Детерминированность: Да.
+ *
+ * @param {import('./errors.js').ErrorDefinition} definition - Определение ошибки.
+ * @returns {string[]} Массив строк с описанием проблем. Пустой массив, если каталога нет или он корректен.
+ */
+export function checkMessageCatalog (definition) {
+  const problems = []
+  const messages = definition?.messages
+  if (messages === undefined) {
+    return problems
+  }
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    problems.push('Property "messages" must be an object keyed by locale.')
+    return problems
+  }
+
+  const base = new Set(getPlaceholders(definition.message))
+  for (const [locale, template] of Object.entries(messages)) {
+    if (typeof template !== 'string' || template === '') {
+      problems.push(`Message for locale '${locale}' must be a non-empty string.`)
+      continue
+    }
+    const placeholders = new Set(getPlaceholders(template))
+    const missing = [...base].filter(path => !placeholders.has(path))
+    const extra = [...placeholders].filter(path => !base.has(path))
+    if (missing.length > 0 || extra.length > 0) {
+      const details = [
+        missing.length > 0 ? `missing {${missing.join('}, {')}}` : null,
+        extra.length > 0 ? `unexpected {${extra.join('}, {')}}` : null
+      ].filter(Boolean).join('; ')
+      problems.push(`Message for locale '${locale}' uses different placeholders than the base message: ${details}.`)
+    }
+  }
+  return problems
+}
@@ -0,0 +1,129 @@
+/**
+ * @file src/errors/logging.d.ts
+ * @description TypeScript декларации для интеграции подсистемы ошибок с логированием.
+ * @version 0.2.0
+ */
+
+/** Уровень логирования. */
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal';
+
+/**
+ * @interface LoggerAdapter
+ * @description Единый интерфейс записи в лог для подсистемы ошибок.
+ */
+export interface LoggerAdapter {
+  /** Записывает сообщение уровня `level` со структурированными полями `fields`. */
+  log (level: LogLevel, message: string, fields: Record<string, any>): void;
+}
+
+/**
+ * @interface LoggedErrorLevel
+ * @description Уровень цепочки ошибки в записи лога; набор полей одинаков для всех уровней.
+ */
+export interface LoggedErrorLevel {
+  name: string | null;
+  code: string | null;
+  message: string;
+  subsystem: string | null;
+  recoverable: boolean | null;
+  docs: string | null;
+  /** Безопасно сериализованный и замаскированный контекст. */
+  context: Record<string, any> | null;
+  stack: string | null;
+}
+
+/**
+ * @interface ErrorLogFields
+ * @description Структурированные поля записи лога об ошибке.
+ */
+export interface ErrorLogFields {
+  /** Верхний уровень цепочки. */
+  error: LoggedErrorLevel;
+  /** Причины (`original`) от ближайшей к корневой. */
+  causes: LoggedErrorLevel[];
+  [key: string]: any;
+}
+
+/**
+ * @interface LogErrorOptions
+ * @description Опции функции `logError`.
+ */
+export interface LogErrorOptions {
+  /** Уровень (по умолчанию 'warn' для восстанавливаемых ошибок и 'error' для остальных). */
+  level?: LogLevel;
+  /** Сообщение записи (по умолчанию - сообщение ошибки). */
+  message?: string;
+  /** Дополнительные поля записи. */
+  fields?: Record<string, any>;
+  /** Адаптер для этой записи (по умолчанию - глобальный). */
+  logger?: LoggerAdapter;
+}
+
+/** Уровни логирования в порядке возрастания важности. */
+export declare const LOG_LEVELS: readonly LogLevel[];
+
+/**
+ * Создает адаптер для console (адаптер по умолчанию): префикс `[SYS_ERRORS <УРОВЕНЬ>]: `, поля - вторым аргументом.
+ *
+ * @function createConsoleAdapter
+ * @param {Console} [target=console] - Объект с методами console.
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export declare function createConsoleAdapter (target?: Pick<Console, 'debug' | 'info' | 'warn' | 'error'>): LoggerAdapter;
+
+/**
+ * Создает адаптер для логгеров в стиле pino (в т.ч. SYS_LOGGER): `logger[level](fields, message)`.
+ *
+ * @function createPinoAdapter
+ * @param {object} logger - Логгер с методами уровней.
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export declare function createPinoAdapter (logger: Partial<Record<LogLevel, (fields: object, message: string) => void>>): LoggerAdapter;
+
+/**
+ * Создает адаптер для логгеров в стиле winston: `logger.log({ level, message, ...fields })`.
+ *
+ * @function createWinstonAdapter
+ * @param {object} logger - Логгер с методом log(info).
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export declare function createWinstonAdapter (logger: { log (info: Record<string, any>): any }): LoggerAdapter;
+
+/**
+ * Устанавливает глобальный адаптер логгера; `null` восстанавливает адаптер console.
+ *
+ * @function setLogger
+ * @param {LoggerAdapter | null} adapter - Адаптер.
+ * @returns {LoggerAdapter} Предыдущий адаптер.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если адаптер не реализует метод log.
+ */
+export declare function setLogger (adapter: LoggerAdapter | null): LoggerAdapter;
+
+/**
+ * Возвращает текущий глобальный адаптер логгера.
+ *
+ * @function getLogger
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export declare function getLogger (): LoggerAdapter;
+
+/**
+ * Разворачивает цепочку ошибки (`original` или стандартный `cause`) в плоский список уровней со стабильным набором полей
+ * (циклы обрываются, не более getMaxChainDepth() уровней).
+ *
+ * @function flattenErrorChain
+ * @param {unknown} error - Ошибка.
+ * @returns {LoggedErrorLevel[]} Уровни цепочки от верхнего к корневому.
+ */
+export declare function flattenErrorChain (error: unknown): LoggedErrorLevel[];
+
+/**
+ * Записывает ошибку в лог через адаптер логгера.
+ *
+ * @function logError
+ * @param {unknown} error - Ошибка.
+ * @param {LogErrorOptions} [options] - Опции записи.
+ * @returns {ErrorLogFields} Записанные поля.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если уровень неизвестен.
+ */
+export declare function logError (error: unknown, options?: LogErrorOptions): ErrorLogFields;
@@ -0,0 +1,240 @@
+/**
+ * @file src/errors/logging.js
+ * @description Интеграция с логированием: адаптеры логгеров (console, pino/SYS_LOGGER, winston) и logError
+ * @version 0.2.0
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { createError, isRecoverable } from './errors.js'
+import { safeSerialize } from './serialize.js'
+import { iterateChain } from './chain.js'
+
+/**
+ * Адаптер логгера: единый интерфейс записи для подсистемы ошибок
+ * @typedef {object} LoggerAdapter
+ * @property {(level: string, message: string, fields: object) => void} log - Записывает сообщение уровня `level`
+ *   (один из LOG_LEVELS) со структурированными полями `fields`.
+ */
+
+/**
+ * Уровень цепочки ошибки в записи лога. Набор и порядок полей одинаковы для всех уровней,
+ * отсутствующие значения - `null`.
+ * @typedef {object} LoggedErrorLevel
+ * @property {string|null} name - Имя ошибки (`error.name`).
+ * @property {string|null} code - Код ошибки (`error.code`, в т.ч. системный, например 'ECONNRESET').
+ * @property {string} message - Сообщение.
+ * @property {string|null} subsystem - Подсистема (для SystemError).
+ * @property {boolean|null} recoverable - Флаг восстанавливаемости, если он задан ошибкой.
+ * @property {string|null} docs - Ссылка на документацию.
+ * @property {object|null} context - Безопасно сериализованный и замаскированный контекст.
+ * @property {string|null} stack - Стек вызовов.
+ */
+
+/**
+ * Структурированные поля записи лога об ошибке
+ * @typedef {object} ErrorLogFields
+ * @property {LoggedErrorLevel} error - Верхний уровень цепочки.
+ * @property {LoggedErrorLevel[]} causes - Причины (`original` или `cause`) по порядку от ближайшей к корневой.
+ */
+
+/**
+ * Уровни логирования в порядке возрастания важности.
+ * @type {ReadonlyArray<string>}
+ */
+export const LOG_LEVELS = Object.freeze(['trace', 'debug', 'info', 'warn', 'error', 'fatal'])
+
+/**
+ * Методы console для уровней логирования.
+ * @type {Readonly<Record<string, string>>}
+ * @private
+ */
+const CONSOLE_METHODS = Object.freeze({
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+  fatal: 'error'
+})
+
+/**
+ * Уровни winston (npm levels) для уровней логирования.
+ * @type {Readonly<Record<string, string>>}
+ * @private
+ */
+const WINSTON_LEVELS = Object.freeze({
+  trace: 'silly',
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+  fatal: 'error'
+})
+
+/**
+ * Создает адаптер для console (адаптер по умолчанию).
+ * Сообщение выводится с префиксом `[SYS_ERRORS <УРОВЕНЬ>]: `, поля - вторым аргументом.
+ *
+ * @param {Console} [target=console] - Объект с методами console (debug, info, warn, error).
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export function createConsoleAdapter (target = console) {
+  return {
+    log (level, message, fields) {
+      target[CONSOLE_METHODS[level] ?? 'error'](`[SYS_ERRORS ${level.toUpperCase()}]: ${message}`, fields)
+    }
+  }
+}
+
+/**
+ * Создает адаптер для логгеров в стиле pino (в т.ч. SYS_LOGGER / `@fab33/sys-logger`):
+ * `logger[level](fields, message)`. Отсутствующие у логгера уровни записываются через `logger.error`.
+ *
+ * @param {object} logger - Логгер с методами trace, debug, info, warn, error, fatal.
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export function createPinoAdapter (logger) {
+  return {
+    log (level, message, fields) {
+      const method = typeof logger[level] === 'function' ? level : 'error'
+      logger[method](fields, message)
+    }
+  }
+}
+
+/**
+ * Создает адаптер для логгеров в стиле winston: `logger.log({ level, message, ...fields })`.
+ * Уровни trace и fatal отображаются на 'silly' и 'error'.
+ *
+ * @param {object} logger - Логгер с методом log(info).
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export function createWinstonAdapter (logger) {
+  return {
+    log (level, message, fields) {
+      logger.log({ level: WINSTON_LEVELS[level] ?? 'error', message, ...fields })
+    }
+  }
+}
+
+/**
+ * Адаптер логгера по умолчанию.
+ * @type {LoggerAdapter}
+ * @private
+ */
+const defaultAdapter = createConsoleAdapter()
+
+/**
+ * Текущий глобальный адаптер логгера.
+ * @type {LoggerAdapter}
+ * @private
+ */
+let currentAdapter = defaultAdapter
+
+/**
+ * Устанавливает глобальный адаптер логгера (используется logError и внутренним логированием createError).
+ *
+ * @param {LoggerAdapter|null} adapter - Адаптер; `null` восстанавливает адаптер console по умолчанию.
+ * @returns {LoggerAdapter} Предыдущий адаптер (для последующего восстановления).
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если адаптер не реализует метод log.
+ */
+export function setLogger (adapter) {
+  if (adapter !== null && typeof adapter?.log !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: 'adapter',
+      reason: 'must implement log(level, message, fields) or be null'
+    })
+  }
+  const previous = currentAdapter
+  currentAdapter = adapter ?? defaultAdapter
+  return previous
+}
+
+/**
+ * Возвращает текущий глобальный адаптер логгера.
+ *
+ * @returns {LoggerAdapter} Адаптер.
+ */
+export function getLogger () {
+  return currentAdapter
+}
+
+/**
+ * Приводит один уровень цепочки к стабильному набору полей.
+ *
+ * @param {any} value - Ошибка или иное значение уровня цепочки.
+ * @returns {LoggedErrorLevel} Уровень цепочки.
+ * @private
+ */
+function toLoggedLevel (value) {
+  // SystemError сериализуем через toJSON (маскирование с учетом sensitiveKeys), прочее - через safeSerialize
+  const data = value instanceof Error && typeof value.toJSON === 'function'
+    ? value.toJSON()
+    : safeSerialize(value, { redact: true })
+  if (!data || typeof data !== 'object') {
+    return { name: null, code: null, message: String(data), subsystem: null, recoverable: null, docs: null, context: null, stack: null }
+  }
+  const asString = item => typeof item === 'string' ? item : null
+  return {
+    name: asString(data.name),
+    code: data.code === undefined || data.code === null ? null : String(data.code),
+    message: typeof data.message === 'string' ? data.message : '',
+    subsystem: asString(data.subsystem),
+    recoverable: typeof data.recoverable === 'boolean' ? data.recoverable : null,
+    docs: asString(data.docs),
+    context: data.context === undefined ? null : data.context,
+    stack: asString(data.stack)
+  }
+}
+
+/**
+ * Разворачивает цепочку ошибки (`original` или стандартный `cause`) в плоский список уровней со стабильным набором полей.
+ *
+ * Основная ответственность:
+ * - SystemError сериализуется через toJSON() (контекст безопасно сериализован и замаскирован).
+ * - Прочие ошибки и значения - через safeSerialize с маскированием (собственные поля, например `code`, сохраняются).
+ * - Каждый уровень содержит одни и те же поля (LoggedErrorLevel), вложенный `original` не дублируется.
+ * - Циклические цепочки обрываются на повторном уровне, длинные - на getMaxChainDepth() уровней.
+ * Детерминированность: Да (для неизменной конфигурации маскирования и глубины).
+ *
+ * @param {any} error - Ошибка (начало цепочки).
+ * @returns {LoggedErrorLevel[]} Уровни цепочки от верхнего к корневому (верхний уровень есть всегда).
+ */
+export function flattenErrorChain (error) {
+  const causes = [...iterateChain(error)].slice(1)
+  return [toLoggedLevel(error), ...causes.map(toLoggedLevel)]
+}
+
+/**
+ * Записывает ошибку в лог через адаптер логгера.
+ *
+ * Основная ответственность:
+ * - Выбор уровня: `options.level` или по восстанавливаемости (isRecoverable: 'warn' / 'error').
+ * - Структурированные поля `{ error, causes, ...options.fields }` со стабильным набором полей
+ *   каждого уровня цепочки (flattenErrorChain).
+ * - Сообщение записи: `options.message` или сообщение ошибки.
+ * Детерминированность: Нет (побочный эффект - запись в лог).
+ *
+ * @param {any} error - Записываемая ошибка.
+ * @param {object} [options={}] - Опции записи.
+ * @param {string} [options.level] - Уровень (один из LOG_LEVELS).
+ * @param {string} [options.message] - Сообщение записи.
+ * @param {object} [options.fields] - Дополнительные поля записи (например, requestId).
+ * @param {LoggerAdapter} [options.logger] - Адаптер для этой записи (по умолчанию - глобальный).
+ * @returns {ErrorLogFields} Записанные структурированные поля.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если уровень неизвестен.
+ */
+export function logError (error, options = {}) {
+  const level = options.level ?? (isRecoverable(error) ? 'warn' : 'error')
+  if (!LOG_LEVELS.includes(level)) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: 'options.level',
+      reason: `unknown level '${level}', expected one of: ${LOG_LEVELS.join(', ')}`
+    })
+  }
+  const [top, ...causes] = flattenErrorChain(error)
+  const fields = { ...options.fields, error: top, causes }
+  const adapter = options.logger ?? currentAdapter
+  adapter.log(level, options.message ?? top.message, fields)
+  return fields
+}
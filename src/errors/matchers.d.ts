@@ -0,0 +1,40 @@
+/**
+ * @file src/errors/matchers.d.ts
+ * @description TypeScript декларации для матчеров Vitest/Jest для SystemError.
+ * @version 0.1.0
+ */
+
+import { CheckErrorChainOptions, ErrorChainLevel, ErrorDefinition, RecoverabilityOptions } from './errors'
+
+/** Ожидаемая ошибка: код, определение (`{ code }`) или класс defineErrors (`{ definition: { code } }`). */
+export type ExpectedSystemError = string | Pick<ErrorDefinition, 'code'> | { definition: Pick<ErrorDefinition, 'code'> };
+
+/**
+ * @interface SystemErrorMatchers
+ * @description Матчеры SystemError; подключаются в типы фреймворка расширением `Assertion` (Vitest) или `Matchers` (Jest):
+ * `declare module 'vitest' { interface Assertion<T = any> extends SystemErrorMatchers<T> {} }`.
+ */
+export interface SystemErrorMatchers<R = unknown> {
+  /** Значение - SystemError (с указанным кодом, если задан). */
+  toBeSystemError (expected?: ExpectedSystemError): R;
+  /** Цепочка соответствует ожиданиям (checkErrorChain; `partial` - подпоследовательность уровней). */
+  toHaveErrorChain (expectedChain: ErrorChainLevel[] | Array<Partial<ErrorChainLevel>>, options?: CheckErrorChainOptions): R;
+  /** Контекст ошибки содержит указанные ключи с равными значениями (допускаются асимметричные матчеры). */
+  toHaveContext (partial: Record<string, unknown>): R;
+  /** Ошибка восстанавливаема (isRecoverable с указанными опциями). */
+  toBeRecoverable (options?: RecoverabilityOptions): R;
+  /** Функция выбрасывает (с `.rejects` - промис отклоняется) SystemError с указанным кодом. */
+  toThrowSystemError (expected?: ExpectedSystemError): R;
+}
+
+/** Матчеры для `expect.extend(errorMatchers)` (Vitest и Jest). */
+export declare const errorMatchers: Readonly<Record<keyof SystemErrorMatchers, (this: any, received: unknown, ...args: any[]) => { pass: boolean; message: () => string }>>;
+
+/**
+ * Регистрирует матчеры SystemError в `expect` Vitest или Jest.
+ *
+ * @function installErrorMatchers
+ * @param {{ extend: Function }} expect - Глобальный `expect` тестового фреймворка.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `expect` не поддерживает `extend`.
+ */
+export declare function installErrorMatchers (expect: { extend (matchers: Record<string, unknown>): void }): void;
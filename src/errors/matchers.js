@@ -0,0 +1,275 @@
+/**
+ * @file src/errors/matchers.js
+ * @description Пользовательские матчеры Vitest/Jest для проверок SystemError (код, цепочка, контекст, восстанавливаемость)
+ * @version 0.1.1
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { SystemError } from './system-error.js'
+import { checkErrorChain, createError, isRecoverable } from './errors.js'
+import { describeValue, getChain, matchChainLevel } from './chain.js'
+
+/**
+ * Контекст матчера, общий для Vitest и Jest (`this` внутри матчера)
+ * @typedef {object} MatcherContext
+ * @property {boolean} isNot - Матчер вызван с `.not`.
+ * @property {Function} equals - Глубокое сравнение с поддержкой асимметричных матчеров.
+ * @property {object} utils - Утилиты вывода (matcherHint, printExpected, printReceived, diff).
+ */
+
+/**
+ * Результат матчера
+ * @typedef {object} MatcherResult
+ * @property {boolean} pass - Проверка пройдена.
+ * @property {function(): string} message - Сообщение (для `.not` - почему проверка не должна была пройти).
+ */
+
+/**
+ * Возвращает код ожидаемой ошибки: строку или `code` определения (ERROR_CODES, класс defineErrors).
+ *
+ * @param {string|object|Function} [codeOrDefinition] - Код, определение или класс с `definition`.
+ * @returns {string|undefined} Код или `undefined`, если код не задан.
+ * @private
+ */
+function resolveCode (codeOrDefinition) {
+  if (codeOrDefinition === undefined || typeof codeOrDefinition === 'string') return codeOrDefinition
+  return codeOrDefinition?.definition?.code ?? codeOrDefinition?.code
+}
+
+/**
+ * Описывает уровень цепочки для вывода: тип, код и сообщение ошибки или строковое значение не-ошибки.
+ *
+ * @param {any} level - Уровень цепочки.
+ * @returns {object} Описание уровня.
+ * @private
+ */
+function describeLevel (level) {
+  if (!(level instanceof Error)) {
+    return { value: describeValue(level) }
+  }
+  return { type: level.constructor?.name, code: level.code, message: level.message }
+}
+
+/**
+ * Описывает уровень цепочки одной строкой: `Type [CODE]: message` или значение не-ошибки.
+ *
+ * @param {any} level - Уровень цепочки.
+ * @returns {string} Строка уровня.
+ * @private
+ */
+function summarizeLevel (level) {
+  if (!(level instanceof Error)) {
+    return `(not an Error) ${describeValue(level)}`
+  }
+  return `${level.constructor?.name}${typeof level.code === 'string' ? ` [${level.code}]` : ''}: ${level.message}`
+}
+
+/**
+ * Строит построчное сравнение ожидаемой и фактической цепочки: отметка совпадения уровня (matchChainLevel),
+ * ожидаемый и фактический уровень. Без ожидаемых уровней (частичный режим) выводит только фактическую цепочку.
+ *
+ * @param {MatcherContext} context - Контекст матчера.
+ * @param {any[]} levels - Фактические уровни цепочки.
+ * @param {import('./errors.js').ErrorChainLevel[]|null} expectedChain - Ожидаемые уровни или `null`.
+ * @returns {string} Многострочное сравнение.
+ * @private
+ */
+function formatChainComparison (context, levels, expectedChain) {
+  const { EXPECTED_COLOR = String, RECEIVED_COLOR = String } = context.utils
+  if (expectedChain === null) {
+    return ['Received chain:', ...levels.map((level, index) => `  level ${index}: ${RECEIVED_COLOR(summarizeLevel(level))}`)].join('\n')
+  }
+  const lines = []
+  const count = Math.max(levels.length, expectedChain.length)
+  for (let index = 0; index < count; index++) {
+    const expected = expectedChain[index]
+    const matches = expected !== undefined && index < levels.length && matchChainLevel(levels[index], expected) === null
+    lines.push(`  ${matches ? '✓' : '✗'} level ${index}:`)
+    lines.push(`      Expected: ${expected === undefined ? '(no level)' : EXPECTED_COLOR(JSON.stringify(expected))}`)
+    lines.push(`      Received: ${index < levels.length ? RECEIVED_COLOR(summarizeLevel(levels[index])) : '(no level)'}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Проверяет, что значение - SystemError (и, если задан, с указанным кодом).
+ *
+ * @param {MatcherContext} context - Контекст матчера.
+ * @param {string} matcherName - Имя матчера для подсказки в сообщении.
+ * @param {any} received - Проверяемое значение.
+ * @param {string|object|Function} [codeOrDefinition] - Ожидаемый код, определение или класс defineErrors.
+ * @returns {MatcherResult} Результат матчера.
+ * @private
+ */
+function matchSystemError (context, matcherName, received, codeOrDefinition) {
+  const code = resolveCode(codeOrDefinition)
+  const { matcherHint, printExpected, printReceived } = context.utils
+  const isSystemError = received instanceof SystemError
+  const hint = matcherHint(matcherName, 'received', code === undefined ? '' : 'code', { isNot: context.isNot })
+  return {
+    pass: isSystemError && (code === undefined || received.code === code),
+    message: () => {
+      const expected = `Expected: ${context.isNot ? 'not ' : ''}SystemError${code === undefined ? '' : ` with code ${printExpected(code)}`}`
+      const actual = isSystemError
+        ? `Received: SystemError with code ${printReceived(received.code)}: ${printReceived(received.message)}`
+        : `Received: ${printReceived(received instanceof Error ? describeLevel(received) : received)}`
+      return `${hint}\n\n${expected}\n${actual}`
+    }
+  }
+}
+
+/**
+ * Проверяет, что значение - SystemError (и, если задан, с указанным кодом).
+ *
+ * @this {MatcherContext}
+ * @param {any} received - Проверяемое значение.
+ * @param {string|object|Function} [codeOrDefinition] - Ожидаемый код, определение или класс defineErrors.
+ * @returns {MatcherResult} Результат матчера.
+ */
+function toBeSystemError (received, codeOrDefinition) {
+  return matchSystemError(this, 'toBeSystemError', received, codeOrDefinition)
+}
+
+/**
+ * Проверяет цепочку ошибки через checkErrorChain; при несоответствии выводит сравнение по уровням и diff.
+ *
+ * @this {MatcherContext}
+ * @param {any} received - Проверяемая ошибка (начало цепочки).
+ * @param {import('./errors.js').ErrorChainLevel[]} expectedChain - Ожидаемые уровни.
+ * @param {import('./errors.js').CheckErrorChainOptions} [options={}] - Опции checkErrorChain (`partial`).
+ * @returns {MatcherResult} Результат матчера.
+ */
+function toHaveErrorChain (received, expectedChain, options = {}) {
+  let failure = null
+  try {
+    checkErrorChain(received, expectedChain, options)
+  } catch (error) {
+    failure = error.message
+  }
+  const levels = getChain(received)
+  const hint = this.utils.matcherHint('toHaveErrorChain', 'received', 'expectedChain', { isNot: this.isNot })
+  return {
+    pass: failure === null,
+    message: () => {
+      if (failure === null) {
+        return `${hint}\n\nExpected error chain not to match:\n${formatChainComparison(this, levels, options.partial ? null : expectedChain)}`
+      }
+      if (options.partial || !Array.isArray(expectedChain)) {
+        return `${hint}\n\n${failure}\n\n${formatChainComparison(this, levels, null)}`
+      }
+      // diff - по полям, указанным в ожидании; совпавшие уровни (фрагменты сообщения) показываются без отличий
+      const actualChain = levels.map((level, index) => {
+        if (index < expectedChain.length && matchChainLevel(level, expectedChain[index]) === null) return expectedChain[index]
+        const actual = describeLevel(level)
+        const keys = Object.keys(expectedChain[index] ?? actual)
+        return Object.fromEntries(keys.map(key => [key, actual[key]]))
+      })
+      const diff = this.utils.diff(expectedChain, actualChain)
+      return `${hint}\n\n${failure}\n\n${formatChainComparison(this, levels, expectedChain)}` + (diff ? `\n\n${diff}` : '')
+    }
+  }
+}
+
+/**
+ * Проверяет, что контекст ошибки содержит указанные ключи с равными значениями
+ * (значения сравниваются глубоко, допускаются асимметричные матчеры).
+ *
+ * @this {MatcherContext}
+ * @param {any} received - Проверяемая ошибка.
+ * @param {object} partial - Ожидаемая часть контекста.
+ * @returns {MatcherResult} Результат матчера.
+ */
+function toHaveContext (received, partial) {
+  const context = received !== null && typeof received === 'object' && received.context && typeof received.context === 'object'
+    ? received.context
+    : null
+  const mismatched = context === null
+    ? Object.keys(partial)
+    : Object.keys(partial).filter(key => !(key in context) || !this.equals(context[key], partial[key]))
+  const hint = this.utils.matcherHint('toHaveContext', 'received', 'partial', { isNot: this.isNot })
+  return {
+    pass: context !== null && mismatched.length === 0,
+    message: () => {
+      if (context === null) {
+        return `${hint}\n\nExpected an error with context, received: ${this.utils.printReceived(received)}`
+      }
+      const actual = Object.fromEntries(Object.keys(partial).map(key => [key, context[key]]))
+      const details = this.isNot
+        ? `Expected context not to contain: ${this.utils.printExpected(partial)}`
+        : `Mismatched keys: ${mismatched.join(', ')}\n\n${this.utils.diff(partial, actual)}`
+      return `${hint}\n\n${details}`
+    }
+  }
+}
+
+/**
+ * Проверяет восстанавливаемость ошибки через isRecoverable.
+ *
+ * @this {MatcherContext}
+ * @param {any} received - Проверяемая ошибка.
+ * @param {object} [options] - Опции isRecoverable (mode, predicate).
+ * @returns {MatcherResult} Результат матчера.
+ */
+function toBeRecoverable (received, options) {
+  const pass = isRecoverable(received, options)
+  const hint = this.utils.matcherHint('toBeRecoverable', 'received', '', { isNot: this.isNot })
+  return {
+    pass,
+    message: () => `${hint}\n\nExpected error ${this.isNot ? 'not ' : ''}to be recoverable` +
+      `${options?.mode ? ` (mode ${this.utils.printExpected(options.mode)})` : ''}, received: ` +
+      this.utils.printReceived(received instanceof Error ? describeLevel(received) : received)
+  }
+}
+
+/**
+ * Проверяет, что функция выбрасывает (или промис отклоняется - с `.rejects`) SystemError с указанным кодом.
+ * С `.rejects` проверяется причина отклонения; иначе `received` вызывается как функция.
+ *
+ * @this {MatcherContext}
+ * @param {any} received - Функция или причина отклонения (с `.rejects`).
+ * @param {string|object|Function} [codeOrDefinition] - Ожидаемый код, определение или класс defineErrors.
+ * @returns {MatcherResult} Результат матчера.
+ */
+function toThrowSystemError (received, codeOrDefinition) {
+  // С .rejects/.resolves фреймворк передает результат промиса, а не функцию
+  if (typeof received !== 'function' || this.promise) {
+    return matchSystemError(this, 'toThrowSystemError', received, codeOrDefinition)
+  }
+  try {
+    received()
+  } catch (error) {
+    return matchSystemError(this, 'toThrowSystemError', error, codeOrDefinition)
+  }
+  const code = resolveCode(codeOrDefinition)
+  return {
+    pass: false,
+    message: () => `${this.utils.matcherHint('toThrowSystemError', 'received', code === undefined ? '' : 'code', { isNot: this.isNot })}\n\n` +
+      'Received function did not throw'
+  }
+}
+
+/**
+ * Матчеры для `expect.extend(errorMatchers)` (Vitest и Jest).
+ * @type {Readonly<Record<string, Function>>}
+ */
+export const errorMatchers = Object.freeze({
+  toBeSystemError,
+  toHaveErrorChain,
+  toHaveContext,
+  toBeRecoverable,
+  toThrowSystemError
+})
+
+/**
+ * Регистрирует матчеры SystemError в `expect` Vitest или Jest (например, в setup-файле тестов).
+ *
+ * @param {{ extend: Function }} expect - Глобальный `expect` тестового фреймворка.
+ * @returns {void}
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `expect` не поддерживает `extend`.
+ */
+export function installErrorMatchers (expect) {
+  if (typeof expect?.extend !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'expect', reason: 'must be a Vitest or Jest expect with extend()' })
+  }
+  expect.extend(errorMatchers)
+}
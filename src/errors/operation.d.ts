@@ -0,0 +1,55 @@
+/**
+ * @file src/errors/operation.d.ts
+ * @description TypeScript декларации для обертки операций и декоратора паттерна "ошибка операции".
+ * @version 0.1.0
+ */
+
+import { ErrorDefinition } from './errors'
+
+/**
+ * Определение ошибки операции: объект определения, строковый код из реестра или класс из defineErrors.
+ */
+export type OperationDefinition = ErrorDefinition | string | (Function & { readonly definition: ErrorDefinition })
+
+/**
+ * @interface OperationOptions
+ * @description Опции обертки операции.
+ */
+export interface OperationOptions {
+  /**
+   * @property {Function} [contextFrom] - Отображение аргументов вызова в контекст ошибки (с тем же `this`, что и операция).
+   */
+  contextFrom?: (this: any, ...args: any[]) => Record<string, any>;
+}
+
+/**
+ * Оборачивает функцию (синхронную, асинхронную или генераторную) в паттерн "ошибка операции":
+ * ошибки оборачиваются в ошибку `definition` с `context.reason` и исходной ошибкой в `original`;
+ * ошибки с кодом этой же операции пробрасываются без повторного обертывания.
+ *
+ * @function wrapOperation
+ * @param {OperationDefinition} definition - Определение ошибки операции.
+ * @param {F} fn - Операция.
+ * @param {OperationOptions} [options] - Опции.
+ * @returns {F} Обернутая функция.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если определение не распознано, `fn` или `options.contextFrom` не функции.
+ */
+export declare function wrapOperation<F extends (...args: any[]) => any> (
+  definition: OperationDefinition,
+  fn: F,
+  options?: OperationOptions
+): F;
+
+/**
+ * Создает декоратор методов класса (TC39 decorators), оборачивающий метод через wrapOperation.
+ *
+ * @function operation
+ * @param {OperationDefinition} definition - Определение ошибки операции.
+ * @param {OperationOptions} [options] - Опции.
+ * @returns {Function} Декоратор метода.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если декоратор применен не к методу.
+ */
+export declare function operation (
+  definition: OperationDefinition,
+  options?: OperationOptions
+): <M extends (...args: any[]) => any>(method: M, context: { kind: string; name: string | symbol }) => M;
@@ -0,0 +1,181 @@
+/**
+ * @file src/errors/operation.js
+ * @description Автоматическая реализация паттерна "ошибка операции": обертка функций и декоратор методов
+ * @version 0.1.1
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { SystemError } from './system-error.js'
+import { createError } from './errors.js'
+import { describeValue } from './chain.js'
+
+/**
+ * Опции обертки операции
+ * @typedef {object} OperationOptions
+ * @property {(...args: any[]) => object} [contextFrom] - Отображение аргументов вызова в контекст ошибки
+ *   (вызывается с тем же `this`, что и операция). Сбой отображения не скрывает исходную ошибку.
+ */
+
+/**
+ * Конструктор асинхронных генераторов (нет глобального имени).
+ * @type {Function}
+ * @private
+ */
+const AsyncGeneratorFunction = async function * () {}.constructor
+
+/**
+ * Конструктор синхронных генераторов (нет глобального имени).
+ * @type {Function}
+ * @private
+ */
+const GeneratorFunction = function * () {}.constructor
+
+/**
+ * Приводит определение ошибки операции к определению и опциям createError.
+ * Класс из defineErrors передается в createError как `ErrorClass`.
+ *
+ * @param {import('./errors.js').ErrorDefinition|string|Function} definition - Определение, строковый код или класс ошибки.
+ * @returns {{ code: string, definition: import('./errors.js').ErrorDefinition|string, createOptions: object }|null}
+ *   Данные для createError или `null`, если определение не распознано.
+ * @private
+ */
+function resolveOperationDefinition (definition) {
+  if (typeof definition === 'string' && definition !== '') {
+    return { code: definition, definition, createOptions: {} }
+  }
+  if (typeof definition === 'function' && typeof definition.definition?.code === 'string') {
+    return { code: definition.definition.code, definition: definition.definition, createOptions: { ErrorClass: definition } }
+  }
+  if (typeof definition?.code === 'string') {
+    return { code: definition.code, definition, createOptions: {} }
+  }
+  return null
+}
+
+/**
+ * Формирует причину ошибки операции по исходной ошибке (не-ошибки описываются describeValue).
+ *
+ * @param {any} error - Исходная ошибка или выброшенное значение.
+ * @returns {string} Причина.
+ * @private
+ */
+function deriveReason (error) {
+  if (error instanceof Error) {
+    return error.message !== '' ? error.message : error.name
+  }
+  return describeValue(error)
+}
+
+/**
+ * Оборачивает функцию в паттерн "ошибка операции".
+ *
+ * Основная ответственность:
+ * - Любая ошибка функции (исключение, отклоненный Promise, ошибка генератора при итерации)
+ *   оборачивается в ошибку операции `definition` с исходной ошибкой в `original`.
+ * - Ошибки с кодом этой же операции пробрасываются без повторного обертывания (рекурсия, вложенные вызовы).
+ * - `context.reason` формируется из сообщения исходной ошибки; аргументы вызова попадают в контекст
+ *   через `options.contextFrom` (возвращенный `reason` имеет приоритет над автоматическим).
+ * - Поддерживаются синхронные, асинхронные и генераторные (в том числе асинхронные) функции;
+ *   `this` и имя функции сохраняются.
+ * Детерминированность: Да (поведение определяется `fn`).
+ *
+ * @template {Function} F
+ * @param {import('./errors.js').ErrorDefinition|string|Function} definition - Определение ошибки операции,
+ *   ее строковый код (из реестра) или класс из defineErrors.
+ * @param {F} fn - Операция.
+ * @param {OperationOptions} [options={}] - Опции.
+ * @returns {F} Обернутая функция того же вида.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если определение не распознано, `fn` или `options.contextFrom` не функции.
+ */
+export function wrapOperation (definition, fn, options = {}) {
+  const { contextFrom } = options
+  const resolved = resolveOperationDefinition(definition)
+  if (!resolved) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'definition', reason: 'must be an error definition, code or error class' })
+  }
+  if (typeof fn !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'fn', reason: 'must be a function' })
+  }
+  if (contextFrom !== undefined && typeof contextFrom !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'options.contextFrom', reason: 'must be a function' })
+  }
+
+  /**
+   * Оборачивает ошибку вызова в ошибку операции.
+   *
+   * @param {any} error - Ошибка вызова.
+   * @param {object} thisArg - `this` вызова.
+   * @param {any[]} args - Аргументы вызова.
+   * @returns {any} Ошибка для выброса.
+   */
+  const toOperationError = (error, thisArg, args) => {
+    if (error instanceof SystemError && error.code === resolved.code) {
+      return error
+    }
+    let mapped = {}
+    try {
+      mapped = contextFrom?.apply(thisArg, args) ?? {}
+    } catch {
+      // Сбой отображения аргументов не должен скрывать исходную ошибку
+    }
+    return createError(resolved.definition, { reason: deriveReason(error), ...mapped }, error, resolved.createOptions)
+  }
+
+  let wrapped
+  if (fn instanceof AsyncGeneratorFunction) {
+    wrapped = async function * (...args) {
+      try {
+        return yield * fn.apply(this, args)
+      } catch (error) {
+        throw toOperationError(error, this, args)
+      }
+    }
+  } else if (fn instanceof GeneratorFunction) {
+    wrapped = function * (...args) {
+      try {
+        return yield * fn.apply(this, args)
+      } catch (error) {
+        throw toOperationError(error, this, args)
+      }
+    }
+  } else {
+    wrapped = function (...args) {
+      let result
+      try {
+        result = fn.apply(this, args)
+      } catch (error) {
+        throw toOperationError(error, this, args)
+      }
+      // Асинхронные функции (и функции, возвращающие Promise): оборачиваем отклонение
+      if (typeof result?.then === 'function') {
+        return result.then(undefined, error => { throw toOperationError(error, this, args) })
+      }
+      return result
+    }
+  }
+  Object.defineProperty(wrapped, 'name', { value: fn.name })
+  return wrapped
+}
+
+/**
+ * Создает декоратор методов класса (TC39 decorators) для паттерна "ошибка операции":
+ * `@operation(ERRORS.LOAD_DATA_FAILED, { contextFrom: id => ({ id }) }) async load (id) { ... }`.
+ * Метод оборачивается через wrapOperation.
+ *
+ * @param {import('./errors.js').ErrorDefinition|string|Function} definition - Определение ошибки операции,
+ *   ее строковый код или класс из defineErrors.
+ * @param {OperationOptions} [options={}] - Опции (см. wrapOperation).
+ * @returns {(method: Function, context: { kind: string, name: string|symbol }) => Function} Декоратор метода.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если декоратор применен не к методу (или к некорректным аргументам, см. wrapOperation).
+ */
+export function operation (definition, options = {}) {
+  return function operationDecorator (method, context) {
+    if (context?.kind !== 'method') {
+      throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+        name: String(context?.name ?? 'target'),
+        reason: '@operation can only decorate class methods'
+      })
+    }
+    return wrapOperation(definition, method, options)
+  }
+}
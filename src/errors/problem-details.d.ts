@@ -0,0 +1,76 @@
+/**
+ * @file src/errors/problem-details.d.ts
+ * @description TypeScript декларации для HTTP-статусов ошибок и "problem details" (RFC 9457).
+ * @version 0.1.0
+ */
+
+/**
+ * @interface ProblemDetails
+ * @description Документ "problem details" (application/problem+json) с расширениями подсистемы ошибок.
+ */
+export interface ProblemDetails {
+  /** @property {string} type - URI типа проблемы (`docs` или 'about:blank'). */
+  type: string;
+  /** @property {string} title - Шаблон сообщения определения. */
+  title: string;
+  /** @property {number} status - HTTP-статус. */
+  status: number;
+  /** @property {string} detail - Сформированное сообщение ошибки. */
+  detail: string;
+  /** @property {string} [instance] - URI конкретного случая. */
+  instance?: string;
+  /** @property {string|null} code - Код ошибки. */
+  code: string | null;
+  /** @property {boolean|null} recoverable - Флаг восстанавливаемости. */
+  recoverable: boolean | null;
+  /** @property {object} [context] - Безопасно сериализованный и замаскированный контекст. */
+  context?: Record<string, any>;
+  [extension: string]: any;
+}
+
+/**
+ * @interface ProblemDetailsOptions
+ * @description Опции преобразования в problem details.
+ */
+export interface ProblemDetailsOptions {
+  /** @property {string} [locale] - Локаль `title` и `detail` (по умолчанию - локаль ошибки). */
+  locale?: string;
+  /** @property {string} [instance] - Значение поля `instance`. */
+  instance?: string;
+  /** @property {boolean} [includeContext=true] - Включать ли расширение `context`. */
+  includeContext?: boolean;
+}
+
+/** Тип содержимого ответа с problem details ('application/problem+json'). */
+export declare const PROBLEM_CONTENT_TYPE: string;
+
+/** HTTP-статус ошибок без `httpStatus` в определении (500). */
+export declare const DEFAULT_HTTP_STATUS: number;
+
+/**
+ * Проверяет, что значение - HTTP-статус ошибки (целое 400-599).
+ *
+ * @function isErrorHttpStatus
+ * @param {unknown} status - Проверяемое значение.
+ * @returns {boolean} `true`, если статус допустим для ошибки.
+ */
+export declare function isErrorHttpStatus (status: unknown): status is number;
+
+/**
+ * Определяет HTTP-статус ошибки: `httpStatus`, `status`, `statusCode` (400-599), иначе 500.
+ *
+ * @function getHttpStatus
+ * @param {unknown} error - Ошибка.
+ * @returns {number} HTTP-статус.
+ */
+export declare function getHttpStatus (error: unknown): number;
+
+/**
+ * Преобразует ошибку в документ "problem details" (RFC 9457).
+ *
+ * @function toProblemDetails
+ * @param {Error} error - Ошибка (SystemError или любая другая).
+ * @param {ProblemDetailsOptions} [options] - Опции преобразования.
+ * @returns {ProblemDetails} Документ problem details.
+ */
+export declare function toProblemDetails (error: Error, options?: ProblemDetailsOptions): ProblemDetails;
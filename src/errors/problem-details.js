@@ -0,0 +1,108 @@
+/**
+ * @file src/errors/problem-details.js
+ * @description HTTP-статусы ошибок и преобразование в "problem details" (RFC 9457, application/problem+json)
+ * @version 0.1.0
+ */
+
+import { redactString } from './redact.js'
+import { safeSerialize } from './serialize.js'
+import { formatMessage } from './template.js'
+import { resolveMessageTemplate } from './i18n.js'
+
+/**
+ * Документ "problem details" (RFC 9457) с расширениями подсистемы ошибок
+ * @typedef {object} ProblemDetails
+ * @property {string} type - URI типа проблемы (`docs` определения или 'about:blank').
+ * @property {string} title - Краткое описание типа проблемы (шаблон сообщения определения).
+ * @property {number} status - HTTP-статус.
+ * @property {string} detail - Описание конкретного случая (сформированное сообщение ошибки).
+ * @property {string} [instance] - URI конкретного случая (например, путь запроса).
+ * @property {string|null} code - Расширение: код ошибки.
+ * @property {boolean|null} recoverable - Расширение: флаг восстанавливаемости.
+ * @property {object} [context] - Расширение: безопасно сериализованный и замаскированный контекст.
+ */
+
+/**
+ * Опции преобразования в problem details
+ * @typedef {object} ProblemDetailsOptions
+ * @property {string} [locale] - Локаль `title` и `detail` (по умолчанию - локаль ошибки).
+ * @property {string} [instance] - Значение поля `instance`.
+ * @property {boolean} [includeContext=true] - Включать ли расширение `context`.
+ */
+
+/**
+ * Тип содержимого ответа с problem details.
+ * @type {string}
+ */
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+/**
+ * HTTP-статус ошибок без `httpStatus` в определении.
+ * @type {number}
+ */
+export const DEFAULT_HTTP_STATUS = 500
+
+/**
+ * Проверяет, что значение - HTTP-статус ошибки (целое 400-599).
+ *
+ * @param {any} status - Проверяемое значение.
+ * @returns {boolean} `true`, если статус допустим для ошибки.
+ */
+export function isErrorHttpStatus (status) {
+  return Number.isInteger(status) && status >= 400 && status <= 599
+}
+
+/**
+ * Определяет HTTP-статус ошибки.
+ * Порядок: `httpStatus` (SystemError), затем `status` и `statusCode` (ошибки HTTP-фреймворков),
+ * иначе DEFAULT_HTTP_STATUS. Учитываются только статусы 400-599.
+ * Детерминированность: Да.
+ *
+ * @param {any} error - Ошибка.
+ * @returns {number} HTTP-статус.
+ */
+export function getHttpStatus (error) {
+  for (const key of ['httpStatus', 'status', 'statusCode']) {
+    if (isErrorHttpStatus(error?.[key])) return error[key]
+  }
+  return DEFAULT_HTTP_STATUS
+}
+
+/**
+ * Преобразует ошибку в документ "problem details" (RFC 9457).
+ *
+ * Основная ответственность:
+ * - `type` - `docs` ошибки (или 'about:blank'), `status` - getHttpStatus.
+ * - `title` - шаблон сообщения определения (одинаков для всех случаев этого типа),
+ *   `detail` - сформированное сообщение (в локали `options.locale`, если задана).
+ * - Расширения `code`, `recoverable` и `context` (безопасно сериализован, чувствительные данные замаскированы).
+ * - Для ошибок без шаблона (не SystemError) `title` - имя ошибки, контекст не включается.
+ * Детерминированность: Да (для неизменного состояния ошибки).
+ *
+ * @param {import('./system-error.js').SystemError|Error} error - Ошибка.
+ * @param {ProblemDetailsOptions} [options={}] - Опции преобразования.
+ * @returns {ProblemDetails} Документ problem details.
+ */
+export function toProblemDetails (error, options = {}) {
+  const { locale, instance, includeContext = true } = options
+  const hasTemplate = typeof error?.msg === 'string'
+  const template = hasTemplate
+    ? resolveMessageTemplate({ message: error.msg, messages: error.messages }, locale ?? error.locale)
+    : null
+
+  const problem = {
+    type: typeof error?.docs === 'string' && error.docs !== '' ? error.docs : 'about:blank',
+    title: template ?? (typeof error?.name === 'string' ? error.name : 'Error'),
+    status: getHttpStatus(error),
+    detail: hasTemplate && locale
+      ? formatMessage(template, error.context ?? {}, { sensitiveKeys: error.sensitiveKeys, locale })
+      : redactString(String(error?.message ?? '')),
+    code: typeof error?.code === 'string' ? error.code : null,
+    recoverable: typeof error?.recoverable === 'boolean' ? error.recoverable : null
+  }
+  if (typeof instance === 'string') problem.instance = instance
+  if (includeContext && hasTemplate) {
+    problem.context = safeSerialize(error.context ?? {}, { redact: true, sensitiveKeys: error.sensitiveKeys ?? [] })
+  }
+  return problem
+}
@@ -0,0 +1,84 @@
+/**
+ * @file src/errors/redact.d.ts
+ * @description TypeScript декларации для маскирования чувствительных данных в ошибках.
+ * @version 0.1.0
+ */
+
+/** Строка-замена для чувствительных данных по умолчанию. */
+export declare const REDACTED: '[REDACTED]';
+
+/** Сопоставитель значений: регулярное выражение (совпадения заменяются) или функция маскирования. */
+export type ValueMatcher = RegExp | ((value: string, replacement: string) => string)
+
+/**
+ * @interface RedactionConfig
+ * @description Глобальная конфигурация маскирования.
+ */
+export interface RedactionConfig {
+  /** @property {boolean} enabled - Включено ли маскирование. */
+  readonly enabled: boolean;
+  /** @property {string} replacement - Строка-замена для чувствительных данных. */
+  readonly replacement: string;
+  /** @property {Array<RegExp | string>} keyPatterns - Шаблоны имен чувствительных ключей (строки сравниваются без учета регистра). */
+  readonly keyPatterns: ReadonlyArray<RegExp | string>;
+  /** @property {ValueMatcher[]} valueMatchers - Сопоставители чувствительных фрагментов в строковых значениях. */
+  readonly valueMatchers: ReadonlyArray<ValueMatcher>;
+}
+
+/**
+ * @interface RedactOptions
+ * @description Опции маскирования отдельного значения.
+ */
+export interface RedactOptions {
+  /** @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (например, `definition.sensitiveKeys`). */
+  sensitiveKeys?: readonly string[];
+}
+
+/** Конфигурация маскирования по умолчанию (пароли, секреты, токены, ключи API, JWT, номера карт). */
+export declare const DEFAULT_REDACTION_CONFIG: RedactionConfig;
+
+/**
+ * Изменяет глобальную конфигурацию маскирования.
+ *
+ * @function configureRedaction
+ * @param {Partial<RedactionConfig>} config - Новые значения конфигурации (массивы заменяются целиком).
+ * @returns {RedactionConfig} Предыдущая конфигурация.
+ */
+export declare function configureRedaction (config: Partial<RedactionConfig>): RedactionConfig;
+
+/**
+ * Возвращает текущую глобальную конфигурацию маскирования.
+ *
+ * @function getRedactionConfig
+ * @returns {RedactionConfig} Конфигурация.
+ */
+export declare function getRedactionConfig (): RedactionConfig;
+
+/**
+ * Проверяет, является ли ключ чувствительным.
+ *
+ * @function isSensitiveKey
+ * @param {string} key - Имя ключа.
+ * @param {RedactOptions} [options] - Опции маскирования.
+ * @returns {boolean} `true`, если значение ключа нужно замаскировать.
+ */
+export declare function isSensitiveKey (key: string, options?: RedactOptions): boolean;
+
+/**
+ * Маскирует чувствительные фрагменты строки (JWT, номера карт и т.д.).
+ *
+ * @function redactString
+ * @param {T} value - Исходная строка.
+ * @returns {T} Строка с замаскированными фрагментами; не-строки возвращаются без изменений.
+ */
+export declare function redactString<T> (value: T): T;
+
+/**
+ * Возвращает копию значения с замаскированными чувствительными данными (исходное значение не изменяется).
+ *
+ * @function redactValue
+ * @param {T} value - Исходное значение.
+ * @param {RedactOptions} [options] - Опции маскирования.
+ * @returns {T} Замаскированная копия.
+ */
+export declare function redactValue<T> (value: T, options?: RedactOptions): T;
@@ -0,0 +1,212 @@
+/**
+ * @file src/errors/redact.js
+ * @description Маскирование чувствительных данных в контексте и сообщениях ошибок
+ * @version 0.1.1
+ */
+
+/**
+ * Значение, подставляемое вместо чувствительных данных по умолчанию.
+ * @type {string}
+ */
+export const REDACTED = '[REDACTED]'
+
+/**
+ * Сопоставитель значений: регулярное выражение (заменяются все совпадения, даже без флага g) или функция,
+ * возвращающая строку с замаскированными фрагментами.
+ * @typedef {RegExp|((value: string, replacement: string) => string)} ValueMatcher
+ */
+
+/**
+ * Конфигурация маскирования
+ * @typedef {object} RedactionConfig
+ * @property {boolean} enabled - Включено ли маскирование.
+ * @property {string} replacement - Строка-замена для чувствительных данных.
+ * @property {Array<RegExp|string>} keyPatterns - Шаблоны имен чувствительных ключей (строки сравниваются без учета регистра).
+ * @property {ValueMatcher[]} valueMatchers - Сопоставители чувствительных фрагментов в строковых значениях.
+ */
+
+/**
+ * Опции маскирования отдельного значения
+ * @typedef {object} RedactOptions
+ * @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (например, `definition.sensitiveKeys`).
+ */
+
+/**
+ * Проверяет номер банковской карты по алгоритму Луна.
+ * Детерминированность: Да.
+ *
+ * @param {string} digits - Строка из цифр.
+ * @returns {boolean} `true`, если контрольная сумма корректна.
+ * @private
+ */
+function passesLuhn (digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Маскирует номера банковских карт (13-19 цифр, допускаются пробелы и дефисы), прошедшие проверку Луна.
+ *
+ * @param {string} value - Исходная строка.
+ * @param {string} replacement - Строка-замена.
+ * @returns {string} Строка с замаскированными номерами.
+ * @private
+ */
+function maskCardNumbers (value, replacement) {
+  return value.replace(/\b\d(?:[ -]?\d){12,18}\b/g, match => {
+    const digits = match.replace(/[ -]/g, '')
+    return passesLuhn(digits) ? replacement : match
+  })
+}
+
+/**
+ * Конфигурация маскирования по умолчанию.
+ * @type {RedactionConfig}
+ */
+export const DEFAULT_REDACTION_CONFIG = Object.freeze({
+  enabled: true,
+  replacement: REDACTED,
+  keyPatterns: Object.freeze([
+    /passw(or)?d|passphrase|^pass$/i,
+    /secret/i,
+    /token/i,
+    /api[-_]?key/i,
+    /authorization/i,
+    /cookie/i,
+    /credential/i,
+    /private[-_]?key/i
+  ]),
+  valueMatchers: Object.freeze([
+    // JSON Web Token: три base64url-сегмента, заголовок начинается с "eyJ"
+    /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    maskCardNumbers
+  ])
+})
+
+/**
+ * Текущая глобальная конфигурация маскирования.
+ * @type {RedactionConfig}
+ * @private
+ */
+let currentConfig = DEFAULT_REDACTION_CONFIG
+
+/**
+ * Изменяет глобальную конфигурацию маскирования.
+ * Переданные поля заменяют текущие (массивы не объединяются).
+ * Регулярным выражениям `valueMatchers` без флага g он добавляется: иначе маскировалось бы только первое вхождение.
+ *
+ * @param {Partial<RedactionConfig>} config - Новые значения конфигурации.
+ * @returns {RedactionConfig} Предыдущая конфигурация (для последующего восстановления).
+ */
+export function configureRedaction (config) {
+  const previous = currentConfig
+  const next = { ...currentConfig, ...config }
+  if (config?.valueMatchers !== undefined) {
+    next.valueMatchers = Object.freeze(config.valueMatchers.map(matcher => matcher instanceof RegExp && !matcher.global
+      ? new RegExp(matcher.source, `${matcher.flags}g`)
+      : matcher))
+  }
+  currentConfig = Object.freeze(next)
+  return previous
+}
+
+/**
+ * Возвращает текущую глобальную конфигурацию маскирования.
+ *
+ * @returns {RedactionConfig} Конфигурация.
+ */
+export function getRedactionConfig () {
+  return currentConfig
+}
+
+/**
+ * Проверяет, является ли ключ чувствительным: входит в `sensitiveKeys`
+ * или соответствует глобальным шаблонам `keyPatterns`.
+ * Детерминированность: Да (для неизменной конфигурации).
+ *
+ * @param {string} key - Имя ключа.
+ * @param {RedactOptions} [options={}] - Опции маскирования.
+ * @returns {boolean} `true`, если значение ключа нужно замаскировать.
+ */
+export function isSensitiveKey (key, options = {}) {
+  if (!currentConfig.enabled) return false
+  const { sensitiveKeys = [] } = options
+  if (sensitiveKeys.includes(key)) return true
+  // search() не зависит от lastIndex, поэтому безопасен и для шаблонов с флагом g
+  return currentConfig.keyPatterns.some(pattern => pattern instanceof RegExp
+    ? String(key).search(pattern) !== -1
+    : pattern.toLowerCase() === String(key).toLowerCase())
+}
+
+/**
+ * Маскирует чувствительные фрагменты строки сопоставителями `valueMatchers`.
+ * Детерминированность: Да (для неизменной конфигурации).
+ *
+ * @param {string} value - Исходная строка.
+ * @returns {string} Строка с замаскированными фрагментами. Не-строки возвращаются без изменений.
+ */
+export function redactString (value) {
+  if (typeof value !== 'string' || !currentConfig.enabled) return value
+  const { valueMatchers, replacement } = currentConfig
+  return valueMatchers.reduce((result, matcher) => typeof matcher === 'function'
+    ? matcher(result, replacement)
+    : result.replace(matcher, replacement), value)
+}
+
+/**
+ * Возвращает копию значения с замаскированными чувствительными данными.
+ *
+ * Основная ответственность:
+ * - Рекурсивный обход простых объектов и массивов (исходное значение не изменяется).
+ * - Замена значений чувствительных ключей на строку-замену на любой глубине.
+ * - Маскирование фрагментов строк сопоставителями значений.
+ * - Сохранение циклических ссылок в копии; экземпляры классов (Date, Error и др.) не копируются.
+ * Детерминированность: Да (для неизменной конфигурации).
+ *
+ * @param {any} value - Исходное значение (обычно `context` ошибки).
+ * @param {RedactOptions} [options={}] - Опции маскирования.
+ * @returns {any} Замаскированная копия значения.
+ */
+export function redactValue (value, options = {}) {
+  if (!currentConfig.enabled) return value
+  const copies = new Map()
+
+  /**
+   * Рекурсивно маскирует значение.
+   *
+   * @param {any} current - Текущее значение.
+   * @returns {any} Замаскированная копия.
+   */
+  const walk = current => {
+    if (typeof current === 'string') return redactString(current)
+    if (!current || typeof current !== 'object') return current
+    if (copies.has(current)) return copies.get(current)
+
+    if (Array.isArray(current)) {
+      const copy = []
+      copies.set(current, copy)
+      current.forEach(item => copy.push(walk(item)))
+      return copy
+    }
+
+    const proto = Object.getPrototypeOf(current)
+    if (proto !== Object.prototype && proto !== null) return current
+
+    const copy = {}
+    copies.set(current, copy)
+    for (const [key, item] of Object.entries(current)) {
+      copy[key] = isSensitiveKey(key, options) ? currentConfig.replacement : walk(item)
+    }
+    return copy
+  }
+
+  return walk(value)
+}
@@ -0,0 +1,88 @@
+/**
+ * @file src/errors/registry.d.ts
+ * @description TypeScript декларации для реестра кодов ошибок подсистем.
+ * @version 0.1.0
+ */
+
+import { ErrorDefinition } from './errors'
+
+/**
+ * @interface ErrorRegistry
+ * @description Реестр кодов ошибок: таблицы подсистем и поиск определений по строковому коду.
+ */
+export interface ErrorRegistry {
+  /**
+   * Регистрирует таблицу кодов подсистемы. Каждое определение проверяется `validateDefinition`.
+   * @throws {SystemError} SYS_REGISTRY_FROZEN - Реестр заморожен.
+   * @throws {SystemError} SYS_VALIDATION_FAILED - Невалидные определения, повторный ключ подсистемы или дублирующиеся коды.
+   */
+  register (subsystemKey: string, codeTable: Record<string, ErrorDefinition>): void;
+  /** Возвращает определение по строковому коду или `undefined`. */
+  get (code: string): ErrorDefinition | undefined;
+  /** Проверяет, зарегистрирован ли код. */
+  has (code: string): boolean;
+  /** Возвращает все зарегистрированные коды в порядке регистрации. */
+  list (): string[];
+  /** Возвращает агрегированные таблицы кодов по ключам подсистем. */
+  getTables (): Record<string, Record<string, ErrorDefinition>>;
+  /** Замораживает реестр, запрещая дальнейшую регистрацию. */
+  freeze (): void;
+  /** Проверяет, заморожен ли реестр. */
+  isFrozen (): boolean;
+}
+
+/**
+ * Проверяет валидность объекта определения ошибки.
+ *
+ * @function validateDefinition
+ * @param {any} definition - Проверяемое определение. Ожидается объект.
+ * @returns {string[]} Массив строк с описанием найденных проблем. Пустой массив, если определение валидно. Возвращает `['Definition is missing or invalid.']` для `null`, `undefined` или не-объектов.
+ */
+export declare function validateDefinition (definition: any): string[];
+
+/**
+ * Создает новый пустой реестр кодов ошибок.
+ *
+ * @function createErrorRegistry
+ * @returns {ErrorRegistry} Экземпляр реестра.
+ */
+export declare function createErrorRegistry (): ErrorRegistry;
+
+/**
+ * @const {ErrorRegistry} errorRegistry
+ * @description Реестр по умолчанию; содержит коды `ERROR_CODES.SYS`.
+ */
+export declare const errorRegistry: ErrorRegistry
+
+/**
+ * Регистрирует таблицу кодов ошибок подсистемы в реестре по умолчанию.
+ *
+ * @function registerErrorCodes
+ * @param {string} subsystemKey - Ключ подсистемы (например, 'SYS_DB').
+ * @param {Record<string, ErrorDefinition>} codeTable - Таблица определений ошибок.
+ */
+export declare function registerErrorCodes (subsystemKey: string, codeTable: Record<string, ErrorDefinition>): void;
+
+/**
+ * Ищет определение ошибки по строковому коду в реестре по умолчанию.
+ *
+ * @function getErrorDefinition
+ * @param {string} code - Код ошибки.
+ * @returns {ErrorDefinition | undefined} Определение или `undefined`.
+ */
+export declare function getErrorDefinition (code: string): ErrorDefinition | undefined;
+
+/**
+ * Возвращает список всех кодов ошибок из реестра по умолчанию.
+ *
+ * @function listErrorCodes
+ * @returns {string[]} Коды ошибок в порядке регистрации.
+ */
+export declare function listErrorCodes (): string[];
+
+/**
+ * Замораживает реестр по умолчанию.
+ *
+ * @function freezeErrorCodes
+ */
+export declare function freezeErrorCodes (): void;
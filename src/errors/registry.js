@@ -0,0 +1,239 @@
+/**
+ * @file src/errors/registry.js
+ * @description Реестр кодов ошибок подсистем: регистрация таблиц, поиск определений по коду, заморозка
+ * @version 0.5.0
+ */
+
+import { SystemError } from './system-error.js'
+import { ERROR_CODES } from './codes.js'
+import { checkMessageCatalog } from './i18n.js'
+import { checkContextSchema } from './context-schema.js'
+import { isErrorHttpStatus } from './problem-details.js'
+import { getPlaceholders } from './template.js'
+
+/**
+ * Определение ошибки
+ * @typedef {import('./errors.js').ErrorDefinition} ErrorDefinition
+ */
+
+/**
+ * Запись реестра о зарегистрированном коде ошибки
+ * @typedef {object} RegistryEntry
+ * @property {ErrorDefinition} definition - Определение ошибки.
+ * @property {string} path - Путь к определению в агрегированной таблице (например, 'SYS.UNEXPECTED').
+ */
+
+/**
+ * Реестр кодов ошибок
+ * @typedef {object} ErrorRegistry
+ * @property {(subsystemKey: string, codeTable: Record<string, ErrorDefinition>) => void} register - Регистрирует таблицу кодов подсистемы.
+ * @property {(code: string) => ErrorDefinition|undefined} get - Возвращает определение по строковому коду.
+ * @property {(code: string) => boolean} has - Проверяет, зарегистрирован ли код.
+ * @property {() => string[]} list - Возвращает список всех зарегистрированных кодов в порядке регистрации.
+ * @property {() => Record<string, Record<string, ErrorDefinition>>} getTables - Возвращает агрегированные таблицы кодов по ключам подсистем.
+ * @property {() => void} freeze - Замораживает реестр, запрещая дальнейшую регистрацию.
+ * @property {() => boolean} isFrozen - Проверяет, заморожен ли реестр.
+ */
+
+/**
+ * Проверяет валидность определения ошибки
+ *
+ * Основная ответственность:
+ * - Проверка, является ли definition подходящим объектом.
+ * - Проверка наличия и корректности обязательных полей (code, message).
+ * - Валидация формата code.
+ * - Сверка `contextKeys` с плейсхолдерами `message`: каждый обязательный плейсхолдер (без значения
+ *   по умолчанию) должен начинаться с ключа из `contextKeys`, если они заданы.
+ * - Проверка каталога локализованных шаблонов `messages` (те же плейсхолдеры, что и в `message`).
+ * - Проверка схемы контекста `contextSchema` (известные типы, корректные enum и вложенные схемы).
+ * - Проверка `httpStatus` (целое число 400-599, если задан).
+ * - Компиляция шаблонов в общий кэш (при регистрации шаблоны разбираются заранее).
+ * - Сбор списка проблем.
+ * Детерминированность: Да.
+ *
+ * @param {any} definition - Проверяемое определение. Ожидается объект.
+ * @returns {string[]} Список найденных проблем. Пустой массив, если проблем нет.
+ */
+export function validateDefinition (definition) {
+  const problems = []
+
+  // ИСПРАВЛЕНО: Проверяем, что definition это не-null, не-массив объект
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    problems.push('Definition is missing or invalid.')
+    return problems // Дальнейшая проверка бессмысленна для не-объектов
+  }
+
+  // Проверка code
+  if (typeof definition.code !== 'string' || !definition.code) {
+    problems.push('Missing or invalid error code (must be a non-empty string).')
+  } else if (!/^[A-Z][A-Z0-9_]*$/.test(definition.code)) {
+    // Код должен начинаться с большой буквы и содержать только большие буквы, цифры и _
+    problems.push('Invalid error code format (must be UPPER_SNAKE_CASE, starting with a letter).')
+  }
+
+  // Проверка message
+  if (typeof definition.message !== 'string' || !definition.message) {
+    problems.push('Missing or invalid error message (must be a non-empty string).')
+  } else {
+    // getPlaceholders компилирует шаблон в общий кэш
+    const placeholders = getPlaceholders(definition.message, { required: true })
+    if (Array.isArray(definition.contextKeys) && definition.contextKeys.length > 0) {
+      placeholders
+        .filter(path => !definition.contextKeys.includes(path.split('.')[0]))
+        .forEach(path => problems.push(`Placeholder {${path}} in message is not listed in contextKeys.`))
+    }
+    // Локализованные шаблоны сверяем с базовым только при корректном message
+    problems.push(...checkMessageCatalog(definition))
+  }
+
+  // Проверка схемы контекста
+  if (definition.contextSchema !== undefined) {
+    problems.push(...checkContextSchema(definition.contextSchema))
+  }
+
+  // Проверка HTTP-статуса
+  if (definition.httpStatus !== undefined && !isErrorHttpStatus(definition.httpStatus)) {
+    problems.push('Invalid httpStatus (must be an integer HTTP error status 400-599).')
+  }
+
+  // Можно добавить другие проверки по необходимости (subsystem, recoverable и т.д.)
+
+  return problems
+}
+
+/**
+ * Создает новый (пустой) реестр кодов ошибок.
+ *
+ * Основная ответственность:
+ * - Хранение таблиц кодов по ключам подсистем (например, 'SYS', 'SYS_DB').
+ * - Проверка каждого определения через `validateDefinition` при регистрации.
+ * - Отклонение повторных ключей подсистем и дублирующихся значений `code`.
+ * - Атомарность регистрации: таблица с проблемами не регистрируется частично.
+ * - Заморозка реестра после завершения загрузки приложения.
+ * Детерминированность: Да (реестр хранит изменяемое состояние).
+ *
+ * @returns {ErrorRegistry} Экземпляр реестра.
+ */
+export function createErrorRegistry () {
+  /** @type {Map<string, Record<string, ErrorDefinition>>} */
+  const tables = new Map()
+  /** @type {Map<string, RegistryEntry>} */
+  const entries = new Map()
+  let frozen = false
+
+  /**
+   * Регистрирует таблицу кодов ошибок подсистемы.
+   *
+   * @param {string} subsystemKey - Ключ подсистемы в агрегированной таблице (например, 'SYS').
+   * @param {Record<string, ErrorDefinition>} codeTable - Таблица определений ошибок подсистемы.
+   * @throws {SystemError} SYS_REGISTRY_FROZEN - Если реестр заморожен.
+   * @throws {SystemError} SYS_VALIDATION_FAILED - Если ключ или таблица некорректны, ключ подсистемы уже
+   *   зарегистрирован, определения невалидны или коды дублируются. `context.problems` содержит все проблемы.
+   */
+  function register (subsystemKey, codeTable) {
+    if (frozen) {
+      throw new SystemError(ERROR_CODES.SYS.REGISTRY_FROZEN, { subsystemKey })
+    }
+
+    const problems = []
+    if (typeof subsystemKey !== 'string' || !subsystemKey) {
+      problems.push('Subsystem key must be a non-empty string.')
+    } else if (tables.has(subsystemKey)) {
+      problems.push(`Subsystem key '${subsystemKey}' is already registered.`)
+    }
+
+    const isTable = codeTable && typeof codeTable === 'object' && !Array.isArray(codeTable)
+    if (!isTable) {
+      problems.push('Code table must be a non-null object.')
+    }
+
+    // Коды, встреченные в регистрируемой таблице (для поиска дублей внутри нее)
+    const seen = new Map()
+    if (isTable) {
+      for (const [entryKey, definition] of Object.entries(codeTable)) {
+        const path = `${subsystemKey}.${entryKey}`
+        const definitionProblems = validateDefinition(definition)
+        if (definitionProblems.length > 0) {
+          definitionProblems.forEach(problem => problems.push(`${path}: ${problem}`))
+          continue
+        }
+        const existing = entries.get(definition.code) ?? seen.get(definition.code)
+        if (existing) {
+          problems.push(`${path}: Duplicate error code '${definition.code}' (already defined at ${existing.path}).`)
+          continue
+        }
+        seen.set(definition.code, { definition, path })
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new SystemError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+        reason: `Cannot register error code table '${subsystemKey}'`,
+        problems,
+        problemsText: problems.join('; ')
+      })
+    }
+
+    tables.set(subsystemKey, codeTable)
+    seen.forEach((entry, code) => entries.set(code, entry))
+  }
+
+  return {
+    register,
+    get: code => entries.get(code)?.definition,
+    has: code => entries.has(code),
+    list: () => [...entries.keys()],
+    getTables: () => Object.fromEntries(tables),
+    freeze: () => { frozen = true },
+    isFrozen: () => frozen
+  }
+}
+
+/**
+ * Реестр кодов ошибок по умолчанию.
+ * Содержит общесистемные коды `ERROR_CODES.SYS`; подсистемы регистрируют свои таблицы при загрузке.
+ *
+ * @type {ErrorRegistry}
+ */
+export const errorRegistry = createErrorRegistry()
+errorRegistry.register('SYS', ERROR_CODES.SYS)
+
+/**
+ * Регистрирует таблицу кодов ошибок подсистемы в реестре по умолчанию.
+ *
+ * @param {string} subsystemKey - Ключ подсистемы (например, 'SYS_DB').
+ * @param {Record<string, ErrorDefinition>} codeTable - Таблица определений ошибок подсистемы.
+ * @throws {SystemError} SYS_REGISTRY_FROZEN - Если реестр заморожен.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если таблица невалидна, ключ или коды дублируются.
+ */
+export function registerErrorCodes (subsystemKey, codeTable) {
+  errorRegistry.register(subsystemKey, codeTable)
+}
+
+/**
+ * Ищет определение ошибки по строковому коду в реестре по умолчанию.
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @param {string} code - Код ошибки (например, 'SYS_VALIDATION_FAILED').
+ * @returns {ErrorDefinition|undefined} Определение ошибки или undefined, если код не зарегистрирован.
+ */
+export function getErrorDefinition (code) {
+  return errorRegistry.get(code)
+}
+
+/**
+ * Возвращает список всех кодов ошибок из реестра по умолчанию в порядке регистрации.
+ * Детерминированность: Да (для неизменного состояния реестра).
+ *
+ * @returns {string[]} Массив кодов ошибок.
+ */
+export function listErrorCodes () {
+  return errorRegistry.list()
+}
+
+/**
+ * Замораживает реестр по умолчанию. Вызывается после загрузки всех подсистем.
+ */
+export function freezeErrorCodes () {
+  errorRegistry.freeze()
+}
@@ -0,0 +1,139 @@
+/**
+ * @file src/errors/result.d.ts
+ * @description TypeScript декларации для типа Result (Ok/Err) с литеральными типами кодов ошибок.
+ * @version 0.1.0
+ */
+
+import { ErrorDefinition } from './errors'
+import { SystemError } from './system-error'
+
+/** Ошибка SystemError с литеральным типом кода. */
+export type SystemErrorOf<C extends string = string> = SystemError & { readonly code: C }
+
+/** Успешный результат. */
+export interface Ok<T> {
+  readonly ok: true;
+  readonly value: T;
+}
+
+/** Неуспешный результат. */
+export interface Err<E> {
+  readonly ok: false;
+  readonly error: E;
+}
+
+/** Результат операции: Ok или Err. */
+export type Result<T, E = SystemError> = Ok<T> | Err<E>
+
+/**
+ * Ошибка результата tryCatch для определения: код определения (литеральный для определений `as const`
+ * и классов defineErrors) или SystemError, если определение не задано.
+ */
+export type OperationErrorOf<D> =
+  D extends { readonly definition: { readonly code: infer C extends string } } ? SystemErrorOf<C>
+    : D extends { readonly code: infer C extends string } ? SystemErrorOf<C>
+      : D extends string ? SystemErrorOf<D>
+        : SystemError
+
+/** Значение успешного результата. */
+export type OkValue<R> = R extends Ok<infer T> ? T : never
+
+/** Ошибка неуспешного результата. */
+export type ErrError<R> = R extends Err<infer E> ? E : never
+
+/**
+ * Создает успешный результат.
+ *
+ * @function ok
+ * @param {T} value - Значение.
+ * @returns {Ok<T>} Результат.
+ */
+export declare function ok<T> (value: T): Ok<T>;
+
+/**
+ * Создает неуспешный результат.
+ *
+ * @function err
+ * @param {E} error - Ошибка.
+ * @returns {Err<E>} Результат.
+ */
+export declare function err<E> (error: E): Err<E>;
+
+/**
+ * Проверяет, что значение - результат (Ok или Err).
+ *
+ * @function isResult
+ * @param {unknown} value - Проверяемое значение.
+ * @returns {boolean} `true` для результатов ok() и err().
+ */
+export declare function isResult (value: unknown): value is Result<unknown, unknown>;
+
+/**
+ * Выполняет функцию и возвращает результат вместо исключения. С определением ошибка оборачивается
+ * в ошибку операции (см. wrapOperation), без него - SystemError как есть, прочие ошибки - в SYS_UNEXPECTED.
+ *
+ * @function tryCatch
+ * @param {() => T} fn - Функция.
+ * @param {D} [definition] - Определение ошибки операции (объект, код или класс из defineErrors).
+ * @returns {Result<T, OperationErrorOf<D>>} Результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `fn` не функция или определение не распознано.
+ */
+export declare function tryCatch<T, D extends ErrorDefinition | string | { readonly definition: ErrorDefinition } | undefined = undefined> (
+  fn: () => T,
+  definition?: D
+): Result<T, OperationErrorOf<D>>;
+
+/**
+ * Асинхронный вариант tryCatch.
+ *
+ * @function tryCatchAsync
+ * @param {() => T | Promise<T>} fn - Функция.
+ * @param {D} [definition] - Определение ошибки операции.
+ * @returns {Promise<Result<T, OperationErrorOf<D>>>} Результат.
+ */
+export declare function tryCatchAsync<T, D extends ErrorDefinition | string | { readonly definition: ErrorDefinition } | undefined = undefined> (
+  fn: () => T | PromiseLike<T>,
+  definition?: D
+): Promise<Result<T, OperationErrorOf<D>>>;
+
+/**
+ * Преобразует значение успешного результата.
+ *
+ * @function map
+ */
+export declare function map<T, E, U> (result: Result<T, E>, fn: (value: T) => U): Result<U, E>;
+
+/**
+ * Преобразует ошибку неуспешного результата.
+ *
+ * @function mapErr
+ */
+export declare function mapErr<T, E, F> (result: Result<T, E>, fn: (error: E) => F): Result<T, F>;
+
+/**
+ * Продолжает вычисление функцией, возвращающей результат; ошибки обоих шагов объединяются в типе.
+ *
+ * @function andThen
+ */
+export declare function andThen<T, E, R extends Result<unknown, unknown>> (
+  result: Result<T, E>,
+  fn: (value: T) => R
+): Result<OkValue<R>, E | ErrError<R>>;
+
+/**
+ * Возвращает значение успешного результата или выбрасывает ошибку неуспешного.
+ *
+ * @function unwrap
+ * @throws {SystemError} Ошибка из `result.error`.
+ */
+export declare function unwrap<T> (result: Result<T, unknown>): T;
+
+/**
+ * Объединяет результаты: Ok с кортежем значений или Err с ошибкой SYS_VALIDATION_FAILED
+ * (`context.problems`, `context.errors`).
+ *
+ * @function combine
+ */
+export declare function combine<R extends readonly Result<unknown, unknown>[]> (
+  results: readonly [...R]
+): Result<{ -readonly [K in keyof R]: OkValue<R[K]> }, SystemErrorOf<'SYS_VALIDATION_FAILED'>>;
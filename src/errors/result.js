@@ -0,0 +1,231 @@
+/**
+ * @file src/errors/result.js
+ * @description Тип Result (Ok/Err): явный возврат ошибок SystemError вместо исключений
+ * @version 0.1.2
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { SystemError } from './system-error.js'
+import { createError } from './errors.js'
+import { describeValue } from './chain.js'
+import { wrapOperation } from './operation.js'
+
+/**
+ * Успешный результат
+ * @template T
+ * @typedef {{ readonly ok: true, readonly value: T }} Ok
+ */
+
+/**
+ * Неуспешный результат
+ * @template E
+ * @typedef {{ readonly ok: false, readonly error: E }} Err
+ */
+
+/**
+ * Результат операции: Ok или Err
+ * @template T, E
+ * @typedef {Ok<T>|Err<E>} Result
+ */
+
+/**
+ * Создает успешный результат.
+ *
+ * @template T
+ * @param {T} value - Значение.
+ * @returns {Ok<T>} Неизменяемый результат `{ ok: true, value }`.
+ */
+export function ok (value) {
+  return Object.freeze({ ok: true, value })
+}
+
+/**
+ * Создает неуспешный результат.
+ *
+ * @template E
+ * @param {E} error - Ошибка (как правило, SystemError).
+ * @returns {Err<E>} Неизменяемый результат `{ ok: false, error }`.
+ */
+export function err (error) {
+  return Object.freeze({ ok: false, error })
+}
+
+/**
+ * Проверяет, что значение - результат (Ok или Err).
+ *
+ * @param {any} value - Проверяемое значение.
+ * @returns {boolean} `true` для результатов ok() и err().
+ */
+export function isResult (value) {
+  return value !== null && typeof value === 'object' &&
+    ((value.ok === true && 'value' in value) || (value.ok === false && 'error' in value))
+}
+
+/**
+ * Проверяет аргумент-результат функций модуля.
+ *
+ * @param {any} result - Проверяемое значение.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если значение не является результатом.
+ * @private
+ */
+function assertResult (result) {
+  if (!isResult(result)) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'result', reason: 'must be a Result created by ok() or err()' })
+  }
+}
+
+/**
+ * Приводит выброшенное значение к SystemError для функций без определения ошибки:
+ * SystemError сохраняется, прочие значения оборачиваются в SYS_UNEXPECTED.
+ *
+ * @param {any} error - Выброшенное значение.
+ * @returns {SystemError} Ошибка.
+ * @private
+ */
+function toSystemError (error) {
+  if (error instanceof SystemError) return error
+  const reason = error instanceof Error ? error.message || error.name : describeValue(error)
+  return createError(ERROR_CODES.SYS.UNEXPECTED, { reason }, error)
+}
+
+/**
+ * Выполняет синхронную функцию и возвращает результат вместо исключения.
+ * С определением ошибка оборачивается как в wrapOperation (`context.reason`, исходная ошибка в `original`,
+ * ошибки с тем же кодом - без повторного обертывания); без определения SystemError возвращается как есть,
+ * прочие ошибки оборачиваются в SYS_UNEXPECTED.
+ * Детерминированность: Да (поведение определяется `fn`).
+ *
+ * @template T
+ * @param {() => T} fn - Функция.
+ * @param {import('./operation.js').OperationDefinition} [definition] - Определение ошибки операции (объект, код или класс).
+ * @returns {Result<T, SystemError>} Результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `fn` не функция или определение не распознано.
+ */
+export function tryCatch (fn, definition) {
+  const run = definition === undefined ? fn : wrapOperation(definition, fn)
+  if (typeof run !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'fn', reason: 'must be a function' })
+  }
+  try {
+    return ok(run())
+  } catch (error) {
+    return err(toSystemError(error))
+  }
+}
+
+/**
+ * Асинхронный вариант tryCatch: ожидает результат функции (или Promise) и возвращает Promise результата.
+ * Отклонение Promise обрабатывается так же, как исключение в tryCatch.
+ * Детерминированность: Да (поведение определяется `fn`).
+ *
+ * @template T
+ * @param {() => T|Promise<T>} fn - Функция.
+ * @param {import('./operation.js').OperationDefinition} [definition] - Определение ошибки операции.
+ * @returns {Promise<Result<T, SystemError>>} Результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `fn` не функция или определение не распознано (синхронно).
+ */
+export function tryCatchAsync (fn, definition) {
+  const run = definition === undefined ? fn : wrapOperation(definition, fn)
+  if (typeof run !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'fn', reason: 'must be a function' })
+  }
+  return (async () => {
+    try {
+      return ok(await run())
+    } catch (error) {
+      return err(toSystemError(error))
+    }
+  })()
+}
+
+/**
+ * Преобразует значение успешного результата; неуспешный результат возвращается без изменений.
+ *
+ * @param {Result} result - Результат.
+ * @param {(value: any) => any} fn - Преобразование значения.
+ * @returns {Result} Новый результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `result` не является результатом.
+ */
+export function map (result, fn) {
+  assertResult(result)
+  return result.ok ? ok(fn(result.value)) : result
+}
+
+/**
+ * Преобразует ошибку неуспешного результата (например, оборачивает ее в ошибку операции);
+ * успешный результат возвращается без изменений.
+ *
+ * @param {Result} result - Результат.
+ * @param {(error: any) => any} fn - Преобразование ошибки.
+ * @returns {Result} Новый результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `result` не является результатом.
+ */
+export function mapErr (result, fn) {
+  assertResult(result)
+  return result.ok ? result : err(fn(result.error))
+}
+
+/**
+ * Продолжает вычисление функцией, возвращающей результат; неуспешный результат возвращается без изменений.
+ *
+ * @param {Result} result - Результат.
+ * @param {(value: any) => Result} fn - Следующий шаг.
+ * @returns {Result} Результат следующего шага.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `result` или значение `fn` не являются результатами.
+ */
+export function andThen (result, fn) {
+  assertResult(result)
+  if (!result.ok) return result
+  const next = fn(result.value)
+  assertResult(next)
+  return next
+}
+
+/**
+ * Возвращает значение успешного результата или выбрасывает ошибку неуспешного.
+ *
+ * @param {Result} result - Результат.
+ * @returns {any} Значение.
+ * @throws {SystemError} Ошибка из `result.error`.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `result` не является результатом.
+ */
+export function unwrap (result) {
+  assertResult(result)
+  if (result.ok) return result.value
+  throw result.error
+}
+
+/**
+ * Объединяет результаты: Ok с массивом значений, если все результаты успешны,
+ * иначе Err с одной ошибкой SYS_VALIDATION_FAILED.
+ *
+ * Основная ответственность:
+ * - `context.problems` - описания всех ошибок (`[code] message`), `context.errors` - сами ошибки.
+ * - Все ошибки передаются как причины (`errors`), первая из них - в `original` для цепочки.
+ * Детерминированность: Да.
+ *
+ * @param {Iterable<Result>} results - Результаты.
+ * @returns {Result<any[], SystemError>} Объединенный результат.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `results` не итерируемый объект или содержит не результаты.
+ */
+export function combine (results) {
+  if (results === null || typeof results?.[Symbol.iterator] !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'results', reason: 'must be an iterable of Results' })
+  }
+  const values = []
+  const errors = []
+  for (const result of results) {
+    assertResult(result)
+    if (result.ok) values.push(result.value)
+    else errors.push(result.error)
+  }
+  if (errors.length === 0) return ok(values)
+
+  const problems = errors.map(error => `[${error?.code ?? error?.name ?? 'Error'}] ${error?.message ?? describeValue(error)}`)
+  return err(createError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+    reason: `${errors.length} of ${values.length + errors.length} results failed`,
+    problems,
+    problemsText: problems.join('; '),
+    errors
+  }, errors))
+}
@@ -0,0 +1,80 @@
+/**
+ * @file src/errors/retry.d.ts
+ * @description TypeScript декларации для повтора операций на основе восстанавливаемости ошибок.
+ * @version 0.2.0
+ */
+
+import { RecoverabilityMode } from './errors'
+
+/**
+ * @interface RetryCodeOverride
+ * @description Переопределение политики повтора для конкретного `error.code`.
+ */
+export interface RetryCodeOverride {
+  /** Повторять ли операцию при ошибке с этим кодом (вместо анализа `isRecoverable`). */
+  recoverable?: boolean;
+  /** Максимальное число попыток, если последней была ошибка с этим кодом. */
+  maxAttempts?: number;
+  /** Базовая задержка в мс. */
+  baseDelay?: number;
+  /** Максимальная задержка в мс. */
+  maxDelay?: number;
+}
+
+/**
+ * @interface RetryOptions
+ * @description Опции функции `withRetry`.
+ */
+export interface RetryOptions {
+  /** @property {number} [maxAttempts=3] - Максимальное число попыток (включая первую). */
+  maxAttempts?: number;
+  /** @property {number} [baseDelay=100] - Задержка перед второй попыткой в мс. */
+  baseDelay?: number;
+  /** @property {number} [maxDelay=10000] - Верхняя граница задержки в мс. */
+  maxDelay?: number;
+  /** @property {number} [factor=2] - Множитель экспоненциального роста задержки. */
+  factor?: number;
+  /** @property {boolean} [jitter=true] - Полный джиттер: случайная задержка от 0 до расчетной. */
+  jitter?: boolean;
+  /** @property {AbortSignal} [signal] - Сигнал отмены. */
+  signal?: AbortSignal;
+  /** @property {RecoverabilityMode} [recoverabilityMode] - Режим анализа цепочки для `isRecoverable`. */
+  recoverabilityMode?: RecoverabilityMode;
+  /** @property {Function} [recoverabilityPredicate] - Предикат `isRecoverable` для режима 'custom' (обязателен в нем). */
+  recoverabilityPredicate?: (error: unknown, chain: unknown[]) => boolean;
+  /** @property {Record<string, RetryCodeOverride>} [codeOverrides] - Переопределения политики по `error.code`. */
+  codeOverrides?: Record<string, RetryCodeOverride>;
+  /** @property {Function} [onRetry] - Вызывается перед ожиданием очередной попытки. */
+  onRetry?: (error: unknown, attempt: number, delay: number) => void;
+}
+
+/**
+ * Выполняет операцию с повторами при восстанавливаемых ошибках и экспоненциальной задержкой.
+ *
+ * @function withRetry
+ * @param fn - Операция; получает номер попытки и сигнал отмены.
+ * @param {RetryOptions} [options] - Опции повтора.
+ * @returns Результат первой успешной попытки.
+ * @throws {SystemError} SYS_RETRY_EXHAUSTED - Попытки исчерпаны, ошибка невосстанавливаема или операция отменена;
+ *   последняя ошибка в `original`, ошибки всех попыток в `context.errors`.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Некорректные аргументы.
+ */
+export declare function withRetry<T> (
+  fn: (info: { attempt: number; signal?: AbortSignal }) => T | Promise<T>,
+  options?: RetryOptions
+): Promise<T>;
+
+/**
+ * Зависимости модуля (Только для тестирования DI).
+ */
+export interface RetryDependencies {
+  sleep: (ms: number, signal?: AbortSignal) => Promise<void>;
+  random: () => number;
+}
+
+export declare const dependencies: RetryDependencies
+
+/**
+ * Устанавливает зависимости модуля (Только для тестирования DI).
+ */
+export declare function setDependencies (newDependencies: Partial<RetryDependencies>): void;
@@ -0,0 +1,195 @@
+/**
+ * @file src/errors/retry.js
+ * @description Повтор операций с экспоненциальной задержкой на основе восстанавливаемости ошибок
+ * @version 0.2.1
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { RECOVERABILITY_MODES, createError, isRecoverable } from './errors.js'
+
+/**
+ * Переопределение политики повтора для конкретного кода ошибки
+ * @typedef {object} RetryCodeOverride
+ * @property {boolean} [recoverable] - Повторять ли операцию при ошибке с этим кодом (вместо анализа `isRecoverable`).
+ * @property {number} [maxAttempts] - Максимальное число попыток, если последней была ошибка с этим кодом.
+ * @property {number} [baseDelay] - Базовая задержка в мс для этого кода.
+ * @property {number} [maxDelay] - Максимальная задержка в мс для этого кода.
+ */
+
+/**
+ * Опции повтора операции
+ * @typedef {object} RetryOptions
+ * @property {number} [maxAttempts=3] - Максимальное число попыток (включая первую).
+ * @property {number} [baseDelay=100] - Задержка перед второй попыткой в мс.
+ * @property {number} [maxDelay=10000] - Верхняя граница задержки в мс.
+ * @property {number} [factor=2] - Множитель экспоненциального роста задержки.
+ * @property {boolean} [jitter=true] - Использовать "полный" джиттер (случайная задержка от 0 до расчетной).
+ * @property {AbortSignal} [signal] - Сигнал отмены: прерывает ожидание и дальнейшие попытки.
+ * @property {string} [recoverabilityMode] - Режим анализа цепочки для `isRecoverable` (RECOVERABILITY_MODES).
+ * @property {(error: any, chain: any[]) => boolean} [recoverabilityPredicate] - Предикат `isRecoverable`
+ *   для режима CUSTOM (обязателен в этом режиме).
+ * @property {Record<string, RetryCodeOverride>} [codeOverrides={}] - Переопределения политики по `error.code`.
+ * @property {(error: any, attempt: number, delay: number) => void} [onRetry] - Вызывается перед ожиданием очередной попытки.
+ */
+
+/**
+ * Ожидает заданное время. Ожидание прерывается досрочно (без ошибки) при срабатывании сигнала отмены.
+ *
+ * @param {number} ms - Время ожидания в мс.
+ * @param {AbortSignal} [signal] - Сигнал отмены.
+ * @returns {Promise<void>} Промис, разрешающийся по истечении времени или при отмене.
+ * @private
+ */
+function sleep (ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve()
+      return
+    }
+    const done = () => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    const timer = setTimeout(done, ms)
+    signal?.addEventListener('abort', done, { once: true })
+  })
+}
+
+/**
+ * Зависимости модуля (Только для тестирования DI)
+ * @typedef {object} RetryDependencies
+ * @property {typeof sleep} sleep - Функция ожидания.
+ * @property {() => number} random - Генератор случайных чисел [0, 1) для джиттера.
+ */
+export const dependencies = {
+  sleep,
+  random: Math.random
+}
+
+/**
+ * Устанавливает зависимости модуля (Только для тестирования DI)
+ * @param {Partial<RetryDependencies>} newDependencies - Новые зависимости
+ */
+export function setDependencies (newDependencies) {
+  Object.assign(dependencies, newDependencies)
+}
+
+/**
+ * Вычисляет задержку перед следующей попыткой по экспоненциальной схеме с ограничением сверху.
+ * При включенном джиттере возвращает случайное значение от 0 до расчетной задержки.
+ * Детерминированность: Нет при `jitter=true` (использует dependencies.random).
+ *
+ * @param {number} attempt - Номер завершившейся неудачей попытки (начиная с 1).
+ * @param {{baseDelay: number, maxDelay: number, factor: number, jitter: boolean}} backoff - Параметры задержки.
+ * @returns {number} Задержка в мс.
+ * @private
+ */
+function computeDelay (attempt, { baseDelay, maxDelay, factor, jitter }) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1))
+  return jitter ? Math.round(dependencies.random() * delay) : delay
+}
+
+/**
+ * Выполняет асинхронную операцию с повторами при восстанавливаемых ошибках.
+ *
+ * Основная ответственность:
+ * - Повтор операции, пока ошибка восстанавливаема (`isRecoverable` или `codeOverrides[code].recoverable`)
+ *   и не исчерпан лимит попыток.
+ * - Экспоненциальная задержка между попытками с ограничением и джиттером.
+ * - Прерывание по сигналу отмены (`options.signal`).
+ * - Обертывание отказа в ошибку операции SYS_RETRY_EXHAUSTED: последняя ошибка сохраняется в `original`,
+ *   ошибки всех попыток - в `context.errors`, причина отказа - в `context.reason`.
+ * Детерминированность: Нет (зависит от операции, времени и генератора случайных чисел).
+ *
+ * @template T
+ * @param {(info: {attempt: number, signal?: AbortSignal}) => T|Promise<T>} fn - Операция; получает номер попытки и сигнал отмены.
+ * @param {RetryOptions} [options={}] - Опции повтора.
+ * @returns {Promise<T>} Результат первой успешной попытки.
+ * @throws {SystemError} SYS_RETRY_EXHAUSTED - Попытки исчерпаны, ошибка невосстанавливаема или операция отменена.
+ *   Возможные ошибки в .original:
+ *   - любая ошибка последней попытки
+ *   - `signal.reason`, если операция отменена до первой неудачной попытки
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если `fn` не функция, `maxAttempts` не положительное целое,
+ *   `recoverabilityMode` неизвестен или для режима CUSTOM не передан `recoverabilityPredicate`
+ *   (проверяется до первой попытки).
+ */
+export async function withRetry (fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    baseDelay = 100,
+    maxDelay = 10000,
+    factor = 2,
+    jitter = true,
+    signal,
+    recoverabilityMode,
+    recoverabilityPredicate,
+    codeOverrides = {},
+    onRetry
+  } = options
+
+  if (typeof fn !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'fn', reason: 'must be a function' })
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'options.maxAttempts', reason: 'must be a positive integer' })
+  }
+  // Опции isRecoverable проверяются заранее: ошибка в catch потеряла бы ошибку попытки
+  if (recoverabilityMode !== undefined && !Object.values(RECOVERABILITY_MODES).includes(recoverabilityMode)) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: 'options.recoverabilityMode',
+      reason: `unknown mode '${recoverabilityMode}', expected one of: ${Object.values(RECOVERABILITY_MODES).join(', ')}`
+    })
+  }
+  if (recoverabilityMode === RECOVERABILITY_MODES.CUSTOM && typeof recoverabilityPredicate !== 'function') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: 'options.recoverabilityPredicate',
+      reason: `must be a function in '${RECOVERABILITY_MODES.CUSTOM}' mode`
+    })
+  }
+  const recoverabilityOptions = { mode: recoverabilityMode, predicate: recoverabilityPredicate }
+
+  const errors = []
+
+  /**
+   * Создает ошибку отказа от дальнейших попыток.
+   *
+   * @param {string} reason - Причина отказа.
+   * @returns {SystemError} Ошибка SYS_RETRY_EXHAUSTED.
+   */
+  const giveUp = reason => {
+    const lastError = errors.length > 0 ? errors[errors.length - 1] : signal?.reason
+    return createError(ERROR_CODES.SYS.RETRY_EXHAUSTED, { attempts: errors.length, reason, errors }, lastError)
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) {
+      throw giveUp('operation aborted')
+    }
+
+    try {
+      return await fn({ attempt, signal })
+    } catch (error) {
+      errors.push(error)
+
+      // Только собственные ключи: коды 'constructor', 'toString' и т.п. не должны находить унаследованные члены
+      const override = Object.hasOwn(codeOverrides, error?.code) ? codeOverrides[error.code] : {}
+      const recoverable = override.recoverable ?? isRecoverable(error, recoverabilityOptions)
+      if (!recoverable) {
+        throw giveUp('non-recoverable error')
+      }
+      if (attempt >= (override.maxAttempts ?? maxAttempts)) {
+        throw giveUp('maximum number of attempts reached')
+      }
+
+      const delay = computeDelay(attempt, {
+        baseDelay: override.baseDelay ?? baseDelay,
+        maxDelay: override.maxDelay ?? maxDelay,
+        factor,
+        jitter
+      })
+      onRetry?.(error, attempt, delay)
+      await dependencies.sleep(delay, signal)
+    }
+  }
+}
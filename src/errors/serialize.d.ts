@@ -0,0 +1,38 @@
+/**
+ * @file src/errors/serialize.d.ts
+ * @description TypeScript декларации для безопасной сериализации контекста ошибок.
+ * @version 0.2.0
+ */
+
+/**
+ * @interface SerializeOptions
+ * @description Опции функции `safeSerialize`.
+ */
+export interface SerializeOptions {
+  /** @property {number} [maxDepth=10] - Максимальная глубина вложенности. */
+  maxDepth?: number;
+  /** @property {number} [maxArrayLength=100] - Максимальное число элементов массива, Map или Set. */
+  maxArrayLength?: number;
+  /** @property {number} [maxStringLength=10000] - Максимальная длина строки. */
+  maxStringLength?: number;
+  /** @property {number} [maxNodes=10000] - Максимальное число сериализуемых значений; сверх лимита - `[Truncated]`. */
+  maxNodes?: number;
+  /** @property {boolean} [redact=false] - Маскировать чувствительные данные. */
+  redact?: boolean;
+  /** @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (при `redact: true`). */
+  sensitiveKeys?: readonly string[];
+}
+
+/** Опции сериализации по умолчанию. */
+export declare const DEFAULT_SERIALIZE_OPTIONS: Readonly<Required<SerializeOptions>>;
+
+/**
+ * Преобразует значение в JSON-совместимый вид: циклы, ограничения глубины и размера,
+ * BigInt, Date, Map, Set, Buffer, функции и вложенные ошибки.
+ *
+ * @function safeSerialize
+ * @param {any} value - Сериализуемое значение.
+ * @param {SerializeOptions} [options] - Опции сериализации.
+ * @returns {any} JSON-совместимое значение.
+ */
+export declare function safeSerialize (value: unknown, options?: SerializeOptions): any;
@@ -0,0 +1,231 @@
+/**
+ * @file src/errors/serialize.js
+ * @description Безопасная сериализация произвольных значений (контекста ошибок) в JSON-совместимый вид
+ * @version 0.2.0
+ */
+
+import { getRedactionConfig, isSensitiveKey, redactString } from './redact.js'
+
+/**
+ * Опции безопасной сериализации
+ * @typedef {object} SerializeOptions
+ * @property {number} [maxDepth=10] - Максимальная глубина вложенности; более глубокие объекты заменяются на `[Object]`, `[Array]` и т.п.
+ * @property {number} [maxArrayLength=100] - Максимальное число элементов массива, Map или Set.
+ * @property {number} [maxStringLength=10000] - Максимальная длина строки (длинные строки обрезаются).
+ * @property {number} [maxNodes=10000] - Максимальное число сериализуемых значений (узлов) за вызов; значения сверх
+ *   лимита заменяются на `[Truncated]`.
+ * @property {boolean} [redact=false] - Маскировать чувствительные данные (см. redact.js).
+ * @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (при `redact: true`).
+ */
+
+/**
+ * Опции сериализации по умолчанию.
+ * @type {Readonly<SerializeOptions>}
+ */
+export const DEFAULT_SERIALIZE_OPTIONS = Object.freeze({
+  maxDepth: 10,
+  maxArrayLength: 100,
+  maxStringLength: 10000,
+  maxNodes: 10000,
+  redact: false,
+  sensitiveKeys: Object.freeze([])
+})
+
+/**
+ * Свойства ошибки, сериализуемые отдельно от прочих собственных свойств.
+ * @type {Set<string>}
+ * @private
+ */
+const ERROR_BASE_KEYS = new Set(['name', 'message', 'stack', 'cause'])
+
+/**
+ * Возвращает имя конструктора объекта для маркеров сериализации.
+ *
+ * @param {object} value - Объект.
+ * @returns {string} Имя конструктора или 'Object'.
+ * @private
+ */
+function getTypeName (value) {
+  return value.constructor?.name || 'Object'
+}
+
+/**
+ * Преобразует значение в JSON-совместимый вид без риска зацикливания и неконтролируемого роста.
+ *
+ * Основная ответственность:
+ * - Циклические ссылки заменяются на `'[Circular]'` (повторные нециклические ссылки сериализуются полностью).
+ * - Ограничения глубины, длины массивов (Map, Set) и строк.
+ * - Ограничение общего числа узлов (`maxNodes`): повторные ссылки на общие объекты не раздувают результат
+ *   до мегабайт - после исчерпания лимита значения заменяются на `'[Truncated]'`, коллекции обрезаются.
+ * - Кодирование BigInt (`'123n'`), Date (ISO-строка), Map (`{ $type: 'Map', entries }`),
+ *   Set (`{ $type: 'Set', values }`), Buffer и типизированных массивов (`{ $type, byteLength, base64 }`),
+ *   функций (`'[Function: name]'`) и символов.
+ * - Ошибки (в т.ч. вложенные в контекст SystemError) сериализуются как ошибки:
+ *   `name`, `message`, собственные свойства (`code`, `context`, `original`...), `cause`, `stack`.
+ * - Объекты с методом toJSON (кроме ошибок) сериализуются по его результату, прочие экземпляры классов -
+ *   по собственным перечислимым свойствам.
+ * - При `redact: true` значения чувствительных ключей и фрагменты строк маскируются.
+ * Детерминированность: Да (для неизменных значения и конфигурации маскирования).
+ *
+ * @param {any} value - Сериализуемое значение.
+ * @param {SerializeOptions} [options={}] - Опции сериализации.
+ * @returns {any} JSON-совместимое значение (результат можно безопасно передать в JSON.stringify).
+ */
+export function safeSerialize (value, options = {}) {
+  const { maxDepth, maxArrayLength, maxStringLength, maxNodes, redact, sensitiveKeys } = { ...DEFAULT_SERIALIZE_OPTIONS, ...options }
+  // Объекты текущего пути обхода - для обнаружения циклов
+  const ancestors = new Set()
+  // Число сериализованных узлов
+  let nodes = 0
+
+  /**
+   * Сериализует строку: маскирование, затем обрезка.
+   *
+   * @param {string} str - Исходная строка.
+   * @returns {string} Результат.
+   */
+  const serializeString = str => {
+    const result = redact ? redactString(str) : str
+    return result.length > maxStringLength
+      ? `${result.slice(0, maxStringLength)}... [${result.length - maxStringLength} more chars]`
+      : result
+  }
+
+  /**
+   * Сериализует элементы коллекции с ограничением их числа.
+   *
+   * @param {Iterable<any>} items - Элементы.
+   * @param {number} size - Общее число элементов.
+   * @param {(item: any) => any} serializeItem - Сериализатор элемента.
+   * @returns {any[]} Массив сериализованных элементов.
+   */
+  const serializeItems = (items, size, serializeItem) => {
+    const result = []
+    for (const item of items) {
+      if (result.length >= maxArrayLength || nodes >= maxNodes) break
+      result.push(serializeItem(item))
+    }
+    if (size > result.length) result.push(`[... ${size - result.length} more items]`)
+    return result
+  }
+
+  /**
+   * Сериализует собственные перечислимые свойства объекта в целевой объект.
+   *
+   * @param {object} source - Исходный объект.
+   * @param {object} target - Целевой объект.
+   * @param {number} depth - Глубина исходного объекта.
+   * @param {string[]} keys - Чувствительные ключи текущего уровня.
+   * @param {Set<string>} [skip] - Пропускаемые ключи.
+   * @returns {object} Целевой объект.
+   */
+  const serializeProperties = (source, target, depth, keys, skip) => {
+    for (const key of Object.keys(source)) {
+      if (skip?.has(key)) continue
+      if (redact && isSensitiveKey(key, { sensitiveKeys: keys })) {
+        target[key] = getRedactionConfig().replacement
+        continue
+      }
+      const item = walk(source[key], depth + 1, keys)
+      if (item !== undefined) target[key] = item
+    }
+    return target
+  }
+
+  /**
+   * Сериализует ошибку.
+   *
+   * @param {Error} error - Ошибка.
+   * @param {number} depth - Глубина.
+   * @param {string[]} keys - Чувствительные ключи текущего уровня.
+   * @returns {object} Сериализованная ошибка.
+   */
+  const serializeError = (error, depth, keys) => {
+    // Чувствительные ключи вложенной SystemError действуют и для ее контекста
+    const errorKeys = Array.isArray(error.sensitiveKeys) ? [...keys, ...error.sensitiveKeys] : keys
+    const result = { name: walk(error.name, depth + 1, keys), message: walk(error.message, depth + 1, keys) }
+    serializeProperties(error, result, depth, errorKeys, ERROR_BASE_KEYS)
+    // У SystemError cause совпадает с original - не дублируем
+    if (error.cause !== undefined && error.cause !== error.original) result.cause = walk(error.cause, depth + 1, keys)
+    if (typeof error.stack === 'string') result.stack = serializeString(error.stack)
+    return result
+  }
+
+  /**
+   * Рекурсивно сериализует значение.
+   *
+   * @param {any} current - Текущее значение.
+   * @param {number} depth - Глубина текущего значения.
+   * @param {string[]} keys - Чувствительные ключи текущего уровня.
+   * @returns {any} Сериализованное значение.
+   */
+  const walk = (current, depth, keys) => {
+    if (nodes >= maxNodes) return '[Truncated]'
+    nodes++
+    switch (typeof current) {
+      case 'string':
+        return serializeString(current)
+      case 'bigint':
+        return `${current}n`
+      case 'symbol':
+        return current.toString()
+      case 'function':
+        return `[Function: ${current.name || '(anonymous)'}]`
+      case 'object':
+        break
+      default:
+        return current // number, boolean, undefined
+    }
+    if (current === null) return null
+    if (current instanceof Date) return Number.isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString()
+    if (ancestors.has(current)) return '[Circular]'
+    if (depth >= maxDepth) return `[${Array.isArray(current) ? 'Array' : getTypeName(current)}]`
+
+    ancestors.add(current)
+    try {
+      if (Array.isArray(current)) {
+        return serializeItems(current, current.length, item => {
+          const result = walk(item, depth + 1, keys)
+          return result === undefined ? null : result // как в JSON.stringify
+        })
+      }
+      if (current instanceof Error) return serializeError(current, depth, keys)
+      if (current instanceof Map) {
+        return {
+          $type: 'Map',
+          entries: serializeItems(current, current.size, ([key, item]) => [
+            walk(key, depth + 2, keys),
+            redact && typeof key === 'string' && isSensitiveKey(key, { sensitiveKeys: keys })
+              ? getRedactionConfig().replacement
+              : walk(item, depth + 2, keys)
+          ])
+        }
+      }
+      if (current instanceof Set) {
+        return { $type: 'Set', values: serializeItems(current, current.size, item => walk(item, depth + 1, keys)) }
+      }
+      if (ArrayBuffer.isView(current) || current instanceof ArrayBuffer) {
+        const bytes = current instanceof ArrayBuffer
+          ? new Uint8Array(current)
+          : new Uint8Array(current.buffer, current.byteOffset, current.byteLength)
+        // Кодируем не больше байт, чем помещается в maxStringLength символов base64
+        const limit = Math.floor(maxStringLength / 4) * 3
+        const result = {
+          $type: getTypeName(current),
+          byteLength: bytes.byteLength,
+          base64: Buffer.from(bytes.subarray(0, limit)).toString('base64')
+        }
+        if (bytes.byteLength > limit) result.truncated = true
+        return result
+      }
+      if (typeof current.toJSON === 'function') {
+        return walk(current.toJSON(), depth, keys)
+      }
+      return serializeProperties(current, {}, depth, keys)
+    } finally {
+      ancestors.delete(current)
+    }
+  }
+
+  return walk(value, 0, sensitiveKeys)
+}
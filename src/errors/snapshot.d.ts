@@ -0,0 +1,67 @@
+/**
+ * @file src/errors/snapshot.d.ts
+ * @description TypeScript декларации для детерминированного представления ошибок в снапшотах.
+ * @version 0.1.0
+ */
+
+/**
+ * @interface StableRule
+ * @description Правило замены изменчивого значения заполнителем.
+ */
+export interface StableRule {
+  /** @property {string} placeholder - Заполнитель (для `pattern` допускаются ссылки на группы, например '$1:<port>'). */
+  placeholder: string;
+  /** @property {RegExp} [pattern] - Фрагмент строковых значений (заменяются все вхождения; используйте флаг `g`). */
+  pattern?: RegExp;
+  /** @property {RegExp | string} [key] - Имя ключа на любом уровне: значение заменяется заполнителем целиком. */
+  key?: RegExp | string;
+}
+
+/**
+ * @interface StableJSONOptions
+ * @description Опции функции `toStableJSON` и сериализатора снапшотов.
+ */
+export interface StableJSONOptions {
+  /** @property {'drop' | 'normalize'} [stack='drop'] - Стеки: удалить или нормализовать (`<rootDir>`, без номеров строк и кадров вне проекта). */
+  stack?: 'drop' | 'normalize';
+  /** @property {StableRule[]} [rules=DEFAULT_STABLE_RULES] - Правила замены изменчивых значений. */
+  rules?: readonly StableRule[];
+  /** @property {string} [rootDir=process.cwd()] - Корень проекта для нормализации стеков. */
+  rootDir?: string;
+}
+
+/**
+ * @interface ErrorSnapshotSerializer
+ * @description Сериализатор снапшотов (API плагинов pretty-format, Vitest и Jest).
+ */
+export interface ErrorSnapshotSerializer {
+  test (value: unknown): boolean;
+  serialize (value: any, config: any, indentation: string, depth: number, refs: any[], printer: (...args: any[]) => string): string;
+}
+
+/** Правила по умолчанию: временные метки (ключи и ISO-строки), UUID и порты локальных адресов. */
+export declare const DEFAULT_STABLE_RULES: readonly StableRule[];
+
+/**
+ * Возвращает детерминированное JSON-представление ошибки (toJSON() со всей цепочкой) без стеков и изменчивых значений.
+ *
+ * @function toStableJSON
+ * @param {unknown} error - Ошибка.
+ * @param {StableJSONOptions} [options] - Опции.
+ * @returns {any} JSON-совместимое представление.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ */
+export declare function toStableJSON (error: unknown, options?: StableJSONOptions): any;
+
+/**
+ * Создает сериализатор снапшотов для SystemError с указанными опциями.
+ *
+ * @function createErrorSnapshotSerializer
+ * @param {StableJSONOptions} [options] - Опции toStableJSON.
+ * @returns {ErrorSnapshotSerializer} Сериализатор для `expect.addSnapshotSerializer`.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ */
+export declare function createErrorSnapshotSerializer (options?: StableJSONOptions): ErrorSnapshotSerializer;
+
+/** Сериализатор снапшотов с опциями по умолчанию (для `expect.addSnapshotSerializer(errorSnapshotSerializer)`). */
+export declare const errorSnapshotSerializer: ErrorSnapshotSerializer;
@@ -0,0 +1,162 @@
+/**
+ * @file src/errors/snapshot.js
+ * @description Детерминированное представление ошибок для снапшот-тестов: toStableJSON и сериализатор снапшотов Vitest/Jest
+ * @version 0.1.2
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { SystemError } from './system-error.js'
+import { createError } from './errors.js'
+import { safeSerialize } from './serialize.js'
+
+/**
+ * Правило замены изменчивого значения заполнителем
+ * @typedef {object} StableRule
+ * @property {string} placeholder - Заполнитель (для `pattern` допускаются ссылки на группы, например '$1:<port>').
+ * @property {RegExp} [pattern] - Фрагмент строковых значений (заменяются все вхождения, даже без флага g).
+ * @property {RegExp|string} [key] - Имя ключа на любом уровне: значение заменяется заполнителем целиком.
+ */
+
+/**
+ * Опции стабильного представления
+ * @typedef {object} StableJSONOptions
+ * @property {'drop'|'normalize'} [stack='drop'] - Стеки: удалить или нормализовать (пути относительно `rootDir`,
+ *   без номеров строк и кадров вне проекта).
+ * @property {StableRule[]} [rules=DEFAULT_STABLE_RULES] - Правила замены изменчивых значений.
+ * @property {string} [rootDir=process.cwd()] - Корень проекта для нормализации стеков.
+ */
+
+/**
+ * Правила по умолчанию: временные метки, UUID и порты локальных адресов.
+ * @type {ReadonlyArray<StableRule>}
+ */
+export const DEFAULT_STABLE_RULES = Object.freeze([
+  Object.freeze({ key: /^(timestamp|time|date|createdAt|updatedAt|startedAt|finishedAt|expiresAt)$/i, placeholder: '<timestamp>' }),
+  Object.freeze({ key: /^port$/i, placeholder: '<port>' }),
+  Object.freeze({ pattern: /\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, placeholder: '<timestamp>' }),
+  Object.freeze({ pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, placeholder: '<uuid>' }),
+  Object.freeze({ pattern: /\b(localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\]):\d{2,5}\b/g, placeholder: '$1:<port>' })
+])
+
+/**
+ * Проверяет опции стабильного представления.
+ *
+ * @param {StableJSONOptions} options - Опции.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если режим стеков неизвестен или правила заданы некорректно.
+ * @private
+ */
+function assertOptions (options) {
+  const { stack = 'drop', rules = DEFAULT_STABLE_RULES } = options
+  if (stack !== 'drop' && stack !== 'normalize') {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'options.stack', reason: `expected 'drop' or 'normalize', got '${stack}'` })
+  }
+  const invalid = Array.isArray(rules)
+    ? rules.findIndex(rule => typeof rule?.placeholder !== 'string' || !(rule.pattern instanceof RegExp || rule.key !== undefined))
+    : -2
+  if (invalid !== -1) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {
+      name: invalid === -2 ? 'options.rules' : `options.rules[${invalid}]`,
+      reason: invalid === -2 ? 'must be an array of rules' : 'rule must have a string placeholder and a pattern (RegExp) or key'
+    })
+  }
+}
+
+/**
+ * Нормализует стек: первая строка сохраняется, из кадров остаются только кадры проекта (вне node_modules)
+ * с путями относительно `<rootDir>` и без номеров строк и колонок.
+ *
+ * @param {string} stack - Стек.
+ * @param {string} rootDir - Корень проекта.
+ * @returns {string} Нормализованный стек.
+ * @private
+ */
+function normalizeStack (stack, rootDir) {
+  const [head, ...frames] = stack.split('\n')
+  const projectFrames = frames
+    .filter(frame => /^\s*at /.test(frame) && frame.includes(rootDir) && !frame.includes('node_modules'))
+    .map(frame => `    ${frame.trim().replace(/file:\/\//g, '').split(rootDir).join('<rootDir>').replace(/:\d+:\d+(\)?)$/, '$1')}`)
+  return [head, ...projectFrames].join('\n')
+}
+
+/**
+ * Возвращает детерминированное JSON-представление ошибки для снапшотов.
+ *
+ * Основная ответственность:
+ * - Основа - toJSON() (SystemError: вся цепочка `original` и дерево `errors`), для прочих значений - safeSerialize.
+ * - Стеки всех уровней удаляются или нормализуются (`options.stack`).
+ * - Изменчивые значения (временные метки, UUID, порты) заменяются заполнителями по правилам `options.rules`:
+ *   правила с `key` заменяют значение ключа на любом уровне, правила с `pattern` - фрагменты строк.
+ * Детерминированность: Да (для неизменных ошибки и опций).
+ *
+ * @param {any} error - Ошибка.
+ * @param {StableJSONOptions} [options={}] - Опции.
+ * @returns {any} JSON-совместимое представление без изменчивых данных.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ */
+export function toStableJSON (error, options = {}) {
+  assertOptions(options)
+  const { stack = 'drop', rules = DEFAULT_STABLE_RULES, rootDir = process.cwd() } = options
+  const keyRules = rules.filter(rule => rule.key !== undefined)
+  // Без флага g replace() заменил бы только первое вхождение
+  const patternRules = rules
+    .filter(rule => rule.pattern instanceof RegExp)
+    .map(rule => rule.pattern.global ? rule : { ...rule, pattern: new RegExp(rule.pattern.source, `${rule.pattern.flags}g`) })
+
+  /**
+   * Рекурсивно стабилизирует значение.
+   *
+   * @param {any} value - Значение.
+   * @returns {any} Стабилизированное значение.
+   */
+  const stabilize = value => {
+    if (typeof value === 'string') {
+      return patternRules.reduce((result, rule) => result.replace(rule.pattern, rule.placeholder), value)
+    }
+    if (Array.isArray(value)) {
+      return value.map(stabilize)
+    }
+    if (value === null || typeof value !== 'object') {
+      return value
+    }
+    const result = {}
+    // Уровень ошибки (объект с сообщением) - стек удаляется или нормализуется
+    const isErrorLevel = typeof value.message === 'string'
+    for (const [key, item] of Object.entries(value)) {
+      if (isErrorLevel && key === 'stack' && typeof item === 'string') {
+        if (stack === 'normalize') result.stack = stabilize(normalizeStack(item, rootDir))
+        continue
+      }
+      // Один RegExp-ключ проверяется для каждого ключа каждого уровня: test() с флагом g чередовал бы результат
+      const keyRule = keyRules.find(rule => rule.key instanceof RegExp ? key.search(rule.key) !== -1 : rule.key === key)
+      result[key] = keyRule ? keyRule.placeholder : stabilize(item)
+    }
+    return result
+  }
+
+  const json = error !== null && typeof error === 'object' && typeof error.toJSON === 'function'
+    ? error.toJSON()
+    : safeSerialize(error, { redact: true })
+  return stabilize(json)
+}
+
+/**
+ * Создает сериализатор снапшотов для SystemError (Vitest `expect.addSnapshotSerializer`, Jest `snapshotSerializers`).
+ *
+ * @param {StableJSONOptions} [options={}] - Опции toStableJSON.
+ * @returns {{ test: function(any): boolean, serialize: Function }} Сериализатор снапшотов.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если опции некорректны.
+ */
+export function createErrorSnapshotSerializer (options = {}) {
+  assertOptions(options)
+  return {
+    test: value => value instanceof SystemError,
+    serialize: (value, config, indentation, depth, refs, printer) =>
+      `${value.name} ${printer(toStableJSON(value, options), config, indentation, depth, refs)}`
+  }
+}
+
+/**
+ * Сериализатор снапшотов с опциями по умолчанию (стеки удаляются, правила DEFAULT_STABLE_RULES).
+ * @type {{ test: function(any): boolean, serialize: Function }}
+ */
+export const errorSnapshotSerializer = createErrorSnapshotSerializer()
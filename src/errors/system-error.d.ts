@@ -1,11 +1,12 @@
 /**
  * @file src/errors/system-error.d.ts
  * @description TypeScript декларации для базового класса системных ошибок (SystemError).
- * @version 0.2.0
+ * @version 0.9.0
  */
 
 // Импортируем определение ошибки из главного файла деклараций
 import { ErrorDefinition } from './errors'
+import { ProblemDetails, ProblemDetailsOptions } from './problem-details'
 
 /**
  * @interface ErrorJSON
@@ -20,8 +21,10 @@ export interface ErrorJSON {
   context: Record<string, any>;
   recoverable: boolean;
   docs?: string;
+  httpStatus: number;
   stack?: string;
-  original?: ErrorJSON | { name?: string; message?: string; stack?: string; }; // Может быть рекурсивным или стандартной ошибкой
+  original?: ErrorJSON | { name?: string; message?: string; stack?: string; original?: object | string; errors?: object[]; } | string; // Рекурсивно (original/cause); '[Circular]' или '[Truncated]' - маркеры обрыва
+  errors?: Array<ErrorJSON | { name?: string; message?: string; stack?: string; errors?: object[]; }>; // Дерево причин (только при нескольких причинах)
 }
 
 /**
@@ -30,7 +33,7 @@ export interface ErrorJSON {
  * @description Базовый класс для системных ошибок.
  * Расширяет стандартный Error, добавляя структурированные метаданные:
  * код ошибки, подсистему, контекст, флаг восстанавливаемости,
- * ссылку на документацию и поддержку цепочки ошибок (`original`).
+ * ссылку на документацию и поддержку цепочки ошибок (`original`, дублируется в стандартном `cause`).
  * Предоставляет методы для форматирования (`format`) и сериализации (`toJSON`).
  */
 export declare class SystemError extends Error {
@@ -64,43 +67,102 @@ export declare class SystemError extends Error {
    */
   readonly original: Error | null
 
+  /**
+   * @property {Error | undefined} cause - Стандартная причина (`Error.cause`): та же исходная ошибка, что и `original`; отсутствует, если ее нет.
+   */
+  readonly cause?: Error
+
+  /**
+   * @property {Error[]} errors - Причины ошибки (несколько исходных ошибок, как у AggregateError); пустой массив, если причина одна или ее нет.
+   */
+  readonly errors: Error[]
+
   /**
    * @property {string | undefined} docs - URL или путь к документации по данной ошибке.
    */
   readonly docs?: string
 
+  /**
+   * @property {string[]} sensitiveKeys - Ключи контекста с чувствительными данными (из `definition.sensitiveKeys`).
+   */
+  readonly sensitiveKeys: readonly string[]
+
+  /**
+   * @property {Record<string, string> | null} messages - Каталог локализованных шаблонов (из `definition.messages`).
+   */
+  readonly messages: Readonly<Record<string, string>> | null
+
+  /**
+   * @property {string} locale - Локаль, в которой сформировано `message`.
+   */
+  readonly locale: string
+
+  /**
+   * @property {number} httpStatus - HTTP-статус ответа (из `definition.httpStatus`, по умолчанию 500).
+   */
+  readonly httpStatus: number
+
   /**
    * Создает экземпляр системной ошибки.
    *
    * @constructor
    * @param {ErrorDefinition} definition - Определение ошибки (из ERROR_CODES). Должно содержать как минимум `code` и `message`.
    * @param {Record<string, any>} [context=null] - Объект с дополнительными данными об ошибке. Значения используются для подстановки в `message`.
-   * @param {Error} [originalError=null] - Исходная ошибка (для построения цепочки). Сохраняется в `this.original`.
+   * @param {Error | Error[]} [originalError=null] - Исходная ошибка (для построения цепочки), сохраняется в `this.original`,
+   *   или массив исходных ошибок (сохраняется в `this.errors`, первая - в `this.original`). Причины AggregateError попадают в `this.errors`.
    * @param {object} [options={}] - Опции создания ошибки.
    * @param {boolean} [options.strict] - Строгий режим валидации контекста на основе `definition.contextKeys` (по умолчанию зависит от NODE_ENV).
+   * @param {string} [options.locale] - Локаль сообщения (по умолчанию - глобальная локаль `getLocale()`).
+   * @param {boolean} [options.ambient=true] - Добавлять ли фоновый контекст области `withErrorContext` в `context.ambient`.
    * @throws {Error} Выбрасывает стандартную Error, если определение `definition` невалидно, или если в строгом режиме (`strict=true`) в `context` отсутствуют ключи, перечисленные в `definition.contextKeys`.
    */
   constructor (
     definition: ErrorDefinition,
     context?: Record<string, any> | null,
-    originalError?: Error | null,
-    options?: { strict?: boolean }
+    originalError?: Error | readonly Error[] | null,
+    options?: { strict?: boolean; locale?: string; ambient?: boolean }
   );
 
+  /**
+   * Пересобирает `message` для локали из `msg`, `messages` и `context`.
+   * При отсутствии перевода используется базовый шаблон.
+   *
+   * @method localize
+   * @param {string} [locale] - Локаль (по умолчанию глобальная).
+   * @returns {this} Эта же ошибка.
+   */
+  localize (locale?: string): this;
+
   /**
    * Форматирует ошибку для вывода пользователю или в лог в читаемом виде.
-   * Включает основное сообщение, код, документацию (если есть) и сообщение исходной ошибки (если есть).
+   * Включает основное сообщение, код, документацию (если есть) и всю цепочку причин (`original` и `cause`, строки "Caused by:").
+   * Циклы и превышение getMaxChainDepth() обозначаются маркерами '[Circular]' и '[Truncated]'.
    * Детерминированность: Да (для неизменного состояния ошибки).
    *
    * @method format
+   * @param {object} [options] - Опции форматирования.
+   * @param {string} [options.locale] - Локаль вывода (сама ошибка не изменяется).
    * @returns {string} Отформатированное многострочное сообщение об ошибке.
    */
-  format (): string;
+  format (options?: { locale?: string }): string;
+
+  /**
+   * Преобразует ошибку в документ "problem details" (RFC 9457): `type` из `docs`, `title` из шаблона,
+   * `status` из `httpStatus`, `detail` из сообщения, расширения `code`, `recoverable` и безопасный `context`.
+   *
+   * @method toProblemDetails
+   * @param {ProblemDetailsOptions} [options] - Опции (locale, instance, includeContext).
+   * @returns {ProblemDetails} Документ problem details.
+   */
+  toProblemDetails (options?: ProblemDetailsOptions): ProblemDetails;
 
   /**
    * Сериализует ошибку в JSON-совместимый объект для логирования или передачи.
    * Включает все ключевые свойства ошибки (`code`, `message`, `context`, `stack` и т.д.)
-   * и рекурсивно сериализует `original` ошибку, если она есть.
+   * и рекурсивно сериализует цепочку причин (`original` и `cause` сторонних ошибок) в `original`;
+   * циклы и превышение getMaxChainDepth() заменяются маркерами '[Circular]' и '[Truncated]'.
+   * `context` сериализуется безопасно (циклы, ограничения размера, BigInt, Map, Set, Buffer, вложенные ошибки),
+   * чувствительные данные в `context` и сообщениях исходных ошибок маскируются.
    * Детерминированность: Да (для неизменного состояния ошибки).
    *
    * @method toJSON
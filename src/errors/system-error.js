@@ -1,36 +1,223 @@
 /**
  * @file src/errors/system-error.js
  * @description Базовый класс для системных ошибок
- * @version 0.2.0
+ * @version 0.11.0
  */
 
+import { redactString } from './redact.js'
+import { safeSerialize } from './serialize.js'
+import { formatMessage } from './template.js'
+import { getLocale, resolveMessageTemplate } from './i18n.js'
+import { DEFAULT_HTTP_STATUS, isErrorHttpStatus, toProblemDetails } from './problem-details.js'
+import { AMBIENT_CONTEXT_KEY, mergeAmbientContext } from './async-context.js'
+import { getCause, getMaxChainDepth } from './chain.js'
+
+/**
+ * Ограничения сериализации контекста в диагностических сообщениях конструктора.
+ * @type {import('./serialize.js').SerializeOptions}
+ * @private
+ */
+const DIAGNOSTIC_SERIALIZE_OPTIONS = { maxDepth: 3, maxArrayLength: 10, maxStringLength: 200, redact: true }
+
+/**
+ * Формирует сообщение ошибки для локали из сохраненного шаблона `msg`, каталога `messages` и контекста.
+ * Детерминированность: Да (для неизменного состояния ошибки).
+ *
+ * @param {SystemError} error - Ошибка.
+ * @param {string} locale - Локаль.
+ * @returns {string} Локализованное сообщение.
+ * @private
+ */
+function renderLocalizedMessage (error, locale) {
+  const template = resolveMessageTemplate({ message: error.msg, messages: error.messages }, locale)
+  return formatMessage(template, error.context, { sensitiveKeys: error.sensitiveKeys, locale })
+}
+
+/**
+ * Определяет причины ошибки по аргументу `originalError` конструктора.
+ * Массив ошибок задает несколько причин (первая становится `original`); нативный AggregateError
+ * сохраняется в `original`, а его `errors` становятся причинами. Значения, не являющиеся Error, отбрасываются.
+ *
+ * @param {Error|Error[]|null} originalError - Исходная ошибка или массив исходных ошибок.
+ * @returns {{ original: Error|null, errors: Error[] }} Основная причина и список причин.
+ * @private
+ */
+function resolveCauses (originalError) {
+  if (Array.isArray(originalError)) {
+    const errors = originalError.filter(error => error instanceof Error)
+    return { original: errors[0] ?? null, errors }
+  }
+  if (!(originalError instanceof Error)) {
+    return { original: null, errors: [] }
+  }
+  const errors = originalError instanceof AggregateError && Array.isArray(originalError.errors)
+    ? originalError.errors.filter(error => error instanceof Error)
+    : []
+  return { original: originalError, errors }
+}
+
+/**
+ * Возвращает несколько причин уровня: `errors` SystemError или нативного AggregateError (только ошибки).
+ *
+ * @param {any} error - Уровень дерева ошибок.
+ * @returns {Error[]} Причины (пустой массив, если их нет).
+ * @private
+ */
+function getCauseList (error) {
+  return error !== null && typeof error === 'object' && Array.isArray(error.errors)
+    ? error.errors.filter(cause => cause instanceof Error)
+    : []
+}
+
+/**
+ * Сериализует уровень дерева ошибок вместе с его причинами (`original`/`cause` - в `original`, несколько причин - в `errors`).
+ *
+ * Основная ответственность:
+ * - SystemError - все ключевые свойства; сторонние ошибки с toJSON - через toJSON();
+ *   прочие ошибки - `name`, `message`, `stack` (с маскированием); значения, не являющиеся Error, - через safeSerialize.
+ * - Повторный уровень на пути от корня заменяется на '[Circular]', уровень глубже getMaxChainDepth() - на '[Truncated]'.
+ *
+ * @param {any} error - Уровень.
+ * @param {Set<any>} ancestors - Уровни на пути от корня (без текущего).
+ * @returns {object|string} Сериализованный уровень или маркер.
+ * @private
+ */
+function serializeTree (error, ancestors) {
+  if (ancestors.has(error)) return '[Circular]'
+  if (ancestors.size >= getMaxChainDepth()) return '[Truncated]'
+  if (!(error instanceof Error)) return safeSerialize(error, { redact: true })
+  if (!(error instanceof SystemError) && typeof error.toJSON === 'function') return error.toJSON()
+
+  const path = new Set(ancestors).add(error)
+  const cause = getCause(error)
+  const original = cause !== null ? serializeTree(cause, path) : undefined
+  const errors = getCauseList(error)
+  const json = error instanceof SystemError
+    ? {
+        name: error.name,
+        code: error.code,
+        message: error.message, // Отформатированное сообщение
+        msg: error.msg, // Шаблон сообщения
+        subsystem: error.subsystem,
+        context: safeSerialize(error.context, { redact: true, sensitiveKeys: error.sensitiveKeys }), // Безопасно и без чувствительных данных
+        recoverable: error.recoverable,
+        docs: error.docs,
+        httpStatus: error.httpStatus,
+        stack: error.stack,
+        original // Сериализованная исходная ошибка
+      }
+    : {
+        name: error.name,
+        message: redactString(error.message),
+        stack: redactString(error.stack),
+        ...(original !== undefined && { original })
+      }
+  if (errors.length > 0) {
+    json.errors = errors.map(branch => serializeTree(branch, path))
+  }
+  return json
+}
+
+/**
+ * Описывает уровень цепочки одной строкой `Name: message` (сообщение маскируется).
+ *
+ * @param {any} error - Уровень (ошибка или произвольное значение `cause`).
+ * @param {string} [locale] - Локаль вывода (для SystemError).
+ * @returns {string} Строка уровня.
+ * @private
+ */
+function describeLevel (error, locale) {
+  if (!(error instanceof Error)) {
+    return redactString(String(error))
+  }
+  const message = locale && error instanceof SystemError ? renderLocalizedMessage(error, locale) : error.message
+  return `${error.name || 'Error'}: ${redactString(message)}`
+}
+
+/**
+ * Форматирует уровень дерева ошибок: SystemError - с кодом, документацией и фоновым контекстом,
+ * прочие ошибки - строкой `Name: message`; затем причины уровня (formatCauses).
+ *
+ * @param {Error} error - Уровень.
+ * @param {string} [locale] - Локаль вывода.
+ * @param {Set<any>} ancestors - Уровни на пути от корня (без текущего).
+ * @returns {string} Многострочное представление уровня.
+ * @private
+ */
+function formatTree (error, locale, ancestors) {
+  let result
+  if (error instanceof SystemError) {
+    const message = locale ? renderLocalizedMessage(error, locale) : error.message
+    result = `${error.name} [${error.code}]: ${message}`
+    if (error.docs) {
+      result += `\n  Docs: ${error.docs}`
+    }
+    const ambient = error.context[AMBIENT_CONTEXT_KEY]
+    if (ambient && typeof ambient === 'object') {
+      result += `\n  Context: ${JSON.stringify(safeSerialize(ambient, { ...DIAGNOSTIC_SERIALIZE_OPTIONS, sensitiveKeys: error.sensitiveKeys }))}`
+    }
+  } else {
+    result = describeLevel(error, locale)
+  }
+  return result + formatCauses(error, locale, new Set(ancestors).add(error))
+}
+
 /**
- * Форматирует сообщение, подставляя значения из контекста.
- * Используется для создания финального сообщения ошибки.
- * Детерминированность: Да.
+ * Форматирует причины уровня: цепочку `original`/`cause` строками "Caused by:" до уровня с несколькими причинами,
+ * затем дерево "Caused by N errors:". Циклы обозначаются '[Circular]', превышение getMaxChainDepth() - '[Truncated]'.
  *
- * @param {string} template - Шаблон сообщения с {placeholders}.
- * @param {object} [context={}] - Объект со значениями для подстановки.
- * @returns {string} Отформатированное сообщение. Пустая строка, если template не строка.
+ * @param {Error} error - Уровень.
+ * @param {string} [locale] - Локаль вывода.
+ * @param {Set<any>} path - Уровни на пути от корня (включая текущий).
+ * @returns {string} Строки причин (каждая начинается с перевода строки).
  * @private
  */
-function formatMessage (template, context = {}) {
-  if (typeof template !== 'string') {
-    return '' // Возвращаем пустую строку, если шаблон некорректен
+function formatCauses (error, locale, path) {
+  const seen = new Set(path)
+  let level = error
+  let cause = getCause(level)
+  // Исходная ошибка входит в дерево причин - цепочку не выводим, только дерево
+  let result = ''
+  while (cause !== null && !getCauseList(level).includes(cause)) {
+    if (seen.has(cause) || seen.size >= getMaxChainDepth()) {
+      return `${result}\n  Caused by: ${seen.has(cause) ? '[Circular]' : '[Truncated]'}`
+    }
+    seen.add(cause)
+    result += `\n  Caused by: ${describeLevel(cause, locale)}`
+    level = cause
+    cause = getCause(level)
   }
-  // Используем ?.toString() для безопасного преобразования,
-  // возвращаем исходный match ({key}), если значение null или undefined.
-  return template.replace(/{(\w+)}/g, (match, key) => {
-    const value = context?.[key]
-    return value !== undefined && value !== null ? value.toString() : match
+  const errors = getCauseList(level)
+  return errors.length > 0 ? result + formatCauseList(errors, locale, seen) : result
+}
+
+/**
+ * Форматирует список причин с номерами и отступами вложенных уровней.
+ *
+ * @param {Error[]} errors - Причины.
+ * @param {string} [locale] - Локаль вывода.
+ * @param {Set<any>} ancestors - Уровни на пути от корня.
+ * @returns {string} Строки списка (каждая начинается с перевода строки).
+ * @private
+ */
+function formatCauseList (errors, locale, ancestors) {
+  let result = `\n  Caused by ${errors.length} errors:`
+  errors.forEach((error, index) => {
+    const lines = ancestors.has(error) || ancestors.size >= getMaxChainDepth()
+      ? [ancestors.has(error) ? '[Circular]' : '[Truncated]']
+      : formatTree(error, locale, ancestors).split('\n')
+    const [first, ...rest] = lines
+    result += `\n    [${index}] ${first}`
+    rest.forEach(line => { result += `\n    ${line}` })
   })
+  return result
 }
 
 /**
  * Базовый класс системных ошибок.
  * Расширяет стандартный Error, добавляя структурированные метаданные:
  * код ошибки, подсистему, контекст, флаг восстанавливаемости,
- * ссылку на документацию и поддержку цепочки ошибок (`original`).
+ * ссылку на документацию и поддержку цепочки ошибок (`original`, дублируется в стандартном `cause`).
  * Предоставляет методы для форматирования (`format`) и сериализации (`toJSON`).
  *
  * @class SystemError
@@ -40,6 +227,7 @@ export class SystemError extends Error {
   /**
    * Создает экземпляр системной ошибки.
    * Валидирует контекст в строгом режиме, если заданы `definition.contextKeys`.
+   * Внутри области withErrorContext добавляет фоновый контекст в `context.ambient` (явный контекст имеет приоритет).
    *
    * @param {object} definition - Определение ошибки (из ERROR_CODES).
    * @param {string} definition.code - Код ошибки (например, 'SYS_VALIDATION_FAILED').
@@ -48,10 +236,17 @@ export class SystemError extends Error {
    * @param {boolean} [definition.recoverable=true] - Можно ли программно восстановиться после этой ошибки.
    * @param {string[]} [definition.contextKeys=[]] - Массив имен ключей, которые должны присутствовать в `context`.
    * @param {string} [definition.docs] - URL или путь к документации по этой ошибке.
+   * @param {string[]} [definition.sensitiveKeys=[]] - Ключи контекста с чувствительными данными (маскируются при выводе).
+   * @param {Record<string, string>} [definition.messages] - Локализованные шаблоны сообщения по локалям (например, `{ ru: '...' }`).
+   * @param {number} [definition.httpStatus=500] - HTTP-статус ответа для этой ошибки (400-599).
    * @param {object} [context=null] - Объект с дополнительными данными об ошибке. Значения используются для подстановки в `message`.
-   * @param {Error} [originalError=null] - Исходная ошибка (для построения цепочки).
+   * @param {Error|Error[]} [originalError=null] - Исходная ошибка (для построения цепочки) или массив исходных ошибок
+   *   (несколько причин: `errors`, первая - в `original`). Для AggregateError его `errors` становятся причинами.
+   *   Исходная ошибка сохраняется в `original` и в стандартном `cause`.
    * @param {object} [options={}] - Опции создания ошибки.
    * @param {boolean} [options.strict] - Строгий режим валидации контекста (по умолчанию зависит от NODE_ENV).
+   * @param {string} [options.locale] - Локаль сообщения (по умолчанию - глобальная локаль getLocale()).
+   * @param {boolean} [options.ambient=true] - Добавлять ли фоновый контекст текущей области withErrorContext.
    * @throws {Error} Выбрасывает стандартную Error, если в строгом режиме (`strict=true`) в `context` отсутствуют ключи, перечисленные в `definition.contextKeys`. Это прерывает создание некорректной ошибки.
    */
   constructor (definition, context = null, originalError = null, options = {}) {
@@ -65,32 +260,43 @@ export class SystemError extends Error {
     }
 
     // 2. Формируем сообщение ДО вызова super(), чтобы оно было доступно сразу.
-    const formattedMessage = formatMessage(definition.message, context || {})
+    const sensitiveKeys = Array.isArray(definition.sensitiveKeys) ? definition.sensitiveKeys : []
+    const locale = options.locale ?? getLocale()
+    const explicitContext = context || {}
+    const formattedMessage = formatMessage(resolveMessageTemplate(definition, locale), explicitContext, { sensitiveKeys, locale })
+    // Сохраняем только реальные ошибки; несколько причин - в errors (совместимо с AggregateError)
+    const { original, errors } = resolveCauses(originalError)
 
-    // 3. Вызываем конструктор родительского класса Error.
-    super(formattedMessage)
+    // 3. Вызываем конструктор родительского класса Error (стандартный cause - для util.inspect и сторонних инструментов).
+    super(formattedMessage, original ? { cause: original } : undefined)
 
     // 4. Устанавливаем стандартные свойства Error.
     this.name = this.constructor.name // Имя класса (SystemError или наследника)
 
     // 5. Устанавливаем кастомные свойства SystemError.
     this.code = definition.code
-    this.msg = definition.message // Сохраняем исходный шаблон
+    this.msg = definition.message // Сохраняем исходный (базовый) шаблон
+    this.messages = definition.messages ?? null // Каталог локализованных шаблонов
+    this.locale = locale // Локаль, в которой сформировано message
     this.subsystem = definition.subsystem || 'unknown'
-    this.context = context || {} // Гарантируем, что context всегда объект
+    // Гарантируем, что context всегда объект; фоновый контекст добавляется в новый объект под ключом ambient
+    this.context = options.ambient === false ? explicitContext : mergeAmbientContext(explicitContext)
     this.recoverable = definition.recoverable !== false // По умолчанию true
-    this.original = (originalError instanceof Error) ? originalError : null // Сохраняем только реальные ошибки
+    this.original = original
+    this.errors = errors
     this.docs = definition.docs
+    this.sensitiveKeys = sensitiveKeys
+    this.httpStatus = isErrorHttpStatus(definition.httpStatus) ? definition.httpStatus : DEFAULT_HTTP_STATUS
 
-    // 6. Валидация обязательных ключей контекста (только в строгом режиме)
+    // 6. Валидация обязательных ключей контекста (только в строгом режиме и только по явному контексту)
     const strict = options.strict ?? process.env.NODE_ENV !== 'production'
     if (strict && Array.isArray(definition.contextKeys) && definition.contextKeys.length > 0) {
-      const missingKeys = definition.contextKeys.filter(key => !(key in this.context))
+      const missingKeys = definition.contextKeys.filter(key => !(key in explicitContext))
       if (missingKeys.length > 0) {
         // Выбрасываем стандартную ошибку, так как ошибка уже частично создана,
         // но не соответствует требованиям определения.
         throw new Error(
-          `SystemError [${this.code}]: Missing required context keys: ${missingKeys.join(', ')}. Provided context: ${JSON.stringify(this.context)}`
+          `SystemError [${this.code}]: Missing required context keys: ${missingKeys.join(', ')}. Provided context: ${JSON.stringify(safeSerialize(explicitContext, { ...DIAGNOSTIC_SERIALIZE_OPTIONS, sensitiveKeys }))}`
         )
       }
     }
@@ -103,67 +309,63 @@ export class SystemError extends Error {
     }
   }
 
+  /**
+   * Пересобирает `message` для локали из сохраненного шаблона `msg`, каталога `messages` и `context`.
+   * При отсутствии перевода используется базовый шаблон (локаль по умолчанию).
+   * Детерминированность: Да (для неизменного состояния ошибки).
+   *
+   * @param {string} [locale=getLocale()] - Локаль.
+   * @returns {this} Эта же ошибка (для цепочки вызовов).
+   */
+  localize (locale = getLocale()) {
+    this.message = renderLocalizedMessage(this, locale)
+    this.locale = locale
+    return this
+  }
+
   /**
    * Форматирует ошибку для вывода пользователю или в лог в читаемом виде.
-   * Включает основное сообщение, документацию и сообщение исходной ошибки.
+   * Включает основное сообщение, документацию, фоновый контекст (`context.ambient`), всю цепочку причин
+   * (`original` и стандартный `cause` сторонних ошибок - строками "Caused by:") и дерево причин `errors`
+   * (каждая причина - со своими причинами, с отступами). Циклы и превышение getMaxChainDepth() обозначаются
+   * маркерами '[Circular]' и '[Truncated]'. Чувствительные данные фонового контекста и фрагменты сообщений
+   * исходных ошибок маскируются.
    * Детерминированность: Да (для неизменного состояния ошибки).
    *
+   * @param {object} [options={}] - Опции форматирования.
+   * @param {string} [options.locale] - Локаль вывода (сама ошибка не изменяется); по умолчанию - текущее `message`.
    * @returns {string} Отформатированное многострочное сообщение об ошибке.
    */
-  format () {
-    let result = `${this.name} [${this.code}]: ${this.message}`
-
-    if (this.docs) {
-      result += `\n  Docs: ${this.docs}`
-    }
-
-    // Добавляем информацию об оригинальной ошибке, если она есть
-    if (this.original) {
-      result += `\n  Caused by: ${this.original.name || 'Error'}: ${this.original.message}`
-      // Можно добавить и стек оригинальной ошибки при необходимости
-      // if (this.original.stack) {
-      //   result += `\n  Original Stack: ${this.original.stack}`;
-      // }
-    }
+  format (options = {}) {
+    return formatTree(this, options.locale, new Set())
+  }
 
-    return result
+  /**
+   * Преобразует ошибку в документ "problem details" (RFC 9457, application/problem+json):
+   * `type` из `docs`, `title` из шаблона, `status` из `httpStatus`, `detail` из сформированного сообщения,
+   * расширения `code`, `recoverable` и безопасный `context` (см. problem-details.js).
+   * Детерминированность: Да (для неизменного состояния ошибки).
+   *
+   * @param {import('./problem-details.js').ProblemDetailsOptions} [options={}] - Опции (locale, instance, includeContext).
+   * @returns {import('./problem-details.js').ProblemDetails} Документ problem details.
+   */
+  toProblemDetails (options = {}) {
+    return toProblemDetails(this, options)
   }
 
   /**
    * Сериализует ошибку в JSON-совместимый объект для логирования или передачи.
    * Включает все ключевые свойства ошибки, включая базовые и кастомные.
-   * Обрабатывает оригинальную ошибку рекурсивно (если она тоже SystemError) или берет базовые поля.
+   * Контекст (включая фоновый `context.ambient`) сериализуется безопасно (циклы, ограничения размера, BigInt, Map, Set, Buffer, вложенные ошибки;
+   * см. serialize.js), чувствительные данные контекста и сообщений исходных ошибок маскируются (см. redact.js).
+   * Сериализует цепочку причин рекурсивно в `original` (по `original` и стандартному `cause`; для сторонних ошибок -
+   * базовые поля); при нескольких причинах добавляет `errors` - сериализованное дерево причин.
+   * Циклы и превышение getMaxChainDepth() заменяются маркерами '[Circular]' и '[Truncated]'.
    * Детерминированность: Да (для неизменного состояния ошибки).
    *
    * @returns {object} Сериализованное представление ошибки.
    */
   toJSON () {
-    let originalErrorJSON
-    if (this.original) {
-      if (typeof this.original.toJSON === 'function') {
-        // Если у оригинальной ошибки есть свой toJSON (например, это тоже SystemError)
-        originalErrorJSON = this.original.toJSON()
-      } else {
-        // Иначе берем базовые поля стандартной ошибки
-        originalErrorJSON = {
-          name: this.original.name,
-          message: this.original.message,
-          stack: this.original.stack
-        }
-      }
-    }
-
-    return {
-      name: this.name,
-      code: this.code,
-      message: this.message, // Отформатированное сообщение
-      msg: this.msg, // Шаблон сообщения
-      subsystem: this.subsystem,
-      context: this.context,
-      recoverable: this.recoverable,
-      docs: this.docs,
-      stack: this.stack,
-      original: originalErrorJSON // Включаем сериализованную оригинальную ошибку
-    }
+    return serializeTree(this, new Set())
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * @file src/errors/template.d.ts
+ * @description TypeScript декларации для единого движка шаблонов сообщений об ошибках.
+ * @version 0.3.0
+ */
+
+/**
+ * @interface RenderOptions
+ * @description Опции функции `renderTemplate`.
+ */
+export interface RenderOptions {
+  /** @property {string} [locale='en'] - Локаль для plural-форм и форматтера list. */
+  locale?: string;
+  /** @property {boolean} [redact=false] - Маскировать чувствительные данные. */
+  redact?: boolean;
+  /** @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (при `redact: true`). */
+  sensitiveKeys?: readonly string[];
+}
+
+/**
+ * @interface CompiledTemplate
+ * @description Скомпилированный (замороженный) шаблон из кэша.
+ */
+export interface CompiledTemplate {
+  /** @property {string} template - Исходный шаблон. */
+  readonly template: string;
+  /** @property {readonly unknown[]} nodes - Узлы разобранного шаблона (внутреннее представление). */
+  readonly nodes: readonly unknown[];
+  /** @property {string[]} placeholders - Уникальные пути плейсхолдеров в порядке появления. */
+  readonly placeholders: readonly string[];
+  /** @property {string[]} requiredPlaceholders - Пути, хотя бы раз использованные без значения по умолчанию. */
+  readonly requiredPlaceholders: readonly string[];
+}
+
+/**
+ * Компилирует шаблон с кэшированием: каждый шаблон разбирается один раз.
+ *
+ * @function compileTemplate
+ * @param {string} template - Шаблон сообщения.
+ * @returns {CompiledTemplate} Скомпилированный шаблон.
+ */
+export declare function compileTemplate (template: string): CompiledTemplate;
+
+/**
+ * Очищает кэш скомпилированных шаблонов.
+ *
+ * @function clearTemplateCache
+ */
+export declare function clearTemplateCache (): void;
+
+/**
+ * Подставляет значения контекста в шаблон сообщения.
+ * Поддерживает пути `{user.id}`, форматтеры `{size|bytes}`, `{items|list}`, `{date|iso}`, `{value|json}`,
+ * значения по умолчанию `{name?anonymous}`, plural-формы `{count, plural, one {# file} other {# files}}`
+ * и экранирование `{{` / `}}`.
+ *
+ * @function renderTemplate
+ * @param {string | null | undefined} template - Шаблон сообщения.
+ * @param {Record<string, any>} [context={}] - Значения для подстановки.
+ * @param {RenderOptions} [options] - Опции подстановки.
+ * @returns {string} Сообщение. Пустая строка, если `template` не строка.
+ */
+export declare function renderTemplate (template: string | null | undefined, context?: Record<string, any> | null, options?: RenderOptions): string;
+
+/**
+ * Форматирует сообщение об ошибке с подстановкой контекста и маскированием чувствительных данных.
+ * Единая точка форматирования для SystemError и внешнего API.
+ *
+ * @function formatMessage
+ * @param {string | null | undefined} template - Шаблон сообщения с плейсхолдерами вида `{key}`, `{user.id}`, `{size|bytes}`, `{name?default}` и plural-блоками.
+ * @param {Record<string, any>} [context={}] - Объект со значениями для подстановки.
+ * @param {object} [options] - Опции форматирования.
+ * @param {string[]} [options.sensitiveKeys] - Дополнительные чувствительные ключи (значения заменяются на `[REDACTED]`).
+ * @param {string} [options.locale='en'] - Локаль для plural-форм и форматтера list.
+ * @returns {string} Отформатированное сообщение. Возвращает пустую строку, если `template` не является строкой. Плейсхолдеры для `null` или `undefined` значений (без значения по умолчанию) остаются без изменений.
+ */
+export declare function formatMessage (template: string | null | undefined, context?: Record<string, any>, options?: { sensitiveKeys?: readonly string[]; locale?: string }): string;
+
+/**
+ * Возвращает уникальные пути плейсхолдеров шаблона (включая переменные plural-блоков) в порядке появления.
+ *
+ * @function getPlaceholders
+ * @param {string | null | undefined} template - Шаблон сообщения.
+ * @param {object} [options] - Опции.
+ * @param {boolean} [options.required=false] - Только пути, хотя бы раз использованные без значения по умолчанию.
+ * @returns {string[]} Пути плейсхолдеров (например, `['file.name', 'count']`).
+ */
+export declare function getPlaceholders (template: string | null | undefined, options?: { required?: boolean }): string[];
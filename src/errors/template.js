@@ -0,0 +1,490 @@
+/**
+ * @file src/errors/template.js
+ * @description Единый движок шаблонов сообщений об ошибках: пути, форматтеры, значения по умолчанию, экранирование,
+ *   plural-формы, кэш скомпилированных шаблонов
+ * @version 0.3.0
+ */
+
+import { REDACTED, isSensitiveKey, redactString } from './redact.js'
+import { safeSerialize } from './serialize.js'
+
+/**
+ * Опции подстановки значений в шаблон
+ * @typedef {object} RenderOptions
+ * @property {string} [locale='en'] - Локаль для plural-форм и форматтера list.
+ * @property {boolean} [redact=false] - Маскировать чувствительные данные (см. redact.js).
+ * @property {string[]} [sensitiveKeys=[]] - Дополнительные чувствительные ключи (при `redact: true`).
+ */
+
+/**
+ * Узел разобранного шаблона: литерал, подстановка значения, plural-блок или `#` внутри plural-блока.
+ * @typedef {string|{type: 'arg', raw: string, path: string[], formatters: string[], defaultValue?: string}|
+ *   {type: 'plural', raw: string, path: string[], options: Record<string, TemplateNode[]>}|{type: 'pound'}} TemplateNode
+ * @private
+ */
+
+/**
+ * Скомпилированный шаблон
+ * @typedef {object} CompiledTemplate
+ * @property {string} template - Исходный шаблон.
+ * @property {TemplateNode[]} nodes - Узлы шаблона.
+ * @property {string[]} placeholders - Уникальные пути плейсхолдеров в порядке появления.
+ * @property {string[]} requiredPlaceholders - Пути, хотя бы раз использованные без значения по умолчанию.
+ */
+
+/**
+ * Максимальное число шаблонов в кэше компиляции.
+ * @type {number}
+ * @private
+ */
+const TEMPLATE_CACHE_LIMIT = 1000
+
+/**
+ * Кэш скомпилированных шаблонов (ключ - текст шаблона).
+ * @type {Map<string, CompiledTemplate>}
+ * @private
+ */
+const templateCache = new Map()
+
+/**
+ * Локаль по умолчанию.
+ * @type {string}
+ * @private
+ */
+const DEFAULT_LOCALE = 'en'
+
+/**
+ * Сегменты пути, доступ к которым запрещен.
+ * @type {Set<string>}
+ * @private
+ */
+const FORBIDDEN_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor'])
+
+/**
+ * Подстановка: путь, форматтеры через `|`, значение по умолчанию после `?`.
+ * @type {RegExp}
+ * @private
+ */
+const ARG_PATTERN = /^([\w$]+(?:\.[\w$]+)*)((?:\|\w+)*)(?:\?([\s\S]*))?$/
+
+/**
+ * Plural-блок в стиле ICU: `{count, plural, =0 {...} one {...} other {...}}`.
+ * @type {RegExp}
+ * @private
+ */
+const PLURAL_PATTERN = /^\s*([\w$]+(?:\.[\w$]+)*)\s*,\s*plural\s*,([\s\S]*)$/
+
+/**
+ * Единицы форматтера bytes.
+ * @type {string[]}
+ * @private
+ */
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB']
+
+/**
+ * Ищет закрывающую скобку для `{` в позиции start с учетом вложенности.
+ *
+ * @param {string} text - Текст шаблона.
+ * @param {number} start - Позиция открывающей скобки.
+ * @returns {number} Позиция закрывающей скобки или -1.
+ * @private
+ */
+function findClosingBrace (text, start) {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++
+    else if (text[i] === '}' && --depth === 0) return i
+  }
+  return -1
+}
+
+/**
+ * Разбирает варианты plural-блока (`=0 {...} one {...} other {...}`).
+ *
+ * @param {string} text - Текст вариантов.
+ * @returns {Record<string, TemplateNode[]>|null} Варианты или `null` при синтаксической ошибке.
+ * @private
+ */
+function parsePluralOptions (text) {
+  const options = {}
+  let i = 0
+  while (i < text.length) {
+    const selector = /^\s*(=\d+(?:\.\d+)?|\w+)\s*\{/.exec(text.slice(i))
+    if (!selector) {
+      // Допускаем только пробелы после последнего варианта
+      return text.slice(i).trim() === '' && Object.keys(options).length > 0 ? options : null
+    }
+    const open = i + selector[0].length - 1
+    const close = findClosingBrace(text, open)
+    if (close === -1) return null
+    options[selector[1]] = parseTemplate(text.slice(open + 1, close), true)
+    i = close + 1
+  }
+  return Object.keys(options).length > 0 ? options : null
+}
+
+/**
+ * Разбирает содержимое фигурных скобок в узел шаблона.
+ *
+ * @param {string} inner - Текст между скобками.
+ * @returns {TemplateNode} Узел подстановки, plural-блок или литерал `{inner}`, если синтаксис не распознан.
+ * @private
+ */
+function parsePlaceholder (inner) {
+  const raw = `{${inner}}`
+  const plural = PLURAL_PATTERN.exec(inner)
+  if (plural) {
+    const options = parsePluralOptions(plural[2])
+    return options ? { type: 'plural', raw, path: plural[1].split('.'), options } : raw
+  }
+  const arg = ARG_PATTERN.exec(inner)
+  if (!arg) return raw
+  const node = { type: 'arg', raw, path: arg[1].split('.'), formatters: arg[2].split('|').slice(1) }
+  if (arg[3] !== undefined) node.defaultValue = arg[3]
+  return node
+}
+
+/**
+ * Разбирает шаблон в последовательность узлов.
+ * `{{` и `}}` задают литеральные скобки, нераспознанные конструкции остаются литералами.
+ *
+ * @param {string} template - Шаблон сообщения.
+ * @param {boolean} [inPlural=false] - Разбор варианта plural-блока (`#` подставляет число).
+ * @returns {TemplateNode[]} Узлы шаблона.
+ * @private
+ */
+function parseTemplate (template, inPlural = false) {
+  const nodes = []
+  let literal = ''
+  let i = 0
+  const flush = () => {
+    if (literal) nodes.push(literal)
+    literal = ''
+  }
+  while (i < template.length) {
+    const char = template[i]
+    if ((char === '{' || char === '}') && template[i + 1] === char) {
+      literal += char
+      i += 2
+    } else if (char === '{') {
+      const close = findClosingBrace(template, i)
+      if (close === -1) {
+        literal += template.slice(i)
+        break
+      }
+      const node = parsePlaceholder(template.slice(i + 1, close))
+      if (typeof node === 'string') {
+        literal += node
+      } else {
+        flush()
+        nodes.push(node)
+      }
+      i = close + 1
+    } else if (char === '#' && inPlural) {
+      flush()
+      nodes.push({ type: 'pound' })
+      i++
+    } else {
+      literal += char
+      i++
+    }
+  }
+  flush()
+  return nodes
+}
+
+/**
+ * Получает значение по пути в контексте.
+ *
+ * @param {object} context - Контекст.
+ * @param {string[]} path - Сегменты пути.
+ * @returns {any} Значение или `undefined`.
+ * @private
+ */
+function resolvePath (context, path) {
+  let current = context
+  for (const segment of path) {
+    if (current === null || current === undefined || FORBIDDEN_SEGMENTS.has(segment)) return undefined
+    current = current[segment]
+  }
+  return current
+}
+
+/**
+ * Преобразует значение в текст по умолчанию: массивы - через запятую, простые объекты - в JSON,
+ * прочие значения - через String().
+ *
+ * @param {any} value - Значение.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @returns {string} Текст.
+ * @private
+ */
+function toText (value, options) {
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return value.map(item => toText(item, options)).join(', ')
+  if (value && typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value)
+    if (proto === Object.prototype || proto === null) return toJSONText(value, options)
+  }
+  return String(value)
+}
+
+/**
+ * Сериализует значение в JSON безопасно (циклы, BigInt и т.п.).
+ *
+ * @param {any} value - Значение.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @returns {string} JSON-текст.
+ * @private
+ */
+function toJSONText (value, options) {
+  return JSON.stringify(safeSerialize(value, { redact: options.redact, sensitiveKeys: options.sensitiveKeys })) ?? String(value)
+}
+
+/**
+ * Форматтеры значений, применяемые через `{value|name}`.
+ * @type {Record<string, (value: any, options: RenderOptions) => string>}
+ * @private
+ */
+const FORMATTERS = {
+  // Размер в байтах: 1536 -> '1.5 KB'
+  bytes (value, options) {
+    const size = Number(value)
+    if (typeof value === 'boolean' || !Number.isFinite(size)) return toText(value, options)
+    let unit = 0
+    while (Math.abs(size) >= 1024 ** (unit + 1) && unit < BYTE_UNITS.length - 1) unit++
+    return `${Number((size / 1024 ** unit).toFixed(1))} ${BYTE_UNITS[unit]}`
+  },
+  // Список с учетом локали: ['a', 'b', 'c'] -> 'a, b, and c'
+  list (value, options) {
+    const items = value instanceof Set ? [...value] : value
+    if (!Array.isArray(items)) return toText(value, options)
+    const texts = items.map(item => toText(item, options))
+    return withLocale(options.locale, locale => new Intl.ListFormat(locale, { type: 'conjunction' }).format(texts))
+  },
+  // Дата в ISO 8601
+  iso (value, options) {
+    const date = value instanceof Date ? value : new Date(typeof value === 'number' || typeof value === 'string' ? value : NaN)
+    return Number.isNaN(date.getTime()) ? toText(value, options) : date.toISOString()
+  },
+  json: toJSONText
+}
+
+/**
+ * Выполняет операцию Intl с локалью, при некорректной локали - с локалью по умолчанию.
+ *
+ * @param {string} [locale] - Локаль.
+ * @param {(locale: string) => any} fn - Операция.
+ * @returns {any} Результат операции.
+ * @private
+ */
+function withLocale (locale, fn) {
+  try {
+    return fn(locale || DEFAULT_LOCALE)
+  } catch {
+    return fn(DEFAULT_LOCALE)
+  }
+}
+
+/**
+ * Проверяет, указывает ли путь на чувствительные данные.
+ *
+ * @param {string[]} path - Сегменты пути.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @returns {boolean} `true`, если значение нужно замаскировать.
+ * @private
+ */
+function isSensitivePath (path, options) {
+  return options.redact === true && path.some(segment => isSensitiveKey(segment, options))
+}
+
+/**
+ * Подставляет значения в разобранный шаблон.
+ *
+ * @param {TemplateNode[]} nodes - Узлы шаблона.
+ * @param {object} context - Контекст.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @param {number|null} pound - Число для `#` внутри plural-блока.
+ * @returns {string} Результат.
+ * @private
+ */
+function renderNodes (nodes, context, options, pound) {
+  let result = ''
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      result += node
+    } else if (node.type === 'pound') {
+      result += pound === null ? '#' : String(pound)
+    } else if (node.type === 'plural') {
+      result += renderPlural(node, context, options)
+    } else {
+      result += renderArg(node, context, options)
+    }
+  }
+  return result
+}
+
+/**
+ * Подставляет значение с форматтерами и значением по умолчанию.
+ * Отсутствующее значение без значения по умолчанию и неизвестный форматтер оставляют плейсхолдер как есть.
+ *
+ * @param {object} node - Узел подстановки.
+ * @param {object} context - Контекст.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @returns {string} Текст подстановки.
+ * @private
+ */
+function renderArg (node, context, options) {
+  const value = resolvePath(context, node.path)
+  if (value === undefined || value === null) {
+    return node.defaultValue ?? node.raw
+  }
+  if (isSensitivePath(node.path, options)) return REDACTED
+  if (node.formatters.some(name => !Object.hasOwn(FORMATTERS, name))) return node.raw
+
+  let text
+  if (node.formatters.length === 0) {
+    text = toText(value, options)
+  } else {
+    // Форматтеры применяются слева направо, каждый следующий получает результат предыдущего
+    text = node.formatters.reduce((current, name) => FORMATTERS[name](current, options), value)
+  }
+  return options.redact ? redactString(text) : text
+}
+
+/**
+ * Выбирает и подставляет вариант plural-блока: сначала точное совпадение `=N`,
+ * затем категория Intl.PluralRules для локали, затем `other`.
+ *
+ * @param {object} node - Plural-узел.
+ * @param {object} context - Контекст.
+ * @param {RenderOptions} options - Опции подстановки.
+ * @returns {string} Текст выбранного варианта или исходный блок, если значение не число.
+ * @private
+ */
+function renderPlural (node, context, options) {
+  const value = resolvePath(context, node.path)
+  const count = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (typeof count !== 'number' || Number.isNaN(count)) return node.raw
+
+  const category = withLocale(options.locale, locale => new Intl.PluralRules(locale).select(count))
+  const selected = node.options[`=${count}`] ?? node.options[category] ?? node.options.other
+  return selected ? renderNodes(selected, context, options, count) : node.raw
+}
+
+/**
+ * Собирает пути плейсхолдеров разобранного шаблона.
+ *
+ * @param {TemplateNode[]} nodes - Узлы шаблона.
+ * @returns {{placeholders: string[], requiredPlaceholders: string[]}} Все пути и пути без значения по умолчанию.
+ * @private
+ */
+function collectPlaceholders (nodes) {
+  const all = new Set()
+  const required = new Set()
+  const collect = list => {
+    for (const node of list) {
+      if (typeof node === 'string' || node.type === 'pound') continue
+      const path = node.path.join('.')
+      all.add(path)
+      if (node.defaultValue === undefined) required.add(path)
+      if (node.type === 'plural') Object.values(node.options).forEach(collect)
+    }
+  }
+  collect(nodes)
+  return { placeholders: [...all], requiredPlaceholders: [...required] }
+}
+
+/**
+ * Компилирует шаблон (разбор и сбор плейсхолдеров) с кэшированием: каждый шаблон разбирается один раз.
+ * При переполнении кэша вытесняется самый старый шаблон.
+ * Детерминированность: Да.
+ *
+ * @param {string} template - Шаблон сообщения.
+ * @returns {CompiledTemplate} Скомпилированный (замороженный) шаблон.
+ */
+export function compileTemplate (template) {
+  const cached = templateCache.get(template)
+  if (cached) {
+    return cached
+  }
+  const nodes = parseTemplate(template)
+  const compiled = Object.freeze({ template, nodes, ...collectPlaceholders(nodes) })
+  if (templateCache.size >= TEMPLATE_CACHE_LIMIT) {
+    templateCache.delete(templateCache.keys().next().value)
+  }
+  templateCache.set(template, compiled)
+  return compiled
+}
+
+/**
+ * Очищает кэш скомпилированных шаблонов.
+ */
+export function clearTemplateCache () {
+  templateCache.clear()
+}
+
+/**
+ * Подставляет значения контекста в шаблон сообщения.
+ *
+ * Синтаксис шаблона:
+ * - `{key}`, `{user.id}`, `{items.0}` - значение по пути в контексте.
+ * - `{size|bytes}`, `{items|list}`, `{date|iso}`, `{value|json}` - форматтеры (можно объединять в цепочку).
+ * - `{name?anonymous}` - значение по умолчанию для отсутствующего (null/undefined) значения.
+ * - `{count, plural, =0 {no files} one {# file} other {# files}}` - plural-формы в стиле ICU, `#` - число.
+ * - `{{` и `}}` - литеральные фигурные скобки.
+ * Отсутствующие значения без значения по умолчанию оставляют плейсхолдер без изменений, нераспознанные
+ * конструкции выводятся как есть. Массивы выводятся через запятую, простые объекты - в JSON.
+ * Детерминированность: Да (для неизменной конфигурации маскирования).
+ *
+ * @param {string} template - Шаблон сообщения.
+ * @param {object} [context={}] - Значения для подстановки.
+ * @param {RenderOptions} [options={}] - Опции подстановки.
+ * @returns {string} Сообщение. Пустая строка, если template не строка.
+ */
+export function renderTemplate (template, context = {}, options = {}) {
+  if (typeof template !== 'string') {
+    return ''
+  }
+  return renderNodes(compileTemplate(template).nodes, context ?? {}, options, null)
+}
+
+/**
+ * Форматирует сообщение об ошибке с подстановкой контекста.
+ * Единая точка форматирования сообщений для SystemError и внешнего API (errors.js).
+ *
+ * Основная ответственность:
+ * - Подстановка значений из контекста в шаблон (синтаксис - см. renderTemplate)
+ * - Обработка отсутствующих значений (null, undefined)
+ * - Корректная обработка некорректного шаблона
+ * - Маскирование значений чувствительных ключей и чувствительных фрагментов строк
+ * Детерминированность: Да (для неизменной конфигурации маскирования).
+ *
+ * @param {string} template - Шаблон сообщения с {placeholders}.
+ * @param {object} [context={}] - Значения для подстановки.
+ * @param {object} [options={}] - Опции форматирования.
+ * @param {string[]} [options.sensitiveKeys=[]] - Дополнительные чувствительные ключи.
+ * @param {string} [options.locale='en'] - Локаль для plural-форм и форматтера list.
+ * @returns {string} Отформатированное сообщение. Пустая строка, если template не является строкой.
+ */
+export function formatMessage (template, context = {}, options = {}) {
+  return renderTemplate(template, context, { ...options, redact: true })
+}
+
+/**
+ * Возвращает пути плейсхолдеров шаблона (включая переменные plural-блоков и плейсхолдеры в их вариантах).
+ * Детерминированность: Да.
+ *
+ * @param {string} template - Шаблон сообщения.
+ * @param {object} [options={}] - Опции.
+ * @param {boolean} [options.required=false] - Только пути, хотя бы раз использованные без значения по умолчанию.
+ * @returns {string[]} Уникальные пути в порядке появления (например, `['file.name', 'count']`).
+ *   Пустой массив, если template не строка.
+ */
+export function getPlaceholders (template, options = {}) {
+  if (typeof template !== 'string') {
+    return []
+  }
+  const compiled = compileTemplate(template)
+  return [...(options.required ? compiled.requiredPlaceholders : compiled.placeholders)]
+}
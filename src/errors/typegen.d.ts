@@ -0,0 +1,29 @@
+/**
+ * @file src/errors/typegen.d.ts
+ * @description TypeScript декларации для генерации деклараций таблиц кодов ошибок.
+ * @version 0.1.0
+ */
+
+/**
+ * @interface ErrorTypesOptions
+ * @description Опции функции `generateErrorTypes`.
+ */
+export interface ErrorTypesOptions {
+  /** @property {string} [moduleName='@fab33/sys-errors'] - Модуль, из которого импортируются типы и расширяется ErrorContextMap. */
+  moduleName?: string;
+  /** @property {string} [source] - Исходный модуль таблиц (указывается в заголовке файла). */
+  source?: string;
+}
+
+/**
+ * Генерирует .d.ts для модуля с таблицами кодов ошибок: литеральные типы `code`, интерфейсы контекста
+ * (из `contextKeys`, плейсхолдеров и `contextSchema`) и расширение `ErrorContextMap` для проверки вызовов createError.
+ *
+ * @function generateErrorTypes
+ * @param {Record<string, any>} moduleExports - Экспорты модуля (таблицы и агрегированные таблицы кодов; прочие пропускаются).
+ * @param {ErrorTypesOptions} [options] - Опции.
+ * @returns {string} Содержимое .d.ts файла.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Модуль не экспортирует таблиц кодов.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Невалидные определения или дублирующиеся коды.
+ */
+export declare function generateErrorTypes (moduleExports: Record<string, any>, options?: ErrorTypesOptions): string;
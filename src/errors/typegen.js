@@ -0,0 +1,290 @@
+/**
+ * @file src/errors/typegen.js
+ * @description Генерация TypeScript деклараций для таблиц кодов ошибок подсистем: литеральные коды,
+ *   интерфейсы контекста и регистрация в ErrorContextMap для проверки вызовов createError
+ * @version 0.1.0
+ */
+
+import { ERROR_CODES } from './codes.js'
+import { createError } from './errors.js'
+import { validateDefinition } from './registry.js'
+import { getPlaceholders } from './template.js'
+
+/**
+ * Определение ошибки
+ * @typedef {import('./errors.js').ErrorDefinition} ErrorDefinition
+ */
+
+/**
+ * Опции генерации деклараций
+ * @typedef {object} ErrorTypesOptions
+ * @property {string} [moduleName='@fab33/sys-errors'] - Модуль, из которого импортируются типы и расширяется ErrorContextMap.
+ * @property {string} [source] - Исходный модуль таблиц (указывается в заголовке файла).
+ */
+
+/**
+ * Типы TypeScript для типов полей схемы контекста (см. SCHEMA_TYPES).
+ * @type {Readonly<Record<string, string>>}
+ * @private
+ */
+const SCHEMA_TS_TYPES = Object.freeze({
+  any: 'any',
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  bigint: 'bigint',
+  function: '(...args: any[]) => any',
+  null: 'null',
+  array: 'unknown[]',
+  object: 'Record<string, unknown>',
+  date: 'Date',
+  error: 'Error'
+})
+
+/**
+ * Проверяет, является ли значение таблицей кодов: непустой объект, все значения которого - объекты со строковым `code`.
+ *
+ * @param {any} value - Проверяемое значение.
+ * @returns {boolean} `true` для таблицы кодов.
+ * @private
+ */
+function isCodeTable (value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false
+  const definitions = Object.values(value)
+  return definitions.length > 0 &&
+    definitions.every(definition => definition !== null && typeof definition === 'object' && typeof definition.code === 'string')
+}
+
+/**
+ * Проверяет, является ли значение агрегированной таблицей (как ERROR_CODES): все значения - таблицы кодов.
+ *
+ * @param {any} value - Проверяемое значение.
+ * @returns {boolean} `true` для агрегированной таблицы.
+ * @private
+ */
+function isAggregateTable (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.values(value).every(isCodeTable)
+}
+
+/**
+ * Преобразует код ошибки в PascalCase: 'MY_LOAD_FAILED' -> 'MyLoadFailed'.
+ *
+ * @param {string} code - Код или имя в UPPER_SNAKE_CASE.
+ * @returns {string} Имя в PascalCase.
+ * @private
+ */
+function toPascalCase (code) {
+  return code
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('')
+}
+
+/**
+ * Возвращает имя типа кодов экспорта: 'MY_ERROR_CODES' -> 'MyErrorCode', 'dbErrors' -> 'DbErrorsCode'.
+ *
+ * @param {string} exportName - Имя экспорта.
+ * @returns {string} Имя типа.
+ * @private
+ */
+function codeTypeName (exportName) {
+  const base = /[a-z]/.test(exportName)
+    ? exportName[0].toUpperCase() + exportName.slice(1)
+    : toPascalCase(exportName.replace(/_?CODES$/, ''))
+  return `${base || 'Error'}Code`
+}
+
+/**
+ * Формирует строковый литерал TypeScript в одинарных кавычках.
+ *
+ * @param {string} value - Строка.
+ * @returns {string} Литерал.
+ * @private
+ */
+function stringLiteral (value) {
+  return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`
+}
+
+/**
+ * Возвращает имя свойства для декларации (в кавычках, если это не идентификатор).
+ *
+ * @param {string} key - Имя свойства.
+ * @returns {string} Имя свойства.
+ * @private
+ */
+function propertyName (key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : stringLiteral(key)
+}
+
+/**
+ * Преобразует схему поля контекста в тип TypeScript.
+ *
+ * @param {string|object} fieldSchema - Схема поля (строка-тип или объект схемы).
+ * @returns {string} Тип TypeScript.
+ * @private
+ */
+function schemaToType (fieldSchema) {
+  const schema = typeof fieldSchema === 'string' ? { type: fieldSchema } : fieldSchema ?? {}
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum.map(value => {
+      if (typeof value === 'string') return stringLiteral(value)
+      return ['number', 'boolean'].includes(typeof value) || value === null ? String(value) : 'unknown'
+    }).join(' | ')
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type ?? 'any']
+  return types.map(type => {
+    if (type === 'array' && schema.items !== undefined) return `Array<${schemaToType(schema.items)}>`
+    if (type === 'object' && schema.properties) return objectType(schema.properties)
+    return SCHEMA_TS_TYPES[type] ?? 'unknown'
+  }).join(' | ')
+}
+
+/**
+ * Формирует тип объекта по схемам полей (обязательность - из `required`).
+ *
+ * @param {Record<string, string|object>} properties - Схемы полей.
+ * @returns {string} Тип TypeScript.
+ * @private
+ */
+function objectType (properties) {
+  const fields = Object.entries(properties).map(([key, fieldSchema]) =>
+    `${propertyName(key)}${fieldSchema?.required === true ? '' : '?'}: ${schemaToType(fieldSchema)}`)
+  return `{ ${fields.join('; ')} }`
+}
+
+/**
+ * Формирует интерфейс контекста определения.
+ *
+ * Основная ответственность:
+ * - Ключи: `contextKeys`, корневые ключи плейсхолдеров шаблона, поля `contextSchema` (в этом порядке, без повторов).
+ * - Обязательные ключи: `contextKeys`, плейсхолдеры без значения по умолчанию и поля схемы с `required: true`.
+ * - Типы - из `contextSchema`, для ключей без схемы - `unknown`.
+ *
+ * @param {string} name - Имя интерфейса.
+ * @param {ErrorDefinition} definition - Определение ошибки.
+ * @returns {string} Декларация интерфейса.
+ * @private
+ */
+function contextInterface (name, definition) {
+  const contextKeys = Array.isArray(definition.contextKeys) ? definition.contextKeys : []
+  const rootKey = path => path.split('.')[0]
+  const schema = definition.contextSchema ?? {}
+  const required = new Set([
+    ...contextKeys,
+    ...getPlaceholders(definition.message, { required: true }).map(rootKey),
+    ...Object.keys(schema).filter(key => schema[key]?.required === true)
+  ])
+  const keys = new Set([...contextKeys, ...getPlaceholders(definition.message).map(rootKey), ...Object.keys(schema)])
+  const fields = [...keys].map(key =>
+    `  ${propertyName(key)}${required.has(key) ? '' : '?'}: ${key in schema ? schemaToType(schema[key]) : 'unknown'};`)
+  const comment = `/** Контекст ошибки ${definition.code}: ${definition.message.replace(/\*\//g, '*\\/')} */`
+  // Без ключей контекст пустой: Record<string, never> (в отличие от {}) запрещает лишние ключи
+  return fields.length === 0
+    ? `${comment}\nexport type ${name}Context = Record<string, never>`
+    : [comment, `export interface ${name}Context {`, ...fields, '}'].join('\n')
+}
+
+/**
+ * Генерирует TypeScript декларации для модуля с таблицами кодов ошибок.
+ *
+ * Основная ответственность:
+ * - Экспорты-таблицы (`{ KEY: definition }`) и агрегированные таблицы (`{ SUBSYSTEM: { KEY: definition } }`)
+ *   объявляются с литеральными типами `code`; прочие экспорты пропускаются.
+ * - Для каждого кода - интерфейсы `<Code>Context` и `<Code>Definition`; для каждого экспорта - объединение
+ *   литеральных кодов `<Export>Code` (без суффикса `_CODES`).
+ * - Расширение `ErrorContextMap` модуля `moduleName`: createError проверяет контекст этих кодов при компиляции.
+ * Детерминированность: Да.
+ *
+ * @param {Record<string, any>} moduleExports - Экспорты модуля (например, результат `import()`).
+ * @param {ErrorTypesOptions} [options={}] - Опции.
+ * @returns {string} Содержимое .d.ts файла.
+ * @throws {SystemError} SYS_INVALID_ARGUMENT - Если модуль не экспортирует ни одной таблицы кодов.
+ * @throws {SystemError} SYS_VALIDATION_FAILED - Если определения невалидны или коды дублируются.
+ */
+export function generateErrorTypes (moduleExports, options = {}) {
+  const { moduleName = '@fab33/sys-errors', source } = options
+  const exportsList = Object.entries(moduleExports ?? {})
+    .filter(([, value]) => isCodeTable(value) || isAggregateTable(value))
+    .sort(([a], [b]) => a.localeCompare(b))
+  if (exportsList.length === 0) {
+    throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'moduleExports', reason: 'module does not export any error code tables' })
+  }
+
+  // Определения по коду (одна таблица может экспортироваться и отдельно, и в агрегированной таблице)
+  const definitions = new Map()
+  const problems = []
+  const collect = (table, path) => Object.entries(table).map(([key, definition]) => {
+    validateDefinition(definition).forEach(problem => problems.push(`${path}.${key}: ${problem}`))
+    const existing = definitions.get(definition.code)
+    if (existing && existing.definition !== definition) {
+      problems.push(`${path}.${key}: Duplicate error code '${definition.code}' (already defined at ${existing.path}).`)
+    } else if (!existing) {
+      definitions.set(definition.code, { definition, path: `${path}.${key}` })
+    }
+    return [key, definition.code]
+  })
+  const declarations = exportsList.map(([name, value]) => ({
+    name,
+    tables: isCodeTable(value)
+      ? [[null, collect(value, name)]]
+      : Object.entries(value).map(([subsystem, table]) => [subsystem, collect(table, `${name}.${subsystem}`)])
+  }))
+  if (problems.length > 0) {
+    throw createError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+      reason: 'Cannot generate types for error code tables',
+      problems,
+      problemsText: problems.join('; ')
+    })
+  }
+
+  const tableType = (entries, indent) => [
+    '{',
+    ...entries.map(([key, code]) => `${indent}  readonly ${propertyName(key)}: ${toPascalCase(code)}Definition;`),
+    `${indent}}`
+  ].join('\n')
+  const lines = [
+    '/**',
+    ` * Сгенерировано \`sys-errors types\`${source ? ` из ${source}` : ''}. Не редактируйте вручную.`,
+    ' */',
+    '',
+    `import { ErrorDefinition } from ${stringLiteral(moduleName)}`
+  ]
+  for (const { definition } of definitions.values()) {
+    const name = toPascalCase(definition.code)
+    lines.push(
+      '',
+      contextInterface(name, definition),
+      '',
+      `/** Определение ошибки ${definition.code}. */`,
+      `export interface ${name}Definition extends ErrorDefinition {`,
+      `  readonly code: ${stringLiteral(definition.code)};`,
+      '}'
+    )
+  }
+  for (const { name, tables } of declarations) {
+    const codes = tables.flatMap(([, entries]) => entries.map(([, code]) => stringLiteral(code)))
+    const type = tables[0][0] === null
+      ? tableType(tables[0][1], '')
+      : ['{', ...tables.map(([subsystem, entries]) => `  readonly ${propertyName(subsystem)}: ${tableType(entries, '  ')};`), '}'].join('\n')
+    lines.push(
+      '',
+      `/** Коды ошибок таблицы ${name}. */`,
+      `export type ${codeTypeName(name)} = ${[...new Set(codes)].join(' | ')}`,
+      '',
+      `export declare const ${name}: ${type}`
+    )
+  }
+  lines.push(
+    '',
+    `declare module ${stringLiteral(moduleName)} {`,
+    '  interface ErrorContextMap {',
+    ...[...definitions.keys()].map(code => `    ${code}: ${toPascalCase(code)}Context;`),
+    '  }',
+    '}'
+  )
+  return `${lines.join('\n')}\n`
+}
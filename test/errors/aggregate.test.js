@@ -0,0 +1,121 @@
+/**
+ * @file test/errors/aggregate.test.js
+ * @description Юнит-тесты для ошибок с несколькими причинами.
+ * @version 0.1.1
+ * @tested-file src/errors/aggregate.js
+ * @tested-file-version 0.1.2
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { fromSettledResults, checkErrorTree } from '../../src/errors/aggregate.js'
+import { ERROR_CODES, SystemError, createError, deserializeError } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:aggregate')
+
+// Тестовое определение пакетной операции
+const IMPORT_FAILED = {
+  code: 'TEST_IMPORT_FAILED',
+  message: 'Import failed: {reason}',
+  subsystem: 'test',
+  contextKeys: ['reason']
+}
+
+/**
+ * Создает ошибку импорта с двумя ветвями: SystemError с цепочкой и обычной ошибкой
+ *
+ * @returns {SystemError} Ошибка с несколькими причинами
+ */
+function createImportError () {
+  const rowError = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'row 2', reason: 'bad email' }, new TypeError('not a string'))
+  return createError(IMPORT_FAILED, { reason: '2 rows rejected' }, [rowError, new RangeError('row 5: age out of range')])
+}
+
+describe('(aggregate) - тесты ошибок с несколькими причинами', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов aggregate.js')
+  })
+
+  test('SystemError должен хранить несколько причин и принимать AggregateError', () => {
+    logger.trace('Тест: errors')
+    const error = createImportError()
+    expect(error.errors).toHaveLength(2)
+    expect(error.original).toBe(error.errors[0])
+
+    const aggregate = new AggregateError([new Error('a'), 'not an error', new Error('b')], 'Both failed')
+    const wrapped = createError(IMPORT_FAILED, { reason: 'aggregate' }, aggregate)
+    expect(wrapped.original).toBe(aggregate)
+    expect(wrapped.errors.map(cause => cause.message)).toEqual(['a', 'b'])
+    expect(createError(IMPORT_FAILED, { reason: 'single' }, new Error('x')).errors).toEqual([])
+  })
+
+  test('toJSON и format должны выводить полное дерево причин, deserializeError - восстанавливать его', () => {
+    logger.trace('Тест: вывод дерева')
+    const error = createImportError()
+
+    const json = error.toJSON()
+    expect(json.errors).toHaveLength(2)
+    expect(json.errors[0]).toMatchObject({ code: 'SYS_INVALID_ARGUMENT', original: { name: 'TypeError', message: 'not a string' } })
+    expect(json.errors[1]).toMatchObject({ name: 'RangeError', message: 'row 5: age out of range' })
+    expect(createError(IMPORT_FAILED, { reason: 'single' }).toJSON()).not.toHaveProperty('errors')
+
+    expect(error.format()).toBe([
+      'SystemError [TEST_IMPORT_FAILED]: Import failed: 2 rows rejected',
+      '  Caused by 2 errors:',
+      '    [0] SystemError [SYS_INVALID_ARGUMENT]: Invalid argument row 2: bad email',
+      `      Docs: ${ERROR_CODES.SYS.INVALID_ARGUMENT.docs}`,
+      '      Caused by: TypeError: not a string',
+      '    [1] RangeError: row 5: age out of range'
+    ].join('\n'))
+
+    const restored = deserializeError(JSON.parse(JSON.stringify(json)))
+    expect(restored.errors[1]).toBeInstanceOf(RangeError)
+    expect(restored.toJSON()).toEqual(json)
+  })
+
+  test('fromSettledResults должен создавать ошибку по отклоненным результатам Promise.allSettled', async () => {
+    logger.trace('Тест: fromSettledResults')
+    const results = [
+      ...await Promise.allSettled([Promise.resolve(1), Promise.reject(new Error('timeout'))]),
+      { status: 'rejected', reason: 'plain string' } // Отклонение не-Error значением
+    ]
+
+    const error = fromSettledResults(results)
+    expect(error).toBeInstanceOf(SystemError)
+    expect(error).toMatchObject({
+      code: 'SYS_MULTIPLE_ERRORS',
+      message: 'Multiple errors occurred: 2 of 3 operations failed',
+      context: { failed: 2, total: 3, failedIndices: [1, 2] }
+    })
+    expect(error.errors.map(cause => cause.message)).toEqual(['timeout', 'plain string'])
+
+    expect(fromSettledResults(results, IMPORT_FAILED, { batchId: 7 }).context).toMatchObject({ reason: '2 of 3 operations failed', batchId: 7 })
+    expect(fromSettledResults([{ status: 'fulfilled', value: 1 }])).toBeNull()
+    expect(() => fromSettledResults([1])).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('checkErrorTree должен проверять выбранные ветви и сообщать путь несоответствия', () => {
+    logger.trace('Тест: checkErrorTree')
+    const error = createImportError()
+
+    expect(checkErrorTree(error, {
+      code: 'TEST_IMPORT_FAILED',
+      errors: [
+        { code: 'SYS_INVALID_ARGUMENT', original: { type: 'TypeError', original: null } },
+        { type: 'RangeError', message: 'age' }
+      ]
+    })).toBe(true)
+    expect(checkErrorTree(error, { errors: { 1: { message: 'row 5' } } })).toBe(true)
+
+    expect(() => checkErrorTree(error, { errors: { 0: { original: { type: 'SyntaxError' } } } }))
+      .toThrow("Error tree mismatch at root.errors[0].original: Expected type 'SyntaxError', got 'TypeError'.")
+    expect(() => checkErrorTree(error, { errors: [{}] })).toThrow('Expected 1 errors, got 2.')
+    expect(() => checkErrorTree(error, { errors: { 3: {} } })).toThrow('root.errors[3]: Branch does not exist')
+    // Сообщения о несоответствии узла совпадают с checkErrorChain (matchChainLevel)
+    expect(() => checkErrorTree(error, { errors: { 1: { code: 'SYS_UNEXPECTED' } } }))
+      .toThrow("Error tree mismatch at root.errors[1]: Expected code 'SYS_UNEXPECTED', but error has no 'code' property")
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * @file test/errors/async-context.test.js
+ * @description Юнит-тесты для фонового (ambient) контекста ошибок.
+ * @version 0.1.0
+ * @tested-file src/errors/async-context.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { setTimeout as delay } from 'node:timers/promises'
+import { describe, expect, test, beforeEach, vi } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { withErrorContext, getErrorContext } from '../../src/errors/async-context.js'
+import { ERROR_CODES, REDACTED, createError, deserializeError, setLogger } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:async-context')
+
+describe('(async-context) - тесты фонового контекста ошибок', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов async-context.js')
+  })
+
+  test('должен добавлять фоновый контекст вложенных областей в синхронные и асинхронные ошибки', async () => {
+    logger.trace('Тест: вложенные области')
+    expect(getErrorContext()).toBeNull()
+
+    const errors = await withErrorContext({ requestId: 'r1', operation: 'checkout' }, async () => {
+      const outer = createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'outer' })
+      const inner = await withErrorContext({ operation: 'payment', userId: 7 }, async () => {
+        await delay(1)
+        return createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'inner' })
+      })
+      return { outer, inner, after: getErrorContext() }
+    })
+
+    expect(errors.outer.context).toEqual({ reason: 'outer', ambient: { requestId: 'r1', operation: 'checkout' } })
+    expect(errors.inner.context.ambient).toEqual({ requestId: 'r1', operation: 'payment', userId: 7 })
+    expect(errors.after).toEqual({ requestId: 'r1', operation: 'checkout' })
+    expect(createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' }).context).not.toHaveProperty('ambient')
+    expect(() => withErrorContext(null, () => {})).toThrow(TypeError)
+  })
+
+  test('явный контекст должен иметь приоритет, а contextKeys проверяться только по явному контексту', () => {
+    logger.trace('Тест: приоритет явного контекста')
+    const adapter = { log: vi.fn() }
+    const previousAdapter = setLogger(adapter)
+
+    withErrorContext({ name: 'ambient', reason: 'ambient reason', requestId: 'r2' }, () => {
+      const error = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id', reason: 'explicit', ambient: { requestId: 'own' } })
+      expect(error.message).toBe('Invalid argument id: explicit')
+      expect(error.context.ambient).toEqual({ requestId: 'own' })
+
+      // reason есть только в фоновом контексте: обязательный ключ считается отсутствующим
+      const missing = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id' }, null, { strict: true })
+      expect(missing.code).toBe('SYS_UNEXPECTED')
+      expect(missing.context.reason).toMatch(/Missing required context keys: reason/)
+      expect(adapter.log).toHaveBeenCalledTimes(1)
+    })
+    setLogger(previousAdapter)
+  })
+
+  test('toJSON и format должны включать фоновый контекст с маскированием', () => {
+    logger.trace('Тест: вывод фонового контекста')
+    const error = withErrorContext({ requestId: 'r3', token: 'secret' }, () =>
+      createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id', reason: 'empty' })
+    )
+
+    expect(error.toJSON().context.ambient).toEqual({ requestId: 'r3', token: REDACTED })
+    expect(error.format()).toContain(`\n  Context: {"requestId":"r3","token":"${REDACTED}"}`)
+
+    // Восстановленная ошибка сохраняет исходный фоновый контекст, а не контекст текущей области
+    const restored = withErrorContext({ requestId: 'other' }, () => deserializeError(JSON.parse(JSON.stringify(error))))
+    expect(restored.context.ambient).toEqual({ requestId: 'r3', token: REDACTED })
+  })
+})
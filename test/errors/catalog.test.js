@@ -0,0 +1,161 @@
+/**
+ * @file test/errors/catalog.test.js
+ * @description Юнит-тесты для генерации документации каталога кодов ошибок.
+ * @version 0.1.1
+ * @tested-file src/errors/catalog.js
+ * @tested-file-version 0.1.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { toDocsAnchor, buildErrorCatalog, generateErrorDocs, checkErrorDocs } from '../../src/errors/catalog.js'
+import { ERROR_CODES, SystemError, createErrorRegistry } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:catalog')
+
+// Тестовая таблица кодов подсистемы
+const DB_ERROR_CODES = {
+  CONNECT_FAILED: {
+    code: 'DB_CONNECT_FAILED',
+    message: 'Connection to {host} failed: {reason}',
+    messages: { ru: 'Ошибка подключения к {host}: {reason}' },
+    subsystem: 'db',
+    recoverable: true,
+    httpStatus: 503,
+    contextKeys: ['host', 'reason'],
+    docs: 'docs/errors/db.md#connect-failed'
+  },
+  QUERY_FAILED: {
+    code: 'DB_QUERY_FAILED',
+    message: 'Query <{sql}> failed',
+    subsystem: 'db',
+    recoverable: false,
+    docs: 'docs/errors/db.md#query-error'
+  }
+}
+
+/**
+ * Создает реестр с общесистемными кодами и таблицей DB
+ *
+ * @param {object} [dbTable=DB_ERROR_CODES] - Таблица кодов подсистемы DB
+ * @returns {import('../../src/errors/registry.js').ErrorRegistry} Реестр
+ */
+function createRegistry (dbTable = DB_ERROR_CODES) {
+  const registry = createErrorRegistry()
+  registry.register('SYS', ERROR_CODES.SYS)
+  registry.register('DB', dbTable)
+  return registry
+}
+
+describe('(catalog) - тесты генерации каталога кодов ошибок', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов catalog.js')
+  })
+
+  test('buildErrorCatalog должен описывать каждую таблицу реестра с якорями, совпадающими с docs', () => {
+    logger.trace('Тест: каталог')
+    const catalog = buildErrorCatalog({ registry: createRegistry() })
+
+    expect(catalog.map(section => [section.key, section.file])).toEqual([
+      ['SYS', 'docs/errors/system.md'],
+      ['DB', 'docs/errors/db.md']
+    ])
+    expect(catalog[1].entries[0]).toEqual({
+      key: 'CONNECT_FAILED',
+      anchor: 'connect-failed',
+      code: 'DB_CONNECT_FAILED',
+      message: 'Connection to {host} failed: {reason}',
+      messages: { ru: 'Ошибка подключения к {host}: {reason}' },
+      placeholders: ['host', 'reason'],
+      contextKeys: ['host', 'reason'],
+      recoverable: true,
+      httpStatus: 503,
+      docs: 'docs/errors/db.md#connect-failed'
+    })
+    // Все ссылки docs общесистемных кодов указывают на сгенерированные разделы
+    for (const entry of catalog[0].entries) {
+      expect(entry.docs).toBe(`${catalog[0].file}#${entry.anchor}`)
+    }
+    expect(toDocsAnchor('INITIALIZATION_FAILED')).toBe('initialization-failed')
+  })
+
+  test('generateErrorDocs должен формировать Markdown, JSON и HTML для каждой подсистемы', () => {
+    logger.trace('Тест: форматы')
+    const registry = createRegistry()
+
+    const [, markdown] = generateErrorDocs({ registry })
+    expect(markdown.path).toBe('docs/errors/db.md')
+    expect(markdown.content).toContain('| [DB_CONNECT_FAILED](#connect-failed) | yes | 503 |')
+    expect(markdown.content).toContain([
+      '<a id="connect-failed"></a>',
+      '',
+      '## DB_CONNECT_FAILED',
+      '',
+      'Message: `Connection to {host} failed: {reason}`',
+      '',
+      '- Message (ru): `Ошибка подключения к {host}: {reason}`',
+      '- Placeholders: `host`, `reason`',
+      '- Required context keys: `host`, `reason`',
+      '- Recoverable: yes',
+      '- HTTP status: 503'
+    ].join('\n'))
+
+    const [, json] = generateErrorDocs({ registry, format: 'json', docsDir: 'site/errors/' })
+    expect(json.path).toBe('site/errors/db.json')
+    expect(JSON.parse(json.content).entries.map(entry => entry.anchor)).toEqual(['connect-failed', 'query-failed'])
+
+    const [, html] = generateErrorDocs({ registry, format: 'html' })
+    expect(html.path).toBe('docs/errors/db.html')
+    expect(html.content).toContain('<section id="query-failed">')
+    expect(html.content).toContain('<code>Query &#60;{sql}&#62; failed</code>')
+  })
+
+  test('checkErrorDocs должен сообщать о ссылках docs на несгенерированные разделы и файлы', () => {
+    logger.trace('Тест: проверка ссылок')
+    expect(checkErrorDocs({ registry: createRegistry() })).toEqual([
+      "DB.QUERY_FAILED: docs 'docs/errors/db.md#query-error' points to a missing section '#query-error' (expected #query-failed)."
+    ])
+
+    const registry = createRegistry({
+      CONNECT_FAILED: { ...DB_ERROR_CODES.CONNECT_FAILED, docs: 'docs/errors/database.md#connect-failed' },
+      QUERY_FAILED: { ...DB_ERROR_CODES.QUERY_FAILED, docs: 'https://example.com/errors#query' }
+    })
+    expect(checkErrorDocs({ registry })).toEqual([
+      "DB.CONNECT_FAILED: docs 'docs/errors/database.md#connect-failed' points to a file that is not generated (expected docs/errors/db.md)."
+    ])
+  })
+
+  test('таблицы одной подсистемы должны отклоняться с SYS_VALIDATION_FAILED', () => {
+    logger.trace('Тест: две таблицы одной подсистемы')
+    const registry = createRegistry()
+    registry.register('DB_POOL', {
+      EXHAUSTED: { code: 'DB_POOL_EXHAUSTED', message: 'Connection pool exhausted', subsystem: 'db', recoverable: true }
+    })
+
+    const error = (() => {
+      try {
+        generateErrorDocs({ registry })
+      } catch (e) {
+        return e
+      }
+    })()
+    logger.debug({ error: error?.toJSON() }, 'Ошибка каталога')
+
+    expect(error).toMatchObject({
+      code: 'SYS_VALIDATION_FAILED',
+      context: { problems: ["DB_POOL: subsystem 'db' is already documented by table DB (both map to docs/errors/db.md)."] }
+    })
+    expect(() => checkErrorDocs({ registry })).toThrow(SystemError)
+  })
+
+  test('некорректные опции должны приводить к SYS_INVALID_ARGUMENT', () => {
+    logger.trace('Тест: опции')
+    expect(() => generateErrorDocs({ format: 'pdf' })).toThrow(SystemError)
+    expect(() => generateErrorDocs({ format: 'pdf' })).toThrow("expected one of markdown, json, html, got 'pdf'")
+    expect(() => buildErrorCatalog({ registry: {} })).toThrow('Invalid argument options.registry')
+    expect(() => checkErrorDocs({ docsDir: '' })).toThrow('Invalid argument options.docsDir')
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * @file test/errors/chain.test.js
+ * @description Юнит-тесты для обхода цепочек ошибок (original и стандартный cause).
+ * @version 0.2.2
+ * @tested-file src/errors/chain.js
+ * @tested-file-version 0.4.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { inspect } from 'node:util'
+import { describe, expect, test, beforeEach, afterEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  DEFAULT_MAX_CHAIN_DEPTH,
+  setMaxChainDepth,
+  getCause,
+  iterateChain,
+  getChain,
+  findInChain,
+  hasCode,
+  getRootCause,
+  getSubsystems,
+  matchChainLevel,
+  describeValue
+} from '../../src/errors/chain.js'
+import { ERROR_CODES, SystemError, checkErrorChain, createError, deserializeError } from '../../src/errors/errors.js'
+import { flattenErrorChain } from '../../src/errors/logging.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:chain')
+
+/**
+ * Создает SystemError поверх сторонней цепочки на стандартном cause
+ *
+ * @returns {SystemError} Ошибка с цепочкой из трех уровней
+ */
+function createThirdPartyChain () {
+  const socketError = new Error('ECONNRESET')
+  const clientError = new Error('Request to api failed', { cause: socketError })
+  return createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'sync failed' }, clientError)
+}
+
+describe('(chain) - тесты обхода цепочек ошибок', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов chain.js')
+  })
+
+  afterEach(() => {
+    setMaxChainDepth(DEFAULT_MAX_CHAIN_DEPTH)
+  })
+
+  test('SystemError должен устанавливать стандартный cause вместе с original', () => {
+    logger.trace('Тест: cause')
+    const original = new TypeError('bad input')
+    const error = createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' }, original)
+
+    expect(error.cause).toBe(original)
+    expect(Object.keys(error)).not.toContain('cause')
+    expect(createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' })).not.toHaveProperty('cause')
+    expect(inspect(error)).toContain('[cause]: TypeError: bad input')
+    expect(getCause(error)).toBe(original)
+    expect(getCause(new Error('a', { cause: 'timeout' }))).toBe('timeout')
+    expect(getCause('not an error')).toBeNull()
+  })
+
+  test('checkErrorChain, format, toJSON и логирование должны проходить по cause сторонних ошибок', () => {
+    logger.trace('Тест: сторонняя цепочка')
+    const error = createThirdPartyChain()
+
+    expect(checkErrorChain(error, [
+      { code: 'SYS_UNEXPECTED' },
+      { type: 'Error', message: 'request to api' },
+      { message: 'ECONNRESET' }
+    ])).toBe(true)
+    expect(error.format()).toBe([
+      'SystemError [SYS_UNEXPECTED]: Unexpected error occurred: sync failed',
+      `  Docs: ${ERROR_CODES.SYS.UNEXPECTED.docs}`,
+      '  Caused by: Error: Request to api failed',
+      '  Caused by: Error: ECONNRESET'
+    ].join('\n'))
+
+    const json = error.toJSON()
+    expect(json.original).toMatchObject({ message: 'Request to api failed', original: { message: 'ECONNRESET' } })
+    expect(deserializeError(JSON.parse(JSON.stringify(json))).original.original.message).toBe('ECONNRESET')
+    expect(flattenErrorChain(error).map(level => level.message)).toEqual([
+      'Unexpected error occurred: sync failed',
+      'Request to api failed',
+      'ECONNRESET'
+    ])
+  })
+
+  test('циклические цепочки должны обрываться на повторном уровне', () => {
+    logger.trace('Тест: циклы')
+    const first = new Error('first')
+    const second = new Error('second', { cause: first })
+    first.cause = second
+    const error = createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'loop' }, first)
+
+    expect([...iterateChain(error)]).toEqual([error, first, second])
+    expect(error.format()).toMatch(/Caused by: Error: second\n {2}Caused by: \[Circular\]$/)
+    expect(error.toJSON().original.original.original).toBe('[Circular]')
+    expect(checkErrorChain(error, [{ code: 'SYS_UNEXPECTED' }, { message: 'first' }, { message: 'second' }])).toBe(true)
+  })
+
+  test('setMaxChainDepth должен ограничивать глубину обхода', () => {
+    logger.trace('Тест: максимальная глубина')
+    let error = new Error('level 5')
+    for (let level = 4; level >= 1; level--) {
+      error = new SystemError(ERROR_CODES.SYS.UNEXPECTED, { reason: `level ${level}` }, error)
+    }
+
+    expect(setMaxChainDepth(3)).toBe(DEFAULT_MAX_CHAIN_DEPTH)
+    expect([...iterateChain(error)]).toHaveLength(3)
+    expect(error.format()).toMatch(/Caused by: SystemError: Unexpected error occurred: level 3\n {2}Caused by: \[Truncated\]$/)
+    expect(error.toJSON().original.original.original).toBe('[Truncated]')
+    expect(() => checkErrorChain(error, [{}, {}])).toThrow('more levels than expected')
+    expect(flattenErrorChain(error)).toHaveLength(3)
+
+    expect(setMaxChainDepth(0)).toBe(3) // Некорректное значение - значение по умолчанию
+    expect([...iterateChain(error)]).toHaveLength(5)
+  })
+
+  test('запросы к цепочке должны работать с SystemError, cause и значениями, не являющимися Error', () => {
+    logger.trace('Тест: запросы к цепочке')
+    const validation = createError(ERROR_CODES.SYS.VALIDATION_FAILED, { reason: 'bad', problems: [], problemsText: '' }, new Error('parse', { cause: 'EOF' }))
+    const error = createError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'config' }, validation)
+
+    expect(getChain(error).map(level => level instanceof Error ? level.code : level)).toEqual(['SYS_INIT_FAILED', 'SYS_VALIDATION_FAILED', undefined, 'EOF'])
+    expect(findInChain(error, 'SYS_VALIDATION_FAILED')).toBe(validation)
+    expect(findInChain(error, (level, index) => index > 0 && level instanceof Error && !level.code).message).toBe('parse')
+    expect(hasCode(error, 'SYS_VALIDATION_FAILED')).toBe(true)
+    expect(hasCode(error, 'SYS_UNEXPECTED')).toBe(false)
+    expect(getRootCause(error)).toBe('EOF')
+    expect(getRootCause(new Error('alone')).message).toBe('alone')
+    expect(getSubsystems(error)).toEqual(['system'])
+
+    // Не-Error значения и отсутствие ошибки
+    expect(getChain(null)).toEqual([])
+    expect(getRootCause(undefined)).toBeNull()
+    expect(hasCode('boom', 'SYS_UNEXPECTED')).toBe(false)
+    expect(getSubsystems(42)).toEqual([])
+    expect(() => findInChain(error, 42)).toThrow(TypeError)
+  })
+
+  test('checkErrorChain в частичном режиме должен проверять подпоследовательность уровней', () => {
+    logger.trace('Тест: частичный режим checkErrorChain')
+    const error = createError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'config' }, createThirdPartyChain())
+
+    expect(checkErrorChain(error, [{ code: 'SYS_UNEXPECTED' }], { partial: true })).toBe(true)
+    expect(checkErrorChain(error, [{ code: 'SYS_INIT_FAILED' }, { message: 'ECONNRESET' }], { partial: true })).toBe(true)
+    expect(() => checkErrorChain(error, [{ code: 'SYS_UNEXPECTED' }], { partial: false })).toThrow("Expected code 'SYS_UNEXPECTED', got 'SYS_INIT_FAILED'")
+    // Порядок уровней важен
+    expect(() => checkErrorChain(error, [{ message: 'ECONNRESET' }, { code: 'SYS_UNEXPECTED' }], { partial: true }))
+      .toThrow('Expected level 1 {"code":"SYS_UNEXPECTED"} not found in chain (in order)')
+    expect(() => checkErrorChain('boom', [{ code: 'SYS_UNEXPECTED' }], { partial: true })).toThrow('Actual chain: boom')
+  })
+
+  test('сообщения о несоответствии должны безопасно описывать символы и объекты без прототипа', () => {
+    logger.trace('Тест: Symbol и объект без прототипа в цепочке')
+    const symbolCause = new Error('wrapper', { cause: Symbol('timeout') })
+    const bareCause = new Error('wrapper', { cause: Object.assign(Object.create(null), { code: 'E_BARE' }) })
+
+    expect(matchChainLevel(Symbol('timeout'), { code: 'SYS_UNEXPECTED' }))
+      .toBe('Expected an Error object, but got symbol. Value: "Symbol(timeout)"')
+    expect(() => checkErrorChain(symbolCause, [{ message: 'wrapper' }, { code: 'SYS_UNEXPECTED' }]))
+      .toThrow('Error chain mismatch at level 1: Expected an Error object, but got symbol. Value: "Symbol(timeout)"')
+    expect(() => checkErrorChain(bareCause, [{ message: 'wrapper' }, { code: 'SYS_UNEXPECTED' }]))
+      .toThrow('but got object. Value: {"code":"E_BARE"}')
+    expect(() => checkErrorChain(bareCause, [{ code: 'SYS_UNEXPECTED' }], { partial: true }))
+      .toThrow('Actual chain: Error [undefined] "wrapper" -> {"code":"E_BARE"}')
+    expect(describeValue('boom')).toBe('boom')
+    expect(describeValue(Symbol('timeout'))).toBe('"Symbol(timeout)"')
+    expect(describeValue(undefined)).toBe('undefined')
+  })
+})
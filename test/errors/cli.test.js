@@ -0,0 +1,117 @@
+/**
+ * @file test/errors/cli.test.js
+ * @description Юнит-тесты для командной строки sys-errors.
+ * @version 0.2.0
+ * @tested-file src/errors/cli.js
+ * @tested-file-version 0.2.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { describe, expect, test, beforeEach, afterEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { runCli } from '../../src/errors/cli.js'
+import { ERROR_CODES, createErrorRegistry } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:cli')
+
+/**
+ * Создает поток, накапливающий вывод
+ *
+ * @returns {{ write: function(string): void, text: string }} Поток
+ */
+function createOutput () {
+  return {
+    text: '',
+    write (chunk) {
+      this.text += chunk
+    }
+  }
+}
+
+describe('(cli) - тесты командной строки sys-errors', () => {
+  let cwd
+  let registry
+  let stdout
+  let stderr
+
+  beforeEach(async () => {
+    logger.trace('Инициализация тестов cli.js')
+    cwd = await mkdtemp(join(tmpdir(), 'sys-errors-cli-'))
+    registry = createErrorRegistry()
+    registry.register('SYS', ERROR_CODES.SYS)
+    stdout = createOutput()
+    stderr = createOutput()
+  })
+
+  afterEach(async () => {
+    await rm(cwd, { recursive: true, force: true })
+  })
+
+  test('docs должен записывать файлы каталога относительно --out', async () => {
+    logger.trace('Тест: генерация')
+    expect(await runCli(['docs', '--out', 'site'], { cwd, registry, stdout, stderr })).toBe(0)
+    expect(stdout.text).toBe('Generated docs/errors/system.md\n')
+    expect(await readFile(join(cwd, 'site/docs/errors/system.md'), 'utf8')).toContain('<a id="validation-failed"></a>')
+
+    expect(await runCli(['docs', '--format', 'json', '--docs-dir', 'errors'], { cwd, registry, stdout, stderr })).toBe(0)
+    expect(JSON.parse(await readFile(join(cwd, 'errors/system.json'), 'utf8')).key).toBe('SYS')
+  })
+
+  test('docs --check должен загружать модули --import и завершаться с кодом 1 при битых ссылках', async () => {
+    logger.trace('Тест: проверка')
+    expect(await runCli(['docs', '--check'], { cwd, registry, stdout, stderr })).toBe(0)
+    expect(stdout.text).toBe('Error docs check passed (9 codes)\n')
+
+    // Модуль подсистемы регистрирует таблицу в реестре при загрузке
+    globalThis.__sysErrorsCliRegistry = registry
+    await writeFile(join(cwd, 'codes.mjs'), `globalThis.__sysErrorsCliRegistry.register('DB', {
+      CONNECT_FAILED: { code: 'DB_CONNECT_FAILED', message: 'Connection failed', subsystem: 'db', docs: 'docs/errors/db.md#connect' }
+    })\n`)
+    try {
+      expect(await runCli(['docs', '--check', '--import', './codes.mjs'], { cwd, registry, stdout, stderr })).toBe(1)
+    } finally {
+      delete globalThis.__sysErrorsCliRegistry
+    }
+    expect(stderr.text).toBe([
+      'Error docs check failed:',
+      "  - DB.CONNECT_FAILED: docs 'docs/errors/db.md#connect' points to a missing section '#connect' (expected #connect-failed).",
+      ''
+    ].join('\n'))
+  })
+
+  test('types должен записывать .d.ts рядом с модулем таблиц кодов или в --out', async () => {
+    logger.trace('Тест: декларации')
+    await writeFile(join(cwd, 'codes.mjs'), `export const DB_ERROR_CODES = {
+      CONNECT_FAILED: { code: 'DB_CONNECT_FAILED', message: 'Connection to {host} failed', subsystem: 'db' }
+    }\n`)
+
+    expect(await runCli(['types', './codes.mjs'], { cwd, stdout, stderr })).toBe(0)
+    expect(stdout.text).toBe('Generated codes.d.mts\n')
+    const dts = await readFile(join(cwd, 'codes.d.mts'), 'utf8')
+    expect(dts).toContain('export interface DbConnectFailedContext {\n  host: unknown;\n}')
+    expect(dts).toContain('    DB_CONNECT_FAILED: DbConnectFailedContext;')
+
+    expect(await runCli(['types', './codes.mjs', '--out', 'types/db.d.ts', '--module-name', 'errors-lib'], { cwd, stdout, stderr })).toBe(0)
+    expect(await readFile(join(cwd, 'types/db.d.ts'), 'utf8')).toContain("declare module 'errors-lib' {")
+
+    expect(await runCli(['types'], { cwd, stdout, stderr })).toBe(1)
+    expect(stderr.text).toBe('sys-errors types: Expected at least one code table module\n')
+  })
+
+  test('справка, неизвестные команды и ошибки аргументов должны обрабатываться без исключений', async () => {
+    logger.trace('Тест: ошибки')
+    expect(await runCli([], { stdout, stderr })).toBe(0)
+    expect(stdout.text).toMatch(/^Usage: sys-errors <command>/)
+    expect(await runCli(['publish'], { stdout, stderr })).toBe(1)
+    expect(stderr.text).toMatch(/^Unknown command 'publish'/)
+    expect(await runCli(['docs', '--format', 'pdf'], { cwd, registry, stdout, stderr })).toBe(1)
+    expect(stderr.text).toContain("sys-errors docs: Invalid argument options.format: expected one of markdown, json, html, got 'pdf'")
+    expect(await runCli(['docs', '--verbose'], { cwd, registry, stdout, stderr })).toBe(1)
+    expect(stderr.text).toContain("sys-errors docs: Unknown option '--verbose'")
+  })
+})
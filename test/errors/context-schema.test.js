@@ -0,0 +1,119 @@
+/**
+ * @file test/errors/context-schema.test.js
+ * @description Юнит-тесты для схем контекста ошибок (contextSchema).
+ * @version 0.1.0
+ * @tested-file src/errors/context-schema.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { validateContext, checkContextSchema } from '../../src/errors/context-schema.js'
+import { SystemError, ERROR_CODES, createError, validateDefinition } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:context-schema')
+
+// Тестовое определение со схемой контекста
+const USER_UPDATE_FAILED = {
+  code: 'USER_UPDATE_FAILED',
+  message: 'Failed to update user {user.id}',
+  contextKeys: ['user'],
+  contextSchema: {
+    user: {
+      type: 'object',
+      required: true,
+      properties: {
+        id: { type: ['string', 'integer'], required: true },
+        role: { type: 'string', enum: ['admin', 'member'] }
+      }
+    },
+    tags: { type: 'array', items: 'string' },
+    retryAt: { type: ['date', 'null'] }
+  }
+}
+
+describe('(context-schema) - тесты схем контекста', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов context-schema.js')
+  })
+
+  test('validateContext должен возвращать нарушения с точными путями полей', () => {
+    logger.trace('Тест: пути нарушений')
+    expect(validateContext(USER_UPDATE_FAILED.contextSchema, {
+      user: { id: 42, role: 'member' },
+      tags: ['a', 'b'],
+      retryAt: null,
+      extra: 'допустимо'
+    })).toEqual([])
+
+    expect(validateContext(USER_UPDATE_FAILED.contextSchema, {
+      user: { id: 1.5, role: 'guest' },
+      tags: ['a', 2],
+      retryAt: 'tomorrow'
+    })).toEqual([
+      "Context field 'user.id' must be of type string | integer, got number.",
+      'Context field \'user.role\' must be one of: "admin", "member".',
+      "Context field 'tags[1]' must be of type string, got number.",
+      "Context field 'retryAt' must be of type date | null, got string."
+    ])
+
+    expect(validateContext(USER_UPDATE_FAILED.contextSchema, { user: {} }))
+      .toEqual(["Context field 'user.id' is required."])
+    expect(validateContext(USER_UPDATE_FAILED.contextSchema, null))
+      .toEqual(["Context field 'user' is required."])
+  })
+
+  test('checkContextSchema и validateDefinition должны отклонять некорректные схемы', () => {
+    logger.trace('Тест: проверка схемы')
+    expect(checkContextSchema(USER_UPDATE_FAILED.contextSchema)).toEqual([])
+    expect(checkContextSchema([])).toEqual(['Property "contextSchema" must be an object.'])
+    expect(checkContextSchema({
+      a: 'text',
+      b: { type: 'string', enum: [], min: 1 },
+      c: { properties: { d: 42 } },
+      e: { type: 'array', items: { required: 'yes' } }
+    })).toEqual([
+      "Schema for 'a' has unknown type 'text'.",
+      "Schema for 'b' has unknown properties: min.",
+      "Schema for 'b': \"enum\" must be a non-empty array.",
+      "Schema for 'c.d' must be a type name or an object.",
+      "Schema for 'e[]': \"required\" must be a boolean."
+    ])
+    expect(validateDefinition({ code: 'BAD_SCHEMA', message: 'Bad', contextSchema: { a: 'text' } }))
+      .toEqual(["Schema for 'a' has unknown type 'text'."])
+  })
+
+  test('createError в строгом режиме должен возвращать SYS_VALIDATION_FAILED со списком нарушений', () => {
+    logger.trace('Тест: createError и contextSchema')
+    const invalidContext = { reason: 'bad input', problems: 'oops', problemsText: 'oops' }
+    const error = createError(ERROR_CODES.SYS.VALIDATION_FAILED, invalidContext, null, { strict: true })
+
+    expect(error).toBeInstanceOf(SystemError)
+    expect(error.code).toBe('SYS_VALIDATION_FAILED')
+    expect(error.context.reason).toBe("Context does not match contextSchema of 'SYS_VALIDATION_FAILED'")
+    expect(error.context.problems).toEqual(["Context field 'problems' must be of type array, got string."])
+    expect(error.context.invalidContext).toBe(invalidContext)
+
+    const nested = createError(USER_UPDATE_FAILED, { user: { role: 'guest' } }, null, { strict: true })
+    expect(nested.context.problems).toEqual([
+      "Context field 'user.id' is required.",
+      'Context field \'user.role\' must be one of: "admin", "member".'
+    ])
+  })
+
+  test('createError должен создавать ошибку при корректном контексте и не проверять схему вне строгого режима', () => {
+    logger.trace('Тест: корректный контекст и нестрогий режим')
+    const error = createError(USER_UPDATE_FAILED, { user: { id: 'u1' } }, null, { strict: true })
+    expect(error.code).toBe('USER_UPDATE_FAILED')
+    expect(error.message).toBe('Failed to update user u1')
+
+    const lenient = createError(ERROR_CODES.SYS.VALIDATION_FAILED, {
+      reason: 'bad input', problems: 'oops', problemsText: 'oops'
+    }, null, { strict: false })
+    expect(lenient.code).toBe('SYS_VALIDATION_FAILED')
+    expect(lenient.context.problems).toBe('oops')
+  })
+})
@@ -0,0 +1,137 @@
+/**
+ * @file test/errors/define-errors.test.js
+ * @description Юнит-тесты для генерации классов ошибок и фабрик по таблице кодов.
+ * @version 0.1.1
+ * @tested-file src/errors/define-errors.js
+ * @tested-file-version 0.1.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { defineErrors } from '../../src/errors/define-errors.js'
+import { SystemError, ERROR_CODES, checkErrorChain } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:define-errors')
+
+// Тестовая таблица кодов подсистемы
+const MY_ERROR_CODES = {
+  LOAD_DATA_FAILED: {
+    code: 'MY_LOAD_DATA_FAILED',
+    message: 'Failed to load {source}: {reason}',
+    subsystem: 'my',
+    recoverable: true,
+    contextKeys: ['source', 'reason']
+  },
+  PARSE_ERROR: {
+    code: 'MY_PARSE_ERROR',
+    message: 'Cannot parse {file} at line {line}',
+    subsystem: 'my',
+    recoverable: false
+  }
+}
+
+describe('(define-errors.defineErrors) - тесты функции', () => {
+  let originalNodeEnv
+  let defined
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов define-errors.js')
+    originalNodeEnv = process.env.NODE_ENV
+    process.env.NODE_ENV = 'development'
+    defined = defineErrors(MY_ERROR_CODES)
+  })
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalNodeEnv
+  })
+
+  test('должен создавать классы и фабрики для каждого ключа таблицы', () => {
+    logger.trace('Тест: состав результата')
+    logger.debug({ keys: Object.keys(defined) }, 'Сгенерированные сущности')
+
+    expect(Object.keys(defined)).toEqual([
+      'LoadDataFailedError',
+      'createLoadDataFailedError',
+      'ParseError',
+      'createParseError'
+    ])
+    expect(defined.LoadDataFailedError.definition).toBe(MY_ERROR_CODES.LOAD_DATA_FAILED)
+    expect(defined.createParseError.name).toBe('createParseError')
+  })
+
+  test('фабрика должна принимать значения contextKeys, исходную ошибку и доп. контекст', () => {
+    logger.trace('Тест: фабрика по contextKeys')
+    const original = new Error('ENOENT')
+
+    const error = defined.createLoadDataFailedError('file.json', 'not found', original, { attempt: 2 })
+    logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+
+    expect(error).toBeInstanceOf(defined.LoadDataFailedError)
+    expect(error).toBeInstanceOf(SystemError)
+    expect(error.name).toBe('LoadDataFailedError')
+    expect(error.code).toBe('MY_LOAD_DATA_FAILED')
+    expect(error.message).toBe('Failed to load file.json: not found')
+    expect(error.context).toEqual({ source: 'file.json', reason: 'not found', attempt: 2 })
+    expect(error.original).toBe(original)
+    expect(error.stack).toContain('define-errors.test.js')
+    checkErrorChain(error, [{ code: 'MY_LOAD_DATA_FAILED', type: 'LoadDataFailedError' }, {}])
+  })
+
+  test('без contextKeys сигнатура фабрики выводится из плейсхолдеров', () => {
+    logger.trace('Тест: фабрика по плейсхолдерам')
+    const error = defined.createParseError('config.yml', 12)
+    logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+
+    expect(error.message).toBe('Cannot parse config.yml at line 12')
+    expect(error.recoverable).toBe(false)
+    expect(error.original).toBeNull()
+  })
+
+  test('сигнатура фабрики учитывает пути и форматтеры плейсхолдеров', () => {
+    logger.trace('Тест: фабрика по плейсхолдерам с путями и форматтерами')
+    const { createLoadError } = defineErrors({
+      LOAD: { code: 'MY_LOAD', message: 'Failed {user.id} size {size|bytes}{note?}', subsystem: 'my', recoverable: true }
+    })
+    const error = createLoadError({ id: 'u1' }, 2048)
+    logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+
+    expect(error.code).toBe('MY_LOAD')
+    expect(error.context).toEqual({ user: { id: 'u1' }, size: 2048 })
+    expect(error.message).toMatch(/^Failed u1 size 2(\.0)? ?KB$/)
+  })
+
+  test('класс можно создавать напрямую через new', () => {
+    logger.trace('Тест: прямой вызов конструктора')
+    const error = new defined.ParseError({ file: 'a.js', line: 1 })
+
+    expect(error.name).toBe('ParseError')
+    expect(error.message).toBe('Cannot parse a.js at line 1')
+    expect(error).not.toBeInstanceOf(defined.LoadDataFailedError)
+  })
+
+  test('фабрика должна вернуть SYS_UNEXPECTED при нехватке ключей контекста в strict режиме', () => {
+    logger.trace('Тест: недостаточно аргументов фабрики')
+    const error = defined.createLoadDataFailedError('file.json')
+    logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+
+    expect(error.code).toBe(ERROR_CODES.SYS.UNEXPECTED.code)
+    expect(error.context.reason).toMatch(/Missing required context keys: reason/)
+  })
+
+  test('должен выбросить SYS_VALIDATION_FAILED для невалидной таблицы', () => {
+    logger.trace('Тест: невалидная таблица')
+    expect(() => defineErrors(null)).toThrow(SystemError)
+    expect(() => defineErrors({ BAD: { code: 'bad', message: 'x' } })).toThrow(expect.objectContaining({
+      code: 'SYS_VALIDATION_FAILED'
+    }))
+    // Ключи с одинаковым именем класса
+    expect(() => defineErrors({
+      LOAD: { code: 'A_LOAD', message: 'a' },
+      LOAD_ERROR: { code: 'B_LOAD', message: 'b' },
+      load: { code: 'C_LOAD', message: 'c' }
+    })).toThrow(/clashes/)
+  })
+})
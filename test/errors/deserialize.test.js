@@ -0,0 +1,137 @@
+/**
+ * @file test/errors/deserialize.test.js
+ * @description Юнит-тесты для восстановления SystemError из результата toJSON().
+ * @version 0.1.0
+ * @tested-file src/errors/deserialize.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { deserializeError } from '../../src/errors/deserialize.js'
+import {
+  SystemError,
+  ERROR_CODES,
+  createErrorRegistry,
+  defineErrors,
+  checkErrorChain
+} from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:deserialize')
+
+/**
+ * Имитирует передачу объекта через границу процесса (JSON)
+ *
+ * @param {Error} error - Исходная ошибка
+ * @returns {object} Результат JSON.parse(JSON.stringify(error))
+ */
+function roundTrip (error) {
+  return JSON.parse(JSON.stringify(error))
+}
+
+describe('(deserialize.deserializeError) - тесты функции', () => {
+  let chain
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов deserialize.js')
+    const root = new TypeError('Cannot read properties of undefined')
+    const middle = new SystemError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'config', reason: 'broken' }, root)
+    chain = new SystemError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'startup failed' }, middle)
+  })
+
+  test('должен восстанавливать всю цепочку SystemError из JSON', () => {
+    logger.trace('Тест: восстановление цепочки')
+    const json = roundTrip(chain)
+    logger.debug({ json }, 'Сериализованная цепочка')
+
+    const restored = deserializeError(json)
+    logger.debug({ restored: restored.toJSON() }, 'Восстановленная цепочка')
+
+    checkErrorChain(restored, [
+      { code: 'SYS_INIT_FAILED', type: 'SystemError', message: 'startup failed' },
+      { code: 'SYS_INVALID_ARGUMENT', type: 'SystemError' },
+      { type: 'TypeError', message: 'Cannot read properties' }
+    ])
+    expect(restored.toJSON()).toEqual(chain.toJSON())
+  })
+
+  test('должен повторно связывать определение из реестра', () => {
+    logger.trace('Тест: определение из реестра')
+    const json = roundTrip(chain)
+    delete json.docs
+    delete json.recoverable
+
+    const restored = deserializeError(json)
+
+    // Отсутствующие в JSON поля берутся из зарегистрированного определения
+    expect(restored.docs).toBe(ERROR_CODES.SYS.INITIALIZATION_FAILED.docs)
+    expect(restored.recoverable).toBe(false)
+  })
+
+  test('должен восстанавливать ошибки с неизвестным кодом по сериализованным данным', () => {
+    logger.trace('Тест: неизвестный код')
+    const json = {
+      name: 'SystemError',
+      code: 'REMOTE_QUOTA_EXCEEDED',
+      message: 'Quota exceeded for user 42',
+      msg: 'Quota exceeded for user {userId}',
+      subsystem: 'remote',
+      context: { userId: 42 },
+      recoverable: false,
+      stack: 'SystemError: Quota exceeded\n    at remote'
+    }
+
+    const restored = deserializeError(json, { registry: createErrorRegistry() })
+    logger.debug({ restored: restored.toJSON() }, 'Восстановленная ошибка')
+
+    expect(restored).toBeInstanceOf(SystemError)
+    expect(restored).toMatchObject({
+      code: 'REMOTE_QUOTA_EXCEEDED',
+      message: 'Quota exceeded for user 42',
+      msg: 'Quota exceeded for user {userId}',
+      subsystem: 'remote',
+      context: { userId: 42 },
+      recoverable: false,
+      stack: json.stack,
+      original: null
+    })
+  })
+
+  test('должен восстанавливать классы из errorClasses', () => {
+    logger.trace('Тест: errorClasses')
+    const classes = defineErrors({
+      LOAD_FAILED: { code: 'MY_LOAD_FAILED', message: 'Load failed: {reason}', contextKeys: ['reason'] }
+    })
+    const json = roundTrip(classes.createLoadFailedError('timeout'))
+
+    const restored = deserializeError(json, { errorClasses: classes })
+
+    expect(restored).toBeInstanceOf(classes.LoadFailedError)
+    expect(restored.name).toBe('LoadFailedError')
+    expect(restored.message).toBe('Load failed: timeout')
+  })
+
+  test('должен восстанавливать plain-ошибки и системные ошибки Node.js', () => {
+    logger.trace('Тест: plain-ошибки')
+    const restored = deserializeError({ name: 'CustomError', message: 'boom', stack: 'stack', code: 'ECONNRESET' })
+
+    expect(restored).toBeInstanceOf(Error)
+    expect(restored).not.toBeInstanceOf(SystemError)
+    expect(restored.name).toBe('CustomError')
+    expect(restored.code).toBe('ECONNRESET')
+    expect(restored.stack).toBe('stack')
+  })
+
+  test('должен возвращать null для не-объектов и ограничивать глубину цепочки', () => {
+    logger.trace('Тест: некорректный ввод и maxDepth')
+    expect(deserializeError(null)).toBeNull()
+    expect(deserializeError('error')).toBeNull()
+
+    const restored = deserializeError(roundTrip(chain), { maxDepth: 1 })
+    expect(restored.original.code).toBe('SYS_INVALID_ARGUMENT')
+    expect(restored.original.original).toBeNull()
+  })
+})
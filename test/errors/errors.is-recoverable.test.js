@@ -0,0 +1,155 @@
+/**
+ * @file test/errors/errors.is-recoverable.test.js
+ * @description Юнит-тесты для функции isRecoverable (анализ восстанавливаемости ошибок и цепочек).
+ * @version 0.1.1
+ * @tested-file src/errors/errors.js
+ * @tested-file-version 0.25.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  isRecoverable,
+  RECOVERABILITY_MODES,
+  SystemError,
+  ERROR_CODES,
+  getMaxChainDepth
+} from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:is-recoverable')
+
+/**
+ * Создает ошибку, имитирующую системную ошибку Node.js
+ *
+ * @param {string} code - Код системной ошибки (например, 'ECONNRESET')
+ * @returns {Error} Ошибка с установленным code
+ */
+function createNodeError (code) {
+  const error = new Error(`${code}: simulated system error`)
+  error.code = code
+  return error
+}
+
+describe('(errors.isRecoverable) - тесты функции', () => {
+  // Цепочка: восстанавливаемая ошибка -> невосстанавливаемая причина
+  let recoverableTop
+  let nonRecoverableCause
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов isRecoverable')
+    nonRecoverableCause = new SystemError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'config missing' })
+    recoverableTop = new SystemError(
+      ERROR_CODES.SYS.INVALID_ARGUMENT,
+      { name: 'config', reason: 'cannot be loaded' },
+      nonRecoverableCause
+    )
+  })
+
+  describe('классификация по умолчанию (режим top-level)', () => {
+    test('должен использовать флаг recoverable для SystemError', () => {
+      logger.trace('Тест: флаг recoverable')
+      expect(isRecoverable(recoverableTop)).toBe(true)
+      expect(isRecoverable(nonRecoverableCause)).toBe(false)
+    })
+
+    test('должен классифицировать системные ошибки Node.js по code', () => {
+      logger.trace('Тест: системные ошибки Node.js')
+      const transient = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN']
+      const permanent = ['EACCES', 'ENOENT', 'EPERM', 'ERR_INVALID_ARG_TYPE']
+      transient.forEach(code => expect(isRecoverable(createNodeError(code)), code).toBe(true))
+      permanent.forEach(code => expect(isRecoverable(createNodeError(code)), code).toBe(false))
+    })
+
+    test('должен считать ошибки программиста невосстанавливаемыми', () => {
+      logger.trace('Тест: ошибки программиста')
+      expect(isRecoverable(new TypeError('x is not a function'))).toBe(false)
+      expect(isRecoverable(new ReferenceError('x is not defined'))).toBe(false)
+      expect(isRecoverable(new Error('generic failure'))).toBe(true)
+    })
+
+    test('должен считать восстанавливаемыми null, undefined и не-ошибки', () => {
+      logger.trace('Тест: не-ошибки')
+      expect(isRecoverable(null)).toBe(true)
+      expect(isRecoverable(undefined)).toBe(true)
+      expect(isRecoverable('thrown string')).toBe(true)
+    })
+
+    test('должен учитывать только верхний уровень цепочки', () => {
+      logger.trace('Тест: top-level игнорирует причины')
+      expect(isRecoverable(recoverableTop, { mode: RECOVERABILITY_MODES.TOP_LEVEL })).toBe(true)
+    })
+  })
+
+  describe('режим chain', () => {
+    test('должен вернуть false, если невосстанавливаема хотя бы одна причина', () => {
+      logger.trace('Тест chain: невосстанавливаемая причина')
+      expect(isRecoverable(recoverableTop, { mode: RECOVERABILITY_MODES.CHAIN })).toBe(false)
+    })
+
+    test('должен учитывать plain Error в цепочке', () => {
+      logger.trace('Тест chain: plain Error в цепочке')
+      const withNetworkCause = new SystemError(
+        ERROR_CODES.SYS.INVALID_ARGUMENT,
+        { name: 'url', reason: 'unreachable' },
+        createNodeError('ECONNRESET')
+      )
+      const withFsCause = new SystemError(
+        ERROR_CODES.SYS.INVALID_ARGUMENT,
+        { name: 'path', reason: 'unreadable' },
+        createNodeError('EACCES')
+      )
+      expect(isRecoverable(withNetworkCause, { mode: 'chain' })).toBe(true)
+      expect(isRecoverable(withFsCause, { mode: 'chain' })).toBe(false)
+    })
+
+    test('должен корректно обрабатывать циклические цепочки', () => {
+      logger.trace('Тест chain: циклическая цепочка')
+      const first = new Error('first')
+      const second = new Error('second')
+      first.original = second
+      second.original = first
+      expect(isRecoverable(first, { mode: 'chain' })).toBe(true)
+    })
+
+    test('должен учитывать стандартный cause и ограничивать глубину цепочки', () => {
+      logger.trace('Тест chain: cause и глубина')
+      const withCause = new Error('wrapper', { cause: createNodeError('EACCES') })
+      expect(isRecoverable(withCause, { mode: 'chain' })).toBe(false)
+
+      // Невосстанавливаемая причина глубже getMaxChainDepth() не учитывается
+      let deep = new TypeError('root')
+      for (let i = 0; i < getMaxChainDepth(); i++) deep = new Error(`level ${i}`, { cause: deep })
+      expect(isRecoverable(deep, { mode: 'chain' })).toBe(true)
+    })
+  })
+
+  describe('режим custom', () => {
+    test('должен передавать в предикат ошибку и уровни цепочки', () => {
+      logger.trace('Тест custom: вызов предиката')
+      const calls = []
+      const predicate = (error, chain) => {
+        calls.push({ error, chain })
+        return chain.length === 1
+      }
+      const result = isRecoverable(recoverableTop, { mode: RECOVERABILITY_MODES.CUSTOM, predicate })
+      logger.debug({ result, chainLength: calls[0].chain.length }, 'Результат предиката')
+
+      expect(result).toBe(false)
+      expect(calls[0].error).toBe(recoverableTop)
+      expect(calls[0].chain).toEqual([recoverableTop, nonRecoverableCause])
+    })
+
+    test('должен выбросить SYS_INVALID_ARGUMENT без предиката или при неизвестном режиме', () => {
+      logger.trace('Тест custom: некорректные опции')
+      expect(() => isRecoverable(recoverableTop, { mode: 'custom' })).toThrow(expect.objectContaining({
+        code: 'SYS_INVALID_ARGUMENT'
+      }))
+      expect(() => isRecoverable(recoverableTop, { mode: 'unknown' })).toThrow(expect.objectContaining({
+        code: 'SYS_INVALID_ARGUMENT'
+      }))
+    })
+  })
+})
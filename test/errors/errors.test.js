@@ -1,9 +1,9 @@
 /**
  * @file test/errors/errors.test.js
  * @description Юнит-тесты для основного API подсистемы ошибок.
- * @version 0.1.8
+ * @version 0.1.10
  * @tested-file src/errors/errors.js
- * @tested-file-version 0.1.7
+ * @tested-file-version 0.26.0
  * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
  */
 
@@ -211,6 +211,36 @@ describe('(SYS_ERRORS) Подсистема работы с ошибками', (
       })
     })
 
+    // --- createError() со строковым кодом ---
+    describe('createError() со строковым кодом', () => {
+      test('должен разрешать строковый код через реестр', () => {
+        logger.trace('Тест createError: строковый код')
+        const context = { name: 'limit', reason: 'must be positive' }
+        const error = createError('SYS_INVALID_ARGUMENT', context)
+        logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+        expect(error).toBeInstanceOf(SystemError)
+        expect(error.code).toBe('SYS_INVALID_ARGUMENT')
+        expect(error.message).toBe('Invalid argument limit: must be positive')
+        expect(error.recoverable).toBe(ERROR_CODES.SYS.INVALID_ARGUMENT.recoverable)
+      })
+
+      test('должен вернуть SYS_VALIDATION_FAILED для незарегистрированного кода в strict режиме', () => {
+        logger.trace('Тест createError: неизвестный строковый код (strict)')
+        const error = createError('SYS_NO_SUCH_CODE', {})
+        logger.debug({ error: error.toJSON() }, 'Созданная ошибка валидации')
+        expect(error.code).toBe(ERROR_CODES.SYS.VALIDATION_FAILED.code)
+        expect(error.context.problemsText).toContain('SYS_NO_SUCH_CODE')
+      })
+
+      test('должен вернуть SYS_UNEXPECTED для незарегистрированного кода в non-strict режиме', () => {
+        logger.trace('Тест createError: неизвестный строковый код (non-strict)')
+        const error = createError('SYS_NO_SUCH_CODE', {}, null, { strict: false })
+        logger.debug({ error: error.toJSON() }, 'Созданная ошибка')
+        expect(error.code).toBe(ERROR_CODES.SYS.UNEXPECTED.code)
+        expect(error.context.failedDefinition).toBe('SYS_NO_SUCH_CODE')
+      })
+    })
+
     // --- checkErrorChain() ---
     describe('checkErrorChain()', () => {
       // Создаем тестовые ошибки
@@ -0,0 +1,141 @@
+/**
+ * @file test/errors/eslint-plugin.test.js
+ * @description Юнит-тесты для ESLint-плагина проверок определений ошибок и вызовов createError.
+ * @version 0.1.0
+ * @tested-file src/errors/eslint-plugin.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { Linter } from 'eslint'
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import sysErrorsPlugin from '../../src/errors/eslint-plugin.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:eslint-plugin')
+
+/**
+ * Проверяет код одним правилом плагина
+ *
+ * @param {string} rule - Имя правила без префикса
+ * @param {string} code - Исходный код модуля
+ * @param {any[]} [options=[]] - Опции правила
+ * @returns {string[]} Сообщения в формате 'строка: текст'
+ */
+function lint (rule, code, options = []) {
+  const linter = new Linter({ configType: 'flat' })
+  const messages = linter.verify(code, [{
+    languageOptions: { ecmaVersion: 2022, sourceType: 'module' },
+    plugins: { 'sys-errors': sysErrorsPlugin },
+    rules: { [`sys-errors/${rule}`]: ['error', ...options] }
+  }])
+  return messages.map(message => `${message.line}: ${message.message}`)
+}
+
+describe('(eslint-plugin) - тесты правил ESLint для ошибок', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов eslint-plugin.js')
+  })
+
+  test('create-error-context должен требовать contextKeys и плейсхолдеры в контексте createError', () => {
+    logger.trace('Тест: create-error-context')
+    expect(lint('create-error-context', `
+      import { ERROR_CODES, createError } from '@fab33/sys-errors'
+      createError(MY_CODES.LOAD_FAILED, { source: 'db' })
+      createError('MY_LOAD_FAILED', { source: 'db', reason: 'x' })
+      createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'limit' })
+      createError('SYS_REGISTRY_FROZEN')
+      createError(MY_CODES.LOAD_FAILED, { ...context })
+      createError(MY_CODES.TIMEOUT, { label: 'x' })
+      createError(unknownDefinition, {})
+      const MY_CODES = {
+        LOAD_FAILED: { code: 'MY_LOAD_FAILED', message: 'Loading {source} failed: {reason}', contextKeys: ['source'] },
+        TIMEOUT: { code: 'MY_TIMEOUT', message: 'Timed out after {ms?unknown} ms' }
+      }
+    `)).toEqual([
+      '3: createError context for MY_LOAD_FAILED is missing key(s): reason.',
+      '5: createError context for SYS_INVALID_ARGUMENT is missing key(s): reason.',
+      '6: createError for SYS_REGISTRY_FROZEN requires a context with key(s): subsystemKey.'
+    ])
+  })
+
+  test('placeholders-in-context-keys и code-subsystem-prefix должны проверять определения', () => {
+    logger.trace('Тест: определения')
+    const code = `
+      export const ERROR_CODES = {
+        SYS: {
+          FAILED: { code: 'SYS_FAILED', message: 'Failed: {reason}', subsystem: 'system' },
+          BROKEN: { code: 'CORE_BROKEN', message: 'Broken {item.id} at {place}', subsystem: 'system', contextKeys: ['item'] }
+        }
+      }
+      export const DB_CODES = {
+        LOST: { code: 'DB_LOST', message: 'Lost {host}', subsystem: 'db', contextKeys: ['host'] },
+        SLOW: { code: 'DATABASE_SLOW', message: 'Slow query', subsystem: 'db' }
+      }
+    `
+    expect(lint('placeholders-in-context-keys', code)).toEqual([
+      '5: Placeholder {place} of CORE_BROKEN is not listed in contextKeys.'
+    ])
+    expect(lint('placeholders-in-context-keys', code, [{ requireContextKeys: true }])).toEqual([
+      '4: SYS_FAILED has placeholders (reason) but no contextKeys.',
+      '5: Placeholder {place} of CORE_BROKEN is not listed in contextKeys.'
+    ])
+    expect(lint('code-subsystem-prefix', code)).toEqual([
+      "5: Error code 'CORE_BROKEN' must start with 'SYS_' or 'SYSTEM_'.",
+      "10: Error code 'DATABASE_SLOW' must start with 'DB_'."
+    ])
+  })
+
+  test('no-raw-error-throw должен запрещать new Error в функциях с @throws {SystemError}', () => {
+    logger.trace('Тест: no-raw-error-throw')
+    expect(lint('no-raw-error-throw', `
+      /**
+       * @throws {SystemError} SYS_INVALID_ARGUMENT - bad input
+       */
+      export function load (input) {
+        if (!input) throw new Error('input required')
+        const check = () => { throw new Error('nested function is not covered') }
+        throw createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'input', reason: 'bad' })
+      }
+      /** @throws {SystemError} */
+      const parse = function () { throw Error('raw') }
+      /** @throws {TypeError} */
+      function validate () { throw new Error('allowed') }
+      class Store {
+        /** @throws {SystemError} SYS_UNEXPECTED */
+        save () { throw new Error('raw in method') }
+      }
+    `)).toEqual([
+      '6: Function is documented to throw SystemError; use createError instead of new Error().',
+      '11: Function is documented to throw SystemError; use createError instead of new Error().',
+      '16: Function is documented to throw SystemError; use createError instead of new Error().'
+    ])
+  })
+
+  test('require-original-on-rethrow должен требовать перехваченную ошибку в цепочке', () => {
+    logger.trace('Тест: require-original-on-rethrow')
+    expect(lint('require-original-on-rethrow', `
+      try { run() } catch (error) { throw createError(MY_CODES.LOAD_FAILED, { reason: error.message }) }
+      try { run() } catch (error) { throw createError(MY_CODES.LOAD_FAILED, { reason: 'x' }, error) }
+      try { run() } catch (e) { throw new Error('Load failed') }
+      try { run() } catch (e) { throw new Error('Load failed', { cause: e }) }
+      try { run() } catch { throw new LoadError('Load failed') }
+      try { run() } catch (e) { throw e }
+      try { run() } catch (e) { throw wrap('Load failed') }
+      try { run() } catch (e) { items.forEach(() => { throw new Error('nested function') }) }
+    `)).toEqual([
+      "2: Error thrown in catch block does not chain the caught error 'error'; pass it as original.",
+      "4: Error thrown in catch block does not chain the caught error 'e'; pass it as original.",
+      '6: Error thrown in catch block does not chain the caught error; pass it as original.'
+    ])
+  })
+
+  test('recommended должен подключать все правила плагина', () => {
+    logger.trace('Тест: recommended')
+    const { plugins, rules } = sysErrorsPlugin.configs.recommended
+    expect(plugins['sys-errors']).toBe(sysErrorsPlugin)
+    expect(Object.keys(rules)).toEqual(Object.keys(sysErrorsPlugin.rules).map(rule => `sys-errors/${rule}`))
+  })
+})
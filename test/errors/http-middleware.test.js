@@ -0,0 +1,165 @@
+/**
+ * @file test/errors/http-middleware.test.js
+ * @description Интеграционные тесты обработчиков ошибок Express, Fastify и Koa на серверах в том же процессе.
+ * @version 0.1.1
+ * @tested-file src/errors/http-middleware.js
+ * @tested-file-version 0.1.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { createServer } from 'node:http'
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+import express from 'express'
+import Fastify from 'fastify'
+import Koa from 'koa'
+
+import {
+  normalizeHttpError,
+  buildErrorResponse,
+  createExpressErrorHandler,
+  createFastifyErrorHandler,
+  createKoaErrorMiddleware
+} from '../../src/errors/http-middleware.js'
+import { ERROR_CODES, createError, setLogger, PROBLEM_CONTENT_TYPE } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:http-middleware')
+
+// Ошибки, выбрасываемые маршрутами: /system - SystemError, /plain - обычная Error, /client - ошибка фреймворка 4xx
+const createRouteError = {
+  system: () => createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id', reason: 'must be a number' }),
+  plain: () => new Error('db connection lost'),
+  client: () => Object.assign(new Error('Unexpected token in JSON'), { status: 400, expose: true })
+}
+
+/**
+ * Запускает HTTP-сервер на свободном порту.
+ *
+ * @param {(req: object, res: object) => void} handler - Обработчик запросов node:http.
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>} Адрес и функция остановки.
+ */
+async function listen (handler) {
+  const server = createServer(handler)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+// Фабрики серверов фреймворков: каждая возвращает { url, close }
+const frameworks = {
+  async express (options) {
+    const app = express()
+    app.get('/:kind', req => { throw createRouteError[req.params.kind]() })
+    app.use(createExpressErrorHandler(options))
+    return listen(app)
+  },
+  async fastify (options) {
+    const app = Fastify()
+    app.get('/:kind', async request => { throw createRouteError[request.params.kind]() })
+    app.setErrorHandler(createFastifyErrorHandler(options))
+    await app.listen({ port: 0, host: '127.0.0.1' })
+    return { url: `http://127.0.0.1:${app.server.address().port}`, close: () => app.close() }
+  },
+  async koa (options) {
+    const app = new Koa()
+    app.use(createKoaErrorMiddleware(options))
+    app.use(async ctx => { throw createRouteError[ctx.path.slice(1)]() })
+    return listen(app.callback())
+  }
+}
+
+describe('(http-middleware) - тесты обработчиков ошибок HTTP-фреймворков', () => {
+  let adapter
+  let previousAdapter
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов http-middleware.js')
+    adapter = { log: vi.fn() }
+    previousAdapter = setLogger(adapter)
+  })
+
+  afterEach(() => {
+    setLogger(previousAdapter)
+  })
+
+  test('normalizeHttpError должен оборачивать ошибки фреймворков и неизвестные ошибки', () => {
+    logger.trace('Тест: normalizeHttpError')
+    const systemError = createRouteError.system()
+    expect(normalizeHttpError(systemError)).toBe(systemError)
+
+    const clientError = normalizeHttpError(Object.assign(new Error('secret detail'), { statusCode: 404, expose: false }))
+    expect(clientError).toMatchObject({ code: 'SYS_REQUEST_FAILED', httpStatus: 404, context: { status: 404, reason: 'Not Found' } })
+
+    const plain = createRouteError.plain()
+    const unexpected = normalizeHttpError(plain)
+    expect(unexpected).toMatchObject({ code: 'SYS_UNEXPECTED', httpStatus: 500, original: plain })
+    expect(unexpected.context.reason).toBe('db connection lost')
+    expect(normalizeHttpError(plain, { production: true }).context.reason).toBe('Internal Server Error')
+
+    // Значение без прототипа описывается без вызова String()
+    const nullProto = Object.assign(Object.create(null), { status: 'down' })
+    expect(normalizeHttpError(nullProto).context.reason).toBe('{"status":"down"}')
+  })
+
+  test('buildErrorResponse не должен изменять выброшенную обработчиком ошибку', () => {
+    logger.trace('Тест: buildErrorResponse без изменения ошибки')
+    const systemError = createRouteError.system()
+    const context = systemError.context
+
+    const response = buildErrorResponse(systemError, { url: '/system', headers: { 'x-request-id': 'req-7' } }, { log: false })
+    logger.debug({ body: response.body }, 'Тело ответа')
+
+    expect(response.body.context).toEqual({ name: 'id', reason: 'must be a number', requestId: 'req-7' })
+    expect(response.error).toBe(systemError)
+    expect(systemError.context).toBe(context)
+    expect(systemError.context).not.toHaveProperty('requestId')
+  })
+
+  describe.each(Object.keys(frameworks))('%s', name => {
+    let server
+
+    afterEach(async () => {
+      await server?.close()
+      server = null
+    })
+
+    test('должен отвечать problem details с requestId и скрывать stack и original в production', async () => {
+      logger.trace(`Тест: ${name}`)
+      server = await frameworks[name]({ production: false })
+
+      const systemResponse = await fetch(`${server.url}/system`, { headers: { 'x-request-id': 'req-42' } })
+      const systemBody = await systemResponse.json()
+      expect(systemResponse.status).toBe(400)
+      expect(systemResponse.headers.get('content-type')).toContain(PROBLEM_CONTENT_TYPE)
+      expect(systemResponse.headers.get('x-request-id')).toBe('req-42')
+      expect(systemBody).toMatchObject({
+        type: ERROR_CODES.SYS.INVALID_ARGUMENT.docs,
+        status: 400,
+        detail: 'Invalid argument id: must be a number',
+        instance: '/system',
+        code: 'SYS_INVALID_ARGUMENT',
+        context: { name: 'id', reason: 'must be a number', requestId: 'req-42' },
+        stack: expect.any(String)
+      })
+
+      const plainBody = await (await fetch(`${server.url}/plain`)).json()
+      expect(plainBody).toMatchObject({ status: 500, code: 'SYS_UNEXPECTED', original: { message: 'db connection lost' } })
+      expect(typeof plainBody.context.requestId).toBe('string')
+
+      const clientResponse = await fetch(`${server.url}/client`)
+      expect(clientResponse.status).toBe(400)
+      expect(await clientResponse.json()).toMatchObject({ code: 'SYS_REQUEST_FAILED', context: { reason: 'Unexpected token in JSON' } })
+      expect(adapter.log).toHaveBeenCalledTimes(3)
+
+      await server.close()
+      server = await frameworks[name]({ production: true })
+      const productionBody = await (await fetch(`${server.url}/plain`)).json()
+      expect(productionBody).toMatchObject({ status: 500, code: 'SYS_UNEXPECTED', detail: 'Unexpected error occurred: Internal Server Error' })
+      expect(productionBody).not.toHaveProperty('stack')
+      expect(productionBody).not.toHaveProperty('original')
+    })
+  })
+})
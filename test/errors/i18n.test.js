@@ -0,0 +1,110 @@
+/**
+ * @file test/errors/i18n.test.js
+ * @description Юнит-тесты для локализации сообщений об ошибках.
+ * @version 0.1.0
+ * @tested-file src/errors/i18n.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  DEFAULT_LOCALE,
+  setLocale,
+  getLocale,
+  resolveMessageTemplate,
+  checkMessageCatalog
+} from '../../src/errors/i18n.js'
+import { SystemError, ERROR_CODES, createError, validateDefinition } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:i18n')
+
+// Тестовое определение с каталогом переводов
+const FILE_NOT_FOUND = {
+  code: 'FS_FILE_NOT_FOUND',
+  message: 'File {path} not found',
+  messages: { ru: 'Файл {path} не найден', de: 'Datei {path} nicht gefunden' },
+  subsystem: 'fs',
+  contextKeys: ['path']
+}
+
+describe('(i18n) - тесты локализации сообщений', () => {
+  let previousLocale
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов i18n.js')
+    previousLocale = setLocale(DEFAULT_LOCALE)
+  })
+
+  afterEach(() => {
+    setLocale(previousLocale)
+  })
+
+  test('resolveMessageTemplate должен выбирать шаблон с откатом на язык и базовый шаблон', () => {
+    logger.trace('Тест: выбор шаблона')
+    expect(resolveMessageTemplate(FILE_NOT_FOUND, 'ru')).toBe('Файл {path} не найден')
+    expect(resolveMessageTemplate(FILE_NOT_FOUND, 'ru-RU')).toBe('Файл {path} не найден')
+    expect(resolveMessageTemplate(FILE_NOT_FOUND, 'fr')).toBe('File {path} not found')
+    expect(resolveMessageTemplate({ message: 'Base' }, 'ru')).toBe('Base')
+  })
+
+  test('должен использовать глобальную и переданную при создании локаль', () => {
+    logger.trace('Тест: глобальная и per-call локаль')
+    expect(new SystemError(FILE_NOT_FOUND, { path: 'a.txt' }).message).toBe('File a.txt not found')
+
+    setLocale('ru')
+    expect(getLocale()).toBe('ru')
+    const error = createError(FILE_NOT_FOUND, { path: 'a.txt' })
+    expect(error.message).toBe('Файл a.txt не найден')
+    expect(error.locale).toBe('ru')
+    // Шаблон msg остается базовым
+    expect(error.msg).toBe('File {path} not found')
+
+    expect(createError(FILE_NOT_FOUND, { path: 'a.txt' }, null, { locale: 'de' }).message).toBe('Datei a.txt nicht gefunden')
+  })
+
+  test('localize() и format({ locale }) должны пересобирать сообщение из msg и context', () => {
+    logger.trace('Тест: localize и format')
+    const original = new SystemError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'path', reason: 'empty' })
+    const error = new SystemError(FILE_NOT_FOUND, { path: 'a.txt' }, original)
+
+    const formatted = error.format({ locale: 'ru' })
+    logger.debug({ formatted }, 'Форматирование на русском')
+    expect(formatted).toContain('Файл a.txt не найден')
+    expect(formatted).toContain('Caused by: SystemError: Некорректный аргумент path: empty')
+    // format() с локалью не изменяет ошибку
+    expect(error.message).toBe('File a.txt not found')
+
+    expect(error.localize('ru')).toBe(error)
+    expect(error.message).toBe('Файл a.txt не найден')
+    expect(error.localize('fr').message).toBe('File a.txt not found')
+  })
+
+  test('системные коды должны иметь русский перевод с plural-формами', () => {
+    logger.trace('Тест: перевод SYS')
+    const error = createError(ERROR_CODES.SYS.RETRY_EXHAUSTED, { attempts: 5, reason: 'timeout', errors: [] }, null, { locale: 'ru' })
+    expect(error.message).toBe('Операция не выполнена после 5 попыток: timeout')
+    Object.values(ERROR_CODES.SYS).forEach(definition => {
+      expect(checkMessageCatalog(definition)).toEqual([])
+    })
+  })
+
+  test('checkMessageCatalog и validateDefinition должны находить расхождения плейсхолдеров', () => {
+    logger.trace('Тест: проверка каталога')
+    const broken = { ...FILE_NOT_FOUND, messages: { ru: 'Файл {file} не найден', de: 42 } }
+
+    const problems = checkMessageCatalog(broken)
+    logger.debug({ problems }, 'Найденные проблемы')
+
+    expect(problems).toEqual([
+      "Message for locale 'ru' uses different placeholders than the base message: missing {path}; unexpected {file}.",
+      "Message for locale 'de' must be a non-empty string."
+    ])
+    expect(validateDefinition(broken)).toEqual(problems)
+    expect(checkMessageCatalog({ ...FILE_NOT_FOUND, messages: [] })).toHaveLength(1)
+    expect(createError(broken, { path: 'a' }, null, { strict: true }).code).toBe('SYS_VALIDATION_FAILED')
+  })
+})
@@ -0,0 +1,125 @@
+/**
+ * @file test/errors/logging.test.js
+ * @description Юнит-тесты для интеграции подсистемы ошибок с логированием.
+ * @version 0.1.0
+ * @tested-file src/errors/logging.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  createConsoleAdapter,
+  createPinoAdapter,
+  createWinstonAdapter,
+  setLogger,
+  getLogger,
+  flattenErrorChain,
+  logError
+} from '../../src/errors/logging.js'
+import { ERROR_CODES, createError, REDACTED } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:logging')
+
+// Поля уровня цепочки в стабильном порядке
+const LEVEL_FIELDS = ['name', 'code', 'message', 'subsystem', 'recoverable', 'docs', 'context', 'stack']
+
+describe('(logging) - тесты интеграции с логированием', () => {
+  let adapter
+  let previousAdapter
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов logging.js')
+    adapter = { log: vi.fn() }
+    previousAdapter = setLogger(adapter)
+  })
+
+  afterEach(() => {
+    setLogger(previousAdapter)
+  })
+
+  test('flattenErrorChain должен разворачивать цепочку в уровни со стабильным набором полей', () => {
+    logger.trace('Тест: плоская цепочка')
+    const root = Object.assign(new Error('connect failed'), { code: 'ECONNRESET' })
+    const error = createError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'db', password: 'p@ss' }, root)
+
+    const levels = flattenErrorChain(error)
+    expect(levels).toHaveLength(2)
+    levels.forEach(level => expect(Object.keys(level)).toEqual(LEVEL_FIELDS))
+    expect(levels[0]).toMatchObject({
+      name: 'SystemError',
+      code: 'SYS_INIT_FAILED',
+      subsystem: 'system',
+      recoverable: false,
+      docs: ERROR_CODES.SYS.INITIALIZATION_FAILED.docs,
+      context: { reason: 'db', password: REDACTED }
+    })
+    expect(levels[1]).toMatchObject({ name: 'Error', code: 'ECONNRESET', message: 'connect failed', subsystem: null, recoverable: null })
+
+    expect(flattenErrorChain('boom')).toEqual([{
+      name: null, code: null, message: 'boom', subsystem: null, recoverable: null, docs: null, context: null, stack: null
+    }])
+  })
+
+  test('logError должен выбирать уровень по восстанавливаемости и писать через адаптер', () => {
+    logger.trace('Тест: logError')
+    const recoverable = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id', reason: 'must be a string' })
+    const fields = logError(recoverable, { fields: { requestId: 'r1' } })
+
+    expect(adapter.log).toHaveBeenCalledWith('warn', recoverable.message, fields)
+    expect(fields.requestId).toBe('r1')
+    expect(fields.error.code).toBe('SYS_INVALID_ARGUMENT')
+    expect(fields.causes).toEqual([])
+
+    logError(createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' }))
+    expect(adapter.log.mock.calls[1][0]).toBe('error')
+    logError(new TypeError('bad'), { level: 'fatal', message: 'Crash' })
+    expect(adapter.log.mock.calls[2].slice(0, 2)).toEqual(['fatal', 'Crash'])
+
+    expect(() => logError(recoverable, { level: 'loud' })).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+    expect(() => setLogger({})).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('адаптеры должны отображать вызов на API console, pino и winston', () => {
+    logger.trace('Тест: адаптеры')
+    const fields = { error: { code: 'X' } }
+
+    const target = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    createConsoleAdapter(target).log('fatal', 'Boom', fields)
+    createConsoleAdapter(target).log('trace', 'Step', fields)
+    expect(target.error).toHaveBeenCalledWith('[SYS_ERRORS FATAL]: Boom', fields)
+    expect(target.debug).toHaveBeenCalledWith('[SYS_ERRORS TRACE]: Step', fields)
+
+    const pino = { warn: vi.fn(), error: vi.fn() }
+    createPinoAdapter(pino).log('warn', 'Careful', fields)
+    createPinoAdapter(pino).log('fatal', 'Boom', fields)
+    expect(pino.warn).toHaveBeenCalledWith(fields, 'Careful')
+    expect(pino.error).toHaveBeenCalledWith(fields, 'Boom')
+
+    const winston = { log: vi.fn() }
+    createWinstonAdapter(winston).log('trace', 'Step', fields)
+    expect(winston.log).toHaveBeenCalledWith({ level: 'silly', message: 'Step', ...fields })
+  })
+
+  test('createError должен логировать внутренний сбой через адаптер уровня fatal', () => {
+    logger.trace('Тест: fatal в createError')
+    const error = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id' }, null, { strict: true })
+
+    expect(error.code).toBe('SYS_UNEXPECTED')
+    expect(adapter.log).toHaveBeenCalledTimes(1)
+    const [level, message, fields] = adapter.log.mock.calls[0]
+    expect(level).toBe('fatal')
+    expect(message).toBe('Failed to create SystemError instance. Returning SYS_UNEXPECTED.')
+    expect(fields.error.message).toMatch(/Missing required context keys: reason/)
+    expect(fields.context.failedContext).toEqual({ name: 'id' })
+
+    // Сбой адаптера не мешает возврату SYS_UNEXPECTED
+    setLogger({ log: () => { throw new Error('logger down') } })
+    expect(createError(ERROR_CODES.SYS.INVALID_ARGUMENT, {}, null, { strict: true }).code).toBe('SYS_UNEXPECTED')
+    setLogger(null)
+    expect(getLogger()).not.toBe(adapter)
+  })
+})
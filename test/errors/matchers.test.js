@@ -0,0 +1,114 @@
+/**
+ * @file test/errors/matchers.test.js
+ * @description Юнит-тесты для матчеров Vitest/Jest для SystemError.
+ * @version 0.1.1
+ * @tested-file src/errors/matchers.js
+ * @tested-file-version 0.1.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeAll, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { errorMatchers, installErrorMatchers } from '../../src/errors/matchers.js'
+import { ERROR_CODES, RECOVERABILITY_MODES, createError, defineErrors } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:matchers')
+
+/**
+ * Создает ошибку с цепочкой из трех уровней
+ *
+ * @returns {import('../../src/errors/system-error.js').SystemError} Ошибка инициализации
+ */
+function createInitError () {
+  const validation = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'port', reason: 'not a number' }, new TypeError('NaN'))
+  return createError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'config' }, validation)
+}
+
+/**
+ * Возвращает сообщение ошибки проверки (для проверки вывода матчеров)
+ *
+ * @param {Function} assertion - Проверка, которая должна не пройти.
+ * @returns {string} Сообщение ошибки проверки.
+ */
+function getFailureMessage (assertion) {
+  try {
+    assertion()
+  } catch (error) {
+    return error.message
+  }
+  throw new Error('Assertion unexpectedly passed')
+}
+
+describe('(matchers) - тесты матчеров SystemError', () => {
+  beforeAll(() => {
+    installErrorMatchers(expect)
+  })
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов matchers.js')
+  })
+
+  test('toBeSystemError, toThrowSystemError и rejects должны проверять код ошибки', async () => {
+    logger.trace('Тест: toBeSystemError и toThrowSystemError')
+    const error = createInitError()
+    const { ConfigError } = defineErrors({ CONFIG: { code: 'TEST_CONFIG', message: 'Config: {reason}', subsystem: 'test' } })
+
+    expect(error).toBeSystemError()
+    expect(error).toBeSystemError('SYS_INIT_FAILED')
+    expect(error).toBeSystemError(ERROR_CODES.SYS.INITIALIZATION_FAILED)
+    expect(new ConfigError({ reason: 'x' })).toBeSystemError(ConfigError)
+    expect(new Error('plain')).not.toBeSystemError()
+    expect(() => { throw error }).toThrowSystemError('SYS_INIT_FAILED')
+    await expect(Promise.reject(error)).rejects.toThrowSystemError('SYS_INIT_FAILED')
+
+    expect(getFailureMessage(() => expect(error).toBeSystemError('SYS_UNEXPECTED')))
+      .toMatch(/Expected: SystemError with code "SYS_UNEXPECTED"\nReceived: SystemError with code "SYS_INIT_FAILED"/)
+    expect(getFailureMessage(() => expect(() => {}).toThrowSystemError())).toContain('Received function did not throw')
+  })
+
+  test('toHaveErrorChain должен выводить сравнение цепочки по уровням', () => {
+    logger.trace('Тест: toHaveErrorChain')
+    const error = createInitError()
+
+    expect(error).toHaveErrorChain([{ code: 'SYS_INIT_FAILED' }, { code: 'SYS_INVALID_ARGUMENT' }, { type: 'TypeError' }])
+    expect(error).toHaveErrorChain([{ type: 'TypeError', message: 'nan' }], { partial: true })
+
+    const message = getFailureMessage(() => expect(error).toHaveErrorChain([{ code: 'SYS_INIT_FAILED' }, { code: 'SYS_UNEXPECTED' }]))
+    expect(message).toContain("Error chain mismatch at level 1: Expected code 'SYS_UNEXPECTED', got 'SYS_INVALID_ARGUMENT'")
+    expect(message).toContain('✓ level 0:')
+    expect(message).toContain('✗ level 1:')
+    expect(message).toMatch(/✗ level 2:\n {6}Expected: \(no level\)\n {6}Received: .*TypeError/)
+    expect(message).toContain('- Expected')
+  })
+
+  test('toHaveErrorChain должен сообщать о несовпадении для причин, не являющихся Error', () => {
+    logger.trace('Тест: toHaveErrorChain с не-ошибкой в цепочке')
+    const error = new Error('top', { cause: Object.assign(Object.create(null), { code: 'E_BARE' }) })
+
+    expect(error).toHaveErrorChain([{ message: 'top' }], { partial: true })
+    const message = getFailureMessage(() => expect(error).toHaveErrorChain([{ message: 'top' }, { code: 'E_BARE' }]))
+    logger.debug({ message }, 'Сообщение матчера')
+    expect(message).toContain('Error chain mismatch at level 1: Expected an Error object, but got object. Value: {"code":"E_BARE"}')
+    expect(message).toContain('(not an Error) {"code":"E_BARE"}')
+  })
+
+  test('toHaveContext и toBeRecoverable должны проверять контекст и восстанавливаемость', () => {
+    logger.trace('Тест: toHaveContext и toBeRecoverable')
+    const error = createInitError()
+
+    expect(error).toHaveContext({ reason: 'config' })
+    expect(error.original).toHaveContext({ name: expect.stringMatching(/^po/) })
+    expect(error).not.toHaveContext({ reason: 'other' })
+    expect(getFailureMessage(() => expect(error).toHaveContext({ reason: 'other' }))).toContain('Mismatched keys: reason')
+
+    expect(error).not.toBeRecoverable()
+    expect(error.original).toBeRecoverable()
+    // Режим chain: невосстанавливаема, если невосстанавливаем хотя бы один уровень (TypeError)
+    expect(getFailureMessage(() => expect(error.original).toBeRecoverable({ mode: RECOVERABILITY_MODES.CHAIN })))
+      .toContain('Expected error to be recoverable (mode "chain")')
+    expect(() => installErrorMatchers({})).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+    expect(Object.keys(errorMatchers)).toEqual(['toBeSystemError', 'toHaveErrorChain', 'toHaveContext', 'toBeRecoverable', 'toThrowSystemError'])
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * @file test/errors/operation.test.js
+ * @description Юнит-тесты для обертки операций и декоратора паттерна "ошибка операции".
+ * @version 0.1.1
+ * @tested-file src/errors/operation.js
+ * @tested-file-version 0.1.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { wrapOperation, operation } from '../../src/errors/operation.js'
+import { SystemError, checkErrorChain, defineErrors } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:operation')
+
+// Тестовые коды ошибок операций
+const TEST_ERRORS = {
+  LOAD_DATA_FAILED: {
+    code: 'TEST_LOAD_DATA_FAILED',
+    message: 'Failed to load data: {reason}',
+    subsystem: 'test',
+    contextKeys: ['reason']
+  },
+  SAVE_DATA_FAILED: {
+    code: 'TEST_SAVE_DATA_FAILED',
+    message: 'Failed to save data: {reason}',
+    subsystem: 'test',
+    contextKeys: ['reason']
+  }
+}
+
+describe('(operation) - тесты паттерна "ошибка операции"', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов operation.js')
+  })
+
+  test('должен оборачивать ошибки синхронных и асинхронных функций с контекстом из аргументов', async () => {
+    logger.trace('Тест: sync и async')
+    const load = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, function loadData (id) {
+      if (id < 0) throw new RangeError('id must be positive')
+      return { id }
+    }, { contextFrom: id => ({ id }) })
+
+    expect(load.name).toBe('loadData')
+    expect(load(1)).toEqual({ id: 1 })
+    let error
+    try { load(-1) } catch (e) { error = e }
+    expect(error).toMatchObject({ code: 'TEST_LOAD_DATA_FAILED', message: 'Failed to load data: id must be positive', context: { reason: 'id must be positive', id: -1 } })
+    expect(checkErrorChain(error, [{ code: 'TEST_LOAD_DATA_FAILED' }, { name: 'RangeError' }])).toBe(true)
+
+    const loadAsync = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, async path => { throw new Error(`ENOENT: ${path}`) })
+    await expect(loadAsync('a.json')).rejects.toMatchObject({ code: 'TEST_LOAD_DATA_FAILED', context: { reason: 'ENOENT: a.json' } })
+
+    // Сбой отображения аргументов не скрывает исходную ошибку
+    const broken = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, () => { throw new Error('boom') }, { contextFrom: () => { throw new Error('mapper') } })
+    expect(broken).toThrow('Failed to load data: boom')
+    expect(() => wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, null)).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('не должен оборачивать повторно ошибки той же операции, но должен оборачивать ошибки других операций', async () => {
+    logger.trace('Тест: повторное обертывание')
+    const save = wrapOperation(TEST_ERRORS.SAVE_DATA_FAILED, async () => { throw new Error('disk full') })
+    const load = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, async depth => depth > 0 ? load(depth - 1) : save())
+
+    const error = await load(2).catch(e => e)
+    expect(checkErrorChain(error, [
+      { code: 'TEST_LOAD_DATA_FAILED' },
+      { code: 'TEST_SAVE_DATA_FAILED' },
+      { message: 'disk full' }
+    ])).toBe(true)
+    expect(error.context.reason).toBe('Failed to save data: disk full')
+  })
+
+  test('должен оборачивать выброшенные значения, не являющиеся Error, включая объекты без прототипа', async () => {
+    logger.trace('Тест: не-ошибки')
+    const bare = Object.assign(Object.create(null), { status: 'down' })
+    const load = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, () => { throw bare })
+    const text = 'timeout'
+    const loadText = wrapOperation(TEST_ERRORS.LOAD_DATA_FAILED, async () => { throw text })
+
+    let error
+    try { load() } catch (e) { error = e }
+    logger.debug({ error: error.toJSON() }, 'Ошибка операции')
+    expect(error).toBeInstanceOf(SystemError)
+    expect(error).toMatchObject({ code: 'TEST_LOAD_DATA_FAILED', context: { reason: '{"status":"down"}' } })
+    await expect(loadText()).rejects.toMatchObject({ code: 'TEST_LOAD_DATA_FAILED', context: { reason: 'timeout' } })
+  })
+
+  test('должен оборачивать ошибки генераторов и поддерживать классы из defineErrors', async () => {
+    logger.trace('Тест: генераторы')
+    const { LoadDataFailedError } = defineErrors(TEST_ERRORS)
+
+    const readLines = wrapOperation(LoadDataFailedError, function * () {
+      yield 'first'
+      throw new Error('unexpected end of file')
+    })
+    const lines = []
+    expect(() => { for (const line of readLines()) lines.push(line) }).toThrow(LoadDataFailedError)
+    expect(lines).toEqual(['first'])
+
+    const readChunks = wrapOperation(TEST_ERRORS.SAVE_DATA_FAILED, async function * () {
+      yield 1
+      throw new Error('stream closed')
+    })
+    const chunks = []
+    const error = await (async () => { for await (const chunk of readChunks()) chunks.push(chunk) })().catch(e => e)
+    expect(chunks).toEqual([1])
+    expect(error).toBeInstanceOf(SystemError)
+    expect(error).toMatchObject({ code: 'TEST_SAVE_DATA_FAILED', context: { reason: 'stream closed' } })
+  })
+
+  test('декоратор @operation должен оборачивать методы класса с доступом к this', async () => {
+    logger.trace('Тест: декоратор')
+    const decorate = operation(TEST_ERRORS.LOAD_DATA_FAILED, { contextFrom (id) { return { id, source: this.source } } })
+
+    class Repository {
+      source = 'db'
+
+      async find (id) {
+        throw new Error(`row ${id} is locked`)
+      }
+    }
+    // Эквивалент `@operation(...) async find (id)` для сред без поддержки синтаксиса декораторов
+    Repository.prototype.find = decorate(Repository.prototype.find, { kind: 'method', name: 'find' })
+
+    await expect(new Repository().find(5)).rejects.toMatchObject({
+      code: 'TEST_LOAD_DATA_FAILED',
+      context: { reason: 'row 5 is locked', id: 5, source: 'db' }
+    })
+    expect(() => decorate(undefined, { kind: 'field', name: 'source' })).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+})
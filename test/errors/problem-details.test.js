@@ -0,0 +1,117 @@
+/**
+ * @file test/errors/problem-details.test.js
+ * @description Юнит-тесты для HTTP-статусов ошибок и problem details (RFC 9457).
+ * @version 0.1.0
+ * @tested-file src/errors/problem-details.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { getHttpStatus, toProblemDetails, DEFAULT_HTTP_STATUS } from '../../src/errors/problem-details.js'
+import {
+  SystemError,
+  ERROR_CODES,
+  REDACTED,
+  createError,
+  createErrorRegistry,
+  fromProblemDetails,
+  validateDefinition
+} from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:problem-details')
+
+// Тестовое определение с HTTP-статусом
+const ORDER_NOT_FOUND = {
+  code: 'ORDER_NOT_FOUND',
+  message: 'Order {orderId} not found',
+  messages: { ru: 'Заказ {orderId} не найден' },
+  subsystem: 'orders',
+  httpStatus: 404,
+  docs: 'https://errors.example.com/order-not-found',
+  contextKeys: ['orderId']
+}
+
+describe('(problem-details) - тесты problem details', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов problem-details.js')
+  })
+
+  test('должен назначать HTTP-статусы по умолчанию и из определения', () => {
+    logger.trace('Тест: HTTP-статусы')
+    expect(createError(ERROR_CODES.SYS.VALIDATION_FAILED, { reason: 'r', problems: [], problemsText: '' }).httpStatus).toBe(400)
+    expect(createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'id', reason: 'r' }).httpStatus).toBe(400)
+    expect(createError(ERROR_CODES.SYS.NOT_IMPLEMENTED, { feature: 'x' }).httpStatus).toBe(501)
+    expect(createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' }).httpStatus).toBe(DEFAULT_HTTP_STATUS)
+    expect(createError(ORDER_NOT_FOUND, { orderId: 7 }).httpStatus).toBe(404)
+
+    expect(getHttpStatus(Object.assign(new Error('Not found'), { statusCode: 404 }))).toBe(404)
+    expect(getHttpStatus(Object.assign(new Error('Odd'), { status: 302 }))).toBe(500)
+    expect(validateDefinition({ ...ORDER_NOT_FOUND, httpStatus: 200 }))
+      .toEqual(['Invalid httpStatus (must be an integer HTTP error status 400-599).'])
+  })
+
+  test('toProblemDetails должен формировать документ RFC 9457 с безопасным контекстом', () => {
+    logger.trace('Тест: toProblemDetails')
+    const error = createError(ORDER_NOT_FOUND, { orderId: 7, token: 'secret' })
+
+    expect(error.toProblemDetails({ instance: '/orders/7' })).toEqual({
+      type: 'https://errors.example.com/order-not-found',
+      title: 'Order {orderId} not found',
+      status: 404,
+      detail: 'Order 7 not found',
+      instance: '/orders/7',
+      code: 'ORDER_NOT_FOUND',
+      recoverable: true,
+      context: { orderId: 7, token: REDACTED }
+    })
+
+    const localized = error.toProblemDetails({ locale: 'ru', includeContext: false })
+    expect(localized.title).toBe('Заказ {orderId} не найден')
+    expect(localized.detail).toBe('Заказ 7 не найден')
+    expect(localized).not.toHaveProperty('context')
+    expect(error.message).toBe('Order 7 not found')
+
+    expect(toProblemDetails(new TypeError('bad input'))).toEqual({
+      type: 'about:blank', title: 'TypeError', status: 500, detail: 'bad input', code: null, recoverable: null
+    })
+  })
+
+  test('fromProblemDetails должен восстанавливать SystemError по реестру и по данным документа', () => {
+    logger.trace('Тест: fromProblemDetails')
+    const registry = createErrorRegistry()
+    registry.register('ORDERS', { ORDER_NOT_FOUND })
+
+    const problem = JSON.parse(JSON.stringify(createError(ORDER_NOT_FOUND, { orderId: 7 }).toProblemDetails({ instance: '/orders/7' })))
+    const restored = fromProblemDetails(problem, { registry })
+    expect(restored).toBeInstanceOf(SystemError)
+    expect(restored).toMatchObject({
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order 7 not found',
+      subsystem: 'orders',
+      httpStatus: 404,
+      docs: ORDER_NOT_FOUND.docs,
+      context: { orderId: 7, instance: '/orders/7' }
+    })
+
+    const foreign = fromProblemDetails({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Age must be positive',
+      'invalid-params': [{ name: 'age' }]
+    }, { registry })
+    expect(foreign).toMatchObject({
+      code: 'HTTP_400',
+      message: 'Age must be positive',
+      msg: 'Bad Request',
+      httpStatus: 400,
+      docs: undefined,
+      context: { 'invalid-params': [{ name: 'age' }] }
+    })
+    expect(fromProblemDetails(null)).toBeNull()
+  })
+})
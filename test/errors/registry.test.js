@@ -0,0 +1,172 @@
+/**
+ * @file test/errors/registry.test.js
+ * @description Юнит-тесты для реестра кодов ошибок подсистем.
+ * @version 0.1.1
+ * @tested-file src/errors/registry.js
+ * @tested-file-version 0.3.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  createErrorRegistry,
+  errorRegistry,
+  getErrorDefinition,
+  listErrorCodes
+} from '../../src/errors/registry.js'
+import { ERROR_CODES } from '../../src/errors/codes.js'
+import { SystemError } from '../../src/errors/system-error.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:registry')
+
+// Тестовая таблица кодов подсистемы
+const DB_ERROR_CODES = {
+  CONNECT_FAILED: {
+    code: 'DB_CONNECT_FAILED',
+    message: 'Database connection failed: {reason}',
+    subsystem: 'db',
+    contextKeys: ['reason']
+  },
+  QUERY_FAILED: {
+    code: 'DB_QUERY_FAILED',
+    message: 'Query failed: {reason}',
+    subsystem: 'db'
+  }
+}
+
+describe('(SYS_ERRORS) Подсистема работы с ошибками', () => {
+  describe('(registry.js) Реестр кодов ошибок', () => {
+    let registry
+
+    beforeEach(() => {
+      logger.trace('Инициализация тестов registry.js')
+      registry = createErrorRegistry()
+    })
+
+    describe('createErrorRegistry()', () => {
+      test('должен регистрировать таблицу и находить определения по коду', () => {
+        logger.trace('Тест register/get: успешная регистрация')
+        registry.register('DB', DB_ERROR_CODES)
+        logger.debug({ codes: registry.list() }, 'Зарегистрированные коды')
+
+        expect(registry.get('DB_CONNECT_FAILED')).toBe(DB_ERROR_CODES.CONNECT_FAILED)
+        expect(registry.has('DB_QUERY_FAILED')).toBe(true)
+        expect(registry.get('DB_UNKNOWN')).toBeUndefined()
+        expect(registry.list()).toEqual(['DB_CONNECT_FAILED', 'DB_QUERY_FAILED'])
+        expect(registry.getTables()).toEqual({ DB: DB_ERROR_CODES })
+      })
+
+      test('должен отклонять повторную регистрацию ключа подсистемы', () => {
+        logger.trace('Тест register: повторный ключ подсистемы')
+        registry.register('DB', DB_ERROR_CODES)
+
+        let error
+        try {
+          registry.register('DB', { OTHER: { code: 'DB_OTHER', message: 'Other' } })
+        } catch (e) {
+          error = e
+        }
+        logger.debug({ error }, 'Ошибка повторной регистрации')
+
+        expect(error).toBeInstanceOf(SystemError)
+        expect(error.code).toBe('SYS_VALIDATION_FAILED')
+        expect(error.context.problems).toHaveLength(1)
+        expect(registry.has('DB_OTHER')).toBe(false)
+      })
+
+      test('должен отклонять дублирующиеся коды между подсистемами и внутри таблицы', () => {
+        logger.trace('Тест register: дублирующиеся коды')
+        registry.register('DB', DB_ERROR_CODES)
+        const clashing = {
+          A: { code: 'DB_CONNECT_FAILED', message: 'Clash with DB' },
+          B: { code: 'CACHE_MISS', message: 'Miss' },
+          C: { code: 'CACHE_MISS', message: 'Miss again' }
+        }
+
+        let error
+        try {
+          registry.register('CACHE', clashing)
+        } catch (e) {
+          error = e
+        }
+        logger.debug({ problems: error?.context?.problems }, 'Найденные проблемы')
+
+        expect(error.code).toBe('SYS_VALIDATION_FAILED')
+        expect(error.context.problems).toHaveLength(2)
+        expect(error.context.problemsText).toContain('CACHE.A')
+        expect(error.context.problemsText).toContain('CACHE.C')
+        // Таблица с проблемами не регистрируется частично
+        expect(registry.has('CACHE_MISS')).toBe(false)
+        expect(registry.getTables()).not.toHaveProperty('CACHE')
+      })
+
+      test('должен проверять каждое определение через validateDefinition', () => {
+        logger.trace('Тест register: невалидные определения')
+        const invalid = {
+          BAD_CODE: { code: 'bad-code', message: 'Bad' },
+          NO_MESSAGE: { code: 'NO_MESSAGE' },
+          NOT_OBJECT: 'string'
+        }
+
+        expect(() => registry.register('BAD', invalid)).toThrow(SystemError)
+        expect(() => registry.register('', DB_ERROR_CODES)).toThrow(SystemError)
+        expect(() => registry.register('NULL', null)).toThrow(SystemError)
+        expect(registry.list()).toEqual([])
+      })
+
+      test('должен сверять contextKeys с плейсхолдерами сообщения', () => {
+        logger.trace('Тест register: contextKeys и плейсхолдеры')
+        const table = {
+          LOCK_FAILED: {
+            code: 'DB_LOCK_FAILED',
+            message: 'Cannot lock {table.name} for {owner?anyone}: {reason}',
+            contextKeys: ['table']
+          }
+        }
+
+        let error
+        try {
+          registry.register('LOCK', table)
+        } catch (e) {
+          error = e
+        }
+        logger.debug({ problems: error?.context?.problems }, 'Найденные проблемы')
+
+        // {owner?anyone} имеет значение по умолчанию и не требуется в contextKeys
+        expect(error.context.problems).toEqual([
+          'LOCK.LOCK_FAILED: Placeholder {reason} in message is not listed in contextKeys.'
+        ])
+        table.LOCK_FAILED.contextKeys = ['table', 'reason']
+        expect(() => registry.register('LOCK', table)).not.toThrow()
+      })
+
+      test('должен запрещать регистрацию после заморозки', () => {
+        logger.trace('Тест freeze: запрет регистрации')
+        registry.freeze()
+
+        expect(registry.isFrozen()).toBe(true)
+        expect(() => registry.register('DB', DB_ERROR_CODES)).toThrow(expect.objectContaining({
+          code: 'SYS_REGISTRY_FROZEN'
+        }))
+        // Поиск продолжает работать
+        expect(registry.get('DB_CONNECT_FAILED')).toBeUndefined()
+      })
+    })
+
+    describe('errorRegistry (реестр по умолчанию)', () => {
+      test('должен содержать все общесистемные коды SYS', () => {
+        logger.trace('Тест errorRegistry: коды SYS')
+        const codes = listErrorCodes()
+        logger.debug({ codes }, 'Коды реестра по умолчанию')
+
+        Object.values(ERROR_CODES.SYS).forEach(definition => {
+          expect(getErrorDefinition(definition.code)).toBe(definition)
+        })
+        expect(errorRegistry.getTables().SYS).toBe(ERROR_CODES.SYS)
+      })
+    })
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * @file test/errors/result.test.js
+ * @description Юнит-тесты для типа Result (Ok/Err).
+ * @version 0.1.2
+ * @tested-file src/errors/result.js
+ * @tested-file-version 0.1.2
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  ok,
+  err,
+  isResult,
+  tryCatch,
+  tryCatchAsync,
+  map,
+  mapErr,
+  andThen,
+  unwrap,
+  combine
+} from '../../src/errors/result.js'
+import { ERROR_CODES, createError, checkErrorChain } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:result')
+
+// Тестовое определение ошибки операции
+const PARSE_CONFIG_FAILED = {
+  code: 'TEST_PARSE_CONFIG_FAILED',
+  message: 'Failed to parse config: {reason}',
+  subsystem: 'test',
+  contextKeys: ['reason']
+}
+
+describe('(result) - тесты типа Result', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов result.js')
+  })
+
+  test('tryCatch и tryCatchAsync должны возвращать Ok или Err с ошибкой SystemError', async () => {
+    logger.trace('Тест: tryCatch')
+    expect(tryCatch(() => JSON.parse('{"a":1}'), PARSE_CONFIG_FAILED)).toEqual({ ok: true, value: { a: 1 } })
+
+    const failed = tryCatch(() => JSON.parse('{'), PARSE_CONFIG_FAILED)
+    expect(failed.ok).toBe(false)
+    expect(checkErrorChain(failed.error, [{ code: 'TEST_PARSE_CONFIG_FAILED' }, { type: 'SyntaxError' }])).toBe(true)
+
+    // Без определения: SystemError сохраняется, прочие ошибки -> SYS_UNEXPECTED
+    const invalid = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'path', reason: 'empty' })
+    expect(tryCatch(() => { throw invalid }).error).toBe(invalid)
+    expect(tryCatch(() => { throw new Error('boom') }).error).toMatchObject({ code: 'SYS_UNEXPECTED', context: { reason: 'boom' } })
+
+    expect(await tryCatchAsync(async () => 42)).toEqual(ok(42))
+    const rejected = await tryCatchAsync(() => Promise.reject(new Error('EACCES')), PARSE_CONFIG_FAILED)
+    expect(rejected.error).toMatchObject({ code: 'TEST_PARSE_CONFIG_FAILED', context: { reason: 'EACCES' } })
+    expect(() => tryCatch(null)).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('map, mapErr, andThen и unwrap должны комбинировать результаты', () => {
+    logger.trace('Тест: комбинаторы')
+    const failure = err(createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'x' }))
+
+    expect(map(ok(2), value => value * 3)).toEqual(ok(6))
+    expect(map(failure, () => { throw new Error('must not be called') })).toBe(failure)
+    expect(mapErr(failure, error => createError(PARSE_CONFIG_FAILED, { reason: error.message }, error)).error.code)
+      .toBe('TEST_PARSE_CONFIG_FAILED')
+    expect(mapErr(ok(1), () => null)).toEqual(ok(1))
+
+    const half = value => value % 2 === 0 ? ok(value / 2) : err(createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'value', reason: 'odd' }))
+    expect(andThen(ok(8), half)).toEqual(ok(4))
+    expect(andThen(ok(3), half).error.code).toBe('SYS_INVALID_ARGUMENT')
+    expect(() => andThen(ok(1), () => 1)).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+
+    expect(unwrap(ok('v'))).toBe('v')
+    expect(() => unwrap(failure)).toThrow(failure.error)
+    expect(isResult({ ok: true })).toBe(false)
+    expect(Object.isFrozen(ok(1))).toBe(true)
+  })
+
+  test('combine должен собирать ошибки в одну SYS_VALIDATION_FAILED с problems', () => {
+    logger.trace('Тест: combine')
+    expect(combine([ok(1), ok('a')])).toEqual(ok([1, 'a']))
+
+    const first = createError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'port', reason: 'must be a number' })
+    const second = createError(PARSE_CONFIG_FAILED, { reason: 'unexpected token' })
+    const combined = combine([ok(1), err(first), err(second)])
+
+    expect(combined.ok).toBe(false)
+    expect(combined.error).toMatchObject({
+      code: 'SYS_VALIDATION_FAILED',
+      original: first,
+      context: {
+        reason: '2 of 3 results failed',
+        problems: [
+          '[SYS_INVALID_ARGUMENT] Invalid argument port: must be a number',
+          '[TEST_PARSE_CONFIG_FAILED] Failed to parse config: unexpected token'
+        ],
+        errors: [first, second]
+      }
+    })
+    expect(combined.error.errors).toEqual([first, second])
+    expect(() => combine(null)).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('tryCatch и combine должны возвращать Err для значений без прототипа', () => {
+    logger.trace('Тест: значения без прототипа')
+    const bare = Object.assign(Object.create(null), { status: 'down' })
+
+    const caught = tryCatch(() => { throw bare })
+    logger.debug({ error: caught.error?.toJSON() }, 'Результат tryCatch')
+    expect(caught.ok).toBe(false)
+    expect(caught.error).toMatchObject({ code: 'SYS_UNEXPECTED', context: { reason: '{"status":"down"}' } })
+
+    const combined = combine([ok(1), err(bare)])
+    expect(combined.ok).toBe(false)
+    expect(combined.error.context.problems).toEqual(['[Error] {"status":"down"}'])
+  })
+})
@@ -0,0 +1,219 @@
+/**
+ * @file test/errors/retry.test.js
+ * @description Юнит-тесты для повтора операций с экспоненциальной задержкой.
+ * @version 0.1.3
+ * @tested-file src/errors/retry.js
+ * @tested-file-version 0.2.1
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { withRetry, dependencies, setDependencies } from '../../src/errors/retry.js'
+import { ERROR_CODES, RECOVERABILITY_MODES, SystemError, checkErrorChain } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:retry')
+
+// Сохраняем оригинальные зависимости
+const originalDeps = { ...dependencies }
+
+/**
+ * Создает операцию, которая падает с заданными ошибками по очереди, затем возвращает результат
+ *
+ * @param {Error[]} failures - Ошибки для первых попыток
+ * @param {any} result - Результат после исчерпания ошибок
+ * @returns {Function} Операция для withRetry
+ */
+function createFlakyOperation (failures, result = 'ok') {
+  const queue = [...failures]
+  return async ({ attempt }) => {
+    logger.trace(`Операция: попытка ${attempt}`)
+    if (queue.length > 0) throw queue.shift()
+    return result
+  }
+}
+
+describe('(retry.withRetry) - тесты функции', () => {
+  let delays
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов retry.js')
+    delays = []
+    // Мок sleep: не ждем реально, только фиксируем задержки
+    setDependencies({
+      sleep: async (ms) => {
+        logger.trace(`Мок sleep: ожидание ${ms} мс`)
+        delays.push(ms)
+      },
+      random: () => 0.5
+    })
+  })
+
+  afterEach(() => {
+    setDependencies(originalDeps)
+  })
+
+  const recoverableError = () => new SystemError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'x', reason: 'temporary' })
+  const fatalError = () => new SystemError(ERROR_CODES.SYS.INITIALIZATION_FAILED, { reason: 'fatal' })
+
+  test('должен вернуть результат после восстанавливаемых ошибок', async () => {
+    logger.trace('Тест: успешный повтор')
+    const operation = createFlakyOperation([recoverableError(), recoverableError()], 42)
+
+    const result = await withRetry(operation, { maxAttempts: 3, baseDelay: 100, jitter: false })
+    logger.debug({ result, delays }, 'Результат и задержки')
+
+    expect(result).toBe(42)
+    expect(delays).toEqual([100, 200])
+  })
+
+  test('должен применять джиттер и ограничение maxDelay', async () => {
+    logger.trace('Тест: джиттер и maxDelay')
+    const operation = createFlakyOperation([recoverableError(), recoverableError(), recoverableError()])
+
+    await withRetry(operation, { maxAttempts: 4, baseDelay: 100, maxDelay: 300, factor: 3 })
+    logger.debug({ delays }, 'Задержки с джиттером')
+
+    // random() = 0.5: половина от min(maxDelay, baseDelay * factor^(n-1))
+    expect(delays).toEqual([50, 150, 150])
+  })
+
+  test('должен выбросить SYS_RETRY_EXHAUSTED после исчерпания попыток', async () => {
+    logger.trace('Тест: исчерпание попыток')
+    const failures = [recoverableError(), recoverableError(), recoverableError()]
+    const operation = createFlakyOperation(failures)
+
+    const error = await withRetry(operation, { maxAttempts: 3 }).catch(e => e)
+    logger.debug({ error: error.toJSON() }, 'Ошибка отказа')
+
+    checkErrorChain(error, [
+      { code: 'SYS_RETRY_EXHAUSTED', message: '3 attempt' },
+      { code: 'SYS_INVALID_ARGUMENT' }
+    ])
+    expect(error.original).toBe(failures[2])
+    expect(error.context.errors).toEqual(failures)
+    expect(error.context.attempts).toBe(3)
+  })
+
+  test('должен прекратить повторы при невосстанавливаемой ошибке', async () => {
+    logger.trace('Тест: невосстанавливаемая ошибка')
+    const operation = createFlakyOperation([recoverableError(), fatalError()])
+
+    const error = await withRetry(operation, { maxAttempts: 5 }).catch(e => e)
+    logger.debug({ error: error.toJSON() }, 'Ошибка отказа')
+
+    expect(error.code).toBe('SYS_RETRY_EXHAUSTED')
+    expect(error.context.attempts).toBe(2)
+    expect(error.context.reason).toMatch(/non-recoverable/)
+    expect(error.original.code).toBe('SYS_INIT_FAILED')
+  })
+
+  test('должен выбросить SYS_RETRY_EXHAUSTED, если операция выбрасывает не Error', async () => {
+    logger.trace('Тест: выброшены строка и объект')
+    const failures = ['boom', { code: 'ECONNRESET' }]
+
+    const error = await withRetry(createFlakyOperation(failures), { maxAttempts: 2, codeOverrides: { ECONNRESET: { recoverable: false } } }).catch(e => e)
+    logger.debug({ error: error.toJSON() }, 'Ошибка отказа')
+
+    expect(error.code).toBe('SYS_RETRY_EXHAUSTED')
+    expect(error.context.attempts).toBe(2)
+    expect(error.context.errors).toEqual(failures)
+  })
+
+  test('должен применять переопределения по коду ошибки', async () => {
+    logger.trace('Тест: codeOverrides')
+    const operation = createFlakyOperation([fatalError(), recoverableError(), recoverableError()])
+    const codeOverrides = {
+      SYS_INIT_FAILED: { recoverable: true, baseDelay: 10 },
+      SYS_INVALID_ARGUMENT: { maxAttempts: 2 }
+    }
+
+    const error = await withRetry(operation, { maxAttempts: 5, jitter: false, codeOverrides }).catch(e => e)
+    logger.debug({ error: error.toJSON(), delays }, 'Результат с переопределениями')
+
+    expect(error.code).toBe('SYS_RETRY_EXHAUSTED')
+    expect(error.context.attempts).toBe(2)
+    expect(delays).toEqual([10])
+  })
+
+  test('должен учитывать только собственные ключи codeOverrides', async () => {
+    logger.trace('Тест: codeOverrides и код constructor')
+    const failures = ['constructor', 'toString'].map(code => Object.assign(recoverableError(), { code }))
+
+    // Унаследованный ключ не является переопределением, как и Object.prototype.constructor
+    const codeOverrides = Object.create({ toString: { recoverable: false } })
+
+    const result = await withRetry(createFlakyOperation(failures, 'done'), { maxAttempts: 3, jitter: false, codeOverrides })
+    logger.debug({ result, delays }, 'Результат')
+
+    expect(result).toBe('done')
+    expect(delays).toEqual([100, 200])
+  })
+
+  test('должен прерываться по сигналу отмены', async () => {
+    logger.trace('Тест: AbortSignal')
+    const controller = new AbortController()
+    const operation = async () => {
+      controller.abort(new Error('cancelled by user'))
+      throw recoverableError()
+    }
+
+    const error = await withRetry(operation, { maxAttempts: 5, signal: controller.signal }).catch(e => e)
+    logger.debug({ error: error.toJSON() }, 'Ошибка отмены')
+
+    expect(error.code).toBe('SYS_RETRY_EXHAUSTED')
+    expect(error.context.reason).toMatch(/aborted/)
+    expect(error.context.attempts).toBe(1)
+
+    // Уже отмененный сигнал: ни одной попытки, original - причина отмены
+    const aborted = await withRetry(operation, { signal: controller.signal }).catch(e => e)
+    expect(aborted.context.attempts).toBe(0)
+    expect(aborted.original.message).toBe('cancelled by user')
+  })
+
+  test('должен передавать предикат восстанавливаемости в isRecoverable', async () => {
+    logger.trace('Тест: recoverabilityPredicate')
+    const seen = []
+    const recoverabilityPredicate = (error, chain) => {
+      seen.push(chain.length)
+      return error.code !== 'SYS_INIT_FAILED'
+    }
+    const operation = createFlakyOperation([fatalError(), recoverableError(), fatalError()])
+
+    const error = await withRetry(operation, { maxAttempts: 5, recoverabilityMode: RECOVERABILITY_MODES.CUSTOM, recoverabilityPredicate })
+      .catch(e => e)
+    logger.debug({ error: error.toJSON(), seen }, 'Результат с предикатом')
+
+    expect(error.code).toBe('SYS_RETRY_EXHAUSTED')
+    expect(error.context.attempts).toBe(1)
+    expect(error.original.code).toBe('SYS_INIT_FAILED')
+    expect(seen).toEqual([1])
+  })
+
+  test('должен вызывать onRetry перед каждым ожиданием', async () => {
+    logger.trace('Тест: onRetry')
+    const calls = []
+    const operation = createFlakyOperation([recoverableError()])
+
+    await withRetry(operation, { jitter: false, onRetry: (_error, attempt, delay) => calls.push({ attempt, delay }) })
+
+    expect(calls).toEqual([{ attempt: 1, delay: 100 }])
+  })
+
+  test('должен выбросить SYS_INVALID_ARGUMENT при некорректных аргументах', async () => {
+    logger.trace('Тест: некорректные аргументы')
+    await expect(withRetry(null)).rejects.toMatchObject({ code: 'SYS_INVALID_ARGUMENT' })
+    await expect(withRetry(async () => 1, { maxAttempts: 0 })).rejects.toMatchObject({ code: 'SYS_INVALID_ARGUMENT' })
+
+    // Опции isRecoverable проверяются до первой попытки
+    const calls = []
+    const operation = async ({ attempt }) => { calls.push(attempt) }
+    await expect(withRetry(operation, { recoverabilityMode: RECOVERABILITY_MODES.CUSTOM }))
+      .rejects.toMatchObject({ code: 'SYS_INVALID_ARGUMENT', context: { name: 'options.recoverabilityPredicate' } })
+    await expect(withRetry(operation, { recoverabilityMode: 'everything' }))
+      .rejects.toMatchObject({ code: 'SYS_INVALID_ARGUMENT', context: { name: 'options.recoverabilityMode' } })
+    expect(calls).toEqual([])
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * @file test/errors/serialize.test.js
+ * @description Юнит-тесты для безопасной сериализации контекста ошибок.
+ * @version 0.1.1
+ * @tested-file src/errors/serialize.js
+ * @tested-file-version 0.2.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { safeSerialize } from '../../src/errors/serialize.js'
+import { SystemError, ERROR_CODES, createError } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:serialize')
+
+describe('(serialize.safeSerialize) - тесты функции', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов serialize.js')
+  })
+
+  test('должен заменять циклические ссылки, сохраняя повторные нециклические', () => {
+    logger.trace('Тест: циклы')
+    const shared = { id: 1 }
+    const context = { a: shared, b: shared, list: [] }
+    context.self = context
+    context.list.push(context.list)
+
+    const result = safeSerialize(context)
+    logger.debug({ result }, 'Результат')
+
+    expect(result).toEqual({ a: { id: 1 }, b: { id: 1 }, list: ['[Circular]'], self: '[Circular]' })
+    expect(() => JSON.stringify(result)).not.toThrow()
+  })
+
+  test('должен кодировать BigInt, Date, Map, Set, Buffer, функции и символы', () => {
+    logger.trace('Тест: специальные типы')
+    const result = safeSerialize({
+      big: 10n ** 20n,
+      date: new Date('2024-01-02T03:04:05.000Z'),
+      invalidDate: new Date('nope'),
+      map: new Map([['key', 1]]),
+      set: new Set(['x']),
+      buffer: Buffer.from('hi'),
+      fn: function load () {},
+      sym: Symbol('s'),
+      skipped: undefined
+    })
+    logger.debug({ result }, 'Результат')
+
+    expect(result).toEqual({
+      big: '100000000000000000000n',
+      date: '2024-01-02T03:04:05.000Z',
+      invalidDate: 'Invalid Date',
+      map: { $type: 'Map', entries: [['key', 1]] },
+      set: { $type: 'Set', values: ['x'] },
+      buffer: { $type: 'Buffer', byteLength: 2, base64: 'aGk=' },
+      fn: '[Function: load]',
+      sym: 'Symbol(s)'
+    })
+  })
+
+  test('должен соблюдать ограничения глубины, длины массивов и строк', () => {
+    logger.trace('Тест: ограничения')
+    const result = safeSerialize(
+      { nested: { deeper: { deepest: 1 } }, list: [1, 2, 3, 4], text: 'abcdefgh', buffer: Buffer.alloc(10) },
+      { maxDepth: 2, maxArrayLength: 2, maxStringLength: 4 }
+    )
+    logger.debug({ result }, 'Результат')
+
+    expect(result.nested).toEqual({ deeper: '[Object]' })
+    expect(result.list).toEqual([1, 2, '[... 2 more items]'])
+    expect(result.text).toBe('abcd... [4 more chars]')
+    expect(result.buffer).toMatchObject({ byteLength: 10, base64: 'AAAA', truncated: true })
+  })
+
+  test('должен ограничивать общее число узлов при общих нециклических ссылках', () => {
+    logger.trace('Тест: ограничение maxNodes')
+    const shared = { id: 1, name: 'shared' }
+    const level1 = Array(100).fill(shared)
+    const level2 = Array(100).fill(level1)
+    const context = { data: Array(100).fill(level2) }
+
+    const json = JSON.stringify(safeSerialize(context))
+    logger.debug({ length: json.length }, 'Размер результата')
+
+    expect(json.length).toBeLessThan(500000)
+    expect(json).toContain('more items]')
+    expect(safeSerialize({ a: [1, 2, 3], b: 'x' }, { maxNodes: 3 })).toEqual({ a: [1, '[... 2 more items]'], b: '[Truncated]' })
+  })
+
+  test('должен сериализовать вложенные ошибки как ошибки', () => {
+    logger.trace('Тест: вложенные ошибки')
+    const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const nested = new SystemError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'url', reason: 'bad' })
+    const result = safeSerialize({ errors: [new Error('top', { cause }), nested] })
+    logger.debug({ result }, 'Результат')
+
+    expect(result.errors[0]).toMatchObject({
+      name: 'Error',
+      message: 'top',
+      cause: { name: 'Error', message: 'socket hang up', code: 'ECONNRESET', stack: expect.any(String) },
+      stack: expect.stringContaining('Error: top')
+    })
+    expect(result.errors[1]).toMatchObject({
+      name: 'SystemError',
+      code: 'SYS_INVALID_ARGUMENT',
+      context: { name: 'url', reason: 'bad' },
+      original: null
+    })
+  })
+
+  test('должен маскировать чувствительные данные при redact: true', () => {
+    logger.trace('Тест: маскирование')
+    const context = { password: 'p', map: new Map([['token', 't']]), pin: '1' }
+    expect(safeSerialize(context, { redact: true, sensitiveKeys: ['pin'] })).toEqual({
+      password: '[REDACTED]',
+      map: { $type: 'Map', entries: [['token', '[REDACTED]']] },
+      pin: '[REDACTED]'
+    })
+    expect(safeSerialize(context).password).toBe('p')
+  })
+
+  test('toJSON() и диагностика createError должны выдерживать «опасный» контекст', () => {
+    logger.trace('Тест: интеграция с SystemError')
+    const context = { reason: 'x', id: 1n, payload: Buffer.alloc(1024 * 1024) }
+    context.self = context
+
+    const json = JSON.stringify(new SystemError(ERROR_CODES.SYS.UNEXPECTED, context).toJSON())
+    expect(json.length).toBeLessThan(20000)
+    expect(json).toContain('"id":"1n"')
+
+    // Нехватка ключа reason: конструктор формирует диагностику с содержимым контекста
+    const definition = { code: 'TEST_FAILED', message: 'Failed: {reason}', contextKeys: ['reason'] }
+    const error = createError(definition, { id: 1n, list: new Array(1000).fill(1), text: 'a'.repeat(5000) }, null, { strict: true })
+    logger.debug({ reason: error.context.reason }, 'Диагностика')
+    expect(error.code).toBe('SYS_UNEXPECTED')
+    expect(error.context.reason).toMatch(/Missing required context keys: reason/)
+    expect(error.context.reason.length).toBeLessThan(1000)
+  })
+})
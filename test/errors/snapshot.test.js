@@ -0,0 +1,138 @@
+/**
+ * @file test/errors/snapshot.test.js
+ * @description Юнит-тесты для детерминированного представления ошибок в снапшотах.
+ * @version 0.1.1
+ * @tested-file src/errors/snapshot.js
+ * @tested-file-version 0.1.2
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeAll, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { DEFAULT_STABLE_RULES, toStableJSON, createErrorSnapshotSerializer, errorSnapshotSerializer } from '../../src/errors/snapshot.js'
+import { ERROR_CODES, createError } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:snapshot')
+
+// Тестовое определение с изменчивым контекстом
+const SESSION_EXPIRED = {
+  code: 'TEST_SESSION_EXPIRED',
+  message: 'Session {sessionId} expired at {expiresAt}',
+  subsystem: 'test',
+  contextKeys: ['sessionId', 'expiresAt']
+}
+
+/**
+ * Создает ошибку с изменчивыми данными в контексте, сообщении и цепочке
+ *
+ * @returns {import('../../src/errors/system-error.js').SystemError} Ошибка
+ */
+function createSessionError () {
+  const socketError = new Error('connect ECONNREFUSED 127.0.0.1:54321')
+  return createError(SESSION_EXPIRED, {
+    sessionId: '3f2b8c1e-9a4d-4e7f-b6c2-1d0e5f4a3b29',
+    expiresAt: '2026-10-19T08:15:30.000Z',
+    port: 54321,
+    attempt: 2
+  }, socketError)
+}
+
+describe('(snapshot) - тесты стабильного представления ошибок', () => {
+  beforeAll(() => {
+    expect.addSnapshotSerializer(errorSnapshotSerializer)
+  })
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов snapshot.js')
+  })
+
+  test('toStableJSON должен удалять стеки и заменять изменчивые значения во всей цепочке', () => {
+    logger.trace('Тест: toStableJSON')
+    const json = toStableJSON(createSessionError())
+
+    expect(json).not.toHaveProperty('stack')
+    expect(json.original).not.toHaveProperty('stack')
+    expect(json).toMatchObject({
+      code: 'TEST_SESSION_EXPIRED',
+      message: 'Session <uuid> expired at <timestamp>',
+      context: { sessionId: '<uuid>', expiresAt: '<timestamp>', port: '<port>', attempt: 2 },
+      original: { name: 'Error', message: 'connect ECONNREFUSED 127.0.0.1:<port>' }
+    })
+    expect(toStableJSON(createSessionError())).toEqual(json)
+  })
+
+  test('toStableJSON должен нормализовать стеки и применять пользовательские правила', () => {
+    logger.trace('Тест: нормализация стеков и правила')
+    const json = toStableJSON(createSessionError(), {
+      stack: 'normalize',
+      rules: [...DEFAULT_STABLE_RULES, { key: 'attempt', placeholder: '<n>' }]
+    })
+
+    const [head, ...frames] = json.stack.split('\n')
+    expect(head).toBe('SystemError: Session <uuid> expired at <timestamp>')
+    expect(frames.length).toBeGreaterThan(0)
+    frames.forEach(frame => expect(frame).toMatch(/^ {4}at .*<rootDir>\/(src|test)\/errors\/[\w.-]+\.js\)?$/))
+    expect(frames.at(-1)).toContain('<rootDir>/test/errors/snapshot.test.js')
+    expect(json.context.attempt).toBe('<n>')
+
+    expect(() => toStableJSON(createSessionError(), { stack: 'keep' })).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+    expect(() => createErrorSnapshotSerializer({ rules: [{ placeholder: 'x' }] })).toThrow(expect.objectContaining({ code: 'SYS_INVALID_ARGUMENT' }))
+  })
+
+  test('правила с RegExp должны срабатывать стабильно: ключи с флагом g и все вхождения шаблона без g', () => {
+    logger.trace('Тест: флаги RegExp в правилах')
+    const json = toStableJSON(createSessionError(), {
+      rules: [{ key: /^(sessionId|expiresAt|port)$/g, placeholder: '<var>' }, { pattern: /\d/, placeholder: '#' }]
+    })
+    logger.debug({ json }, 'Результат')
+
+    // Ключ с флагом g совпадает на каждом уровне, а не через раз (lastIndex)
+    expect(json.context).toMatchObject({ sessionId: '<var>', expiresAt: '<var>', port: '<var>', attempt: 2 })
+    expect(json.original.message).toBe('connect ECONNREFUSED ###.#.#.#:#####')
+  })
+
+  test('сериализатор снапшотов должен выводить SystemError детерминированно', () => {
+    logger.trace('Тест: сериализатор снапшотов')
+    const error = createError(ERROR_CODES.SYS.UNEXPECTED, { reason: 'request 5d9c7a3e-2f1b-4c8d-9e6a-7b0c1d2e3f4a failed' }, createSessionError())
+
+    expect(errorSnapshotSerializer.test(error)).toBe(true)
+    expect(errorSnapshotSerializer.test(new Error('plain'))).toBe(false)
+    expect(error).toMatchInlineSnapshot(`
+      SystemError {
+        "code": "SYS_UNEXPECTED",
+        "context": {
+          "reason": "request <uuid> failed",
+        },
+        "docs": "docs/errors/system.md#unexpected",
+        "httpStatus": 500,
+        "message": "Unexpected error occurred: request <uuid> failed",
+        "msg": "Unexpected error occurred: {reason}",
+        "name": "SystemError",
+        "original": {
+          "code": "TEST_SESSION_EXPIRED",
+          "context": {
+            "attempt": 2,
+            "expiresAt": "<timestamp>",
+            "port": "<port>",
+            "sessionId": "<uuid>",
+          },
+          "docs": undefined,
+          "httpStatus": 500,
+          "message": "Session <uuid> expired at <timestamp>",
+          "msg": "Session {sessionId} expired at {expiresAt}",
+          "name": "SystemError",
+          "original": {
+            "message": "connect ECONNREFUSED 127.0.0.1:<port>",
+            "name": "Error",
+          },
+          "recoverable": true,
+          "subsystem": "test",
+        },
+        "recoverable": false,
+        "subsystem": "system",
+      }
+    `)
+  })
+})
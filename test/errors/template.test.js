@@ -0,0 +1,134 @@
+/**
+ * @file test/errors/template.test.js
+ * @description Юнит-тесты для языка шаблонов сообщений об ошибках.
+ * @version 0.1.1
+ * @tested-file src/errors/template.js
+ * @tested-file-version 0.3.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import {
+  renderTemplate,
+  compileTemplate,
+  clearTemplateCache,
+  getPlaceholders,
+  formatMessage
+} from '../../src/errors/template.js'
+import { SystemError, ERROR_CODES, formatMessage as apiFormatMessage } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:template')
+
+describe('(template.renderTemplate) - тесты функции', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов template.js')
+  })
+
+  test('должен сохранять совместимость с простыми шаблонами', () => {
+    logger.trace('Тест: простые шаблоны')
+    expect(renderTemplate('Invalid argument {name}: {reason}', { name: 'id', reason: 'empty' }))
+      .toBe('Invalid argument id: empty')
+    expect(renderTemplate('Missing {value}', { value: null })).toBe('Missing {value}')
+    expect(renderTemplate('Broken {template', {})).toBe('Broken {template')
+    expect(renderTemplate('Payload { "a": 1 }', {})).toBe('Payload { "a": 1 }')
+    expect(renderTemplate(42)).toBe('')
+  })
+
+  test('должен подставлять значения по пути, массивы и объекты', () => {
+    logger.trace('Тест: пути и составные значения')
+    const context = { user: { id: 7, roles: ['admin', 'dev'] }, items: ['a', 'b'], meta: { x: 1 } }
+    const result = renderTemplate('User {user.id} ({user.roles}), first {items.0}, meta {meta}', context)
+    logger.debug({ result }, 'Результат')
+
+    expect(result).toBe('User 7 (admin, dev), first a, meta {"x":1}')
+    expect(renderTemplate('{user.constructor}', context)).toBe('{user.constructor}')
+  })
+
+  test('должен применять форматтеры bytes, list, iso, json', () => {
+    logger.trace('Тест: форматтеры')
+    const context = {
+      size: 1536,
+      big: 5 * 1024 ** 3,
+      items: ['a', 'b', 'c'],
+      date: new Date('2024-01-02T03:04:05.000Z'),
+      value: { ok: true, id: 1n }
+    }
+    expect(renderTemplate('{size|bytes} / {big|bytes}', context)).toBe('1.5 KB / 5 GB')
+    expect(renderTemplate('{items|list}', context)).toBe('a, b, and c')
+    expect(renderTemplate('{date|iso}', context)).toBe('2024-01-02T03:04:05.000Z')
+    expect(renderTemplate('{value|json}', context)).toBe('{"ok":true,"id":"1n"}')
+    // Неизвестный форматтер оставляет плейсхолдер как есть
+    expect(renderTemplate('{size|unknown}', context)).toBe('{size|unknown}')
+  })
+
+  test('должен подставлять значения по умолчанию и обрабатывать экранирование', () => {
+    logger.trace('Тест: значения по умолчанию и экранирование')
+    expect(renderTemplate('Hello, {name?anonymous}!', {})).toBe('Hello, anonymous!')
+    expect(renderTemplate('Hello, {name?anonymous}!', { name: 'Ann' })).toBe('Hello, Ann!')
+    expect(renderTemplate('{{name}} = {name}', { name: 'x' })).toBe('{name} = x')
+  })
+
+  test('должен выбирать plural-формы в стиле ICU с учетом локали', () => {
+    logger.trace('Тест: plural')
+    const template = '{count, plural, =0 {no files} one {# file} other {# files}} in {dir}'
+    expect(renderTemplate(template, { count: 0, dir: '/tmp' })).toBe('no files in /tmp')
+    expect(renderTemplate(template, { count: 1, dir: '/tmp' })).toBe('1 file in /tmp')
+    expect(renderTemplate(template, { count: 5, dir: '/tmp' })).toBe('5 files in /tmp')
+
+    const ru = '{n, plural, one {# файл} few {# файла} many {# файлов} other {# файла}}'
+    expect(renderTemplate(ru, { n: 3 }, { locale: 'ru' })).toBe('3 файла')
+    expect(renderTemplate(ru, { n: 11 }, { locale: 'ru' })).toBe('11 файлов')
+    // Нечисловое значение оставляет блок как есть
+    expect(renderTemplate('{n, plural, other {#}}', {})).toBe('{n, plural, other {#}}')
+  })
+
+  test('должен маскировать чувствительные данные при redact: true', () => {
+    logger.trace('Тест: маскирование')
+    const context = { auth: { password: 'p' }, data: { token: 't', id: 1 } }
+    expect(renderTemplate('{auth.password} {data}', context, { redact: true }))
+      .toBe('[REDACTED] {"token":"[REDACTED]","id":1}')
+  })
+
+  test('SystemError должен использовать расширенный синтаксис шаблонов', () => {
+    logger.trace('Тест: интеграция с SystemError')
+    const definition = {
+      code: 'UPLOAD_TOO_LARGE',
+      message: 'File {file.name} is {file.size|bytes}, {limit, plural, one {# file} other {# files}} allowed',
+      subsystem: 'upload'
+    }
+    const error = new SystemError(definition, { file: { name: 'a.zip', size: 2048 }, limit: 1 })
+    expect(error.message).toBe('File a.zip is 2 KB, 1 file allowed')
+    expect(new SystemError(ERROR_CODES.SYS.INVALID_ARGUMENT, { name: 'x', reason: 'y' }).message)
+      .toBe('Invalid argument x: y')
+  })
+
+  test('должен компилировать шаблон один раз и кэшировать результат', () => {
+    logger.trace('Тест: кэш компиляции')
+    clearTemplateCache()
+    const template = 'Cannot parse {file} at line {line}'
+
+    const compiled = compileTemplate(template)
+    expect(compileTemplate(template)).toBe(compiled)
+    expect(Object.isFrozen(compiled)).toBe(true)
+
+    clearTemplateCache()
+    expect(compileTemplate(template)).not.toBe(compiled)
+  })
+
+  test('getPlaceholders должен возвращать пути плейсхолдеров', () => {
+    logger.trace('Тест: getPlaceholders')
+    const template = '{{literal}} {file.name|json} {user?guest} {n, plural, one {# in {dir}} other {#}} {file.name}'
+    expect(getPlaceholders(template)).toEqual(['file.name', 'user', 'n', 'dir'])
+    expect(getPlaceholders(template, { required: true })).toEqual(['file.name', 'n', 'dir'])
+    expect(getPlaceholders(null)).toEqual([])
+  })
+
+  test('formatMessage должен быть единым для API и SystemError', () => {
+    logger.trace('Тест: единый formatMessage')
+    expect(apiFormatMessage).toBe(formatMessage)
+    expect(formatMessage('{password}', { password: 'p' })).toBe('[REDACTED]')
+  })
+})
@@ -0,0 +1,131 @@
+/**
+ * @file test/errors/typegen.test.js
+ * @description Юнит-тесты для генерации TypeScript деклараций таблиц кодов ошибок.
+ * @version 0.1.0
+ * @tested-file src/errors/typegen.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_ERRORS, v0.2.1.md
+ */
+
+import { describe, expect, test, beforeEach } from 'vitest'
+import { createLogger } from '@fab33/sys-logger'
+
+import { generateErrorTypes } from '../../src/errors/typegen.js'
+import { ERROR_CODES, SystemError, checkErrorChain } from '../../src/errors/errors.js'
+
+// Логгер для тестов
+const logger = createLogger('test:errors:typegen')
+
+// Тестовая таблица кодов подсистемы
+const MY_ERROR_CODES = {
+  LOAD_FAILED: {
+    code: 'MY_LOAD_FAILED',
+    message: 'Loading {file.name} failed: {reason} (attempt {attempt?1})',
+    subsystem: 'my',
+    contextKeys: ['reason', 'file'],
+    contextSchema: {
+      reason: 'string',
+      attempt: 'integer',
+      mode: { type: 'string', enum: ['fast', 'safe'] },
+      meta: { type: 'object', properties: { id: { type: 'string', required: true }, 'trace-id': 'string' } },
+      tags: { type: 'array', items: { type: ['string', 'number'] } }
+    }
+  },
+  TIMEOUT: {
+    code: 'MY_TIMEOUT',
+    message: 'Operation timed out',
+    subsystem: 'my'
+  }
+}
+
+describe('(typegen) - тесты генерации деклараций таблиц кодов', () => {
+  beforeEach(() => {
+    logger.trace('Инициализация тестов typegen.js')
+  })
+
+  test('generateErrorTypes должен объявлять литеральные коды, таблицы и расширение ErrorContextMap', () => {
+    logger.trace('Тест: декларации')
+    const dts = generateErrorTypes({ MY_ERROR_CODES, helper: () => {}, VERSION: '1.0' }, { source: './src/my-errors.js' })
+
+    expect(dts).toMatch(/^\/\*\*\n \* Сгенерировано `sys-errors types` из \.\/src\/my-errors\.js\. Не редактируйте вручную\.\n \*\/\n/)
+    expect(dts).toContain("import { ErrorDefinition } from '@fab33/sys-errors'")
+    expect(dts).toContain([
+      'export interface MyLoadFailedDefinition extends ErrorDefinition {',
+      "  readonly code: 'MY_LOAD_FAILED';",
+      '}'
+    ].join('\n'))
+    expect(dts).toContain("export type MyErrorCode = 'MY_LOAD_FAILED' | 'MY_TIMEOUT'")
+    expect(dts).toContain([
+      'export declare const MY_ERROR_CODES: {',
+      '  readonly LOAD_FAILED: MyLoadFailedDefinition;',
+      '  readonly TIMEOUT: MyTimeoutDefinition;',
+      '}'
+    ].join('\n'))
+    expect(dts.endsWith([
+      "declare module '@fab33/sys-errors' {",
+      '  interface ErrorContextMap {',
+      '    MY_LOAD_FAILED: MyLoadFailedContext;',
+      '    MY_TIMEOUT: MyTimeoutContext;',
+      '  }',
+      '}',
+      ''
+    ].join('\n'))).toBe(true)
+    expect(dts).not.toContain('helper')
+  })
+
+  test('интерфейс контекста должен строиться по contextKeys, плейсхолдерам и contextSchema', () => {
+    logger.trace('Тест: контекст')
+    const dts = generateErrorTypes({ MY_ERROR_CODES })
+
+    expect(dts).toContain([
+      '/** Контекст ошибки MY_LOAD_FAILED: Loading {file.name} failed: {reason} (attempt {attempt?1}) */',
+      'export interface MyLoadFailedContext {',
+      '  reason: string;',
+      '  file: unknown;',
+      '  attempt?: number;',
+      "  mode?: 'fast' | 'safe';",
+      "  meta?: { id: string; 'trace-id'?: string };",
+      '  tags?: Array<string | number>;',
+      '}'
+    ].join('\n'))
+    // Без ключей контекст пустой
+    expect(dts).toContain('export type MyTimeoutContext = Record<string, never>')
+  })
+
+  test('агрегированные таблицы должны объявляться по подсистемам без повторов определений', () => {
+    logger.trace('Тест: агрегированные таблицы')
+    const dts = generateErrorTypes({ ALL_CODES: { MY: MY_ERROR_CODES, SYS: ERROR_CODES.SYS }, MY_ERROR_CODES }, { moduleName: 'my-errors-lib' })
+
+    expect(dts).toContain([
+      'export declare const ALL_CODES: {',
+      '  readonly MY: {',
+      '    readonly LOAD_FAILED: MyLoadFailedDefinition;'
+    ].join('\n'))
+    expect(dts).toContain('  readonly SYS: {\n    readonly INITIALIZATION_FAILED: SysInitFailedDefinition;')
+    expect(dts).toContain("export type AllCode = 'MY_LOAD_FAILED' | 'MY_TIMEOUT' | 'SYS_INIT_FAILED'")
+    expect(dts.match(/export interface MyLoadFailedDefinition/g)).toHaveLength(1)
+    expect(dts).toContain('export interface SysValidationFailedContext {\n  reason: string;\n  problems: Array<string>;\n  problemsText: string;\n}')
+    expect(dts).toContain("declare module 'my-errors-lib' {")
+  })
+
+  test('модуль без таблиц, невалидные определения и дубли кодов должны отклоняться', () => {
+    logger.trace('Тест: ошибки')
+    expect(() => generateErrorTypes({ helper: () => {} })).toThrow('module does not export any error code tables')
+
+    const broken = { BAD: { code: 'my_bad', message: '' } }
+    const duplicate = { OTHER: { code: 'MY_TIMEOUT', message: 'Another timeout' } }
+    let error = null
+    try {
+      generateErrorTypes({ broken, duplicate, MY_ERROR_CODES })
+    } catch (e) {
+      error = e
+    }
+    expect(error).toBeInstanceOf(SystemError)
+    expect(checkErrorChain(error, [{ code: 'SYS_VALIDATION_FAILED', message: 'Cannot generate types' }])).toBe(true)
+    expect(error.context.problems).toEqual([
+      'broken.BAD: Invalid error code format (must be UPPER_SNAKE_CASE, starting with a letter).',
+      'broken.BAD: Missing or invalid error message (must be a non-empty string).',
+      'MY_ERROR_CODES.TIMEOUT: Duplicate error code \'MY_TIMEOUT\' (already defined at duplicate.OTHER).'
+    ])
+  })
+})